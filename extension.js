@@ -12,6 +12,8 @@ const AnalyzeCommand = require("./src/commands/analyzeCommand");
 const ApiKeyCommand = require("./src/commands/apiKeyCommand");
 const AuditLogger = require("./src/enterprise/auditLogger");
 const NoxChatViewProvider = require("./src/webview/chatSidebar");
+const HttpClient = require("./src/core/httpClient");
+const FileTrash = require("./src/core/fileTrash");
 
 /**
  * 🦊 Nox - AI Coding Fox VS Code Extension
@@ -235,6 +237,16 @@ class NoxExtension {
           await this.resetExtension();
         }),
 
+        // 🌐 Network diagnostics (proxy, certificates)
+        vscode.commands.registerCommand("nox.testConnectivity", async () => {
+          await this.testConnectivity();
+        }),
+
+        // 🗑️ Restore files deleted by Nox
+        vscode.commands.registerCommand("nox.restoreFromTrash", async () => {
+          await this.restoreFromTrash();
+        }),
+
         // Theme commands
         vscode.commands.registerCommand("nox.applyTheme", async (themeId) => {
           await this.applyTheme(themeId);
@@ -619,6 +631,74 @@ class NoxExtension {
             }
             this.logger.info(`🐛 Debug mode updated: ${this.debugMode}`);
           }
+
+          // 🔌 OpenAI-compatible endpoints added, edited or removed
+          if (event.affectsConfiguration("nox.openaiCompatible.endpoints")) {
+            if (this.agentController && this.agentController.aiClient) {
+              this.agentController.aiClient.loadOpenAICompatibleEndpoints();
+            }
+            if (this.chatSidebarProvider) {
+              await this.chatSidebarProvider.sendProviderStatus();
+            }
+            this.logger.info("🔌 OpenAI-compatible endpoints reloaded");
+          }
+
+          // ☁️ Bedrock region, profile or endpoint changed
+          if (event.affectsConfiguration("nox.bedrock")) {
+            if (this.agentController && this.agentController.aiClient) {
+              this.agentController.aiClient.loadBedrockSettings();
+            }
+            if (this.chatSidebarProvider) {
+              await this.chatSidebarProvider.sendProviderStatus();
+            }
+            this.logger.info("☁️ Bedrock settings reloaded");
+          }
+
+          // 🔀 Failover chain edited
+          if (event.affectsConfiguration("nox.failoverChain")) {
+            if (this.agentController && this.agentController.aiClient) {
+              this.agentController.aiClient.loadFailoverChain();
+            }
+            this.logger.info("🔀 Failover chain reloaded");
+          }
+
+          // 💭 Extended thinking toggled or budget changed
+          if (
+            event.affectsConfiguration("nox.claude.extendedThinking") ||
+            event.affectsConfiguration("nox.claude.thinkingBudgetTokens")
+          ) {
+            if (this.agentController && this.agentController.aiClient) {
+              this.agentController.aiClient.loadThinkingSettings();
+            }
+            this.logger.info("💭 Extended thinking settings reloaded");
+          }
+
+          // 🧭 Task routing table edited
+          if (event.affectsConfiguration("nox.modelRouting")) {
+            if (this.agentController && this.agentController.aiClient) {
+              this.agentController.aiClient.loadModelRouting();
+            }
+            this.logger.info("🧭 Model routing reloaded");
+          }
+
+          // 💰 Spending limits edited
+          if (event.affectsConfiguration("nox.budget")) {
+            if (this.agentController && this.agentController.aiClient) {
+              this.agentController.aiClient.loadBudgetSettings();
+            }
+            this.logger.info("💰 Budgets reloaded");
+          }
+
+          // 🧪 Cassette replay / recording toggled
+          if (event.affectsConfiguration("nox.mock")) {
+            if (this.agentController && this.agentController.aiClient) {
+              this.agentController.aiClient.loadMockSettings();
+            }
+            if (this.chatSidebarProvider) {
+              await this.chatSidebarProvider.sendProviderStatus();
+            }
+            this.logger.info("🧪 Mock provider settings reloaded");
+          }
         }
       );
 
@@ -790,6 +870,18 @@ class NoxExtension {
     const nonce = this.getNonce();
     const settingsTabs = require("./src/config/settingsTabs.js");
 
+    // 🔌 OpenAI-compatible endpoints get their own API key cards
+    const compatibleProviderCards = JSON.stringify(
+      Object.entries(this.agentController?.aiClient?.getProviders() || {})
+        .filter(([, provider]) => provider.openaiCompatible)
+        .map(([id, provider]) => ({
+          id,
+          name: provider.name,
+          placeholder: "API key",
+          help: "OpenAI-compatible endpoint: " + provider.baseUrl,
+        }))
+    ).replace(/</g, "\\u003c");
+
     // Generate CSS variable declarations from theme
     const cssVariableDeclarations = Object.entries(cssVariables)
       .map(([key, value]) => `${key}: ${value} !important;`)
@@ -1682,7 +1774,9 @@ class NoxExtension {
                     { id: 'anthropic', name: '🤖 Anthropic Claude', placeholder: 'sk-ant-api03-...', help: 'Get your key from: https://console.anthropic.com/' },
                     { id: 'openai', name: '🧠 OpenAI GPT-4', placeholder: 'sk-...', help: 'Get your key from: https://platform.openai.com/api-keys' },
                     { id: 'deepseek', name: '🔍 DeepSeek', placeholder: 'sk-...', help: 'Get your key from: https://platform.deepseek.com/' },
-                    { id: 'local', name: '🏠 Local LLM', placeholder: 'http://localhost:11434', help: 'No API key needed for local models' }
+                    { id: 'gemini', name: '✨ Google Gemini', placeholder: 'AIza...', help: 'Get your key from: https://aistudio.google.com/app/apikey' },
+                    { id: 'local', name: '🏠 Local LLM', placeholder: 'http://localhost:11434', help: 'No API key needed for local models' },
+                    ...${compatibleProviderCards}
                 ];
 
                 const grid = document.getElementById('apiKeysGrid');
@@ -1830,6 +1924,15 @@ class NoxExtension {
                         }
                         break;
 
+                    case 'gemini':
+                        if (!apiKey.startsWith('AIza')) {
+                            return { valid: false, message: 'Gemini keys start with AIza' };
+                        }
+                        if (apiKey.length < 39) {
+                            return { valid: false, message: 'Gemini key seems too short' };
+                        }
+                        break;
+
                     case 'local':
                         // For local, accept URLs or leave empty
                         if (apiKey && !apiKey.startsWith('http')) {
@@ -1924,7 +2027,7 @@ class NoxExtension {
                             }
                         } else {
                             // Fallback: try to find which provider had the error
-                            const allProviders = ['anthropic', 'openai', 'deepseek', 'local'];
+                            const allProviders = ['anthropic', 'openai', 'deepseek', 'gemini', 'local'];
                             allProviders.forEach(provider => {
                                 const saveBtn = document.getElementById('save-' + provider);
                                 if (saveBtn && saveBtn.disabled) {
@@ -2435,7 +2538,9 @@ class NoxExtension {
    */
   async sendProviderStatus(webview) {
     try {
-      const providers = ["anthropic", "openai", "deepseek", "local"];
+      const providers = Object.keys(
+        this.agentController.aiClient.getProviders()
+      );
       const status = {};
 
       for (const provider of providers) {
@@ -2931,6 +3036,146 @@ class NoxExtension {
     }
   }
 
+  /**
+   * 🌐 Test the connection to a provider through the proxy and CA settings
+   */
+  async testConnectivity() {
+    const providers =
+      this.agentController?.aiClient?.providerManager?.getAllProviderInfo() ||
+      [];
+    const targets = providers
+      .filter((provider) => provider.baseUrl)
+      .map((provider) => ({
+        label: provider.name,
+        description: provider.baseUrl,
+        url: provider.baseUrl,
+      }));
+    targets.push({
+      label: "✏️ Other URL...",
+      description: "Test any address",
+      url: null,
+    });
+
+    const selected = await vscode.window.showQuickPick(targets, {
+      placeHolder: "🌐 Which connection should Nox test?",
+      matchOnDescription: true,
+    });
+    if (!selected) {
+      return;
+    }
+
+    const url =
+      selected.url ||
+      (await vscode.window.showInputBox({
+        prompt: "🌐 URL to test",
+        placeHolder: "https://api.example.com",
+        validateInput: (value) => {
+          try {
+            new URL(value);
+            return null;
+          } catch (error) {
+            return "Enter a full URL, e.g. https://api.example.com";
+          }
+        },
+      }));
+    if (!url) {
+      return;
+    }
+
+    try {
+      const report = await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `🌐 Testing connection to ${url}...`,
+        },
+        () => HttpClient.getInstance(this.logger).testConnectivity(url)
+      );
+
+      const document = await vscode.workspace.openTextDocument({
+        content: HttpClient.formatReport(report),
+        language: "plaintext",
+      });
+      await vscode.window.showTextDocument(document, { preview: true });
+
+      if (report.ok) {
+        vscode.window.showInformationMessage(`🌐 Connected to ${url}`);
+      } else {
+        vscode.window.showErrorMessage(
+          `🌐 Connection to ${url} failed at: ${report.failedAt}`
+        );
+      }
+    } catch (error) {
+      this.logger.error("Connectivity test failed:", error);
+      vscode.window.showErrorMessage(
+        `Connectivity test failed: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * 🗑️ Restore files and folders that Nox deleted
+   */
+  async restoreFromTrash() {
+    try {
+      const trash = FileTrash.getInstance(this.logger);
+      const entries = await trash.list();
+      if (entries.length === 0) {
+        vscode.window.showInformationMessage("🗑️ The Nox trash is empty");
+        return;
+      }
+
+      const selected = await vscode.window.showQuickPick(
+        entries.map((entry) => ({
+          label: `${entry.isDirectory ? "📁" : "📄"} ${entry.originalPath}`,
+          description: new Date(entry.deletedAt).toLocaleString(),
+          detail: entry.reason || undefined,
+          entry,
+        })),
+        {
+          placeHolder: "🗑️ Which files should Nox restore?",
+          canPickMany: true,
+          matchOnDescription: true,
+        }
+      );
+      if (!selected || selected.length === 0) {
+        return;
+      }
+
+      let restored = 0;
+      for (const { entry } of selected) {
+        try {
+          await trash.restore(entry.id);
+          restored++;
+        } catch (error) {
+          if (!error.targetExists) {
+            throw error;
+          }
+
+          const choice = await vscode.window.showWarningMessage(
+            `${entry.originalPath} already exists. Replace it with the deleted version? The current one goes to the Nox trash.`,
+            { modal: true },
+            "Replace"
+          );
+          if (choice === "Replace") {
+            await trash.restore(entry.id, { overwrite: true });
+            restored++;
+          }
+        }
+      }
+
+      if (restored > 0) {
+        vscode.window.showInformationMessage(
+          `♻️ Restored ${restored} item${restored === 1 ? "" : "s"} from the Nox trash`
+        );
+      }
+    } catch (error) {
+      this.logger.error("Restore from trash failed:", error);
+      vscode.window.showErrorMessage(
+        `Restore from trash failed: ${error.message}`
+      );
+    }
+  }
+
   /**
    * 📖 Show help and documentation
    */
@@ -3025,9 +3270,17 @@ class NoxExtension {
             await this.context.globalState.update(key, undefined);
           }
         }
+        this.agentController?.aiClient?.costLedger.clear();
 
         // Clear secrets (API keys)
-        const providers = ["anthropic", "openai", "deepseek", "local"];
+        const providers = new Set([
+          "anthropic",
+          "openai",
+          "deepseek",
+          "gemini",
+          "local",
+          ...Object.keys(this.agentController?.aiClient?.getProviders() || {}),
+        ]);
         for (const provider of providers) {
           try {
             await this.context.secrets.delete(`nox.${provider}.apiKey`);
@@ -3132,7 +3385,8 @@ class NoxExtension {
             const report = analyticsEngine.getAnalyticsReport(
               chatHistory,
               message.filterType,
-              message.customDates
+              message.customDates,
+              this.agentController?.aiClient?.costLedger
             );
 
             // Send data back to dashboard
@@ -82,6 +82,10 @@ class AnalyzeCommand {
 
       this.logger.info("Analyze interaction completed");
     } catch (error) {
+      if (error.cancelled) {
+        this.logger.info(`Analyze command cancelled: ${error.message}`);
+        return;
+      }
       this.logger.error("Analyze command failed:", error);
       await vscode.window.showErrorMessage(`Analyze failed: ${error.message}`);
     }
@@ -71,8 +71,10 @@ class ApiKeyCommand {
    */
   async setApiKey() {
     try {
-      // Select provider
-      const providers = this.aiClient.getAvailableProviders();
+      // Select provider (cassette replay and Bedrock have no key to set)
+      const providers = this.aiClient
+        .getAvailableProviders()
+        .filter(p => !p.keyless && !p.awsCredentials);
       const selectedProvider = await vscode.window.showQuickPick(
         providers.map(p => ({
           label: p.name,
@@ -464,6 +466,7 @@ class ApiKeyCommand {
       anthropic: "Get your API key from: https://console.anthropic.com/",
       openai: "Get your API key from: https://platform.openai.com/api-keys",
       deepseek: "Get your API key from: https://platform.deepseek.com/",
+      gemini: "Get your API key from: https://aistudio.google.com/app/apikey",
       local: "No API key needed for local models. Make sure Ollama or LM Studio is running."
     };
 
@@ -548,7 +551,9 @@ class ApiKeyCommand {
    */
   async removeApiKey() {
     try {
-      const configuredProviders = await this.aiClient.getConfiguredProviders();
+      const configuredProviders = (
+        await this.aiClient.getConfiguredProviders()
+      ).filter(p => !p.keyless && !p.awsCredentials);
 
       if (configuredProviders.length === 0) {
         vscode.window.showInformationMessage("🔑 No API keys to remove.");
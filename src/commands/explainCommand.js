@@ -81,6 +81,10 @@ class ExplainCommand {
 
       this.logger.info("Explain interaction completed");
     } catch (error) {
+      if (error.cancelled) {
+        this.logger.info(`Explain command cancelled: ${error.message}`);
+        return;
+      }
       this.logger.error("Explain command failed:", error);
       await vscode.window.showErrorMessage(`Explain failed: ${error.message}`);
     }
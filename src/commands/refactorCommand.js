@@ -98,6 +98,10 @@ class RefactorCommand {
 
       this.logger.info("Refactor interaction completed");
     } catch (error) {
+      if (error.cancelled) {
+        this.logger.info(`Refactor command cancelled: ${error.message}`);
+        return;
+      }
       this.logger.error("Refactor command failed:", error);
       await vscode.window.showErrorMessage(`Refactor failed: ${error.message}`);
     }
@@ -0,0 +1,219 @@
+/**
+ * 💰 COST PREVIEW HANDLER
+ *
+ * Estimates what a task request will cost before it is sent and shows the
+ * breakdown as a small card in the chat view.
+ *
+ * Features:
+ * - Input tokens split into system prompt, workspace context, history and task
+ * - Output allowance (max tokens + thinking budget) priced from the provider tables
+ * - Requests at or above "nox.costPreview.confirmAboveCost" wait for confirmation
+ * - Falls back to a modal dialog when the chat view isn't visible
+ * - Unanswered confirmations are cancelled after 2 minutes, and the user is told
+ */
+
+const vscode = require("vscode");
+
+// Unanswered confirmations count as cancelled
+const CONFIRMATION_TIMEOUT_MS = 120000;
+const CONFIRMATION_TIMEOUT_MINUTES = CONFIRMATION_TIMEOUT_MS / 60000;
+
+class CostPreviewHandler {
+  constructor(aiClient, noxSystemPrompt, webviewView, logger) {
+    this.aiClient = aiClient;
+    this.noxSystemPrompt = noxSystemPrompt;
+    this.webviewView = webviewView;
+    this.logger = logger;
+
+    // Previews waiting for the user's answer
+    this.pendingPreviews = new Map();
+  }
+
+  /**
+   * ⚙️ Read the preview settings
+   */
+  getSettings() {
+    const config = vscode.workspace.getConfiguration("nox");
+    return {
+      enabled: config.get("costPreview.enabled", true),
+      confirmAboveCost: config.get("costPreview.confirmAboveCost", 0.1),
+    };
+  }
+
+  /**
+   * 🔢 Estimate a request
+   * @param {Object} request - { taskType, route: { provider, model }, systemPrompt, messages, maxTokens }
+   * @returns {Object} - Preview with token and cost breakdown
+   */
+  buildPreview({ taskType, route, systemPrompt, messages, maxTokens }) {
+    const { provider, model } = route;
+    const count = (text) => this.aiClient.estimateTokens(text, provider, model);
+
+    // The stable identity prefix vs. the workspace / file context after it
+    const prefixLength =
+      this.noxSystemPrompt.getCacheablePrefixLength(systemPrompt);
+    const system = count(
+      prefixLength ? systemPrompt.slice(0, prefixLength) : systemPrompt
+    );
+    const context = prefixLength ? count(systemPrompt.slice(prefixLength)) : 0;
+
+    // The last message is the request itself, everything before it history
+    const history = this.aiClient.countMessageTokens(
+      messages.slice(0, -1),
+      provider,
+      model
+    );
+    const task = this.aiClient.countMessageTokens(
+      messages.slice(-1),
+      provider,
+      model
+    );
+
+    const input = system + context + history + task;
+    const estimate = this.aiClient.estimateRequestCost(
+      provider,
+      model,
+      input,
+      maxTokens
+    );
+
+    return {
+      id: `cost_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      taskType,
+      provider,
+      providerName: this.aiClient.providers[provider]?.name || provider,
+      model,
+      exact: this.aiClient.hasExactTokenCounts(provider, model),
+      tokens: {
+        system,
+        context,
+        history,
+        task,
+        input,
+        output: estimate.outputTokens,
+        thinking: estimate.thinkingTokens,
+      },
+      cost: {
+        input: estimate.inputCost,
+        output: estimate.outputCost,
+        total: estimate.totalCost,
+      },
+      requiresConfirmation: false,
+    };
+  }
+
+  /**
+   * 💰 Show the preview and wait for confirmation when it crosses the threshold
+   * @param {Object} request - See buildPreview()
+   * @returns {Promise<boolean>} - false if the user cancelled
+   */
+  async preview(request) {
+    const settings = this.getSettings();
+    if (!settings.enabled) {
+      return true;
+    }
+
+    const preview = this.buildPreview(request);
+    // Unpriced models can only be shown, not checked against the threshold
+    preview.requiresConfirmation =
+      preview.cost.total !== null &&
+      preview.cost.total >= settings.confirmAboveCost;
+    preview.threshold = settings.confirmAboveCost;
+
+    this.logger.info(
+      `💰 Cost preview for ${preview.taskType}: ${preview.tokens.input} input + up to ${preview.tokens.output} output tokens, ${this.formatCost(
+        preview.cost.total
+      )}`
+    );
+
+    if (this.webviewView?.visible) {
+      this.webviewView.webview.postMessage({ type: "costPreview", preview });
+      return preview.requiresConfirmation
+        ? await this.waitForResponse(preview)
+        : true;
+    }
+
+    if (!preview.requiresConfirmation) {
+      return true;
+    }
+
+    const choice = await vscode.window.showWarningMessage(
+      `💰 This ${preview.taskType} request to ${preview.providerName} (${
+        preview.model
+      }) may cost up to ${this.formatCost(preview.cost.total)}: ~${
+        preview.tokens.input
+      } input tokens plus up to ${preview.tokens.output} output tokens. Send it?`,
+      { modal: true },
+      "Send"
+    );
+    return choice === "Send";
+  }
+
+  /**
+   * ⏳ Wait for the chat card's answer
+   */
+  waitForResponse(preview) {
+    return new Promise((resolve) => {
+      const timeout = setTimeout(() => {
+        this.logger.warn(`💰 Cost preview timed out: ${preview.id}`);
+        this.pendingPreviews.delete(preview.id);
+        this.notifyTimeout(preview);
+        resolve(false);
+      }, CONFIRMATION_TIMEOUT_MS);
+
+      this.pendingPreviews.set(preview.id, (approved) => {
+        clearTimeout(timeout);
+        this.pendingPreviews.delete(preview.id);
+        resolve(approved);
+      });
+    });
+  }
+
+  /**
+   * ⏱️ Tell the user an unanswered request was cancelled
+   * The chat card loses its buttons, and a notification explains why the
+   * request never ran (the user may have left the chat view).
+   */
+  notifyTimeout(preview) {
+    this.webviewView?.webview.postMessage({
+      type: "costPreviewExpired",
+      previewId: preview.id,
+    });
+
+    vscode.window.showWarningMessage(
+      `💰 The ${preview.taskType} request to ${preview.providerName} was cancelled: its cost preview wasn't answered within ${CONFIRMATION_TIMEOUT_MINUTES} minutes.`
+    );
+  }
+
+  /**
+   * ✅ Handle the user's answer from the chat card
+   */
+  handleResponse(previewId, approved) {
+    const resolve = this.pendingPreviews.get(previewId);
+
+    if (resolve) {
+      resolve(approved);
+    } else {
+      this.logger.warn(`No pending cost preview found for: ${previewId}`);
+    }
+  }
+
+  /**
+   * Format an estimated cost (null = no pricing data)
+   */
+  formatCost(cost) {
+    return cost === null ? "an unknown amount" : `$${cost.toFixed(4)}`;
+  }
+
+  /**
+   * 🧹 Cancel all pending confirmations
+   */
+  cleanup() {
+    for (const resolve of this.pendingPreviews.values()) {
+      resolve(false);
+    }
+    this.pendingPreviews.clear();
+  }
+}
+
+module.exports = CostPreviewHandler;
@@ -7,6 +7,8 @@
  * - Gemini Function Calling
  * - Text parsing fallback for unsupported providers
  */
+const { getProviderManager } = require("./providers");
+
 class NoxToolAdapter {
   constructor(capabilityRegistry, logger) {
     this.capabilityRegistry = capabilityRegistry;
@@ -35,25 +37,50 @@ class NoxToolAdapter {
         maxTools: 0,
       },
       local: {
-        supportsToolCalling: false,
-        format: "text_parsing",
-        maxTools: 0,
+        supportsToolCalling: true,
+        format: "openai_functions", // Ollama /api/chat and LM Studio
+        maxTools: 64,
       },
     };
   }
 
+  /**
+   * Get support info for a provider.
+   * Providers registered at runtime (e.g. OpenAI-compatible endpoints)
+   * are looked up in ProviderManager.
+   */
+  getProviderSupport(provider) {
+    if (this.providerSupport[provider]) {
+      return this.providerSupport[provider];
+    }
+
+    const providerManager = getProviderManager();
+    if (!providerManager.hasProvider(provider)) {
+      return null;
+    }
+
+    const instance = providerManager.getProvider(provider);
+    const supportsToolCalling = instance.supportsToolCalling();
+
+    return {
+      supportsToolCalling,
+      format: supportsToolCalling ? instance.getToolFormat() : "text_parsing",
+      maxTools: supportsToolCalling ? instance.getMaxTools() : 0,
+    };
+  }
+
   /**
    * Check if provider supports tool calling
    */
   supportsToolCalling(provider) {
-    return this.providerSupport[provider]?.supportsToolCalling || false;
+    return this.getProviderSupport(provider)?.supportsToolCalling || false;
   }
 
   /**
    * Get provider format
    */
   getProviderFormat(provider) {
-    return this.providerSupport[provider]?.format || "text_parsing";
+    return this.getProviderSupport(provider)?.format || "text_parsing";
   }
 
   /**
@@ -5,23 +5,112 @@
  *
  * Features:
  * - Executes tools mid-stream
+ * - Runs independent read-only tools side by side (see ToolCallScheduler)
  * - Formats status messages with icons
  * - Handles approval flow based on mode
  * - Tracks execution state
  * - Sends updates to webview in real-time
+ * - Streams live tool output (e.g. run_command) to the webview
  */
 
 const vscode = require("vscode");
+const ToolCallScheduler = require("./ToolCallScheduler");
 
 class StreamingToolHandler {
-  constructor(capabilityRegistry, modeManager, webviewView, logger) {
+  constructor(
+    capabilityRegistry,
+    modeManager,
+    webviewView,
+    logger,
+    services = {}
+  ) {
     this.capabilityRegistry = capabilityRegistry;
     this.modeManager = modeManager;
     this.webviewView = webviewView;
     this.logger = logger;
+    this.services = services; // terminalManager, gitOps - passed to capabilities
 
     // Track active tool executions
     this.activeExecutions = new Map();
+
+    // Read-only calls run concurrently, everything else one at a time.
+    // One scheduler per message (see getScheduler)
+    this.scheduler = null;
+    this.schedulerMessageId = null;
+  }
+
+  /**
+   * ⚙️ Limit for read-only tool calls running at the same time
+   */
+  getMaxParallelReads() {
+    return vscode.workspace
+      .getConfiguration("nox")
+      .get(
+        "tools.maxParallelReads",
+        ToolCallScheduler.DEFAULT_MAX_PARALLEL_READS
+      );
+  }
+
+  /**
+   * ⚡ Queue a tool call behind the calls before it
+   * Independent read-only calls run concurrently; calls that need approval
+   * (or change anything) wait for earlier calls and run alone. A "queued"
+   * row is shown right away so rows stay in the order the model made the calls.
+   * @returns {Promise<Object>} - Same result as handleToolCall
+   */
+  scheduleToolCall(toolCall, messageId) {
+    const parallel = this.canRunInParallel(toolCall);
+
+    this.sendToolStatus(messageId, {
+      icon: "⏳",
+      message: `Queued: ${toolCall.name}`,
+      status: "queued",
+      toolId: toolCall.id,
+      toolName: toolCall.name,
+    });
+
+    return this.getScheduler(messageId).schedule(
+      () => this.handleToolCall(toolCall, messageId),
+      { parallel }
+    );
+  }
+
+  /**
+   * 🗂️ Scheduler for a message's tool calls
+   * A new message gets a fresh scheduler and declines the approvals still
+   * pending from the previous one, so an unanswered prompt there can't hold
+   * the exclusive slot for every later message.
+   */
+  getScheduler(messageId) {
+    if (!this.scheduler || this.schedulerMessageId !== messageId) {
+      this.cleanup();
+      this.scheduler = new ToolCallScheduler({
+        maxParallel: () => this.getMaxParallelReads(),
+      });
+      this.schedulerMessageId = messageId;
+    }
+    return this.scheduler;
+  }
+
+  /**
+   * 📖 Whether a tool call is read-only and needs no approval
+   */
+  canRunInParallel(toolCall) {
+    const metadata = this.getCapabilityClass(toolCall.name)?.metadata;
+    if (!ToolCallScheduler.isReadOnly(metadata)) {
+      return false;
+    }
+
+    try {
+      const approvalStrategy = this.modeManager.getApprovalStrategy(
+        { type: metadata.id, parameters: toolCall.parameters },
+        {}
+      );
+      return approvalStrategy === "none";
+    } catch (error) {
+      // Blocked operations fail in handleToolCall, in order
+      return false;
+    }
   }
 
   /**
@@ -34,7 +123,7 @@ class StreamingToolHandler {
     this.logger.info(`🛠️ Tool call detected: ${name}`, { id, parameters });
 
     // Get capability class from registry
-    const CapabilityClass = this.capabilityRegistry.get(name);
+    const CapabilityClass = this.getCapabilityClass(name);
     if (!CapabilityClass) {
       this.sendToolStatus(messageId, {
         icon: "❌",
@@ -60,14 +149,59 @@ class StreamingToolHandler {
       toolName: name,
     });
 
-    // Check if approval is required
+    const capabilityInstance = new CapabilityClass({
+      fileOps: this.capabilityRegistry.context?.fileOps,
+      ...this.services,
+    });
+
+    // Don't ask the user to approve a call that can't run (e.g. a blocked command)
+    const validation = capabilityInstance.validate?.(parameters);
+    if (validation && !validation.valid) {
+      const error = `Validation failed: ${validation.errors.join(", ")}`;
+      this.sendToolStatus(messageId, {
+        icon: "❌",
+        message: `Error: ${error}`,
+        status: "error",
+        toolId: id,
+        error,
+      });
+      return {
+        success: false,
+        error,
+      };
+    }
+
+    // Check if approval is required (by the mode, or by the capability itself)
     const approvalStrategy = this.modeManager.getApprovalStrategy(
       { type: metadata.id, parameters },
       {}
     );
-    const requiresApproval = approvalStrategy !== "none";
+    const requiresApproval =
+      approvalStrategy !== "none" ||
+      capabilityInstance.requiresApproval?.(parameters) === true;
 
     if (requiresApproval) {
+      // Show what will change (e.g. a diff) while the user decides
+      try {
+        await capabilityInstance.preview?.(parameters);
+      } catch (error) {
+        this.logger.error(`Tool preview failed: ${name}`, error);
+        await capabilityInstance.closePreview?.();
+
+        this.sendToolStatus(messageId, {
+          icon: "❌",
+          message: `Error: ${error.message}`,
+          status: "error",
+          toolId: id,
+          error: error.message,
+        });
+
+        return {
+          success: false,
+          error: error.message,
+        };
+      }
+
       // Request approval from user
       const approved = await this.requestApproval(
         messageId,
@@ -75,6 +209,7 @@ class StreamingToolHandler {
         parameters,
         id
       );
+      await capabilityInstance.closePreview?.();
 
       if (!approved) {
         this.sendToolStatus(messageId, {
@@ -99,11 +234,11 @@ class StreamingToolHandler {
         toolId: id,
       });
 
-      // Instantiate and execute capability
-      const capabilityInstance = new CapabilityClass({
-        fileOps: this.capabilityRegistry.context?.fileOps,
+      // Execute capability, showing any live output (e.g. run_command)
+      const result = await capabilityInstance.execute(parameters, {
+        onOutput: (text, stream) =>
+          this.sendToolOutput(messageId, id, text, stream),
       });
-      const result = await capabilityInstance.execute(parameters);
 
       this.sendToolStatus(messageId, {
         icon: "✅",
@@ -135,6 +270,18 @@ class StreamingToolHandler {
     }
   }
 
+  /**
+   * 🔎 Look up a capability class, null if unknown
+   */
+  getCapabilityClass(name) {
+    try {
+      return this.capabilityRegistry.get(name) || null;
+    } catch (error) {
+      // CapabilityRegistry.get() throws for unknown ids
+      return null;
+    }
+  }
+
   /**
    * 📤 Send tool status update to webview
    */
@@ -151,6 +298,23 @@ class StreamingToolHandler {
     });
   }
 
+  /**
+   * 📜 Send live tool output (e.g. from run_command) to webview
+   */
+  sendToolOutput(messageId, toolId, text, stream = "stdout") {
+    if (!this.webviewView?.webview) {
+      return;
+    }
+
+    this.webviewView.webview.postMessage({
+      type: "toolOutput",
+      messageId: messageId,
+      toolId: toolId,
+      text: text,
+      stream: stream,
+    });
+  }
+
   /**
    * 🎨 Get icon for capability based on type
    * @param {Object} metadata - Capability metadata object
@@ -216,6 +380,12 @@ class StreamingToolHandler {
     if (name === "file_delete") {
       return `Deleting ${parameters.path}...`;
     }
+    if (name === "search_code") {
+      return `Searching for "${parameters.query}"...`;
+    }
+    if (name === "list_files") {
+      return `Listing files in ${parameters.path || "the workspace"}...`;
+    }
     if (name === "terminal_execute") {
       return `Running command: ${parameters.command}`;
     }
@@ -254,6 +424,12 @@ class StreamingToolHandler {
     if (name === "file_delete") {
       return `Deleted ${parameters.path}`;
     }
+    if (name === "search_code") {
+      return `Searched for "${parameters.query}"`;
+    }
+    if (name === "list_files") {
+      return `Listed files in ${parameters.path || "the workspace"}`;
+    }
     if (name === "terminal_execute") {
       return `Command completed`;
     }
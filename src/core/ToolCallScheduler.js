@@ -0,0 +1,111 @@
+/**
+ * ⚡ TOOL CALL SCHEDULER
+ *
+ * Decides which of the model's tool calls may run side by side.
+ *
+ * Features:
+ * - Read-only calls run concurrently, up to "nox.tools.maxParallelReads"
+ * - Every other call runs alone: after all earlier calls finish, and before
+ *   any later call starts (approval prompts appear one at a time)
+ * - Each schedule() returns its own promise, so callers await results in the
+ *   order the model made the calls, whatever order they finish in
+ */
+
+const DEFAULT_MAX_PARALLEL_READS = 4;
+
+class ToolCallScheduler {
+  /**
+   * @param {Object} options
+   * @param {number|Function} options.maxParallel - Limit for concurrent read-only calls (or a getter, read per call)
+   */
+  constructor({ maxParallel = DEFAULT_MAX_PARALLEL_READS } = {}) {
+    this.maxParallel = maxParallel;
+
+    // Settles once the last exclusive call, and everything before it, is done
+    this.exclusiveTail = Promise.resolve();
+    // Parallel calls scheduled since the last exclusive call (never reject)
+    this.parallelInFlight = new Set();
+
+    this.running = 0;
+    this.waiting = []; // Parallel calls waiting for a free slot
+  }
+
+  /**
+   * 📖 Whether a capability only reads (every permission is a ".read" one)
+   * @param {Object} metadata - Capability metadata
+   */
+  static isReadOnly(metadata) {
+    const permissions = metadata?.permissions || [];
+    return (
+      permissions.length > 0 &&
+      permissions.every((permission) => permission.endsWith(".read"))
+    );
+  }
+
+  /**
+   * 🔢 Current limit for concurrent read-only calls (at least 1)
+   */
+  getMaxParallel() {
+    const limit =
+      typeof this.maxParallel === "function"
+        ? this.maxParallel()
+        : this.maxParallel;
+    return Math.max(1, Math.floor(limit) || 1);
+  }
+
+  /**
+   * ⚡ Schedule a tool call
+   * @param {Function} task - async () => result
+   * @param {Object} options - { parallel: true for independent read-only calls }
+   * @returns {Promise} - The task's result
+   */
+  schedule(task, { parallel = false } = {}) {
+    return parallel
+      ? this.scheduleParallel(task)
+      : this.scheduleExclusive(task);
+  }
+
+  scheduleParallel(task) {
+    const run = this.exclusiveTail.then(() => this.withSlot(task));
+
+    const settled = run.catch(() => {});
+    this.parallelInFlight.add(settled);
+    settled.then(() => this.parallelInFlight.delete(settled));
+
+    return run;
+  }
+
+  scheduleExclusive(task) {
+    const run = Promise.all([
+      this.exclusiveTail,
+      ...this.parallelInFlight,
+    ]).then(() => task());
+
+    // Later calls wait for this one (and, through it, for everything earlier)
+    this.exclusiveTail = run.catch(() => {});
+    this.parallelInFlight.clear();
+
+    return run;
+  }
+
+  /**
+   * Run a parallel task once a slot is free
+   */
+  async withSlot(task) {
+    while (this.running >= this.getMaxParallel()) {
+      await new Promise((resolve) => this.waiting.push(resolve));
+    }
+
+    this.running++;
+    try {
+      return await task();
+    } finally {
+      this.running--;
+      this.waiting.shift()?.();
+    }
+  }
+}
+
+ToolCallScheduler.DEFAULT_MAX_PARALLEL_READS = DEFAULT_MAX_PARALLEL_READS;
+
+module.exports = ToolCallScheduler;
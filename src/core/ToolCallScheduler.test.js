@@ -0,0 +1,210 @@
+/**
+ * ⚡ NOX Tool Call Scheduler Tests
+ *
+ * Tests for ToolCallScheduler:
+ * - Read-only calls run concurrently, up to the limit
+ * - Other calls run alone, in order
+ * - Results come back in call order
+ * - A failed call doesn't hold up later calls
+ *
+ * Run with: node src/core/ToolCallScheduler.test.js
+ */
+
+const ToolCallScheduler = require("./ToolCallScheduler.js");
+
+// Test runner
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.tests = [];
+  }
+
+  test(name, fn) {
+    this.tests.push({ name, fn });
+  }
+
+  async run() {
+    console.log("🦊 Running ToolCallScheduler Tests...\n");
+
+    for (const { name, fn } of this.tests) {
+      try {
+        await fn();
+        this.passed++;
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        this.failed++;
+        console.log(`❌ ${name}`);
+        console.log(`   Error: ${error.message}`);
+      }
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+}
+
+// Assertion helpers
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || "Assertion failed");
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+// Records when fake tool calls start and finish
+class Timeline {
+  constructor() {
+    this.events = [];
+    this.running = 0;
+    this.maxRunning = 0;
+  }
+
+  task(name, delayMs, { fail = false } = {}) {
+    return async () => {
+      this.events.push(`start ${name}`);
+      this.running++;
+      this.maxRunning = Math.max(this.maxRunning, this.running);
+
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+
+      this.running--;
+      this.events.push(`end ${name}`);
+      if (fail) {
+        throw new Error(`${name} failed`);
+      }
+      return name;
+    };
+  }
+}
+
+// Create test runner
+const runner = new TestRunner();
+
+// Test 1: Read-only detection
+runner.test("isReadOnly requires only .read permissions", () => {
+  assert(
+    ToolCallScheduler.isReadOnly({
+      permissions: ["workspace.read", "filesystem.read"],
+    })
+  );
+  assert(
+    !ToolCallScheduler.isReadOnly({
+      permissions: ["workspace.read", "filesystem.write"],
+    })
+  );
+  assert(!ToolCallScheduler.isReadOnly({ permissions: [] }));
+  assert(!ToolCallScheduler.isReadOnly(undefined));
+});
+
+// Test 2: Concurrency
+runner.test("parallel calls run concurrently up to the limit", async () => {
+  const scheduler = new ToolCallScheduler({ maxParallel: 2 });
+  const timeline = new Timeline();
+
+  const results = await Promise.all(
+    ["a", "b", "c", "d", "e"].map((name) =>
+      scheduler.schedule(timeline.task(name, 20), { parallel: true })
+    )
+  );
+
+  assertDeepEqual(results, ["a", "b", "c", "d", "e"]);
+  assertEqual(timeline.maxRunning, 2);
+});
+
+// Test 3: Call order
+runner.test(
+  "results keep call order when calls finish out of order",
+  async () => {
+    const scheduler = new ToolCallScheduler({ maxParallel: 3 });
+    const timeline = new Timeline();
+
+    const results = await Promise.all([
+      scheduler.schedule(timeline.task("slow", 40), { parallel: true }),
+      scheduler.schedule(timeline.task("fast", 5), { parallel: true }),
+    ]);
+
+    assertDeepEqual(results, ["slow", "fast"]);
+    assertEqual(timeline.events[2], "end fast");
+  }
+);
+
+// Test 4: Exclusive calls
+runner.test(
+  "exclusive calls wait for earlier calls and block later ones",
+  async () => {
+    const scheduler = new ToolCallScheduler({ maxParallel: 4 });
+    const timeline = new Timeline();
+
+    await Promise.all([
+      scheduler.schedule(timeline.task("read1", 20), { parallel: true }),
+      scheduler.schedule(timeline.task("read2", 10), { parallel: true }),
+      scheduler.schedule(timeline.task("write", 10)),
+      scheduler.schedule(timeline.task("read3", 5), { parallel: true }),
+      scheduler.schedule(timeline.task("approve", 5)),
+    ]);
+
+    assertDeepEqual(timeline.events, [
+      "start read1",
+      "start read2",
+      "end read2",
+      "end read1",
+      "start write",
+      "end write",
+      "start read3",
+      "end read3",
+      "start approve",
+      "end approve",
+    ]);
+  }
+);
+
+// Test 5: Failures
+runner.test("a failed call doesn't hold up later calls", async () => {
+  const scheduler = new ToolCallScheduler();
+  const timeline = new Timeline();
+
+  const failed = scheduler.schedule(timeline.task("bad", 5, { fail: true }));
+  const next = scheduler.schedule(timeline.task("next", 5), {
+    parallel: true,
+  });
+
+  let error = null;
+  try {
+    await failed;
+  } catch (caught) {
+    error = caught;
+  }
+
+  assert(error && error.message === "bad failed");
+  assertEqual(await next, "next");
+});
+
+// Test 6: Limit getter
+runner.test("maxParallel can be a getter and is at least 1", () => {
+  let limit = 0;
+  const scheduler = new ToolCallScheduler({ maxParallel: () => limit });
+
+  assertEqual(scheduler.getMaxParallel(), 1);
+  limit = 6;
+  assertEqual(scheduler.getMaxParallel(), 6);
+});
+
+// Run all tests
+runner.run().then((success) => {
+  process.exit(success ? 0 : 1);
+});
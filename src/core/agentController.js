@@ -11,6 +11,9 @@ const NoxModeManager = require("./modes/NoxModeManager");
 const NoxTaskPlanner = require("./modes/NoxTaskPlanner");
 const NoxToolAdapter = require("./NoxToolAdapter");
 const StreamingToolHandler = require("./StreamingToolHandler");
+const ToolCallScheduler = require("./ToolCallScheduler");
+const CostPreviewHandler = require("./CostPreviewHandler");
+const { TokenCounter } = require("./tokenizer");
 const {
   initializeCapabilities,
   getCapabilityRegistry,
@@ -48,6 +51,7 @@ class AgentController {
     this.capabilityRegistry = null;
     this.toolAdapter = null;
     this.streamingToolHandler = null; // Phase 2B-3: Streaming + Tools
+    this.costPreviewHandler = null;
 
     // State management
     this.isInitialized = false;
@@ -172,6 +176,7 @@ class AgentController {
       const IndexEngine = require("./indexEngine");
       const CacheManager = require("../storage/cacheManager");
       const CapabilityExecutor = require("./capabilityExecutor");
+      const FileTrash = require("./fileTrash");
 
       // Initialize in dependency order
       this.cacheManager = new CacheManager(this.context, this.logger);
@@ -191,6 +196,11 @@ class AgentController {
       );
       await this.fileOps.initialize();
 
+      // Deleted files go to the Nox trash (workspace storage, outside the repo)
+      FileTrash.getInstance(this.logger).initialize(
+        this.context.storageUri?.fsPath || this.context.globalStorageUri.fsPath
+      );
+
       this.contextManager = new ContextManager(
         this.context,
         this.logger,
@@ -237,8 +247,9 @@ class AgentController {
       // Initialize capability registry with context
       this.capabilityRegistry = initializeCapabilities({
         fileOps: this.fileOps,
-        gitOps: null, // TODO: Initialize gitOps
-        terminalManager: null, // TODO: Initialize terminalManager
+        gitOps: this.capabilityExecutor.gitOps,
+        terminalManager: this.capabilityExecutor.terminalManager,
+        contextManager: this.contextManager,
         logger: this.logger,
         performanceMonitor: this.performanceMonitor,
       });
@@ -262,6 +273,19 @@ class AgentController {
         this.capabilityRegistry,
         this.modeManager,
         null, // webviewView set later
+        this.logger,
+        {
+          terminalManager: this.capabilityExecutor.terminalManager,
+          gitOps: this.capabilityExecutor.gitOps,
+          contextManager: this.contextManager,
+        }
+      );
+
+      // Initialize cost preview handler (webviewView set later as well)
+      this.costPreviewHandler = new CostPreviewHandler(
+        this.aiClient,
+        this.noxSystemPrompt,
+        null,
         this.logger
       );
 
@@ -283,6 +307,16 @@ class AgentController {
       this.streamingToolHandler.webviewView = webviewView;
       this.logger.info("Webview reference set for streaming tool handler");
     }
+    if (this.costPreviewHandler) {
+      this.costPreviewHandler.webviewView = webviewView;
+    }
+  }
+
+  /**
+   * 💰 Handle the user's answer to a cost preview card
+   */
+  handleCostPreviewResponse(previewId, approved) {
+    this.costPreviewHandler?.handleResponse(previewId, approved);
   }
 
   /**
@@ -479,7 +513,8 @@ class AgentController {
       const aiResponse = await this.executeNoxTask(
         systemPrompt,
         taskPrompt,
-        parameters
+        parameters,
+        taskType
       );
 
       // 5. Process response and execute NOX capabilities
@@ -548,49 +583,69 @@ class AgentController {
   }
 
   /**
-   * 🔢 Estimate token count for a message (Phase 2A: Token Management)
-   * Simple estimation: ~4 characters per token (OpenAI's rule of thumb)
-   * @param {string} text - Text to estimate tokens for
-   * @returns {number} Estimated token count
+   * 🔢 Count tokens for a message (Phase 2A: Token Management)
+   * Uses the current provider's tokenizer (exact BPE for OpenAI, calibrated
+   * estimates for other providers)
+   * @param {string} text - Text to count tokens for
+   * @returns {number} Token count
    */
   estimateTokens(text) {
-    return Math.ceil(text.length / 4);
+    return this.aiClient.estimateTokens(text);
   }
 
   /**
    * 🧠 Build messages array from chat history (Phase 2A: Chat Context Awareness)
    * @param {string} currentUserMessage - The current user message (for token estimation only)
-   * @param {number} maxTokens - Maximum tokens allowed for context (default: 100000)
+   * @param {number} maxTokens - Maximum tokens allowed for context (default: the model's
+   *   context window minus the response reservation, capped at 100000)
+   * @param {string} systemPrompt - System prompt to reserve room for (default: ~2000 tokens)
+   * @param {number} responseTokens - Tokens reserved for the response (default: 4000)
    * @returns {Array} Array of message objects [{role, content}]
    *
    * NOTE: The current user message is already in chatHistory, so we don't add it again.
    * This method just builds the messages array from the existing history with token limits.
    */
-  buildMessagesFromHistory(currentUserMessage, maxTokens = 100000) {
+  buildMessagesFromHistory(
+    currentUserMessage,
+    maxTokens = null,
+    systemPrompt = null,
+    responseTokens = 4000
+  ) {
     const chatHistory = this.noxContextBuilder.getChatHistory();
     const messages = [];
 
-    // Estimate tokens for current message (for reservation purposes)
-    const currentMessageTokens = this.estimateTokens(currentUserMessage);
+    // Budget: whatever fits in the model's context window next to the response
+    const contextWindow = this.aiClient.getContextWindow();
+    const budget =
+      maxTokens || Math.min(100000, (contextWindow || 100000) - responseTokens);
+
+    // Reserve tokens for the system prompt (~2000 tokens if not known)
+    const reservedTokens = systemPrompt
+      ? this.estimateTokens(systemPrompt)
+      : 2000;
+    const availableTokens = budget - reservedTokens;
 
-    // Reserve tokens for system prompt (~2000 tokens)
-    const reservedTokens = 2000;
-    const availableTokens = maxTokens - reservedTokens;
+    // Image attachments are only sent to models that can read them
+    const includeImages = this.aiClient.supportsVision();
 
     // Build messages array from most recent to oldest
     let totalTokens = 0;
     const reversedHistory = [...chatHistory].reverse();
 
     for (const msg of reversedHistory) {
+      const images = includeImages && msg.images?.length ? msg.images : null;
+
       // Skip messages with empty content (Claude API requirement)
-      if (!msg.content || msg.content.trim() === "") {
+      if ((!msg.content || msg.content.trim() === "") && !images) {
         this.logger.debug(
           `⚠️ Skipping empty message from ${msg.role} in chat history`
         );
         continue;
       }
 
-      const msgTokens = this.estimateTokens(msg.content);
+      const msgTokens =
+        this.estimateTokens(msg.content || "") +
+        (images ? images.length * TokenCounter.IMAGE_TOKENS : 0);
 
       // Check if adding this message would exceed token limit
       if (totalTokens + msgTokens > availableTokens) {
@@ -605,33 +660,100 @@ class AgentController {
       // Add message to the beginning (since we're iterating in reverse)
       messages.unshift({
         role: msg.role,
-        content: msg.content,
+        content: msg.content || "",
+        ...(images && { images }),
       });
 
       totalTokens += msgTokens;
     }
 
     this.logger.debug(
-      `🧠 Built messages array with ${messages.length} messages from history (~${totalTokens} tokens)`
+      `🧠 Built messages array with ${messages.length} messages from history (${totalTokens} tokens, budget ${availableTokens})`
     );
 
     return messages;
   }
 
+  /**
+   * 📏 Measure how much of the model's context window a request uses
+   * @param {string} systemPrompt - System prompt
+   * @param {Array} messages - Messages array
+   * @returns {Object} { tokens, window, exact }
+   */
+  measureContextUsage(systemPrompt, messages) {
+    const usage = {
+      tokens:
+        this.estimateTokens(systemPrompt) +
+        this.aiClient.countMessageTokens(messages),
+      window: this.aiClient.getContextWindow(),
+      exact: this.aiClient.hasExactTokenCounts(),
+    };
+
+    if (this.performanceMonitor && usage.window) {
+      this.performanceMonitor.recordMetric(
+        "context_window_usage",
+        usage.tokens / usage.window,
+        {
+          provider: this.aiClient.currentProvider,
+          model: this.aiClient.currentModel,
+          tokens: usage.tokens,
+        }
+      );
+    }
+
+    return usage;
+  }
+
   /**
    * 🤖 Execute NOX task with AI consciousness and tool calling (Phase 2B)
+   * @param {string} taskType - Routes the request via "nox.modelRouting"
    */
-  async executeNoxTask(systemPrompt, taskPrompt, parameters) {
+  async executeNoxTask(
+    systemPrompt,
+    taskPrompt,
+    parameters,
+    taskType = "chat"
+  ) {
     // Phase 2A: Build messages array from chat history for conversation memory
-    const messages = this.buildMessagesFromHistory(taskPrompt);
+    const messages = this.buildMessagesFromHistory(
+      taskPrompt,
+      null,
+      systemPrompt,
+      parameters.maxTokens || 4000
+    );
 
-    // Phase 2B: Check if provider supports tool calling
-    const currentProvider = this.aiClient.currentProvider;
+    // Chat messages are already in the history; other tasks (explain,
+    // refactor, analyze) carry their code in the task prompt. The cost
+    // preview prices the last message as the task, so without it an
+    // explain request would be previewed (and sent) as the last chat message
+    if (taskType !== "chat") {
+      messages.push({ role: "user", content: taskPrompt });
+    }
+
+    // Phase 2B: Check if the task's provider supports tool calling
+    const route = await this.aiClient.resolveRoute(taskType);
+    const currentProvider = route.provider;
+
+    // 💰 Show the estimated cost; expensive requests wait for confirmation
+    const confirmed = await this.costPreviewHandler.preview({
+      taskType,
+      route,
+      systemPrompt,
+      messages,
+      maxTokens: parameters.maxTokens || 4000,
+    });
+    if (!confirmed) {
+      const error = new Error(
+        `💰 ${taskType} request cancelled at the cost preview`
+      );
+      error.cancelled = true;
+      throw error;
+    }
     const supportsToolCalling =
       this.toolAdapter.supportsToolCalling(currentProvider);
 
     this.logger.info(
-      `🦊 Executing NOX task with ${currentProvider} (tool calling: ${supportsToolCalling})`
+      `🦊 Executing NOX ${taskType} task with ${currentProvider}/${route.model} (tool calling: ${supportsToolCalling})`
     );
 
     // Get available capabilities for current mode
@@ -645,7 +767,8 @@ class AgentController {
         systemPrompt,
         messages,
         availableCapabilities,
-        parameters
+        parameters,
+        route
       );
     } else {
       // Fallback to text parsing or simple response
@@ -662,6 +785,9 @@ class AgentController {
         {
           maxTokens: parameters.maxTokens || 4000,
           temperature: parameters.temperature || 0.7,
+          cacheablePrefixLength:
+            this.noxSystemPrompt.getCacheablePrefixLength(systemPrompt),
+          taskType,
         }
       );
 
@@ -676,9 +802,10 @@ class AgentController {
     systemPrompt,
     messages,
     capabilities,
-    parameters
+    parameters,
+    route
   ) {
-    const currentProvider = this.aiClient.currentProvider;
+    const currentProvider = route.provider;
 
     // Convert capabilities to tool definitions
     const tools = this.toolAdapter.capabilitiesToTools(
@@ -701,7 +828,7 @@ class AgentController {
     const requestOptions = {
       maxTokens: parameters.maxTokens || 4000,
       temperature: parameters.temperature || 0.7,
-      model: this.aiClient.currentModel,
+      taskType: route.taskType,
     };
 
     // NOTE: This is the old non-streaming tool calling path
@@ -749,7 +876,19 @@ class AgentController {
     const rawUserMessage = parameters.message || taskPrompt;
 
     // Phase 2A: Build messages array from chat history for conversation memory
-    const messages = this.buildMessagesFromHistory(rawUserMessage);
+    const messages = this.buildMessagesFromHistory(
+      rawUserMessage,
+      null,
+      systemPrompt,
+      parameters.maxTokens || 4000
+    );
+
+    // 📏 Context window usage, shown on the dashboard
+    const contextUsage = this.measureContextUsage(systemPrompt, messages);
+
+    // 💾 Stable system prompt prefix, cached by providers that support it
+    const cacheablePrefixLength =
+      this.noxSystemPrompt.getCacheablePrefixLength(systemPrompt);
 
     // 🔍 DEBUG: Log what we're sending to the AI (only in debug mode)
     if (this.aiClient.debugMode) {
@@ -772,8 +911,10 @@ class AgentController {
       );
     }
 
-    // 🛠️ PHASE 2B-3: Check if provider supports tool calling
-    const currentProvider = this.aiClient.currentProvider;
+    // 🛠️ PHASE 2B-3: Check if the chat route's provider supports tool calling
+    const taskType = parameters.taskType || "chat";
+    const currentProvider = (await this.aiClient.resolveRoute(taskType))
+      .provider;
     const supportsToolCalling =
       this.toolAdapter.supportsToolCalling(currentProvider);
 
@@ -819,30 +960,34 @@ class AgentController {
           temperature: parameters.temperature || 0.7,
           messageId: parameters.messageId,
           tool_choice: toolChoice, // 🎯 Force tool calling for action requests
+          capabilities: availableCapabilities, // 🔀 Re-translated on failover
+          cacheablePrefixLength,
+          taskType,
         },
         {
           onChunk: onChunk,
           onToolCall: async (toolCall) => {
-            // Handle tool call during streaming
-            const result = await this.streamingToolHandler.handleToolCall(
-              toolCall,
-              parameters.messageId
-            );
-
-            // Store result for potential summary generation
-            toolResults.push({
-              toolCall: toolCall,
-              result: result,
-            });
+            // Store in call order for potential summary generation -
+            // read-only calls may finish out of order
+            const toolResult = { toolCall: toolCall, result: null };
+            toolResults.push(toolResult);
+
+            // Queue the tool call (read-only calls run side by side)
+            toolResult.result =
+              await this.streamingToolHandler.scheduleToolCall(
+                toolCall,
+                parameters.messageId
+              );
 
-            return result;
+            return toolResult.result;
           },
           onToolResult: null, // Not needed for now
           onComplete: async (finalMessage) => {
-            // 🔧 OPTION C PHASE 1: Check if OpenAI was silent
+            // 🔧 OPTION C PHASE 1: Check if the model only called tools
+            // (wasSilent is set by the shared stream accumulator for every provider)
             if (finalMessage.wasSilent && toolResults.length > 0) {
               this.logger.info(
-                `🗣️ CONVERSATIONAL WRAPPER: OpenAI was silent (0 tokens), generating summary...`
+                `🗣️ CONVERSATIONAL WRAPPER: ${finalMessage.provider} was silent (no text), generating summary...`
               );
 
               // Generate a conversational summary of what happened
@@ -855,12 +1000,12 @@ class AgentController {
               // 🔧 FIX: Update finalMessage with summary content so it persists in UI
               if (summaryText) {
                 finalMessage.content = summaryText;
-                finalMessage.tokens = Math.ceil(
-                  summaryText.split(" ").length * 1.3
-                ); // Estimate tokens
+                finalMessage.tokens = this.estimateTokens(summaryText);
               }
             }
 
+            finalMessage.context = contextUsage;
+
             // Call original onComplete
             if (onComplete) {
               onComplete(finalMessage);
@@ -882,9 +1027,16 @@ class AgentController {
           maxTokens: parameters.maxTokens || 4000,
           temperature: parameters.temperature || 0.7,
           messageId: parameters.messageId,
+          cacheablePrefixLength,
+          taskType,
         },
         onChunk,
-        onComplete,
+        (finalMessage) => {
+          finalMessage.context = contextUsage;
+          if (onComplete) {
+            onComplete(finalMessage);
+          }
+        },
         abortController
       );
     }
@@ -957,7 +1109,7 @@ class AgentController {
 
   /**
    * 🗣️ OPTION C PHASE 1: Generate conversational summary for silent tool execution
-   * When OpenAI executes tools without streaming any text, we ask it to explain what happened
+   * When the model executes tools without streaming any text, we ask it to explain what happened
    * @returns {Promise<string>} The summary text
    */
   async generateToolSummary(toolResults, messageId, onChunk) {
@@ -993,6 +1145,7 @@ Please provide a brief, friendly summary of what you did for the user. Be conver
           {
             maxTokens: 150,
             temperature: 0.7,
+            taskType: "summarize",
           }
         );
         summaryText = response.content || "Tools executed successfully! ✅";
@@ -1140,76 +1293,143 @@ Please provide a brief, friendly summary of what you did for the user. Be conver
 
   /**
    * 🛠️ Execute tool calls from AI (Phase 2B)
+   * Independent read-only calls run side by side; results are recorded in
+   * the order the model made the calls.
    */
   async executeToolCalls(toolCalls, result, noxContext) {
     const currentMode = this.modeManager.getCurrentMode();
-    const modeConfig = this.modeManager.getModeConfig(currentMode);
 
     this.logger.info(
       `🛠️ Executing ${toolCalls.length} tool calls in ${currentMode} mode`
     );
 
-    for (const toolCall of toolCalls) {
-      try {
-        const { id, name, parameters } = toolCall;
+    const scheduler = new ToolCallScheduler({
+      maxParallel: this.streamingToolHandler.getMaxParallelReads(),
+    });
 
-        this.logger.info(`🛠️ Executing tool: ${name} with params:`, parameters);
+    const outcomes = toolCalls.map((toolCall) => {
+      const requiresApproval = this.toolCallRequiresApproval(toolCall);
+      const parallel =
+        requiresApproval === false &&
+        ToolCallScheduler.isReadOnly(
+          this.capabilityRegistry.getMetadata(toolCall.name)
+        );
 
-        // Get capability from registry
-        const capability = this.capabilityRegistry.getById(name);
-        if (!capability) {
-          this.logger.error(`❌ Capability not found: ${name}`);
-          result.capabilities.executed.push({
+      return scheduler.schedule(
+        () => this.executeToolCall(toolCall, requiresApproval, currentMode),
+        { parallel }
+      );
+    });
+
+    for (const outcome of await Promise.all(outcomes)) {
+      if (outcome.requiresApproval) {
+        result.capabilities.requiresApproval.push(outcome.requiresApproval);
+      } else {
+        result.capabilities.executed.push(outcome.executed);
+      }
+    }
+
+    this.logger.info(
+      `🛠️ Tool execution complete: ${result.capabilities.executed.length} executed, ${result.capabilities.requiresApproval.length} require approval`
+    );
+  }
+
+  /**
+   * 🔐 Whether a tool call needs approval in the current mode
+   * @returns {boolean|null} - null for unknown or blocked capabilities
+   */
+  toolCallRequiresApproval(toolCall) {
+    if (!this.capabilityRegistry.has(toolCall.name)) {
+      return null;
+    }
+
+    try {
+      return (
+        this.modeManager.getApprovalStrategy(
+          { type: toolCall.name, parameters: toolCall.parameters },
+          {}
+        ) !== "none"
+      );
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 🛠️ Execute one tool call from AI
+   * @returns {Promise<Object>} - { executed } or { requiresApproval }
+   */
+  async executeToolCall(toolCall, requiresApproval, currentMode) {
+    const { name, parameters } = toolCall;
+
+    try {
+      this.logger.info(`🛠️ Executing tool: ${name} with params:`, parameters);
+
+      // Get capability from registry
+      if (!this.capabilityRegistry.has(name)) {
+        this.logger.error(`❌ Capability not found: ${name}`);
+        return {
+          executed: {
             id: name,
             status: "error",
             error: `Capability ${name} not found`,
-          });
-          continue;
-        }
+          },
+        };
+      }
 
-        // Check if approval is required based on mode
-        const requiresApproval = modeConfig.requiresApproval(capability);
+      // Blocked operations throw here
+      if (requiresApproval === null) {
+        this.modeManager.getApprovalStrategy({ type: name, parameters }, {});
+      }
 
-        if (requiresApproval) {
-          this.logger.info(
-            `⚠️ Capability ${name} requires approval in ${currentMode} mode`
-          );
+      const capability = this.capabilityRegistry.create(name, {
+        fileOps: this.fileOps,
+        terminalManager: this.capabilityExecutor?.terminalManager,
+        gitOps: this.capabilityExecutor?.gitOps,
+        contextManager: this.contextManager,
+      });
 
-          // TODO: Implement approval UI
-          // For now, we'll skip capabilities that require approval
-          result.capabilities.requiresApproval.push({
+      // Some calls need approval whatever the mode says (e.g. git push)
+      if (requiresApproval || capability.requiresApproval?.(parameters)) {
+        const metadata = this.capabilityRegistry.getMetadata(name);
+        this.logger.info(
+          `⚠️ Capability ${name} requires approval in ${currentMode} mode`
+        );
+
+        // TODO: Implement approval UI
+        // For now, we'll skip capabilities that require approval
+        return {
+          requiresApproval: {
             id: name,
             parameters,
-            reason: `${currentMode} mode requires approval for ${capability.metadata.riskLevel} risk capabilities`,
-          });
-          continue;
-        }
+            reason: `${currentMode} mode requires approval for ${metadata.riskLevel} risk capabilities`,
+          },
+        };
+      }
 
-        // Execute capability
-        this.logger.info(`✅ Executing capability: ${name}`);
-        const executionResult = await capability.execute(parameters);
+      // Execute capability
+      this.logger.info(`✅ Executing capability: ${name}`);
+      const executionResult = await capability.execute(parameters);
 
-        result.capabilities.executed.push({
+      this.logger.info(`✅ Capability ${name} executed successfully`);
+      return {
+        executed: {
           id: name,
           status: "success",
           result: executionResult,
           timestamp: Date.now(),
-        });
-
-        this.logger.info(`✅ Capability ${name} executed successfully`);
-      } catch (error) {
-        this.logger.error(`❌ Failed to execute tool call:`, error);
-        result.capabilities.executed.push({
-          id: toolCall.name,
+        },
+      };
+    } catch (error) {
+      this.logger.error(`❌ Failed to execute tool call:`, error);
+      return {
+        executed: {
+          id: name,
           status: "error",
           error: error.message,
-        });
-      }
+        },
+      };
     }
-
-    this.logger.info(
-      `🛠️ Tool execution complete: ${result.capabilities.executed.length} executed, ${result.capabilities.requiresApproval.length} require approval`
-    );
   }
 
   /**
@@ -2101,6 +2321,9 @@ Add your content here.`;
       if (this.capabilityExecutor) {
         cleanupPromises.push(this.capabilityExecutor.cleanup());
       }
+      if (this.costPreviewHandler) {
+        this.costPreviewHandler.cleanup();
+      }
 
       await Promise.all(cleanupPromises);
 
@@ -1,6 +1,29 @@
 const vscode = require("vscode");
+const path = require("path");
 const { ErrorBoundary, ErrorSeverity } = require("./errorBoundary");
-const { initializeProviders, getProviderManager } = require("./providers");
+const NoxToolAdapter = require("./NoxToolAdapter");
+const { getTokenCounter } = require("./tokenizer");
+const CostLedger = require("./costLedger");
+const BudgetManager = require("./budgetManager");
+const {
+  initializeProviders,
+  registerOpenAICompatibleEndpoints,
+  getProviderManager,
+  MockConfig,
+  BedrockConfig,
+  CassetteRecorder,
+} = require("./providers");
+
+// 🧭 Task types that "nox.modelRouting" can send to their own provider/model
+const ROUTABLE_TASK_TYPES = [
+  "chat",
+  "explain",
+  "refactor",
+  "analyze",
+  "plan",
+  "summarize",
+  "commit",
+];
 
 /**
  * 🦊 Nox AI Client - Multi-provider support with user-controlled API keys
@@ -67,19 +90,481 @@ class AIClient {
         baseUrl: "https://api.deepseek.com/v1",
         defaultModel: "deepseek-chat",
       },
+      gemini: {
+        name: "✨ Google Gemini",
+        models: [
+          "gemini-2.5-pro",
+          "gemini-2.5-flash",
+          "gemini-2.5-flash-lite",
+          "gemini-2.0-flash",
+        ],
+        baseUrl: "https://generativelanguage.googleapis.com/v1beta",
+        defaultModel: "gemini-2.5-flash",
+      },
       local: {
         name: "🏠 Local LLM",
         models: ["ollama", "lm-studio"],
         baseUrl: "http://localhost:11434",
         defaultModel: "ollama",
       },
+      bedrock: {
+        name: BedrockConfig.name,
+        models: BedrockConfig.models,
+        baseUrl: BedrockConfig.baseUrl,
+        defaultModel: BedrockConfig.defaultModel,
+        awsCredentials: true, // Signed with AWS credentials, no API key
+      },
+    };
+
+    // Static local model list, restored when the local server goes away
+    this.staticLocalModels = [...this.providers.local.models];
+
+    // 🔌 User-defined OpenAI-compatible endpoints (vLLM, OpenRouter, gateways)
+    this.loadOpenAICompatibleEndpoints();
+
+    // 🧪 Cassette replay (mock provider) and traffic recording for tests
+    this.loadMockSettings();
+
+    // ☁️ AWS Bedrock region, profile and endpoint
+    this.loadBedrockSettings();
+
+    // 🔀 Failover chain - tools are re-translated per provider on failover
+    this.toolAdapter = new NoxToolAdapter(null, logger);
+    this.loadFailoverChain();
+
+    // 💭 Extended thinking (Claude) - opt-in, streamed to the chat separately
+    this.loadThinkingSettings();
+
+    // 🧭 Per-task model routing and persistent per-task spend
+    this.costLedger = new CostLedger(context, logger);
+    this.loadModelRouting();
+
+    // 💰 Spending limits, checked against the ledger before every request
+    this.budgetManager = new BudgetManager(this.costLedger, logger);
+    this.loadBudgetSettings();
+  }
+
+  /**
+   * 🔀 Load the ordered failover chain from "nox.failoverChain"
+   */
+  loadFailoverChain() {
+    const chain = vscode.workspace
+      .getConfiguration("nox")
+      .get("failoverChain", []);
+    this.providerManager.setFailoverChain(chain);
+  }
+
+  /**
+   * 💭 Load extended thinking settings ("nox.claude.extendedThinking")
+   * Providers without thinking support ignore the option
+   */
+  loadThinkingSettings() {
+    const config = vscode.workspace.getConfiguration("nox");
+    this.thinking = {
+      enabled: config.get("claude.extendedThinking", false),
+      budgetTokens: config.get("claude.thinkingBudgetTokens", 4000),
+    };
+  }
+
+  /**
+   * 🧭 Load the task type → provider/model table from "nox.modelRouting"
+   * Unknown task types and entries without a provider are ignored
+   */
+  loadModelRouting() {
+    const routing = vscode.workspace
+      .getConfiguration("nox")
+      .get("modelRouting", {});
+
+    this.modelRouting = {};
+    for (const [taskType, route] of Object.entries(routing || {})) {
+      if (!ROUTABLE_TASK_TYPES.includes(taskType)) {
+        this.logger.warn(
+          `🧭 Ignoring route for unknown task type: ${taskType}`
+        );
+        continue;
+      }
+      if (!route || typeof route.provider !== "string") {
+        this.logger.warn(`🧭 Ignoring route for ${taskType}: no provider`);
+        continue;
+      }
+      this.modelRouting[taskType] = {
+        provider: route.provider,
+        model: route.model || null,
+      };
+    }
+
+    const routes = Object.entries(this.modelRouting);
+    if (routes.length > 0) {
+      this.logger.info(
+        `🧭 Model routing: ${routes
+          .map(([task, r]) => `${task} → ${r.provider}/${r.model || "default"}`)
+          .join(", ")}`
+      );
+    }
+  }
+
+  /**
+   * 💰 Load spending limits from "nox.budget.*"
+   */
+  loadBudgetSettings() {
+    const config = vscode.workspace.getConfiguration("nox");
+    this.budgetManager.configure({
+      limits: config.get("budget.limits", {}),
+      warningThresholds: config.get("budget.warningThresholds", [80]),
+      onExceeded: config.get("budget.onExceeded", "block"),
+    });
+  }
+
+  /**
+   * 🧭 Resolve the provider/model for a task type
+   * Falls back to the selected provider/model when the task isn't routed, the
+   * routed provider isn't registered or has no API key. A routed model the
+   * provider doesn't offer falls back to that provider's default model.
+   * @param {string} taskType - chat, explain, refactor, analyze, plan, summarize or commit
+   * @returns {Promise<Object>} - { provider, model, taskType, routed }
+   */
+  async resolveRoute(taskType = "chat") {
+    const fallback = {
+      provider: this.currentProvider,
+      model: this.currentModel,
+      taskType,
+      routed: false,
     };
+
+    const route = this.modelRouting[taskType];
+    if (!route) {
+      return fallback;
+    }
+
+    const provider = this.providers[route.provider];
+    if (!provider) {
+      this.logger.warn(
+        `🧭 ${taskType} is routed to unknown provider ${route.provider}, using ${this.currentProvider}`
+      );
+      return fallback;
+    }
+
+    if (
+      route.provider !== this.currentProvider &&
+      !(await this.hasValidApiKey(route.provider))
+    ) {
+      this.logger.warn(
+        `🧭 ${taskType} is routed to ${route.provider}, which has no API key, using ${this.currentProvider}`
+      );
+      return fallback;
+    }
+
+    const defaultModel =
+      route.provider === this.currentProvider
+        ? this.currentModel
+        : provider.defaultModel;
+
+    let model = route.model || defaultModel;
+    if (model !== defaultModel && !provider.models.includes(model)) {
+      this.logger.warn(
+        `🧭 ${provider.name} has no model ${model}, using ${defaultModel} for ${taskType}`
+      );
+      model = defaultModel;
+    }
+
+    return { provider: route.provider, model, taskType, routed: true };
+  }
+
+  /**
+   * 🧭 Resolve where a request goes: its task's route, or the selected
+   * provider with an explicit options.model when the task isn't routed
+   */
+  async _resolveTarget(options) {
+    const route = await this.resolveRoute(options.taskType || "chat");
+    const target =
+      route.routed || !options.model
+        ? route
+        : { ...route, model: options.model };
+    return await this._enforceBudget(target);
+  }
+
+  /**
+   * 💰 Check a request's provider against the spending limits
+   * Warns once per crossed threshold. Over budget, the request is blocked or,
+   * with "nox.budget.onExceeded": "local", sent to the local model instead.
+   * @throws {Error} - error.budgetExceeded when the request is blocked
+   */
+  async _enforceBudget(target) {
+    const getName = (id) => this.providers[id]?.name || id;
+    const { exceeded, warnings } = this.budgetManager.check(target.provider);
+
+    for (const warning of warnings) {
+      const message = `💰 Nox has used ${Math.floor(
+        warning.percent
+      )}% of the ${this.budgetManager.describe(warning, getName)}.`;
+      this.logger.warn(message);
+      vscode.window.showWarningMessage(message);
+    }
+
+    if (!exceeded) {
+      return target;
+    }
+
+    if (
+      this.budgetManager.onExceeded === "local" &&
+      (await this.hasValidApiKey("local"))
+    ) {
+      const message = `💰 The ${this.budgetManager.describe(
+        exceeded,
+        getName
+      )} is used up - switching to the local model.`;
+      this.logger.warn(message);
+      if (this.budgetManager.notifyOnce(exceeded, "local")) {
+        vscode.window.showWarningMessage(message);
+      }
+
+      // Reported like a failover, so the reply shows which model it replaced
+      return {
+        ...target,
+        provider: "local",
+        model: this.providers.local.defaultModel,
+        budgetFallback: {
+          from: { provider: target.provider, model: target.model },
+          error: { message },
+        },
+      };
+    }
+
+    const error = this.budgetManager.createExceededError(exceeded, getName);
+    this.logger.warn(error.message);
+    this.performanceMonitor.recordMetric("budget_blocked_request", 1, {
+      provider: target.provider,
+      scope: exceeded.scope,
+      period: exceeded.period,
+    });
+    throw error;
+  }
+
+  /**
+   * 💰 Refuse a failover target that is over budget (the chain moves on)
+   */
+  _assertWithinBudget(providerId) {
+    const { exceeded } = this.budgetManager.check(providerId);
+    if (exceeded) {
+      throw this.budgetManager.createExceededError(
+        exceeded,
+        (id) => this.providers[id]?.name || id
+      );
+    }
+  }
+
+  /**
+   * 🔀 Get API key for a failover target
+   * Missing keys are flagged so the chain skips to the next provider
+   */
+  async _getApiKeyForTarget(providerId) {
+    const apiKey = await this.getApiKey(providerId);
+    if (!apiKey) {
+      const error = new Error(
+        `No API key configured for ${
+          this.providers[providerId]?.name || providerId
+        }. Please set up your API key first.`
+      );
+      error.missingApiKey = true;
+      throw error;
+    }
+    return apiKey;
+  }
+
+  /**
+   * 🔀 Decide whether a failed attempt may move down the failover chain
+   * (targets without a key, without image support or over budget are skipped)
+   */
+  _isFailoverError(error) {
+    return (
+      !!error.missingApiKey ||
+      !!error.visionUnsupported ||
+      !!error.budgetExceeded ||
+      this.errorBoundary.isRetryableError(error)
+    );
+  }
+
+  /**
+   * 🔀 Wrap onComplete so the final message records which model answered
+   * when the requested one failed, and its cost is tracked
+   */
+  _withFailoverInfo(onComplete, failures, taskType) {
+    return (finalMessage) => {
+      if (failures.length > 0 && finalMessage) {
+        const first = failures[0].from;
+        finalMessage.failover = {
+          from: `${first.provider}/${first.model}`,
+          reason: failures[failures.length - 1].error.message,
+        };
+      }
+      if (finalMessage) {
+        finalMessage.taskType = taskType;
+        this._recordResponseCost(finalMessage);
+      }
+      return onComplete ? onComplete(finalMessage) : undefined;
+    };
+  }
+
+  /**
+   * 💰 Record a response's cost, including prompt cache usage, and add it
+   * to the persistent per-task ledger
+   */
+  _recordResponseCost(response) {
+    this.performanceMonitor.recordCost(
+      response.provider,
+      response.model,
+      response.tokens || 0,
+      response.cost || 0,
+      {
+        cache: response.cache,
+        thinking: response.thinking,
+        taskType: response.taskType,
+      }
+    );
+    this.costLedger.record({
+      provider: response.provider,
+      model: response.model,
+      taskType: response.taskType,
+      tokens: response.tokens || 0,
+      cost: response.cost || 0,
+    });
+  }
+
+  /**
+   * 🔌 Register OpenAI-compatible endpoints from "nox.openaiCompatible.endpoints"
+   * Each endpoint becomes its own provider with its own secret (nox.<id>.apiKey)
+   */
+  loadOpenAICompatibleEndpoints() {
+    const endpoints = vscode.workspace
+      .getConfiguration("nox")
+      .get("openaiCompatible.endpoints", []);
+
+    // Remove endpoints from a previous load
+    for (const [id, provider] of Object.entries(this.providers)) {
+      if (provider.openaiCompatible) {
+        delete this.providers[id];
+      }
+    }
+
+    const registered = registerOpenAICompatibleEndpoints(
+      this.providerManager,
+      endpoints,
+      this.logger
+    );
+
+    for (const config of registered) {
+      this.providers[config.id] = {
+        name: config.name,
+        models: config.models,
+        baseUrl: config.baseUrl,
+        defaultModel: config.defaultModel,
+        openaiCompatible: true,
+      };
+    }
+
+    if (registered.length > 0) {
+      this.logger.info(
+        `🔌 Loaded ${registered.length} OpenAI-compatible endpoint(s): ${registered
+          .map((config) => config.id)
+          .join(", ")}`
+      );
+    }
+
+    // The active endpoint may have been removed from settings
+    this._ensureCurrentProvider();
+  }
+
+  /**
+   * 🧪 Load the mock provider and traffic recording from "nox.mock.*"
+   * "mock.cassette" makes the keyless mock provider selectable, replaying that
+   * cassette; "mock.recordTo" records every real provider call into a cassette.
+   * Relative paths are resolved against the first workspace folder.
+   */
+  loadMockSettings() {
+    const config = vscode.workspace.getConfiguration("nox");
+    const workspaceRoot =
+      vscode.workspace.workspaceFolders?.[0]?.uri.fsPath || "";
+    const resolvePath = (file) =>
+      file ? path.resolve(workspaceRoot, file) : null;
+
+    const cassette = resolvePath(config.get("mock.cassette", ""));
+    const recordTo = resolvePath(config.get("mock.recordTo", ""));
+
+    delete this.providers.mock;
+    if (cassette) {
+      try {
+        this.providerManager.getProvider("mock").loadCassette(cassette);
+        this.providers.mock = {
+          name: MockConfig.name,
+          models: MockConfig.models,
+          baseUrl: cassette,
+          defaultModel: MockConfig.defaultModel,
+          keyless: true,
+        };
+      } catch (error) {
+        this.logger.warn(
+          `🧪 Could not load cassette ${cassette}: ${error.message}`
+        );
+      }
+    }
+    this._ensureCurrentProvider();
+
+    try {
+      this.providerManager.setRecorder(
+        recordTo ? new CassetteRecorder(recordTo, this.logger) : null
+      );
+    } catch (error) {
+      this.providerManager.setRecorder(null);
+      this.logger.warn(
+        `🧪 Could not record into ${recordTo}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * ☁️ Apply "nox.bedrock.*" (region, profile, endpoint) to the Bedrock provider
+   * Empty values fall back to the AWS environment and shared config files.
+   */
+  loadBedrockSettings() {
+    const config = vscode.workspace.getConfiguration("nox");
+    const provider = this.providerManager.getProvider("bedrock");
+
+    provider.configure({
+      region: config.get("bedrock.region", ""),
+      profile: config.get("bedrock.profile", ""),
+      endpoint: config.get("bedrock.endpoint", ""),
+    });
+    this.providers.bedrock.baseUrl = provider.getBaseUrl();
+  }
+
+  /**
+   * Switch back to anthropic when the active provider was removed from settings
+   */
+  _ensureCurrentProvider() {
+    if (!this.providers[this.currentProvider]) {
+      this.logger.warn(
+        `⚠️ Provider ${this.currentProvider} was removed, switching to anthropic`
+      );
+      this.currentProvider = "anthropic";
+      this.currentModel = this.providers.anthropic.defaultModel;
+    }
   }
 
   /**
    * 🔐 Get API key securely from VS Code SecretStorage
    */
   async getApiKey(provider) {
+    // 🧪 Keyless providers (cassette replay) send nothing anywhere
+    if (this.providers[provider]?.keyless) {
+      return "keyless";
+    }
+
+    // ☁️ Bedrock signs with AWS credentials - there is no key to store
+    if (this.providers[provider]?.awsCredentials) {
+      const hasCredentials = await this._getProvider(provider).hasCredentials();
+      return hasCredentials ? "aws-credentials" : null;
+    }
+
     try {
       const secretKey = `nox.${provider}.apiKey`;
       const apiKey = await this.context.secrets.get(secretKey);
@@ -107,13 +592,16 @@ class AIClient {
 
       this.logger.info(`🔑 Stored API key for ${provider} securely`);
 
-      // Also update VS Code settings for UI display (without the actual key)
-      const config = vscode.workspace.getConfiguration("nox");
-      await config.update(
-        `${provider}.apiKey`,
-        "••••••••",
-        vscode.ConfigurationTarget.Global
-      );
+      // Also update VS Code settings for UI display (without the actual key).
+      // OpenAI-compatible endpoints have no registered setting to mirror into.
+      if (!this.providers[provider]?.openaiCompatible) {
+        const config = vscode.workspace.getConfiguration("nox");
+        await config.update(
+          `${provider}.apiKey`,
+          "••••••••",
+          vscode.ConfigurationTarget.Global
+        );
+      }
 
       return true;
     } catch (error) {
@@ -131,12 +619,14 @@ class AIClient {
       await this.context.secrets.delete(secretKey);
 
       // Also clear from VS Code settings
-      const config = vscode.workspace.getConfiguration("nox");
-      await config.update(
-        `${provider}.apiKey`,
-        "",
-        vscode.ConfigurationTarget.Global
-      );
+      if (!this.providers[provider]?.openaiCompatible) {
+        const config = vscode.workspace.getConfiguration("nox");
+        await config.update(
+          `${provider}.apiKey`,
+          "",
+          vscode.ConfigurationTarget.Global
+        );
+      }
 
       this.logger.info(`🔑 Removed API key for ${provider}`);
       return true;
@@ -171,6 +661,11 @@ class AIClient {
 
       this.currentProvider = configuration.get("aiProvider", "anthropic");
 
+      // 🏠 Local models are discovered from the server, not hardcoded
+      if (this.currentProvider === "local") {
+        await this.refreshLocalModels();
+      }
+
       // 🔧 Load saved model or use default
       const savedModel = configuration.get("aiModel");
       if (
@@ -270,6 +765,9 @@ class AIClient {
     if (!this.providers[providerId]) {
       throw new Error(`Provider ${providerId} not found`);
     }
+    if (providerId === "local") {
+      await this.refreshLocalModels();
+    }
     this.currentProvider = providerId;
     this.currentModel = this.providers[providerId].defaultModel; // ✅ Update model too!
     this.logger?.info(
@@ -304,6 +802,62 @@ class AIClient {
     await config.update("aiModel", model, vscode.ConfigurationTarget.Global);
   }
 
+  /**
+   * 🏠 Refresh local models from the running Ollama / LM Studio server
+   * @returns {Promise<boolean>} - true if the server state or model list changed
+   */
+  async refreshLocalModels() {
+    const local = this.providers.local;
+
+    try {
+      // Read the secret directly - this runs on a timer and getApiKey logs every call
+      const endpoint = await this.context.secrets.get("nox.local.apiKey");
+      const result = await this._getProvider("local").discoverModels(endpoint);
+
+      const models =
+        result.online && result.models.length > 0
+          ? result.models.map((model) => model.id)
+          : this.staticLocalModels;
+
+      const changed =
+        local.serverOnline !== result.online ||
+        local.models.join("|") !== models.join("|");
+
+      local.serverOnline = result.online;
+      local.models = models;
+      local.defaultModel = models[0];
+      local.modelDetails = {};
+      for (const model of result.models) {
+        local.modelDetails[model.id] = {
+          contextLength: model.contextLength,
+          quantization: model.quantization,
+          parameterSize: model.parameterSize,
+        };
+      }
+
+      if (
+        this.currentProvider === "local" &&
+        this.currentModel &&
+        !models.includes(this.currentModel)
+      ) {
+        this.currentModel = local.defaultModel;
+      }
+
+      if (changed) {
+        this.logger.info(
+          result.online
+            ? `🏠 Local LLM server online at ${result.baseUrl} with ${result.models.length} models`
+            : "🏠 Local LLM server offline"
+        );
+      }
+
+      return changed;
+    } catch (error) {
+      this.logger.warn("Failed to refresh local models:", error);
+      return false;
+    }
+  }
+
   /**
    * 📋 Get all available providers
    */
@@ -342,6 +896,15 @@ class AIClient {
    */
   async updateConfiguration(configuration) {
     try {
+      // Endpoints may have been added, edited or removed
+      this.loadOpenAICompatibleEndpoints();
+      this.loadMockSettings();
+      this.loadBedrockSettings();
+      this.loadFailoverChain();
+      this.loadThinkingSettings();
+      this.loadModelRouting();
+      this.loadBudgetSettings();
+
       const newProvider = configuration.get("aiProvider");
       if (newProvider !== this.currentProvider) {
         await this.setProvider(newProvider);
@@ -369,69 +932,72 @@ class AIClient {
     const timer = this.performanceMonitor.startTimer(
       "ai_streaming_request_with_system"
     );
-    const provider = this.providers[this.currentProvider];
+    const route = await this._resolveTarget(options);
+    const provider = this.providers[route.provider];
     const messageId = options.messageId || Date.now().toString();
 
-    // Wrap with error boundary retry logic for network failures
-    return await this.errorBoundary.wrapAsyncWithRetry(
-      async () => {
-        try {
-          this.logger.info(
-            `🦊 Sending NOX-conscious streaming request to ${provider.name}...`
-          );
+    try {
+      this.logger.info(
+        `🦊 Sending NOX-conscious streaming request to ${provider.name}...`
+      );
 
-          // Get API key
-          const apiKey = await this.getApiKey(this.currentProvider);
-          if (!apiKey) {
-            throw new Error(
-              `No API key configured for ${provider.name}. Please set up your API key first.`
-            );
-          }
+      // 🔀 Failover is only safe until output has reached the chat. Providers
+      // already retry network errors and 429/5xx (fetchWithRetry), so the
+      // chain isn't wrapped in another retry
+      let outputStarted = false;
+      const failures = route.budgetFallback ? [route.budgetFallback] : [];
+
+      // 🦊 ProviderManager delegates to the provider, following the failover chain
+      await this.providerManager.executeWithFailover(
+        route.provider,
+        route.model,
+        async (providerInstance, target) => {
+          outputStarted = false;
+          this._assertWithinBudget(target.provider);
+          const apiKey = await this._getApiKeyForTarget(target.provider);
 
           // Route to appropriate provider with system message support
           const requestOptions = {
+            thinking: this.thinking,
             ...options,
-            model: options.model || this.currentModel,
+            model: target.model,
             messageId: messageId,
           };
 
-          // 🦊 Use ProviderManager to delegate to provider
-          const providerInstance = this._getProvider();
           await providerInstance.sendStreamingRequest(
             apiKey,
             systemPrompt,
             userPrompt,
             requestOptions,
-            onChunk,
-            onComplete,
+            (chunk) => {
+              outputStarted = true;
+              return onChunk ? onChunk(chunk) : undefined;
+            },
+            this._withFailoverInfo(onComplete, failures, route.taskType),
             abortController
           );
-
-          timer.end();
-          this.performanceMonitor.recordMetric(
-            "ai_streaming_request_with_system_success",
-            1
-          );
-        } catch (error) {
-          timer.end();
-          this.performanceMonitor.recordMetric(
-            "ai_streaming_request_with_system_error",
-            1
-          );
-          this.logger.error(`NOX-conscious streaming request failed:`, error);
-          throw error;
-        }
-      },
-      `Streaming request to ${provider.name}`,
-      {
-        maxRetries: 2, // Retry network failures up to 2 times
-        retryDelay: 1000,
-        shouldRetry: (error) => {
-          // Only retry network failures, not API errors (401, 403, etc.)
-          return this.errorBoundary.isRetryableError(error);
         },
-      }
-    );
+        {
+          isRetryable: (error) =>
+            !outputStarted && this._isFailoverError(error),
+          onFailover: (from, to, error) => failures.push({ from, error }),
+        }
+      );
+
+      timer.end();
+      this.performanceMonitor.recordMetric(
+        "ai_streaming_request_with_system_success",
+        1
+      );
+    } catch (error) {
+      timer.end();
+      this.performanceMonitor.recordMetric(
+        "ai_streaming_request_with_system_error",
+        1
+      );
+      this.logger.error(`NOX-conscious streaming request failed:`, error);
+      throw error;
+    }
   }
 
   /**
@@ -453,9 +1019,13 @@ class AIClient {
     const timer = this.performanceMonitor.startTimer(
       "ai_streaming_request_with_tools"
     );
-    const provider = this.providers[this.currentProvider];
+    const route = await this._resolveTarget(options);
+    const provider = this.providers[route.provider];
     const messageId = options.messageId || Date.now().toString();
 
+    // Tools arrive in the format of the provider the task was routed to
+    const toolsProvider = route.budgetFallback?.from.provider || route.provider;
+
     // Callbacks: onChunk, onToolCall, onToolResult, onComplete
     const {
       onChunk = null,
@@ -464,83 +1034,117 @@ class AIClient {
       onComplete = null,
     } = callbacks;
 
-    return await this.errorBoundary.wrapAsyncWithRetry(
-      async () => {
-        try {
-          this.logger.info(
-            `🛠️ Sending streaming request with ${tools.length} tools to ${provider.name}...`
-          );
+    try {
+      this.logger.info(
+        `🛠️ Sending streaming request with ${tools.length} tools to ${provider.name}...`
+      );
 
-          // Get API key
-          const apiKey = await this.getApiKey(this.currentProvider);
-          if (!apiKey) {
-            throw new Error(
-              `No API key configured for ${provider.name}. Please set up your API key first.`
-            );
-          }
+      // Capability classes let failover targets get tools in their own format
+      const { capabilities, ...baseOptions } = options;
+
+      // 🔀 Failover is only safe until text or tool calls have happened
+      // (no retry around the chain, see sendStreamingRequestWithSystem)
+      let outputStarted = false;
+      const failures = route.budgetFallback ? [route.budgetFallback] : [];
+
+      // 🦊 ProviderManager delegates to the provider, following the failover chain
+      await this.providerManager.executeWithFailover(
+        route.provider,
+        route.model,
+        async (providerInstance, target) => {
+          outputStarted = false;
+          this._assertWithinBudget(target.provider);
+          const apiKey = await this._getApiKeyForTarget(target.provider);
 
           const requestOptions = {
-            ...options,
-            model: options.model || this.currentModel,
+            thinking: this.thinking,
+            ...baseOptions,
+            model: target.model,
             messageId: messageId,
           };
 
-          // 🦊 Use ProviderManager to delegate to provider
-          const providerInstance = this._getProvider();
+          // Translate tool schemas for a failover target via NoxToolAdapter
+          const targetTools =
+            target.provider === toolsProvider
+              ? tools
+              : capabilities
+                ? this.toolAdapter.capabilitiesToTools(
+                    capabilities,
+                    target.provider
+                  )
+                : null;
+
+          const trackedOnChunk = (chunk) => {
+            outputStarted = true;
+            return onChunk ? onChunk(chunk) : undefined;
+          };
+          const trackedOnComplete = this._withFailoverInfo(
+            onComplete,
+            failures,
+            route.taskType
+          );
 
           // Check if provider supports tool calling
           if (
             providerInstance.supportsToolCalling &&
-            providerInstance.supportsToolCalling()
+            providerInstance.supportsToolCalling() &&
+            targetTools &&
+            targetTools.length > 0
           ) {
             await providerInstance.sendStreamingRequestWithTools(
               apiKey,
               systemPrompt,
               userPrompt,
-              tools,
+              targetTools,
               requestOptions,
-              { onChunk, onToolCall, onToolResult, onComplete },
+              {
+                onChunk: trackedOnChunk,
+                onToolCall: async (toolCall) => {
+                  outputStarted = true;
+                  return onToolCall ? await onToolCall(toolCall) : undefined;
+                },
+                onToolResult,
+                onComplete: trackedOnComplete,
+              },
               abortController
             );
           } else {
             // Fallback: streaming without tools for unsupported providers
             this.logger.warn(
-              `Provider ${this.currentProvider} doesn't support streaming + tools. Falling back to regular streaming.`
+              `Provider ${target.provider} doesn't support streaming + tools. Falling back to regular streaming.`
             );
-            await this.sendStreamingRequestWithSystem(
+            await providerInstance.sendStreamingRequest(
+              apiKey,
               systemPrompt,
               userPrompt,
               requestOptions,
-              onChunk,
-              onComplete,
+              trackedOnChunk,
+              trackedOnComplete,
               abortController
             );
           }
-
-          timer.end();
-          this.performanceMonitor.recordMetric(
-            "ai_streaming_request_with_tools_success",
-            1
-          );
-        } catch (error) {
-          timer.end();
-          this.performanceMonitor.recordMetric(
-            "ai_streaming_request_with_tools_error",
-            1
-          );
-          this.logger.error(`Streaming request with tools failed:`, error);
-          throw error;
-        }
-      },
-      `Streaming request with tools to ${provider.name}`,
-      {
-        maxRetries: 2,
-        retryDelay: 1000,
-        shouldRetry: (error) => {
-          return this.errorBoundary.isRetryableError(error);
         },
-      }
-    );
+        {
+          isRetryable: (error) =>
+            !outputStarted && this._isFailoverError(error),
+          onFailover: (from, to, error) => failures.push({ from, error }),
+        }
+      );
+
+      timer.end();
+      this.performanceMonitor.recordMetric(
+        "ai_streaming_request_with_tools_success",
+        1
+      );
+    } catch (error) {
+      timer.end();
+      this.performanceMonitor.recordMetric(
+        "ai_streaming_request_with_tools_error",
+        1
+      );
+      this.logger.error(`Streaming request with tools failed:`, error);
+      throw error;
+    }
   }
 
   /**
@@ -558,7 +1162,8 @@ class AIClient {
     }
 
     const timer = this.performanceMonitor.startTimer("ai_streaming_request");
-    const provider = this.providers[this.currentProvider];
+    const route = await this._resolveTarget(options);
+    const provider = this.providers[route.provider];
     const messageId = options.messageId || Date.now().toString();
 
     // 🔍 PHASE 1 DIAGNOSTICS: Verify AbortController reception
@@ -589,7 +1194,7 @@ class AIClient {
       this.logger.info(`🌊 Starting streaming request to ${provider.name}...`);
 
       // Get API key
-      const apiKey = await this.getApiKey(this.currentProvider);
+      const apiKey = await this.getApiKey(route.provider);
       if (!apiKey) {
         throw new Error(
           `No API key configured for ${provider.name}. Please set up your API key first.`
@@ -598,13 +1203,13 @@ class AIClient {
 
       const requestOptions = {
         ...options,
-        model: options.model || this.currentModel,
+        model: route.model,
         stream: true, // Enable streaming
       };
 
       // 🔍 PHASE 1 DIAGNOSTICS: Pre-provider call verification
       console.log(
-        `🔍 AI CLIENT: About to call ${this.currentProvider} provider for message: ${messageId}`
+        `🔍 AI CLIENT: About to call ${route.provider} provider for message: ${messageId}`
       );
       if (abortController) {
         console.log(
@@ -620,13 +1225,18 @@ class AIClient {
         );
       }
 
-      // 🦊 Use ProviderManager to delegate to provider
-      const providerInstance = this._getProvider();
+      // 🦊 Use ProviderManager to delegate to provider. The prompt carries
+      // its own context, so there is no system prompt; onComplete records
+      // the cost so continued streams count against the budget
+      const providerInstance = this._getProvider(route.provider);
+      const failures = route.budgetFallback ? [route.budgetFallback] : [];
       const finalMessage = await providerInstance.sendStreamingRequest(
         apiKey,
+        "",
         prompt,
         requestOptions,
-        { onChunk, onComplete },
+        onChunk,
+        this._withFailoverInfo(onComplete, failures, route.taskType),
         abortController
       );
 
@@ -649,7 +1259,8 @@ class AIClient {
     }
 
     const timer = this.performanceMonitor.startTimer("ai_request_with_system");
-    const provider = this.providers[this.currentProvider];
+    const route = await this._resolveTarget(options);
+    const provider = this.providers[route.provider];
 
     try {
       this.logger.info(
@@ -657,7 +1268,7 @@ class AIClient {
       );
 
       // Get API key
-      const apiKey = await this.getApiKey(this.currentProvider);
+      const apiKey = await this.getApiKey(route.provider);
       if (!apiKey) {
         throw new Error(
           `No API key configured for ${provider.name}. Please set up your API key first.`
@@ -667,11 +1278,11 @@ class AIClient {
       // Route to appropriate provider with system message support
       const requestOptions = {
         ...options,
-        model: options.model || this.currentModel,
+        model: route.model,
       };
 
       // 🦊 Use ProviderManager to delegate to provider
-      const providerInstance = this._getProvider();
+      const providerInstance = this._getProvider(route.provider);
       const response = await providerInstance.sendRequestWithSystem(
         apiKey,
         systemPrompt,
@@ -681,6 +1292,8 @@ class AIClient {
 
       timer.end();
       this.performanceMonitor.recordMetric("ai_request_with_system_success", 1);
+      response.taskType = route.taskType;
+      this._recordResponseCost(response);
 
       this.logger.info(
         `🦊 NOX-conscious response received from ${provider.name} (${timer.duration}ms)`
@@ -696,6 +1309,138 @@ class AIClient {
     }
   }
 
+  /**
+   * 🧩 Send a request whose reply must be JSON matching a schema
+   * The parsed, validated reply is returned in response.data
+   * @param {Object} schema - JSON Schema (title names it for the provider)
+   * @param {Object} options - Request options plus schemaName, maxRepairs
+   */
+  async sendStructured(systemPrompt, userPrompt, schema, options = {}) {
+    if (!this.isInitialized) {
+      throw new Error("AI Client not initialized");
+    }
+
+    const timer = this.performanceMonitor.startTimer("ai_request_structured");
+    const route = await this._resolveTarget(options);
+    const provider = this.providers[route.provider];
+
+    try {
+      this.logger.info(`🧩 Sending structured request to ${provider.name}...`);
+
+      const apiKey = await this.getApiKey(route.provider);
+      if (!apiKey) {
+        throw new Error(
+          `No API key configured for ${provider.name}. Please set up your API key first.`
+        );
+      }
+
+      const providerInstance = this._getProvider(route.provider);
+      const response = await providerInstance.sendStructured(
+        apiKey,
+        systemPrompt,
+        userPrompt,
+        schema,
+        { ...options, model: route.model }
+      );
+
+      timer.end();
+      this.performanceMonitor.recordMetric("ai_request_structured_success", 1);
+      response.taskType = route.taskType;
+      this._recordResponseCost(response);
+
+      this.logger.info(
+        `🧩 Structured response received from ${provider.name} (${timer.duration}ms, ${response.repairs} repairs)`
+      );
+
+      return response;
+    } catch (error) {
+      timer.end();
+      this.performanceMonitor.recordMetric("ai_request_structured_error", 1);
+
+      this.logger.error(`Structured AI request failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 🧬 Compute embeddings for semantic features (search, clustering, dedup)
+   * Uses options.provider, otherwise the selected provider when it supports
+   * embeddings, otherwise the first configured provider that does. Cost is
+   * recorded like any request, under the "embed" task type.
+   * @param {string|Array<string>} texts - Texts to embed
+   * @param {Object} options - { provider, model, dimensions, batchSize }
+   * @returns {Promise<Object>} - { embeddings, model, dimensions, provider, tokens, cost }
+   */
+  async embed(texts, options = {}) {
+    if (!this.isInitialized) {
+      throw new Error("AI Client not initialized");
+    }
+
+    const timer = this.performanceMonitor.startTimer("ai_request_embed");
+
+    try {
+      const providerId = await this._resolveEmbeddingProvider(options.provider);
+      this._assertWithinBudget(providerId);
+
+      const apiKey = await this._getApiKeyForTarget(providerId);
+      const response = await this._getProvider(providerId).embed(
+        apiKey,
+        texts,
+        options
+      );
+
+      timer.end();
+      this.performanceMonitor.recordMetric("ai_request_embed_success", 1, {
+        provider: providerId,
+        texts: response.embeddings.length,
+      });
+      response.taskType = "embed";
+      this._recordResponseCost(response);
+
+      return response;
+    } catch (error) {
+      timer.end();
+      this.performanceMonitor.recordMetric("ai_request_embed_error", 1);
+
+      this.logger.error("Embedding request failed:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * 🧬 Pick the provider for an embedding request
+   * @throws {Error} - When no configured provider supports embeddings
+   */
+  async _resolveEmbeddingProvider(providerId = null) {
+    if (providerId) {
+      if (!this.providers[providerId]) {
+        throw new Error(`Unknown provider: ${providerId}`);
+      }
+      if (!this.supportsEmbeddings(providerId)) {
+        throw new Error(
+          `${this.providers[providerId].name} does not support embeddings`
+        );
+      }
+      return providerId;
+    }
+
+    const candidates = [
+      this.currentProvider,
+      ...Object.keys(this.providers).filter(
+        (id) => id !== this.currentProvider
+      ),
+    ];
+    for (const id of candidates) {
+      if (this.supportsEmbeddings(id) && (await this.hasValidApiKey(id))) {
+        return id;
+      }
+    }
+
+    throw new Error(
+      "No configured provider supports embeddings. Set up OpenAI, Gemini or a local model first."
+    );
+  }
+
   /**
    * 🤖 Send request to AI provider - REAL IMPLEMENTATION
    */
@@ -705,13 +1450,14 @@ class AIClient {
     }
 
     const timer = this.performanceMonitor.startTimer("ai_request");
-    const provider = this.providers[this.currentProvider];
+    const route = await this._resolveTarget(options);
+    const provider = this.providers[route.provider];
 
     try {
       this.logger.info(`🤖 Sending request to ${provider.name}...`);
 
       // Get API key
-      const apiKey = await this.getApiKey(this.currentProvider);
+      const apiKey = await this.getApiKey(route.provider);
       if (!apiKey) {
         throw new Error(
           `No API key configured for ${provider.name}. Please set up your API key first.`
@@ -721,11 +1467,11 @@ class AIClient {
       // Route to appropriate provider
       const requestOptions = {
         ...options,
-        model: options.model || this.currentModel,
+        model: route.model,
       };
 
       // 🦊 Use ProviderManager to delegate to provider
-      const providerInstance = this._getProvider();
+      const providerInstance = this._getProvider(route.provider);
       const response = await providerInstance.sendRequest(
         apiKey,
         prompt,
@@ -733,12 +1479,8 @@ class AIClient {
       );
 
       timer.end();
-      this.performanceMonitor.recordCost(
-        response.provider,
-        response.model,
-        response.tokens,
-        response.cost
-      );
+      response.taskType = route.taskType;
+      this._recordResponseCost(response);
 
       this.logger.info(`🤖 Request completed in ${timer.duration}ms`);
       return response;
@@ -762,10 +1504,107 @@ class AIClient {
   }
 
   /**
-   * Estimate tokens (rough approximation)
+   * Count tokens with the provider's tokenizer
+   * Exact BPE for OpenAI models, calibrated estimates for the rest
+   */
+  estimateTokens(text, providerId = null, model = null) {
+    return getTokenCounter(this.logger).countTokens(
+      text,
+      providerId || this.currentProvider,
+      model || this.currentModel
+    );
+  }
+
+  /**
+   * Count tokens for a messages array, including per-message overhead
    */
-  estimateTokens(text) {
-    return Math.ceil(text.length / 4);
+  countMessageTokens(messages, providerId = null, model = null) {
+    return getTokenCounter(this.logger).countMessages(
+      messages,
+      providerId || this.currentProvider,
+      model || this.currentModel
+    );
+  }
+
+  /**
+   * Check whether token counts for a provider/model are exact
+   */
+  hasExactTokenCounts(providerId = null, model = null) {
+    return getTokenCounter(this.logger).isExact(
+      providerId || this.currentProvider,
+      model || this.currentModel
+    );
+  }
+
+  /**
+   * 🧬 Check whether a provider can compute embeddings
+   */
+  supportsEmbeddings(providerId = null) {
+    return this._getProvider(providerId).supportsEmbeddings();
+  }
+
+  /**
+   * 🖼️ Check whether a provider/model accepts image attachments
+   */
+  supportsVision(providerId = null, model = null) {
+    return this._getProvider(providerId).supportsVision(
+      model || this.currentModel
+    );
+  }
+
+  /**
+   * 🖼️ Refuse image attachments the provider/model can't read
+   * @throws {Error} - Message naming the provider and model
+   */
+  assertVisionSupport(providerId = null, model = null) {
+    this._getProvider(providerId).assertVisionSupport(
+      model || this.currentModel
+    );
+  }
+
+  /**
+   * 💰 Estimate what a request will cost before it is sent
+   * The output side is an upper bound: the max tokens plus any extended
+   * thinking budget the provider would add.
+   * @returns {Object} - { outputTokens, thinkingTokens, inputCost, outputCost,
+   *   totalCost } - costs in USD, null without pricing data
+   */
+  estimateRequestCost(providerId, model, inputTokens, maxOutputTokens) {
+    const provider = this._getProvider(providerId);
+    const modelId = model || this.currentModel;
+
+    const thinkingTokens = provider.getThinkingBudget
+      ? provider.getThinkingBudget(modelId, { thinking: this.thinking })
+      : 0;
+    const outputTokens = maxOutputTokens + thinkingTokens;
+
+    const inputCost = provider.estimateCost(inputTokens, 0, modelId);
+    const outputCost = provider.estimateCost(0, outputTokens, modelId);
+
+    return {
+      outputTokens,
+      thinkingTokens,
+      inputCost,
+      outputCost,
+      totalCost: inputCost === null ? null : inputCost + outputCost,
+    };
+  }
+
+  /**
+   * Get the context window (in tokens) of a provider/model
+   * Local models use the context length reported during discovery
+   */
+  getContextWindow(providerId = null, model = null) {
+    const id = providerId || this.currentProvider;
+    const modelId = model || this.currentModel;
+
+    const discovered =
+      this.providers[id]?.modelDetails?.[modelId]?.contextLength;
+    if (discovered) {
+      return discovered;
+    }
+
+    return this._getProvider(id).getContextWindow(modelId);
   }
 
   /**
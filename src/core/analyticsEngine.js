@@ -63,15 +63,47 @@ class AnalyticsEngine {
       averageTokensPerMessage: 0,
       averageCostPerMessage: 0,
       costPerToken: 0,
+      averageContextUsage: 0,
+      peakContextUsage: 0,
+      cacheSavings: 0,
+      cacheReadTokens: 0,
+      thinkingTokens: 0,
+      thinkingCost: 0,
     };
 
+    // Context window usage (share of the model's window used by the prompt)
+    const contextUsages = [];
+
     messages.forEach(msg => {
       if (msg.type === 'assistant') {
         stats.totalTokens += msg.tokens || 0;
         stats.totalCost += msg.cost || 0;
+
+        // Prompt cache usage (Anthropic) - savings vs. paying full input price
+        if (msg.cache) {
+          stats.cacheSavings += msg.cache.savings || 0;
+          stats.cacheReadTokens += msg.cache.readTokens || 0;
+        }
+
+        // Extended thinking (Anthropic) - already included in tokens and cost
+        if (msg.thinking) {
+          stats.thinkingTokens += msg.thinking.tokens || 0;
+          stats.thinkingCost += msg.thinking.cost || 0;
+        }
+
+        if (msg.context && msg.context.window) {
+          contextUsages.push(msg.context.tokens / msg.context.window);
+        }
       }
     });
 
+    if (contextUsages.length > 0) {
+      stats.averageContextUsage = (
+        (contextUsages.reduce((sum, usage) => sum + usage, 0) / contextUsages.length) * 100
+      ).toFixed(1);
+      stats.peakContextUsage = (Math.max(...contextUsages) * 100).toFixed(1);
+    }
+
     if (messages.length > 0) {
       stats.averageTokensPerMessage = (stats.totalTokens / messages.length).toFixed(2);
       stats.averageCostPerMessage = (stats.totalCost / messages.length).toFixed(4);
@@ -149,18 +181,63 @@ class AnalyticsEngine {
     return Object.values(daily).sort((a, b) => new Date(a.date) - new Date(b.date));
   }
 
+  /**
+   * Calculate cost breakdown by task type (chat, explain, summarize, commit...)
+   * from cost ledger entries, which also cover requests outside the chat
+   */
+  calculateTaskBreakdown(costEntries) {
+    const breakdown = {};
+
+    costEntries.forEach(entry => {
+      const taskType = entry.taskType || 'chat';
+      if (!breakdown[taskType]) {
+        breakdown[taskType] = {
+          taskType,
+          totalCost: 0,
+          totalTokens: 0,
+          callCount: 0,
+          models: new Set(),
+        };
+      }
+      breakdown[taskType].totalCost += entry.cost || 0;
+      breakdown[taskType].totalTokens += entry.tokens || 0;
+      breakdown[taskType].callCount += entry.calls || 0;
+      if (entry.model) {
+        breakdown[taskType].models.add(`${entry.provider}/${entry.model}`);
+      }
+    });
+
+    const total = Object.values(breakdown).reduce((sum, t) => sum + t.totalCost, 0);
+    return Object.values(breakdown)
+      .sort((a, b) => b.totalCost - a.totalCost)
+      .map(task => ({
+        ...task,
+        models: Array.from(task.models),
+        percentage: total > 0 ? ((task.totalCost / total) * 100).toFixed(2) : 0,
+        averageCostPerCall: task.callCount > 0
+          ? (task.totalCost / task.callCount).toFixed(4)
+          : 0,
+      }));
+  }
+
   /**
    * Get comprehensive analytics report
+   * @param {Array} messages - Chat history
+   * @param {string} filterType - Date filter
+   * @param {Object} customDates - { start, end } for the custom filter
+   * @param {Object} costLedger - Optional CostLedger for the task breakdown
    */
-  getAnalyticsReport(messages, filterType = 'lifetime', customDates = null) {
+  getAnalyticsReport(messages, filterType = 'lifetime', customDates = null, costLedger = null) {
     const { startDate, endDate } = this.getDateRange(filterType, customDates?.start, customDates?.end);
     const filteredMessages = this.filterMessagesByDateRange(messages, startDate, endDate);
+    const costEntries = costLedger ? costLedger.getEntries(startDate, endDate) : [];
 
     return {
       dateRange: { startDate, endDate, filterType },
       stats: this.calculateStats(filteredMessages),
       providerBreakdown: this.calculateProviderBreakdown(filteredMessages),
       dailyBreakdown: this.calculateDailyBreakdown(filteredMessages),
+      taskBreakdown: this.calculateTaskBreakdown(costEntries),
       messageCount: filteredMessages.length,
     };
   }
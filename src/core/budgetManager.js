@@ -0,0 +1,200 @@
+/**
+ * 💰 NOX Budget Manager
+ *
+ * Daily, weekly and monthly spending limits, overall and per provider, checked
+ * before every request against the persistent cost ledger. Periods are
+ * calendar periods in UTC (the ledger's days): today, the week since Monday
+ * and the month since the 1st. Local models are free and never limited.
+ */
+
+const PERIODS = ["daily", "weekly", "monthly"];
+const OVERALL = "overall";
+const PERIOD_NAMES = { daily: "day", weekly: "week", monthly: "month" };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class BudgetManager {
+  /**
+   * @param {Object} costLedger - CostLedger with the spend history
+   * @param {Object} logger - Logger
+   */
+  constructor(costLedger, logger) {
+    this.costLedger = costLedger;
+    this.logger = logger;
+    this.limits = {};
+    this.warningThresholds = [80];
+    this.onExceeded = "block";
+    this.warned = new Set(); // "scope:period:periodStart:tag"
+  }
+
+  /**
+   * Apply budget settings
+   * @param {Object} settings - { limits, warningThresholds, onExceeded }
+   */
+  configure({ limits = {}, warningThresholds = [80], onExceeded = "block" }) {
+    this.limits = {};
+    for (const [scope, periods] of Object.entries(limits || {})) {
+      for (const period of PERIODS) {
+        const amount = periods?.[period];
+        if (typeof amount === "number" && amount >= 0) {
+          this.limits[scope] = { ...this.limits[scope], [period]: amount };
+        }
+      }
+    }
+
+    this.warningThresholds = (
+      Array.isArray(warningThresholds) ? warningThresholds : []
+    )
+      .filter((threshold) => threshold > 0 && threshold < 100)
+      .sort((a, b) => a - b);
+    this.onExceeded = onExceeded === "local" ? "local" : "block";
+
+    if (this.hasLimits()) {
+      this.logger?.info(
+        `💰 Budgets: ${Object.entries(this.limits)
+          .map(
+            ([scope, periods]) =>
+              `${scope} ${Object.entries(periods)
+                .map(([period, amount]) => `${period} $${amount}`)
+                .join(", ")}`
+          )
+          .join("; ")} (over budget: ${this.onExceeded})`
+      );
+    }
+  }
+
+  /**
+   * Check whether any limits are configured
+   */
+  hasLimits() {
+    return Object.keys(this.limits).length > 0;
+  }
+
+  /**
+   * Get the start of the current period (UTC)
+   * @param {string} period - daily, weekly or monthly
+   * @param {number} now - Timestamp
+   * @returns {Date}
+   */
+  static periodStart(period, now = Date.now()) {
+    const date = new Date(now);
+    const today = Date.UTC(
+      date.getUTCFullYear(),
+      date.getUTCMonth(),
+      date.getUTCDate()
+    );
+
+    switch (period) {
+      case "weekly":
+        // Weeks start on Monday
+        return new Date(today - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+      case "monthly":
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+      default:
+        return new Date(today);
+    }
+  }
+
+  /**
+   * Get spend in the current period
+   * @param {string} scope - "overall" or a provider ID
+   * @param {string} period - daily, weekly or monthly
+   * @returns {number} - Spend in USD
+   */
+  getSpend(scope, period) {
+    return this.costLedger
+      .getEntries(BudgetManager.periodStart(period))
+      .filter((entry) => scope === OVERALL || entry.provider === scope)
+      .reduce((sum, entry) => sum + (entry.cost || 0), 0);
+  }
+
+  /**
+   * Check the limits that apply to a provider before a request
+   * Each warning is returned once per limit, threshold and period.
+   * @param {string} providerId - Provider the request goes to
+   * @returns {Object} - { exceeded: status|null, warnings: [status] }
+   *   where status is { scope, period, spent, limit, percent }
+   */
+  check(providerId) {
+    const result = { exceeded: null, warnings: [] };
+    if (providerId === "local") {
+      return result;
+    }
+
+    for (const scope of [providerId, OVERALL]) {
+      for (const [period, limit] of Object.entries(this.limits[scope] || {})) {
+        const spent = this.getSpend(scope, period);
+        const percent = limit > 0 ? (spent / limit) * 100 : 100;
+        const status = { scope, period, spent, limit, percent };
+
+        if (spent >= limit) {
+          result.exceeded = result.exceeded || status;
+          continue;
+        }
+
+        const threshold = [...this.warningThresholds]
+          .reverse()
+          .find((candidate) => percent >= candidate);
+
+        if (threshold && this.notifyOnce(status, threshold)) {
+          result.warnings.push({ ...status, threshold });
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Check whether the user still needs to hear about a status
+   * @param {Object} status - From check()
+   * @param {string|number} tag - What is being reported (threshold, "local"...)
+   * @returns {boolean} - true the first time per limit, period and tag
+   */
+  notifyOnce(status, tag) {
+    const key = `${status.scope}:${status.period}:${BudgetManager.periodStart(
+      status.period
+    ).toISOString()}:${tag}`;
+
+    if (this.warned.has(key)) {
+      return false;
+    }
+    this.warned.add(key);
+    return true;
+  }
+
+  /**
+   * Describe a budget status for the user
+   * @param {Object} status - From check()
+   * @param {Function} getName - providerId => display name
+   */
+  describe(status, getName = (id) => id) {
+    const scope = status.scope === OVERALL ? "overall" : getName(status.scope);
+    return `${status.period} ${scope} budget ($${status.spent.toFixed(
+      2
+    )} of $${status.limit.toFixed(2)})`;
+  }
+
+  /**
+   * Create the error thrown when a request would exceed a budget
+   * @param {Object} status - Exceeded status from check()
+   * @param {Function} getName - providerId => display name
+   */
+  createExceededError(status, getName) {
+    const error = new Error(
+      `💰 Spending limit reached: the ${this.describe(
+        status,
+        getName
+      )}. Raise "nox.budget.limits", wait for the next ${
+        PERIOD_NAMES[status.period]
+      }, or set "nox.budget.onExceeded" to "local" to continue with a local model.`
+    );
+    error.budgetExceeded = true;
+    error.budget = status;
+    return error;
+  }
+}
+
+BudgetManager.PERIODS = PERIODS;
+BudgetManager.OVERALL = OVERALL;
+
+module.exports = BudgetManager;
@@ -0,0 +1,310 @@
+/**
+ * 🦊 NOX Budget Manager Tests
+ *
+ * Tests for BudgetManager, CostLedger and aiClient's budget enforcement:
+ * - Period starts are UTC calendar days, Monday weeks and months
+ * - The ledger aggregates per day and filters by date range
+ * - Limits are checked per provider and overall; local is never limited
+ * - Warnings are reported once per threshold and period
+ * - Over budget, requests are blocked or switched to the local model
+ *
+ * Run with: node src/core/budgetManager.test.js
+ */
+
+// Mock VS Code module (aiClient shows warnings through it)
+const shownWarnings = [];
+const Module = require("module");
+const originalRequire = Module.prototype.require;
+
+Module.prototype.require = function (id) {
+  if (id === "vscode") {
+    return {
+      window: {
+        showWarningMessage: async (message) => {
+          shownWarnings.push(message);
+        },
+      },
+      workspace: {
+        getConfiguration: () => ({ get: (key, defaultValue) => defaultValue }),
+      },
+    };
+  }
+  return originalRequire.apply(this, arguments);
+};
+
+const BudgetManager = require("./budgetManager.js");
+const CostLedger = require("./costLedger.js");
+const AIClient = require("./aiClient.js");
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+// Test runner
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.tests = [];
+  }
+
+  test(name, fn) {
+    this.tests.push({ name, fn });
+  }
+
+  async run() {
+    console.log("🦊 Running Budget Manager Tests...\n");
+
+    for (const { name, fn } of this.tests) {
+      try {
+        await fn();
+        this.passed++;
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        this.failed++;
+        console.log(`❌ ${name}`);
+        console.log(`   Error: ${error.message}`);
+      } finally {
+        Date.now = realNow;
+      }
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+}
+
+// Assertion helpers
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || "Assertion failed");
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+// Clock control (restored after every test)
+const realNow = Date.now;
+function setNow(iso) {
+  const time = Date.parse(iso);
+  Date.now = () => time;
+}
+
+// Ledger backed by an in-memory globalState
+function createLedger(entries = []) {
+  const state = new Map([[CostLedger.STORAGE_KEY, entries]]);
+  return new CostLedger(
+    {
+      globalState: {
+        get: (key, defaultValue) => state.get(key) ?? defaultValue,
+        update: async (key, value) => state.set(key, value),
+      },
+    },
+    silentLogger
+  );
+}
+
+function createBudget(entries, settings) {
+  const budget = new BudgetManager(createLedger(entries), silentLogger);
+  budget.configure(settings);
+  return budget;
+}
+
+// Create test runner
+const runner = new TestRunner();
+
+// Test 1: Period boundaries
+runner.test("period starts are UTC days, Monday weeks and months", () => {
+  const start = (period, iso) =>
+    BudgetManager.periodStart(period, Date.parse(iso)).toISOString();
+
+  // Just before and at midnight UTC
+  assertEqual(
+    start("daily", "2026-03-01T23:59:59.999Z"),
+    "2026-03-01T00:00:00.000Z"
+  );
+  assertEqual(
+    start("daily", "2026-03-02T00:00:00Z"),
+    "2026-03-02T00:00:00.000Z"
+  );
+
+  // 2026-03-01 is a Sunday: its week started on Monday 2026-02-23
+  assertEqual(
+    start("weekly", "2026-03-01T23:00:00Z"),
+    "2026-02-23T00:00:00.000Z"
+  );
+  assertEqual(
+    start("weekly", "2026-03-02T00:00:00Z"),
+    "2026-03-02T00:00:00.000Z"
+  );
+
+  // Months, across a year boundary
+  assertEqual(
+    start("monthly", "2026-03-31T23:59:59Z"),
+    "2026-03-01T00:00:00.000Z"
+  );
+  assertEqual(
+    start("monthly", "2027-01-01T00:00:00Z"),
+    "2027-01-01T00:00:00.000Z"
+  );
+
+  // Local time zones don't matter: the offset is part of the timestamp
+  assertEqual(
+    start("daily", "2026-03-02T01:30:00+02:00"),
+    "2026-03-01T00:00:00.000Z"
+  );
+});
+
+// Test 2: Ledger aggregation
+runner.test("ledger aggregates per day and filters by date range", () => {
+  const ledger = createLedger();
+
+  setNow("2026-03-01T10:00:00Z");
+  ledger.record({
+    provider: "openai",
+    model: "gpt-4o",
+    tokens: 100,
+    cost: 0.5,
+  });
+  ledger.record({
+    provider: "openai",
+    model: "gpt-4o",
+    tokens: 50,
+    cost: 0.25,
+  });
+  setNow("2026-03-02T00:00:01Z");
+  ledger.record({ provider: "openai", model: "gpt-4o", tokens: 10, cost: 0.1 });
+
+  assertEqual(ledger.entries.length, 2);
+  assertEqual(ledger.entries[0].calls, 2);
+  assertEqual(ledger.entries[0].cost, 0.75);
+  assertEqual(ledger.entries[0].taskType, "chat");
+  assertEqual(ledger.getEntries(new Date("2026-03-02T00:00:00Z")).length, 1);
+  assertEqual(
+    ledger.getEntries(null, new Date("2026-03-01T23:59:59Z")).length,
+    1
+  );
+});
+
+// Test 3: Limits per provider and overall
+runner.test("checks provider and overall limits in the current period", () => {
+  setNow("2026-03-04T12:00:00Z"); // Wednesday
+  const budget = createBudget(
+    [
+      { date: "2026-03-04", provider: "openai", cost: 2 },
+      { date: "2026-03-02", provider: "anthropic", cost: 3 },
+      { date: "2026-03-01", provider: "openai", cost: 100 }, // Last week
+    ],
+    {
+      limits: {
+        openai: { daily: 2 },
+        overall: { weekly: 10, monthly: 500 },
+      },
+    }
+  );
+
+  assertEqual(budget.getSpend("openai", "daily"), 2);
+  assertEqual(budget.getSpend("overall", "weekly"), 5);
+  assertEqual(budget.getSpend("overall", "monthly"), 105);
+
+  const openai = budget.check("openai");
+  assertEqual(openai.exceeded.scope, "openai");
+  assertEqual(openai.exceeded.period, "daily");
+  assertEqual(budget.check("anthropic").exceeded, null);
+  assertEqual(budget.check("local").exceeded, null);
+
+  // The daily limit resets at midnight UTC
+  setNow("2026-03-05T00:00:00Z");
+  assertEqual(budget.check("openai").exceeded, null);
+});
+
+// Test 4: Warnings once
+runner.test("warns once per threshold and period", () => {
+  setNow("2026-03-04T12:00:00Z");
+  const budget = createBudget(
+    [{ date: "2026-03-04", provider: "openai", cost: 9 }],
+    { limits: { overall: { daily: 10 } }, warningThresholds: [50, 80, 120] }
+  );
+
+  const first = budget.check("openai");
+  assertEqual(first.warnings.length, 1);
+  assertEqual(first.warnings[0].threshold, 80); // Highest crossed; 120 ignored
+  assertEqual(budget.check("openai").warnings.length, 0);
+
+  // A new day is a new period
+  setNow("2026-03-05T12:00:00Z");
+  budget.costLedger.entries.push({
+    date: "2026-03-05",
+    provider: "openai",
+    cost: 8,
+  });
+  assertEqual(budget.check("openai").warnings.length, 1);
+});
+
+// Test 5: Blocking and switching to local (hard limit)
+runner.test(
+  "blocks over-budget requests or switches them to local",
+  async () => {
+    setNow("2026-03-04T12:00:00Z");
+    const budget = createBudget(
+      [{ date: "2026-03-04", provider: "openai", cost: 5 }],
+      { limits: { overall: { daily: 5 } }, onExceeded: "block" }
+    );
+
+    const client = Object.create(AIClient.prototype);
+    const metrics = [];
+    client.budgetManager = budget;
+    client.logger = silentLogger;
+    client.performanceMonitor = {
+      recordMetric: (name) => metrics.push(name),
+    };
+    client.providers = {
+      openai: { name: "OpenAI", defaultModel: "gpt-4o" },
+      local: { name: "Local LLM", defaultModel: "llama3" },
+    };
+    client.hasValidApiKey = async (id) => id === "local";
+
+    const target = { provider: "openai", model: "gpt-4o", taskType: "chat" };
+    let blocked = null;
+    try {
+      await client._enforceBudget(target);
+    } catch (error) {
+      blocked = error;
+    }
+    assert(blocked && blocked.budgetExceeded, "Request should be blocked");
+    assert(blocked.message.includes("daily overall budget ($5.00 of $5.00)"));
+    assertEqual(metrics[0], "budget_blocked_request");
+
+    budget.configure({
+      limits: { overall: { daily: 5 } },
+      onExceeded: "local",
+    });
+    shownWarnings.length = 0;
+    const switched = await client._enforceBudget(target);
+    assertEqual(switched.provider, "local");
+    assertEqual(switched.model, "llama3");
+    assertEqual(switched.budgetFallback.from.provider, "openai");
+    assertEqual(shownWarnings.length, 1);
+
+    // Told once per period
+    await client._enforceBudget(target);
+    assertEqual(shownWarnings.length, 1);
+
+    // Without a local model the limit still holds
+    client.hasValidApiKey = async () => false;
+    blocked = null;
+    try {
+      await client._enforceBudget(target);
+    } catch (error) {
+      blocked = error;
+    }
+    assert(blocked && blocked.budgetExceeded, "No local model: still blocked");
+  }
+);
+
+// Run all tests
+runner.run().then((success) => {
+  process.exit(success ? 0 : 1);
+});
@@ -0,0 +1,207 @@
+/**
+ * 🦊 NOX Git Branch Capability
+ *
+ * Lists, creates and switches branches, and merges a branch into the
+ * current one. Merges are high risk: they always need approval, whatever
+ * the mode.
+ *
+ * @enterprise-grade Validation, no shell quoting, approval for merges
+ */
+
+const CapabilityBase = require("../base/CapabilityBase");
+
+const ACTIONS = ["list", "create", "switch", "merge"];
+
+class GitBranchCapability extends CapabilityBase {
+  static metadata = {
+    id: "git_branch",
+    name: "Git Branch",
+    category: "git",
+    description:
+      "Manage git branches. list: local branches and the current one. create: create a branch (from base, default the current branch) and switch to it. switch: check out an existing branch. merge: merge the named branch into the current branch (always asks the user; if it stops on conflicts, git_status shows the conflicted files).",
+    version: "1.0.0",
+
+    riskLevel: "medium",
+
+    modes: {
+      assistant: true,
+      agent: true,
+      autonomous: true,
+    },
+
+    approval: {
+      assistant: "always",
+      agent: "batch",
+      autonomous: "none",
+      highRisk: "always",
+    },
+
+    constraints: {
+      maxExecutionsPerBatch: 10,
+      timeout: 30000,
+      retryable: false,
+      maxRetries: 1,
+    },
+
+    permissions: ["workspace.write", "git.write"],
+
+    rollback: {
+      supported: false,
+      strategy: null,
+    },
+
+    dependencies: [],
+
+    // Parameters schema for tool calling
+    parameters: {
+      type: "object",
+      properties: {
+        action: {
+          type: "string",
+          enum: ACTIONS,
+          description: "What to do",
+        },
+        name: {
+          type: "string",
+          description:
+            'Branch to create, switch to or merge (e.g., "feature/login")',
+        },
+        base: {
+          type: "string",
+          description: "create only: branch or commit to start from",
+        },
+        noFastForward: {
+          type: "boolean",
+          description: "merge only: always create a merge commit",
+        },
+        squash: {
+          type: "boolean",
+          description:
+            "merge only: squash the branch's changes into the index without committing",
+        },
+      },
+      required: ["action"],
+    },
+  };
+
+  constructor(context = {}) {
+    super(context);
+    this.gitOps = context.gitOps; // Inject existing gitOps service
+  }
+
+  /**
+   * Execute branch action
+   */
+  async execute(parameters, context = {}) {
+    const { action, name, base = null } = parameters;
+
+    // Validate parameters
+    const validation = this.validate(parameters);
+    if (!validation.valid) {
+      throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+    }
+
+    try {
+      switch (action) {
+        case "list": {
+          const { current, branches } = await this.gitOps.listBranches();
+          return {
+            success: true,
+            current,
+            branches,
+            message: `${branches.length} branch${
+              branches.length === 1 ? "" : "es"
+            }, on ${current}`,
+          };
+        }
+
+        case "create": {
+          const result = await this.gitOps.createBranch(name, base);
+          return {
+            success: true,
+            branch: result.name,
+            base: result.base,
+            message: `Created and switched to ${result.name}`,
+          };
+        }
+
+        case "switch": {
+          await this.gitOps.switchBranch(name);
+          return {
+            success: true,
+            branch: name,
+            message: `Switched to ${name}`,
+          };
+        }
+
+        case "merge": {
+          const result = await this.gitOps.mergeBranch(name, null, {
+            noFastForward: !!parameters.noFastForward,
+            squash: !!parameters.squash,
+          });
+          return {
+            success: true,
+            source: result.source,
+            target: result.target,
+            message: `Merged ${result.source} into ${result.target}`,
+          };
+        }
+      }
+    } catch (error) {
+      throw new Error(`Failed to ${action} branch: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate parameters
+   */
+  validate(parameters) {
+    const errors = [];
+
+    if (!this.gitOps) {
+      errors.push("Git operations not initialized");
+    }
+
+    if (!ACTIONS.includes(parameters.action)) {
+      errors.push(`action must be one of: ${ACTIONS.join(", ")}`);
+    } else if (parameters.action !== "list") {
+      const { name } = parameters;
+
+      if (typeof name !== "string" || !name) {
+        errors.push(
+          `Missing required parameter for ${parameters.action}: name`
+        );
+      } else if (name.startsWith("-")) {
+        errors.push('name cannot start with "-"');
+      } else if (
+        parameters.action === "create" &&
+        this.gitOps &&
+        !this.gitOps.isValidBranchName(name)
+      ) {
+        errors.push(`Invalid branch name: ${name}`);
+      }
+    }
+
+    if (parameters.base != null) {
+      if (typeof parameters.base !== "string" || !parameters.base) {
+        errors.push("base must be a non-empty string");
+      } else if (parameters.base.startsWith("-")) {
+        errors.push('base cannot start with "-"');
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Merges need approval whatever the mode says
+   */
+  requiresApproval(parameters) {
+    return parameters.action === "merge";
+  }
+}
+
+module.exports = GitBranchCapability;
@@ -0,0 +1,230 @@
+/**
+ * 🦊 NOX Git Commit Capability
+ *
+ * Commits staged changes, optionally staging files (or everything) first.
+ * Supports rollback by undoing the commit (the changes stay staged).
+ *
+ * @enterprise-grade Validation, no shell quoting, rollback support
+ */
+
+const path = require("path");
+const CapabilityBase = require("../base/CapabilityBase");
+
+class GitCommitCapability extends CapabilityBase {
+  static metadata = {
+    id: "git_commit",
+    name: "Git Commit",
+    category: "git",
+    description:
+      "Create a git commit. Stages the given files (or all changes with all=true) first; otherwise commits what is already staged. Write the message in the repository's style (check git_log).",
+    version: "1.0.0",
+
+    riskLevel: "medium",
+
+    modes: {
+      assistant: true,
+      agent: true,
+      autonomous: true,
+    },
+
+    approval: {
+      assistant: "always",
+      agent: "batch",
+      autonomous: "none",
+      highRisk: "always",
+    },
+
+    constraints: {
+      maxExecutionsPerBatch: 10,
+      timeout: 30000, // Commit hooks can take a while
+      retryable: false, // A retry would commit twice
+      maxRetries: 1,
+    },
+
+    permissions: ["workspace.write", "git.write"],
+
+    rollback: {
+      supported: true,
+      strategy: "compensating",
+    },
+
+    dependencies: [],
+
+    // Parameters schema for tool calling
+    parameters: {
+      type: "object",
+      properties: {
+        message: {
+          type: "string",
+          description:
+            "Commit message: a subject line, optionally followed by a blank line and a body",
+        },
+        files: {
+          type: "array",
+          items: { type: "string" },
+          description:
+            'Files to stage before committing, relative to workspace root (e.g., ["src/app.js"])',
+        },
+        all: {
+          type: "boolean",
+          description: "Stage all changes, including new files, first",
+        },
+      },
+      required: ["message"],
+    },
+  };
+
+  constructor(context = {}) {
+    super(context);
+    this.gitOps = context.gitOps; // Inject existing gitOps service
+  }
+
+  /**
+   * Execute git commit
+   */
+  async execute(parameters, context = {}) {
+    const { message, files = [], all = false } = parameters;
+
+    // Validate parameters
+    const validation = this.validate(parameters);
+    if (!validation.valid) {
+      throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+    }
+
+    try {
+      if (all) {
+        await this.gitOps.stageFiles([]);
+      } else if (files?.length > 0) {
+        await this.gitOps.stageFiles(files);
+      }
+
+      const status = await this.gitOps.getStatus();
+      if (!status.isRepo) {
+        throw new Error("The workspace is not a Git repository");
+      }
+      if (!status.hasStaged) {
+        throw new Error(
+          "Nothing is staged - pass files, or all=true to commit every change"
+        );
+      }
+
+      const committed = status.changes
+        .filter((change) => change.staged)
+        .map((change) => change.file);
+      const result = await this.gitOps.createCommit(message.trim());
+
+      return {
+        success: true,
+        hash: result.hash,
+        branch: status.branch,
+        files: committed,
+        message: `Committed ${committed.length} file${
+          committed.length === 1 ? "" : "s"
+        } as ${result.hash}`,
+      };
+    } catch (error) {
+      throw new Error(`Failed to commit: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate parameters
+   */
+  validate(parameters) {
+    const errors = [];
+
+    if (!this.gitOps) {
+      errors.push("Git operations not initialized");
+    }
+
+    if (typeof parameters.message !== "string" || !parameters.message.trim()) {
+      errors.push("Missing required parameter: message");
+    }
+
+    if (parameters.files != null) {
+      if (!Array.isArray(parameters.files)) {
+        errors.push("files must be an array");
+      } else {
+        for (const filePath of parameters.files) {
+          if (typeof filePath !== "string" || !filePath) {
+            errors.push("files must be non-empty strings");
+          } else if (filePath.includes("..")) {
+            errors.push('Path cannot contain ".." (path traversal)');
+          } else if (path.isAbsolute(filePath)) {
+            errors.push("Path must be relative to workspace root");
+          }
+        }
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Create rollback point
+   */
+  async createRollbackPoint(parameters) {
+    return {
+      type: "git_commit",
+      previousHead: await this.getHead(),
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Rollback git commit (undo it, keeping its changes staged)
+   */
+  async rollback(rollbackPoint) {
+    try {
+      const head = await this.getHead();
+      if (head === rollbackPoint.previousHead) {
+        return {
+          success: true,
+          message: "Nothing to roll back: no commit was made",
+        };
+      }
+
+      // Only undo our own commit, never someone else's history
+      const parent = await this.gitOps
+        .execGit(["rev-parse", "--verify", "--quiet", "HEAD^"])
+        .catch(() => null);
+      if (parent !== rollbackPoint.previousHead) {
+        throw new Error("HEAD has moved on since the commit");
+      }
+
+      if (rollbackPoint.previousHead) {
+        await this.gitOps.execGit([
+          "reset",
+          "--soft",
+          rollbackPoint.previousHead,
+        ]);
+      } else {
+        // First commit of the repository
+        await this.gitOps.execGit(["update-ref", "-d", "HEAD"]);
+      }
+
+      return {
+        success: true,
+        message: `Rolled back commit ${head.slice(0, 7)} (changes are still staged)`,
+      };
+    } catch (error) {
+      throw new Error(`Rollback failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Full hash of HEAD, null before the first commit
+   */
+  async getHead() {
+    try {
+      return await this.gitOps.execGit(["rev-parse", "--verify", "HEAD"]);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = GitCommitCapability;
@@ -0,0 +1,159 @@
+/**
+ * 🦊 NOX Git Diff Capability
+ *
+ * Shows unstaged or staged changes, or the changes since a commit or
+ * branch. Long diffs are cut off; the stat always lists every file.
+ * No approval required (read-only operation).
+ *
+ * @enterprise-grade Safe, bounded output, no side effects
+ */
+
+const path = require("path");
+const CapabilityBase = require("../base/CapabilityBase");
+
+// Diff text returned to the model
+const MAX_DIFF_CHARS = 20000;
+
+class GitDiffCapability extends CapabilityBase {
+  static metadata = {
+    id: "git_diff",
+    name: "Git Diff",
+    category: "git",
+    description: `Show a unified diff of uncommitted changes: unstaged by default, staged with staged=true, or everything since a commit or branch with ref. Untracked files are not included (see git_status). Diffs over ${MAX_DIFF_CHARS} characters are cut off - narrow them down with paths.`,
+    version: "1.0.0",
+
+    riskLevel: "low",
+
+    modes: {
+      assistant: true,
+      agent: true,
+      autonomous: true,
+    },
+
+    approval: {
+      assistant: "none",
+      agent: "none",
+      autonomous: "none",
+      highRisk: "none",
+    },
+
+    constraints: {
+      maxExecutionsPerBatch: 100,
+      timeout: 10000,
+      retryable: true,
+      maxRetries: 2,
+    },
+
+    permissions: ["workspace.read", "git.read"],
+
+    rollback: {
+      supported: false,
+      strategy: null,
+    },
+
+    dependencies: [],
+
+    // Parameters schema for tool calling
+    parameters: {
+      type: "object",
+      properties: {
+        staged: {
+          type: "boolean",
+          description: "Show staged changes (what the next commit contains)",
+        },
+        ref: {
+          type: "string",
+          description:
+            'Compare the working tree with this commit or branch (e.g., "HEAD~3", "main")',
+        },
+        paths: {
+          type: "array",
+          items: { type: "string" },
+          description:
+            'Only these files or folders, relative to workspace root (e.g., ["src/app.js"])',
+        },
+      },
+    },
+  };
+
+  constructor(context = {}) {
+    super(context);
+    this.gitOps = context.gitOps; // Inject existing gitOps service
+  }
+
+  /**
+   * Execute git diff
+   */
+  async execute(parameters = {}, context = {}) {
+    const { staged = false, ref = null, paths = [] } = parameters;
+
+    // Validate parameters
+    const validation = this.validate(parameters);
+    if (!validation.valid) {
+      throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+    }
+
+    try {
+      const { stat, diff } = await this.gitOps.getDiff({
+        staged: !!staged,
+        ref,
+        paths: paths || [],
+      });
+      const truncated = diff.length > MAX_DIFF_CHARS;
+
+      return {
+        success: true,
+        stat,
+        diff: truncated
+          ? `${diff.slice(0, MAX_DIFF_CHARS)}\n\n... [diff cut off at ${MAX_DIFF_CHARS} of ${diff.length} characters]`
+          : diff,
+        truncated,
+        message: diff ? `Diff: ${stat.split("\n").pop().trim()}` : "No changes",
+      };
+    } catch (error) {
+      throw new Error(`Failed to get git diff: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate parameters
+   */
+  validate(parameters) {
+    const errors = [];
+
+    if (!this.gitOps) {
+      errors.push("Git operations not initialized");
+    }
+
+    if (parameters.ref != null) {
+      if (typeof parameters.ref !== "string" || !parameters.ref) {
+        errors.push("ref must be a non-empty string");
+      } else if (parameters.ref.startsWith("-")) {
+        errors.push('ref cannot start with "-"');
+      }
+    }
+
+    if (parameters.paths != null) {
+      if (!Array.isArray(parameters.paths)) {
+        errors.push("paths must be an array");
+      } else {
+        for (const filePath of parameters.paths) {
+          if (typeof filePath !== "string" || !filePath) {
+            errors.push("paths must be non-empty strings");
+          } else if (filePath.includes("..")) {
+            errors.push('Path cannot contain ".." (path traversal)');
+          } else if (path.isAbsolute(filePath)) {
+            errors.push("Path must be relative to workspace root");
+          }
+        }
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+}
+
+module.exports = GitDiffCapability;
@@ -0,0 +1,159 @@
+/**
+ * 🦊 NOX Git Log Capability
+ *
+ * Lists recent commits, optionally for one branch or file.
+ * No approval required (read-only operation).
+ *
+ * @enterprise-grade Safe, bounded output, no side effects
+ */
+
+const path = require("path");
+const CapabilityBase = require("../base/CapabilityBase");
+
+const DEFAULT_MAX_COUNT = 10;
+const MAX_COUNT_LIMIT = 100;
+
+class GitLogCapability extends CapabilityBase {
+  static metadata = {
+    id: "git_log",
+    name: "Git Log",
+    category: "git",
+    description:
+      "List recent commits (hash, author, date, subject), newest first",
+    version: "1.0.0",
+
+    riskLevel: "low",
+
+    modes: {
+      assistant: true,
+      agent: true,
+      autonomous: true,
+    },
+
+    approval: {
+      assistant: "none",
+      agent: "none",
+      autonomous: "none",
+      highRisk: "none",
+    },
+
+    constraints: {
+      maxExecutionsPerBatch: 100,
+      timeout: 10000,
+      retryable: true,
+      maxRetries: 2,
+    },
+
+    permissions: ["workspace.read", "git.read"],
+
+    rollback: {
+      supported: false,
+      strategy: null,
+    },
+
+    dependencies: [],
+
+    // Parameters schema for tool calling
+    parameters: {
+      type: "object",
+      properties: {
+        maxCount: {
+          type: "number",
+          description: `How many commits to list (default ${DEFAULT_MAX_COUNT}, at most ${MAX_COUNT_LIMIT})`,
+        },
+        ref: {
+          type: "string",
+          description:
+            'Branch, tag or commit to start from (default: the current branch, e.g., "main")',
+        },
+        path: {
+          type: "string",
+          description:
+            'Only commits that changed this file or folder, relative to workspace root (e.g., "src/app.js")',
+        },
+      },
+    },
+  };
+
+  constructor(context = {}) {
+    super(context);
+    this.gitOps = context.gitOps; // Inject existing gitOps service
+  }
+
+  /**
+   * Execute git log
+   */
+  async execute(parameters = {}, context = {}) {
+    const { ref = null, path: filePath = null } = parameters;
+
+    // Validate parameters
+    const validation = this.validate(parameters);
+    if (!validation.valid) {
+      throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+    }
+
+    try {
+      const maxCount = Math.min(
+        Math.floor(parameters.maxCount || DEFAULT_MAX_COUNT),
+        MAX_COUNT_LIMIT
+      );
+      const commits = await this.gitOps.getLog({
+        maxCount,
+        ref,
+        path: filePath,
+      });
+
+      return {
+        success: true,
+        commits,
+        message: `${commits.length} commit${commits.length === 1 ? "" : "s"}`,
+      };
+    } catch (error) {
+      throw new Error(`Failed to get git log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate parameters
+   */
+  validate(parameters) {
+    const errors = [];
+
+    if (!this.gitOps) {
+      errors.push("Git operations not initialized");
+    }
+
+    if (
+      parameters.maxCount != null &&
+      !(typeof parameters.maxCount === "number" && parameters.maxCount >= 1)
+    ) {
+      errors.push("maxCount must be a number of at least 1");
+    }
+
+    if (parameters.ref != null) {
+      if (typeof parameters.ref !== "string" || !parameters.ref) {
+        errors.push("ref must be a non-empty string");
+      } else if (parameters.ref.startsWith("-")) {
+        errors.push('ref cannot start with "-"');
+      }
+    }
+
+    // Validate path format
+    if (parameters.path) {
+      if (parameters.path.includes("..")) {
+        errors.push('Path cannot contain ".." (path traversal)');
+      }
+
+      if (path.isAbsolute(parameters.path)) {
+        errors.push("Path must be relative to workspace root");
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+}
+
+module.exports = GitLogCapability;
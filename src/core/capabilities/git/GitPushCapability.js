@@ -0,0 +1,152 @@
+/**
+ * 🦊 NOX Git Push Capability
+ *
+ * Pushes a branch to a remote. Pushes are high risk and can't be taken
+ * back, so they always need approval, whatever the mode. Force pushes are
+ * not offered.
+ *
+ * @enterprise-grade Validation, no shell quoting, always approved by the user
+ */
+
+const CapabilityBase = require("../base/CapabilityBase");
+
+class GitPushCapability extends CapabilityBase {
+  static metadata = {
+    id: "git_push",
+    name: "Git Push",
+    category: "git",
+    description:
+      "Push a branch (default: the current one) to a remote (default: origin). Always asks the user first. Force pushes are not possible.",
+    version: "1.0.0",
+
+    riskLevel: "high",
+
+    modes: {
+      assistant: true,
+      agent: true,
+      autonomous: true,
+    },
+
+    approval: {
+      assistant: "always",
+      agent: "always",
+      autonomous: "always",
+      highRisk: "always",
+    },
+
+    constraints: {
+      maxExecutionsPerBatch: 1,
+      timeout: 60000,
+      retryable: true, // A push that failed (e.g. network) changed nothing
+      maxRetries: 2,
+    },
+
+    permissions: ["git.write", "network.push"],
+
+    rollback: {
+      supported: false,
+      strategy: null,
+    },
+
+    dependencies: [],
+
+    // Parameters schema for tool calling
+    parameters: {
+      type: "object",
+      properties: {
+        branch: {
+          type: "string",
+          description: "Branch to push (default: the current branch)",
+        },
+        remote: {
+          type: "string",
+          description: 'Remote to push to (default: "origin")',
+        },
+        setUpstream: {
+          type: "boolean",
+          description:
+            "Make the remote branch the upstream (for a branch that was never pushed)",
+        },
+      },
+    },
+  };
+
+  constructor(context = {}) {
+    super(context);
+    this.gitOps = context.gitOps; // Inject existing gitOps service
+  }
+
+  /**
+   * Execute git push
+   */
+  async execute(parameters = {}, context = {}) {
+    const {
+      branch = null,
+      remote = "origin",
+      setUpstream = false,
+    } = parameters;
+
+    // Validate parameters
+    const validation = this.validate(parameters);
+    if (!validation.valid) {
+      throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+    }
+
+    try {
+      const result = await this.gitOps.pushChanges(branch, {
+        remote: remote || "origin",
+        setUpstream: !!setUpstream,
+        force: false,
+      });
+
+      return {
+        success: true,
+        branch: result.branch,
+        remote: result.remote,
+        message: `Pushed ${result.branch} to ${result.remote}`,
+      };
+    } catch (error) {
+      throw new Error(`Failed to push: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate parameters
+   */
+  validate(parameters) {
+    const errors = [];
+
+    if (!this.gitOps) {
+      errors.push("Git operations not initialized");
+    }
+
+    for (const name of ["branch", "remote"]) {
+      const value = parameters[name];
+      if (value == null) {
+        continue;
+      }
+
+      if (typeof value !== "string" || !value) {
+        errors.push(`${name} must be a non-empty string`);
+      } else if (value.startsWith("-")) {
+        errors.push(`${name} cannot start with "-"`);
+      } else if (value.startsWith("+") || value.includes(":")) {
+        errors.push(`${name} must be a plain name (no refspecs)`);
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Pushes need approval whatever the mode says
+   */
+  requiresApproval(parameters) {
+    return true;
+  }
+}
+
+module.exports = GitPushCapability;
@@ -0,0 +1,109 @@
+/**
+ * 🦊 NOX Git Status Capability
+ *
+ * Reports the current branch, changed files and ahead/behind counts.
+ * No approval required (read-only operation).
+ *
+ * @enterprise-grade Safe, fast, no side effects
+ */
+
+const CapabilityBase = require("../base/CapabilityBase");
+
+class GitStatusCapability extends CapabilityBase {
+  static metadata = {
+    id: "git_status",
+    name: "Git Status",
+    category: "git",
+    description:
+      "Show the current git branch, changed files (staged, unstaged and untracked) and how far the branch is ahead of or behind its upstream",
+    version: "1.0.0",
+
+    riskLevel: "low",
+
+    modes: {
+      assistant: true,
+      agent: true,
+      autonomous: true,
+    },
+
+    approval: {
+      assistant: "none",
+      agent: "none",
+      autonomous: "none",
+      highRisk: "none",
+    },
+
+    constraints: {
+      maxExecutionsPerBatch: 100,
+      timeout: 10000,
+      retryable: true,
+      maxRetries: 2,
+    },
+
+    permissions: ["workspace.read", "git.read"],
+
+    rollback: {
+      supported: false,
+      strategy: null,
+    },
+
+    dependencies: [],
+
+    // Parameters schema for tool calling
+    parameters: {
+      type: "object",
+      properties: {},
+    },
+  };
+
+  constructor(context = {}) {
+    super(context);
+    this.gitOps = context.gitOps; // Inject existing gitOps service
+  }
+
+  /**
+   * Execute git status
+   */
+  async execute(parameters = {}, context = {}) {
+    // Validate parameters
+    const validation = this.validate(parameters);
+    if (!validation.valid) {
+      throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+    }
+
+    try {
+      const status = await this.gitOps.getStatus();
+      if (!status.isRepo) {
+        throw new Error("The workspace is not a Git repository");
+      }
+
+      return {
+        success: true,
+        ...status,
+        message: `${status.changes.length} changed file${
+          status.changes.length === 1 ? "" : "s"
+        } on ${status.branch}`,
+      };
+    } catch (error) {
+      throw new Error(`Failed to get git status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate parameters
+   */
+  validate(parameters) {
+    const errors = [];
+
+    if (!this.gitOps) {
+      errors.push("Git operations not initialized");
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+}
+
+module.exports = GitStatusCapability;
@@ -10,7 +10,19 @@ const CapabilityRegistry = require('./base/CapabilityRegistry');
 
 // Import all capabilities
 const FileReadCapability = require('./read/FileReadCapability');
+const SearchCodeCapability = require('./read/SearchCodeCapability');
+const ListFilesCapability = require('./read/ListFilesCapability');
 const FileCreateCapability = require('./write/FileCreateCapability');
+const FileEditCapability = require('./write/FileEditCapability');
+const FileDeleteCapability = require('./write/FileDeleteCapability');
+const FileMoveCapability = require('./write/FileMoveCapability');
+const RunCommandCapability = require('./terminal/RunCommandCapability');
+const GitStatusCapability = require('./git/GitStatusCapability');
+const GitDiffCapability = require('./git/GitDiffCapability');
+const GitLogCapability = require('./git/GitLogCapability');
+const GitCommitCapability = require('./git/GitCommitCapability');
+const GitBranchCapability = require('./git/GitBranchCapability');
+const GitPushCapability = require('./git/GitPushCapability');
 
 /**
  * Initialize and register all capabilities
@@ -28,16 +40,27 @@ function initializeCapabilities(context = {}) {
   
   // Register READ capabilities
   registry.register(FileReadCapability);
+  registry.register(SearchCodeCapability);
+  registry.register(ListFilesCapability);
   
   // Register WRITE capabilities
   registry.register(FileCreateCapability);
+  registry.register(FileEditCapability);
+  registry.register(FileDeleteCapability);
+  registry.register(FileMoveCapability);
+  
+  // Register TERMINAL capabilities
+  registry.register(RunCommandCapability);
+  
+  // Register GIT capabilities
+  registry.register(GitStatusCapability);
+  registry.register(GitDiffCapability);
+  registry.register(GitLogCapability);
+  registry.register(GitCommitCapability);
+  registry.register(GitBranchCapability);
+  registry.register(GitPushCapability);
   
   // TODO: Register more capabilities as we build them:
-  // - FileEditCapability
-  // - FileDeleteCapability
-  // - TerminalCommandCapability
-  // - GitCommitCapability
-  // - GitPushCapability
   // - WebSearchCapability
   // - CodeAnalysisCapability
   // - etc.
@@ -70,6 +93,18 @@ module.exports = {
   
   // Export individual capabilities (for direct import if needed)
   FileReadCapability,
-  FileCreateCapability
+  SearchCodeCapability,
+  ListFilesCapability,
+  FileCreateCapability,
+  FileEditCapability,
+  FileDeleteCapability,
+  FileMoveCapability,
+  RunCommandCapability,
+  GitStatusCapability,
+  GitDiffCapability,
+  GitLogCapability,
+  GitCommitCapability,
+  GitBranchCapability,
+  GitPushCapability
 };
 
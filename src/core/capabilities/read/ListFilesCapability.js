@@ -0,0 +1,204 @@
+/**
+ * 🦊 NOX List Files Capability
+ *
+ * Lists workspace files (with sizes) matching a glob. With maxDepth, the
+ * files below that depth are summarized as one entry per folder, giving an
+ * overview of an unfamiliar repository. Skips gitignored files and
+ * contextManager's exclusions.
+ * No approval required (read-only operation).
+ *
+ * @enterprise-grade Safe, bounded results, no side effects
+ */
+
+const vscode = require("vscode");
+const path = require("path");
+const CapabilityBase = require("../base/CapabilityBase");
+const WorkspaceFiles = require("./WorkspaceFiles");
+
+const MAX_LIMIT = 1000;
+
+class ListFilesCapability extends CapabilityBase {
+  static metadata = {
+    id: "list_files",
+    name: "List Files",
+    category: "read",
+    description:
+      "List files in the workspace with their sizes, optionally filtered by a glob. Start with maxDepth=1 or 2 to get an overview; deeper files are then shown as folder entries with a file count. Gitignored and excluded (node_modules, build output...) files are skipped.",
+    version: "1.0.0",
+
+    riskLevel: "low",
+
+    modes: {
+      assistant: true,
+      agent: true,
+      autonomous: true,
+    },
+
+    approval: {
+      assistant: "none",
+      agent: "none",
+      autonomous: "none",
+      highRisk: "none",
+    },
+
+    constraints: {
+      maxExecutionsPerBatch: 100,
+      timeout: 30000,
+      retryable: true,
+      maxRetries: 2,
+    },
+
+    permissions: ["workspace.read", "filesystem.read"],
+
+    rollback: {
+      supported: false,
+      strategy: null,
+    },
+
+    dependencies: [],
+
+    // Parameters schema for tool calling
+    parameters: {
+      type: "object",
+      properties: {
+        path: {
+          type: "string",
+          description:
+            "Folder to list, relative to workspace root (default: the whole workspace)",
+        },
+        pattern: {
+          type: "string",
+          description:
+            'Glob relative to path: "*.ts" matches at any depth, "src/**/*.test.js" matches full paths, "{a,b}" alternatives',
+        },
+        maxDepth: {
+          type: "integer",
+          description:
+            "Folder levels to show (1 = only the folder's own files); deeper files are summarized per folder",
+        },
+        limit: {
+          type: "integer",
+          description: `Maximum entries to return (1-${MAX_LIMIT}, default: 200)`,
+        },
+      },
+    },
+  };
+
+  constructor(context = {}) {
+    super(context);
+    this.contextManager = context.contextManager; // Inject existing contextManager service
+  }
+
+  /**
+   * Execute file listing
+   */
+  async execute(parameters = {}, context = {}) {
+    const {
+      path: folder = "",
+      pattern = null,
+      maxDepth = null,
+      limit = 200,
+    } = parameters;
+
+    // Validate parameters
+    const validation = this.validate(parameters);
+    if (!validation.valid) {
+      throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+    }
+
+    try {
+      const root = this.getWorkspaceRoot();
+      const result = await WorkspaceFiles.list(root, {
+        folder: folder || "",
+        pattern,
+        maxDepth,
+        limit: limit || 200,
+        isExcluded: this.getExclusions(root),
+      });
+
+      const where = folder ? ` in ${folder}` : "";
+      return {
+        success: true,
+        entries: result.entries,
+        total: result.total,
+        truncated: result.truncated,
+        message:
+          result.total > 0
+            ? `${result.total} file${result.total === 1 ? "" : "s"}${where}${
+                result.truncated
+                  ? ` (showing ${result.entries.length} entries)`
+                  : ""
+              }`
+            : `No files${where}${pattern ? ` matching ${pattern}` : ""}`,
+      };
+    } catch (error) {
+      throw new Error(`Failed to list files: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate parameters
+   */
+  validate(parameters) {
+    const errors = [];
+
+    if (parameters.path) {
+      if (parameters.path.includes("..")) {
+        errors.push('Path cannot contain ".." (path traversal)');
+      }
+
+      if (path.isAbsolute(parameters.path)) {
+        errors.push("Path must be relative to workspace root");
+      }
+    }
+
+    if (parameters.pattern != null && typeof parameters.pattern !== "string") {
+      errors.push("pattern must be a glob string");
+    }
+
+    if (
+      parameters.maxDepth != null &&
+      (!Number.isInteger(parameters.maxDepth) || parameters.maxDepth < 1)
+    ) {
+      errors.push("maxDepth must be a positive integer");
+    }
+
+    if (
+      parameters.limit != null &&
+      (!Number.isInteger(parameters.limit) ||
+        parameters.limit < 1 ||
+        parameters.limit > MAX_LIMIT)
+    ) {
+      errors.push(`limit must be an integer from 1 to ${MAX_LIMIT}`);
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Workspace root folder
+   */
+  getWorkspaceRoot() {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+      throw new Error("No workspace folder open");
+    }
+    return workspaceFolder.uri.fsPath;
+  }
+
+  /**
+   * contextManager's exclusion rules, for paths relative to root
+   */
+  getExclusions(root) {
+    if (!this.contextManager) {
+      return (name) => name === ".git" || name === "node_modules";
+    }
+    return (name, relativePath) =>
+      this.contextManager.shouldExclude(name, path.join(root, relativePath));
+  }
+}
+
+module.exports = ListFilesCapability;
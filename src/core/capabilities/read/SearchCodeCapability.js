@@ -0,0 +1,254 @@
+/**
+ * 🦊 NOX Search Code Capability
+ *
+ * Searches file contents across the workspace for literal text or a
+ * regular expression. Skips gitignored files, contextManager's exclusions,
+ * binary files and files over 1MB.
+ * No approval required (read-only operation).
+ *
+ * @enterprise-grade Safe, bounded results, no side effects
+ */
+
+const vscode = require("vscode");
+const path = require("path");
+const CapabilityBase = require("../base/CapabilityBase");
+const WorkspaceFiles = require("./WorkspaceFiles");
+
+const MAX_RESULTS = 200;
+const MAX_CONTEXT_LINES = 10;
+
+class SearchCodeCapability extends CapabilityBase {
+  static metadata = {
+    id: "search_code",
+    name: "Search Code",
+    category: "read",
+    description:
+      "Search file contents in the workspace, like grep. Returns matching lines with their file, line number and optional context lines. Use it to find where something is defined or used before reading files. Gitignored, excluded (node_modules, build output...) and binary files are skipped.",
+    version: "1.0.0",
+
+    riskLevel: "low",
+
+    modes: {
+      assistant: true,
+      agent: true,
+      autonomous: true,
+    },
+
+    approval: {
+      assistant: "none",
+      agent: "none",
+      autonomous: "none",
+      highRisk: "none",
+    },
+
+    constraints: {
+      maxExecutionsPerBatch: 100,
+      timeout: 30000,
+      retryable: true,
+      maxRetries: 2,
+    },
+
+    permissions: ["workspace.read", "filesystem.read"],
+
+    rollback: {
+      supported: false,
+      strategy: null,
+    },
+
+    dependencies: [],
+
+    // Parameters schema for tool calling
+    parameters: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description:
+            'Text to find (e.g., "handleToolCall"), or a JavaScript regular expression with regex=true',
+        },
+        regex: {
+          type: "boolean",
+          description:
+            'Treat query as a regular expression (e.g., "get(Status|Diff)\\(")',
+        },
+        caseSensitive: {
+          type: "boolean",
+          description: "Match case (default: false)",
+        },
+        path: {
+          type: "string",
+          description:
+            'Only search this folder, relative to workspace root (e.g., "src")',
+        },
+        include: {
+          type: "array",
+          items: { type: "string" },
+          description:
+            'Only files matching one of these globs, relative to path (e.g., ["*.js", "test/**"])',
+        },
+        exclude: {
+          type: "array",
+          items: { type: "string" },
+          description:
+            'Skip files matching one of these globs (e.g., ["*.test.js"])',
+        },
+        contextLines: {
+          type: "integer",
+          description: `Lines to show before and after each match (0-${MAX_CONTEXT_LINES}, default: 0)`,
+        },
+        maxResults: {
+          type: "integer",
+          description: `Maximum matching lines to return (1-${MAX_RESULTS}, default: 50)`,
+        },
+      },
+      required: ["query"],
+    },
+  };
+
+  constructor(context = {}) {
+    super(context);
+    this.contextManager = context.contextManager; // Inject existing contextManager service
+  }
+
+  /**
+   * Execute code search
+   */
+  async execute(parameters, context = {}) {
+    const {
+      query,
+      regex = false,
+      caseSensitive = false,
+      path: folder = "",
+      include = [],
+      exclude = [],
+      contextLines = 0,
+      maxResults = 50,
+    } = parameters;
+
+    // Validate parameters
+    const validation = this.validate(parameters);
+    if (!validation.valid) {
+      throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+    }
+
+    try {
+      const root = this.getWorkspaceRoot();
+      const result = await WorkspaceFiles.search(root, query, {
+        folder: folder || "",
+        regex: !!regex,
+        caseSensitive: !!caseSensitive,
+        include,
+        exclude,
+        contextLines: contextLines || 0,
+        maxResults: maxResults || 50,
+        isExcluded: this.getExclusions(root),
+      });
+
+      return {
+        success: true,
+        query,
+        matches: result.matches,
+        filesSearched: result.filesSearched,
+        filesMatched: result.filesMatched,
+        truncated: result.truncated,
+        message:
+          result.matches.length > 0
+            ? `Found ${result.matches.length}${
+                result.truncated ? "+" : ""
+              } match${result.matches.length === 1 ? "" : "es"} in ${
+                result.filesMatched
+              } file${result.filesMatched === 1 ? "" : "s"}`
+            : `No matches in ${result.filesSearched} files`,
+      };
+    } catch (error) {
+      throw new Error(`Failed to search for "${query}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate parameters
+   */
+  validate(parameters) {
+    const errors = [];
+
+    if (typeof parameters.query !== "string" || !parameters.query) {
+      errors.push("Missing required parameter: query");
+    } else if (parameters.regex) {
+      try {
+        new RegExp(parameters.query);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    if (parameters.path) {
+      if (parameters.path.includes("..")) {
+        errors.push('Path cannot contain ".." (path traversal)');
+      }
+
+      if (path.isAbsolute(parameters.path)) {
+        errors.push("Path must be relative to workspace root");
+      }
+    }
+
+    for (const name of ["include", "exclude"]) {
+      const globs = parameters[name];
+      if (
+        globs != null &&
+        (!Array.isArray(globs) ||
+          globs.some((glob) => typeof glob !== "string" || !glob))
+      ) {
+        errors.push(`${name} must be an array of non-empty glob strings`);
+      }
+    }
+
+    if (
+      parameters.contextLines != null &&
+      (!Number.isInteger(parameters.contextLines) ||
+        parameters.contextLines < 0 ||
+        parameters.contextLines > MAX_CONTEXT_LINES)
+    ) {
+      errors.push(
+        `contextLines must be an integer from 0 to ${MAX_CONTEXT_LINES}`
+      );
+    }
+
+    if (
+      parameters.maxResults != null &&
+      (!Number.isInteger(parameters.maxResults) ||
+        parameters.maxResults < 1 ||
+        parameters.maxResults > MAX_RESULTS)
+    ) {
+      errors.push(`maxResults must be an integer from 1 to ${MAX_RESULTS}`);
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Workspace root folder
+   */
+  getWorkspaceRoot() {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+      throw new Error("No workspace folder open");
+    }
+    return workspaceFolder.uri.fsPath;
+  }
+
+  /**
+   * contextManager's exclusion rules, for paths relative to root
+   */
+  getExclusions(root) {
+    if (!this.contextManager) {
+      return (name) => name === ".git" || name === "node_modules";
+    }
+    return (name, relativePath) =>
+      this.contextManager.shouldExclude(name, path.join(root, relativePath));
+  }
+}
+
+module.exports = SearchCodeCapability;
@@ -0,0 +1,393 @@
+/**
+ * 🦊 NOX Workspace Files
+ *
+ * Lists and searches workspace files for list_files and search_code.
+ * No VS Code dependencies, so it can be tested with plain node.
+ *
+ * - In a git repository the file list comes from `git ls-files`, so
+ *   .gitignore (nested ones too) is respected; otherwise folders are walked
+ * - isExcluded (contextManager's exclusion rules) is applied either way
+ * - Globs: * and ? stay within a folder, ** crosses folders, {a,b} and
+ *   [abc] work as usual. A glob without "/" matches the file name at any
+ *   depth ("*.test.js"); one with "/" matches the whole relative path
+ *
+ * @enterprise-grade Bounded scans, binary-safe, gitignore aware
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { execFile } = require("child_process");
+
+const MAX_FILES = 50000; // Stop scanning huge workspaces here
+const MAX_SEARCH_FILE_SIZE = 1024 * 1024; // Larger files are skipped
+const MAX_LINE_LENGTH = 300; // Longer lines are cut in results
+
+class WorkspaceFiles {
+  /**
+   * 📋 Files under a folder, without ignored and excluded ones
+   * @param {string} root - Workspace root (absolute)
+   * @param {Object} options - { folder (relative), isExcluded(name, relativePath), useGit }
+   * @returns {Promise<Object>} - { files: sorted paths relative to root, truncated, gitignore }
+   */
+  static async collect(
+    root,
+    { folder = "", isExcluded = () => false, useGit = true } = {}
+  ) {
+    const base = WorkspaceFiles.toPosix(folder).replace(/^\.?\/?|\/+$/g, "");
+
+    let files = useGit ? await WorkspaceFiles.gitFiles(root, base) : null;
+    const gitignore = files !== null;
+    if (!gitignore) {
+      files = await WorkspaceFiles.walk(root, base, isExcluded);
+    }
+
+    files = files.filter(
+      (file) => !WorkspaceFiles.isPathExcluded(file, isExcluded)
+    );
+    const truncated = files.length > MAX_FILES;
+
+    return {
+      files: files.sort().slice(0, MAX_FILES),
+      truncated,
+      gitignore,
+    };
+  }
+
+  /**
+   * 📂 List files matching a glob, collapsing everything below maxDepth
+   * into one entry per folder
+   * @param {Object} options - collect options, plus { pattern, maxDepth, limit }
+   * @returns {Promise<Object>} - { entries: [{ path, type, size | files }], total, truncated }
+   */
+  static async list(root, options = {}) {
+    const {
+      folder = "",
+      pattern = null,
+      maxDepth = null,
+      limit = 200,
+    } = options;
+    const { files, truncated } = await WorkspaceFiles.collect(root, options);
+    const prefix = WorkspaceFiles.prefixOf(folder);
+    const matches = WorkspaceFiles.matcher(pattern);
+
+    const entries = [];
+    const folders = new Map(); // path -> entry
+    let total = 0;
+
+    for (const file of files) {
+      const relative = file.slice(prefix.length);
+      if (matches && !matches(relative)) {
+        continue;
+      }
+      total++;
+
+      const segments = relative.split("/");
+      if (maxDepth && segments.length > maxDepth) {
+        const dir = `${prefix}${segments.slice(0, maxDepth).join("/")}/`;
+        if (!folders.has(dir)) {
+          const entry = { path: dir, type: "directory", files: 0 };
+          folders.set(dir, entry);
+          entries.push(entry);
+        }
+        folders.get(dir).files++;
+      } else {
+        entries.push({ path: file, type: "file", size: null });
+      }
+    }
+
+    const shown = entries.slice(0, limit);
+    await Promise.all(
+      shown
+        .filter((entry) => entry.type === "file")
+        .map(async (entry) => {
+          try {
+            entry.size = (await fs.stat(path.join(root, entry.path))).size;
+          } catch (error) {
+            // Deleted but still tracked - leave the size unknown
+          }
+        })
+    );
+
+    return {
+      entries: shown,
+      total,
+      truncated: truncated || entries.length > limit,
+    };
+  }
+
+  /**
+   * 🔍 Search file contents line by line
+   * @param {string} query - Literal text, or a regular expression with regex
+   * @param {Object} options - collect options, plus { regex, caseSensitive,
+   *   include, exclude (globs), contextLines, maxResults }
+   * @returns {Promise<Object>} - { matches: [{ path, line, column, text, before, after }],
+   *   filesSearched, filesMatched, truncated }
+   */
+  static async search(root, query, options = {}) {
+    const {
+      folder = "",
+      regex = false,
+      caseSensitive = false,
+      include = null,
+      exclude = null,
+      contextLines = 0,
+      maxResults = 50,
+    } = options;
+
+    const expression = new RegExp(
+      regex ? query : WorkspaceFiles.escapeRegExp(query),
+      caseSensitive ? "" : "i"
+    );
+    const included = WorkspaceFiles.matcher(include);
+    const excluded = WorkspaceFiles.matcher(exclude);
+    const prefix = WorkspaceFiles.prefixOf(folder);
+
+    const { files, truncated: scanTruncated } = await WorkspaceFiles.collect(
+      root,
+      options
+    );
+
+    const matches = [];
+    let filesSearched = 0;
+    let filesMatched = 0;
+    let truncated = scanTruncated;
+
+    for (const file of files) {
+      const relative = file.slice(prefix.length);
+      if (
+        (included && !included(relative)) ||
+        (excluded && excluded(relative))
+      ) {
+        continue;
+      }
+
+      const text = await WorkspaceFiles.readText(path.join(root, file));
+      if (text === null) {
+        continue;
+      }
+      filesSearched++;
+
+      const lines = text.split(/\r?\n/);
+      let matchedHere = false;
+      for (let index = 0; index < lines.length; index++) {
+        const column = lines[index].search(expression);
+        if (column === -1) {
+          continue;
+        }
+
+        if (matches.length >= maxResults) {
+          truncated = true;
+          break;
+        }
+
+        matchedHere = true;
+        matches.push({
+          path: file,
+          line: index + 1,
+          column: column + 1,
+          text: WorkspaceFiles.clip(lines[index]),
+          before: lines
+            .slice(Math.max(0, index - contextLines), index)
+            .map(WorkspaceFiles.clip),
+          after: lines
+            .slice(index + 1, index + 1 + contextLines)
+            .map(WorkspaceFiles.clip),
+        });
+      }
+
+      if (matchedHere) {
+        filesMatched++;
+      }
+      if (truncated && matches.length >= maxResults) {
+        break;
+      }
+    }
+
+    return { matches, filesSearched, filesMatched, truncated };
+  }
+
+  /**
+   * ✳️ Regular expression for a glob (see the header for the syntax)
+   */
+  static globToRegExp(glob) {
+    let source = "";
+    let groups = 0;
+
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+
+      if (char === "*") {
+        if (glob[i + 1] === "*") {
+          i++;
+          if (glob[i + 1] === "/") {
+            i++;
+            source += "(?:.*/)?"; // "**/" - any folders, or none
+          } else {
+            source += ".*";
+          }
+        } else {
+          source += "[^/]*";
+        }
+      } else if (char === "?") {
+        source += "[^/]";
+      } else if (char === "{") {
+        groups++;
+        source += "(?:";
+      } else if (char === "}" && groups > 0) {
+        groups--;
+        source += ")";
+      } else if (char === "," && groups > 0) {
+        source += "|";
+      } else if (char === "[" && glob.indexOf("]", i + 2) !== -1) {
+        const end = glob.indexOf("]", i + 2);
+        let set = glob.slice(i + 1, end);
+        if (set[0] === "!") {
+          set = `^${set.slice(1)}`;
+        }
+        source += `[${set.replace(/\\/g, "\\\\")}]`;
+        i = end;
+      } else {
+        source += WorkspaceFiles.escapeRegExp(char);
+      }
+    }
+
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Test for one glob or a list of globs (any may match), null for none
+   */
+  static matcher(globs) {
+    const list = (Array.isArray(globs) ? globs : [globs]).filter(Boolean);
+    if (list.length === 0) {
+      return null;
+    }
+    const tests = list.map((glob) => {
+      const normalized = WorkspaceFiles.toPosix(glob).replace(/^\.\//, "");
+      const expression = WorkspaceFiles.globToRegExp(normalized);
+      return normalized.includes("/")
+        ? (file) => expression.test(file)
+        : (file) => expression.test(file.slice(file.lastIndexOf("/") + 1));
+    });
+    return (file) => tests.some((test) => test(file));
+  }
+
+  // ============================================================================
+  // INTERNALS
+  // ============================================================================
+
+  /**
+   * Non-ignored files from git, null if this isn't a git repository
+   */
+  static gitFiles(root, base) {
+    return new Promise((resolve) => {
+      execFile(
+        "git",
+        [
+          "ls-files",
+          "-z",
+          "--cached",
+          "--others",
+          "--exclude-standard",
+          "--",
+          base || ".",
+        ],
+        { cwd: root, maxBuffer: 64 * 1024 * 1024 },
+        (error, stdout) => {
+          if (error) {
+            resolve(null);
+            return;
+          }
+          resolve([...new Set(stdout.split("\0").filter(Boolean))]);
+        }
+      );
+    });
+  }
+
+  /**
+   * Walk folders, skipping excluded ones (and symbolic links)
+   */
+  static async walk(root, base, isExcluded) {
+    const files = [];
+    const pending = [base];
+
+    while (pending.length > 0 && files.length <= MAX_FILES) {
+      const dir = pending.shift();
+      let entries;
+      try {
+        entries = await fs.readdir(path.join(root, dir), {
+          withFileTypes: true,
+        });
+      } catch (error) {
+        continue;
+      }
+
+      for (const entry of entries) {
+        const relative = dir ? `${dir}/${entry.name}` : entry.name;
+        if (isExcluded(entry.name, relative)) {
+          continue;
+        }
+        if (entry.isDirectory()) {
+          pending.push(relative);
+        } else if (entry.isFile()) {
+          files.push(relative);
+        }
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Whether any part of a relative path is excluded
+   */
+  static isPathExcluded(file, isExcluded) {
+    const segments = file.split("/");
+    return segments.some((segment, index) =>
+      isExcluded(segment, segments.slice(0, index + 1).join("/"))
+    );
+  }
+
+  /**
+   * File contents as text, null for binary, large or unreadable files
+   */
+  static async readText(fullPath) {
+    try {
+      const stats = await fs.stat(fullPath);
+      if (!stats.isFile() || stats.size > MAX_SEARCH_FILE_SIZE) {
+        return null;
+      }
+
+      const buffer = await fs.readFile(fullPath);
+      if (buffer.subarray(0, 8000).includes(0)) {
+        return null; // Binary
+      }
+      return buffer.toString("utf8");
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static prefixOf(folder) {
+    const base = WorkspaceFiles.toPosix(folder).replace(/^\.?\/?|\/+$/g, "");
+    return base ? `${base}/` : "";
+  }
+
+  static clip(line) {
+    return line.length > MAX_LINE_LENGTH
+      ? `${line.slice(0, MAX_LINE_LENGTH)}…`
+      : line;
+  }
+
+  static toPosix(filePath) {
+    return (filePath || "").replace(/\\/g, "/");
+  }
+
+  static escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+}
+
+WorkspaceFiles.MAX_FILES = MAX_FILES;
+
+module.exports = WorkspaceFiles;
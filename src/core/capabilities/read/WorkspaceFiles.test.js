@@ -0,0 +1,237 @@
+/**
+ * 🦊 NOX Workspace Files Tests
+ *
+ * Tests for WorkspaceFiles:
+ * - Globs match names at any depth, or whole paths
+ * - .gitignore and exclusion rules are respected
+ * - Deep files are summarized per folder with maxDepth
+ * - Search supports literal text, regular expressions, context lines,
+ *   include/exclude globs and result limits, and skips binary files
+ *
+ * Run with: node src/core/capabilities/read/WorkspaceFiles.test.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const WorkspaceFiles = require("./WorkspaceFiles.js");
+
+// Test runner
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.tests = [];
+  }
+
+  test(name, fn) {
+    this.tests.push({ name, fn });
+  }
+
+  async run() {
+    console.log("🦊 Running WorkspaceFiles Tests...\n");
+
+    for (const { name, fn } of this.tests) {
+      try {
+        await fn();
+        this.passed++;
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        this.failed++;
+        console.log(`❌ ${name}`);
+        console.log(`   Error: ${error.message}`);
+      }
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+}
+
+// Assertion helpers
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || "Assertion failed");
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+// Temporary workspace with the given files
+function createWorkspace(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "nox-files-"));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.join(root, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  }
+  return root;
+}
+
+function hasGit() {
+  try {
+    execFileSync("git", ["--version"], { stdio: "ignore" });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const excludeNodeModules = (name) => name === "node_modules";
+const exclude = (name) => name === "node_modules" || name === "ignored";
+
+const workspace = createWorkspace({
+  "README.md": "# Demo\n",
+  "src/app.js": "const a = 1;\nfunction start() {\n  return a;\n}\n",
+  "src/lib/util.js": "// TODO: tidy up\nexport function helper() {}\n",
+  "src/lib/util.test.js": "helper();\n",
+  "src/lib/deep/more.js": "function start() {}\n",
+  "docs/sitemap.xml": "<urlset/>\n",
+  "image.png": Buffer.from([137, 80, 78, 71, 0, 0, 0, 13, 0]),
+  "node_modules/pkg/index.js": "function start() {}\n",
+  "ignored/out.js": "function start() {}\n",
+  ".gitignore": "ignored/\n",
+});
+
+// Create test runner
+const runner = new TestRunner();
+
+// Test 1: Glob matching
+runner.test("globs match names at any depth, or whole paths", () => {
+  const match = (glob, file) => WorkspaceFiles.matcher(glob)(file);
+
+  assert(match("*.js", "src/lib/util.js"), "*.js should match at any depth");
+  assert(!match("*.js", "src/lib/util.json"), "*.js matched util.json");
+  assert(match("src/**/*.js", "src/app.js"), "** should match no folders");
+  assert(match("src/**/*.js", "src/lib/deep/more.js"), "** across folders");
+  assert(!match("src/*.js", "src/lib/util.js"), "* crossed a folder");
+  assert(match("*.{js,md}", "README.md"), "{a,b} alternatives");
+  assert(match("util.[jt]s", "src/lib/util.ts"), "[abc] sets");
+  assert(!match("*.map", "docs/sitemap.xml"), "Globs must be anchored");
+  assert(match(["*.md", "*.xml"], "docs/sitemap.xml"), "Any glob may match");
+});
+
+// Test 2: Ignored and excluded files
+runner.test("skips gitignored and excluded files", async () => {
+  const { files } = await WorkspaceFiles.collect(workspace, {
+    isExcluded: excludeNodeModules,
+    useGit: false,
+  });
+  assert(files.includes("src/lib/deep/more.js"), "Deep file missing");
+  assert(!files.some((file) => file.startsWith("node_modules/")), "Excluded");
+
+  if (hasGit()) {
+    execFileSync("git", ["init", "-q"], { cwd: workspace });
+    const result = await WorkspaceFiles.collect(workspace, {
+      isExcluded: excludeNodeModules,
+    });
+    assertEqual(result.gitignore, true);
+    assert(!result.files.includes("ignored/out.js"), "Gitignored file listed");
+    assert(result.files.includes("src/app.js"), "Untracked file missing");
+    assert(!result.files.some((file) => file.startsWith(".git/")), ".git");
+  }
+});
+
+// Test 3: Listing with a depth limit
+runner.test("summarizes files below maxDepth per folder", async () => {
+  const { entries, total } = await WorkspaceFiles.list(workspace, {
+    folder: "src",
+    maxDepth: 1,
+    isExcluded: exclude,
+  });
+
+  assertEqual(total, 4);
+  assertEqual(entries.length, 2);
+  assertEqual(entries[0].path, "src/app.js");
+  assertEqual(entries[0].size, 46);
+  assertEqual(entries[1].path, "src/lib/");
+  assertEqual(entries[1].type, "directory");
+  assertEqual(entries[1].files, 3);
+});
+
+// Test 4: Listing with a pattern and a limit
+runner.test("filters by pattern and respects the limit", async () => {
+  const result = await WorkspaceFiles.list(workspace, {
+    pattern: "*.js",
+    limit: 2,
+    isExcluded: exclude,
+  });
+
+  assertEqual(result.total, 4);
+  assertEqual(result.entries.length, 2);
+  assertEqual(result.truncated, true);
+});
+
+// Test 5: Literal search with context
+runner.test("finds literal text with context lines", async () => {
+  const result = await WorkspaceFiles.search(workspace, "START(", {
+    contextLines: 1,
+    isExcluded: exclude,
+  });
+
+  assertEqual(result.matches.length, 2);
+  const [first] = result.matches;
+  assertEqual(first.path, "src/app.js");
+  assertEqual(first.line, 2);
+  assertEqual(first.column, 10);
+  assertEqual(first.before.join("|"), "const a = 1;");
+  assertEqual(first.after.join("|"), "  return a;");
+  assertEqual(result.filesMatched, 2);
+});
+
+// Test 6: Regular expressions, globs and limits
+runner.test(
+  "supports regex, include/exclude globs and maxResults",
+  async () => {
+    const regex = await WorkspaceFiles.search(
+      workspace,
+      "^export\\s+function",
+      {
+        regex: true,
+        caseSensitive: true,
+        isExcluded: exclude,
+      }
+    );
+    assertEqual(regex.matches.length, 1);
+    assertEqual(regex.matches[0].path, "src/lib/util.js");
+
+    const unfiltered = await WorkspaceFiles.search(workspace, "helper", {
+      include: [],
+      exclude: [],
+      isExcluded: exclude,
+    });
+    assertEqual(unfiltered.matches.length, 2);
+
+    const filtered = await WorkspaceFiles.search(workspace, "helper", {
+      include: ["src/**"],
+      exclude: ["*.test.js"],
+      isExcluded: exclude,
+    });
+    assertEqual(filtered.matches.length, 1);
+
+    const limited = await WorkspaceFiles.search(workspace, "function", {
+      maxResults: 1,
+      isExcluded: exclude,
+    });
+    assertEqual(limited.matches.length, 1);
+    assertEqual(limited.truncated, true);
+  }
+);
+
+// Test 7: Binary files
+runner.test("skips binary files", async () => {
+  const result = await WorkspaceFiles.search(workspace, "PNG", {
+    isExcluded: exclude,
+  });
+  assertEqual(result.matches.length, 0);
+});
+
+// Run all tests
+runner.run().then((success) => {
+  fs.rmSync(workspace, { recursive: true, force: true });
+  process.exit(success ? 0 : 1);
+});
@@ -0,0 +1,170 @@
+/**
+ * 🦊 NOX Command Runner
+ *
+ * Runs a shell command in a child process and captures what it prints.
+ * No VS Code dependencies, so it can be tested with plain node.
+ *
+ * - stdout and stderr are captured separately, each up to maxOutput
+ *   characters; past that the start and the end are kept (the end of a test
+ *   or build run is usually the part that matters)
+ * - Output is also handed to onOutput as it arrives, for live display
+ * - After timeout the whole process tree is killed
+ *
+ * @enterprise-grade Bounded memory, timeouts, process tree cleanup
+ */
+
+const { spawn } = require("child_process");
+
+const DEFAULT_TIMEOUT = 120000; // 2 minutes
+const DEFAULT_MAX_OUTPUT = 20000; // characters per stream
+const KILL_GRACE_PERIOD = 2000; // SIGTERM first, SIGKILL after this
+
+class CommandRunner {
+  /**
+   * ▶️ Run a command and wait for it to finish
+   * @param {string} command - Shell command line
+   * @param {Object} options - { cwd, env, timeout (ms), maxOutput (characters per stream), onOutput(text, stream) }
+   * @returns {Promise<Object>} - { exitCode, signal, timedOut, stdout, stderr, truncated, durationMs }
+   */
+  static run(command, options = {}) {
+    const {
+      cwd = process.cwd(),
+      env = process.env,
+      timeout = DEFAULT_TIMEOUT,
+      maxOutput = DEFAULT_MAX_OUTPUT,
+      onOutput = null,
+    } = options;
+
+    return new Promise((resolve, reject) => {
+      const startTime = Date.now();
+      const output = {
+        stdout: new CappedOutput(maxOutput),
+        stderr: new CappedOutput(maxOutput),
+      };
+
+      let child;
+      try {
+        child = spawn(command, {
+          cwd,
+          env,
+          shell: true,
+          windowsHide: true,
+          // Own process group, so a timeout can kill everything it started
+          detached: process.platform !== "win32",
+        });
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      let timedOut = false;
+      let killTimer = null;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        CommandRunner.kill(child, "SIGTERM");
+        killTimer = setTimeout(
+          () => CommandRunner.kill(child, "SIGKILL"),
+          KILL_GRACE_PERIOD
+        );
+      }, timeout);
+
+      for (const stream of ["stdout", "stderr"]) {
+        child[stream].setEncoding("utf8");
+        child[stream].on("data", (text) => {
+          output[stream].append(text);
+          if (onOutput) {
+            try {
+              onOutput(text, stream);
+            } catch (error) {
+              // A broken display shouldn't stop the command
+            }
+          }
+        });
+      }
+
+      child.on("error", (error) => {
+        clearTimeout(timer);
+        clearTimeout(killTimer);
+        reject(error);
+      });
+
+      child.on("close", (exitCode, signal) => {
+        clearTimeout(timer);
+        clearTimeout(killTimer);
+        resolve({
+          exitCode,
+          signal,
+          timedOut,
+          stdout: output.stdout.toString(),
+          stderr: output.stderr.toString(),
+          truncated: output.stdout.truncated || output.stderr.truncated,
+          durationMs: Date.now() - startTime,
+        });
+      });
+    });
+  }
+
+  /**
+   * Stop a child process and everything it started
+   */
+  static kill(child, signal) {
+    if (child.exitCode !== null || child.signalCode !== null) {
+      return;
+    }
+
+    try {
+      if (process.platform === "win32") {
+        spawn("taskkill", ["/pid", String(child.pid), "/T", "/F"], {
+          windowsHide: true,
+        });
+      } else {
+        process.kill(-child.pid, signal);
+      }
+    } catch (error) {
+      // Already gone
+    }
+  }
+}
+
+/**
+ * Text buffer that keeps the first and last maxLength / 2 characters
+ */
+class CappedOutput {
+  constructor(maxLength) {
+    this.headLength = Math.ceil(maxLength / 2);
+    this.tailLength = Math.floor(maxLength / 2);
+    this.head = "";
+    this.tail = "";
+    this.omitted = 0;
+  }
+
+  get truncated() {
+    return this.omitted > 0;
+  }
+
+  append(text) {
+    if (this.head.length < this.headLength) {
+      const room = this.headLength - this.head.length;
+      this.head += text.slice(0, room);
+      text = text.slice(room);
+    }
+
+    this.tail += text;
+    if (this.tail.length > this.tailLength) {
+      this.omitted += this.tail.length - this.tailLength;
+      this.tail = this.tail.slice(this.tail.length - this.tailLength);
+    }
+  }
+
+  toString() {
+    if (!this.truncated) {
+      return this.head + this.tail;
+    }
+    return `${this.head}\n\n... [${this.omitted} characters omitted] ...\n\n${this.tail}`;
+  }
+}
+
+CommandRunner.DEFAULT_TIMEOUT = DEFAULT_TIMEOUT;
+CommandRunner.DEFAULT_MAX_OUTPUT = DEFAULT_MAX_OUTPUT;
+
+module.exports = CommandRunner;
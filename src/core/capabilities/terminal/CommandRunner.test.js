@@ -0,0 +1,150 @@
+/**
+ * 🦊 NOX Command Runner Tests
+ *
+ * Tests for CommandRunner:
+ * - stdout, stderr and the exit code are captured
+ * - Output is streamed to onOutput as it arrives
+ * - Long output keeps its start and end
+ * - Commands are killed after the timeout
+ *
+ * Run with: node src/core/capabilities/terminal/CommandRunner.test.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CommandRunner = require("./CommandRunner.js");
+
+// Test runner
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.tests = [];
+  }
+
+  test(name, fn) {
+    this.tests.push({ name, fn });
+  }
+
+  async run() {
+    console.log("🦊 Running CommandRunner Tests...\n");
+
+    for (const { name, fn } of this.tests) {
+      try {
+        await fn();
+        this.passed++;
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        this.failed++;
+        console.log(`❌ ${name}`);
+        console.log(`   Error: ${error.message}`);
+      }
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+}
+
+// Assertion helpers
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || "Assertion failed");
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+// Shell command that runs a node script
+function nodeCommand(script) {
+  return `"${process.execPath}" -e ${JSON.stringify(script)}`;
+}
+
+// Create test runner
+const runner = new TestRunner();
+
+// Test 1: Exit code and both streams
+runner.test("captures stdout, stderr and the exit code", async () => {
+  const result = await CommandRunner.run(
+    nodeCommand(
+      "console.log('out'); console.error('err'); process.exitCode = 3"
+    )
+  );
+
+  assertEqual(result.exitCode, 3);
+  assertEqual(result.stdout.trim(), "out");
+  assertEqual(result.stderr.trim(), "err");
+  assertEqual(result.timedOut, false);
+  assertEqual(result.truncated, false);
+});
+
+// Test 2: Working directory
+runner.test("runs in the given working directory", async () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), "nox-runner-test-"));
+  try {
+    const result = await CommandRunner.run(
+      nodeCommand("console.log(process.cwd())"),
+      { cwd }
+    );
+    assertEqual(fs.realpathSync(result.stdout.trim()), fs.realpathSync(cwd));
+    assertEqual(result.exitCode, 0);
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
+
+// Test 3: Live output
+runner.test("streams output to onOutput", async () => {
+  const chunks = [];
+  await CommandRunner.run(
+    nodeCommand("console.log('one'); console.error('two')"),
+    { onOutput: (text, stream) => chunks.push({ text, stream }) }
+  );
+
+  const streamed = (stream) =>
+    chunks
+      .filter((chunk) => chunk.stream === stream)
+      .map((chunk) => chunk.text)
+      .join("");
+  assertEqual(streamed("stdout").trim(), "one");
+  assertEqual(streamed("stderr").trim(), "two");
+});
+
+// Test 4: Output cap
+runner.test("long output keeps its start and end", async () => {
+  const result = await CommandRunner.run(
+    nodeCommand("for (let i = 0; i < 2000; i++) console.log('line ' + i)"),
+    { maxOutput: 200 }
+  );
+
+  assert(result.truncated, "Output not marked as truncated");
+  assert(result.stdout.startsWith("line 0\n"), "Start of output missing");
+  assert(result.stdout.trimEnd().endsWith("line 1999"), "End missing");
+  assert(/\[\d+ characters omitted\]/.test(result.stdout), "No marker");
+  assert(result.stdout.length < 300, `Too long: ${result.stdout.length}`);
+  assertEqual(result.stderr, "");
+});
+
+// Test 5: Timeout
+runner.test("commands are killed after the timeout", async () => {
+  const started = Date.now();
+  const result = await CommandRunner.run(
+    nodeCommand("console.log('started'); setTimeout(() => {}, 60000)"),
+    { timeout: 500 }
+  );
+
+  assertEqual(result.timedOut, true);
+  assert(result.exitCode !== 0, "Killed command reported success");
+  assertEqual(result.stdout.trim(), "started");
+  assert(Date.now() - started < 10000, "Command was not killed in time");
+});
+
+// Run all tests
+runner.run().then((success) => {
+  process.exit(success ? 0 : 1);
+});
@@ -0,0 +1,227 @@
+/**
+ * 🦊 NOX Run Command Capability
+ *
+ * Runs a shell command in the workspace and returns its exit code and
+ * output, so the model can tell whether e.g. `npm test` passed.
+ * Output is shown live in the chat and in the "NOX Commands" terminal.
+ *
+ * Risk checks go through TerminalManager: validateCommand blocks dangerous
+ * commands, requiresApproval forces approval (restricted commands, autonomy
+ * settings) even in modes that wouldn't ask.
+ *
+ * @enterprise-grade Safety validation, timeouts, bounded output
+ */
+
+const vscode = require("vscode");
+const fs = require("fs").promises;
+const path = require("path");
+const CapabilityBase = require("../base/CapabilityBase");
+const CommandRunner = require("./CommandRunner");
+
+class RunCommandCapability extends CapabilityBase {
+  static metadata = {
+    id: "run_command",
+    name: "Run Command",
+    category: "terminal",
+    description:
+      "Run a shell command in the workspace (e.g. tests, builds, linters) and get its exit code, stdout and stderr. Long output is shortened to its start and end. Commands that wait for input or never exit (watch modes, dev servers) are stopped at the timeout.",
+    version: "1.0.0",
+
+    riskLevel: "high",
+
+    modes: {
+      assistant: true,
+      agent: true,
+      autonomous: true,
+    },
+
+    approval: {
+      assistant: "always",
+      agent: "always",
+      autonomous: "none",
+      highRisk: "always",
+    },
+
+    constraints: {
+      maxExecutionsPerBatch: 10,
+      timeout: CommandRunner.DEFAULT_TIMEOUT,
+      retryable: false, // Commands may have side effects
+      maxRetries: 1,
+    },
+
+    permissions: ["terminal.execute"],
+
+    rollback: {
+      supported: false,
+      strategy: null,
+    },
+
+    dependencies: [],
+
+    // Parameters schema for tool calling
+    parameters: {
+      type: "object",
+      properties: {
+        command: {
+          type: "string",
+          description: 'Shell command to run (e.g., "npm test")',
+        },
+        cwd: {
+          type: "string",
+          description:
+            'Folder to run in, relative to workspace root (default: the root, e.g., "packages/api")',
+        },
+        timeout: {
+          type: "number",
+          description:
+            "Seconds to wait before the command is stopped (at most the nox.tools.commandTimeout setting)",
+        },
+      },
+      required: ["command"],
+    },
+  };
+
+  constructor(context = {}) {
+    super(context);
+    this.terminalManager = context.terminalManager; // Inject existing terminal manager
+  }
+
+  /**
+   * Execute command
+   * @param {Object} context - { onOutput(text, stream): live output }
+   */
+  async execute(parameters, context = {}) {
+    const { command } = parameters;
+    const cwd = parameters.cwd || ".";
+
+    // Validate parameters (includes the safety check)
+    const validation = this.validate(parameters);
+    if (!validation.valid) {
+      throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+    }
+
+    const config = vscode.workspace.getConfiguration("nox");
+    const maxTimeout = config.get("tools.commandTimeout", 120);
+    const timeout = Math.min(parameters.timeout || maxTimeout, maxTimeout);
+    const maxOutput = config.get(
+      "tools.maxCommandOutput",
+      CommandRunner.DEFAULT_MAX_OUTPUT
+    );
+
+    const output = this.terminalManager.getOutputTerminal();
+    output.write(`\n$ ${command}\n`);
+
+    let result;
+    try {
+      const workingDirectory = this.resolvePath(cwd);
+      if (!(await fs.stat(workingDirectory).catch(() => null))?.isDirectory()) {
+        throw new Error(`Folder not found: ${cwd}`);
+      }
+
+      result = await CommandRunner.run(command, {
+        cwd: workingDirectory,
+        timeout: timeout * 1000,
+        maxOutput,
+        onOutput: (text, stream) => {
+          output.write(text);
+          context.onOutput?.(text, stream);
+        },
+      });
+    } catch (error) {
+      this.terminalManager.addToHistory(command, "failed", error.message);
+      output.write(`\n✖ ${error.message}\n`);
+      throw new Error(`Failed to run ${command}: ${error.message}`);
+    }
+
+    const summary = result.timedOut
+      ? `Stopped after ${timeout}s timeout`
+      : `Exited with code ${result.exitCode}`;
+    output.write(`\n${result.exitCode === 0 ? "✔" : "✖"} ${summary}\n`);
+    this.terminalManager.addToHistory(
+      command,
+      result.exitCode === 0 ? "completed" : "failed",
+      result.exitCode === 0 ? null : summary
+    );
+
+    return {
+      success: true,
+      command,
+      cwd,
+      exitCode: result.exitCode,
+      timedOut: result.timedOut,
+      stdout: result.stdout,
+      stderr: result.stderr,
+      truncated: result.truncated,
+      durationMs: result.durationMs,
+      message: `${command}: ${summary}`,
+    };
+  }
+
+  /**
+   * Validate parameters
+   */
+  validate(parameters) {
+    const errors = [];
+
+    if (!this.terminalManager) {
+      errors.push("Terminal manager not initialized");
+    }
+
+    if (!parameters.command) {
+      errors.push("Missing required parameter: command");
+    } else if (this.terminalManager) {
+      try {
+        this.terminalManager.validateCommand(parameters.command);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    // Validate path format
+    if (parameters.cwd) {
+      if (parameters.cwd.includes("..")) {
+        errors.push('cwd cannot contain ".." (path traversal)');
+      }
+
+      if (path.isAbsolute(parameters.cwd)) {
+        errors.push("cwd must be relative to workspace root");
+      }
+    }
+
+    if (
+      parameters.timeout != null &&
+      !(typeof parameters.timeout === "number" && parameters.timeout > 0)
+    ) {
+      errors.push("timeout must be a positive number of seconds");
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Whether this command needs approval whatever the mode says
+   */
+  requiresApproval(parameters) {
+    if (!this.terminalManager) {
+      return true;
+    }
+    return this.terminalManager.requiresApproval(parameters.command || "");
+  }
+
+  /**
+   * Absolute path of a workspace-relative path
+   */
+  resolvePath(filePath) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+      throw new Error("No workspace folder open");
+    }
+
+    return path.join(workspaceFolder.uri.fsPath, filePath);
+  }
+}
+
+module.exports = RunCommandCapability;
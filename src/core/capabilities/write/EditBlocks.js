@@ -0,0 +1,256 @@
+/**
+ * ✂️ EDIT BLOCKS
+ *
+ * Applies file_edit edits to a file's text, all or nothing.
+ *
+ * Features:
+ * - Search/replace blocks: the search text must match exactly once
+ * - Line-range edits: replace lines startLine..endLine (1-based, inclusive),
+ *   or insert before startLine with endLine = startLine - 1
+ * - Every edit refers to the original text, so edits don't shift each
+ *   other's line numbers; overlapping edits are rejected
+ * - Keeps the file's line endings (CRLF files stay CRLF)
+ */
+
+class EditBlocks {
+  /**
+   * 🔍 Check the shape of a list of edits
+   * @param {Array<Object>} edits - { search, replace } or { startLine, endLine, content }
+   * @returns {Array<string>} - Errors (empty when valid)
+   */
+  static validate(edits) {
+    if (!Array.isArray(edits) || edits.length === 0) {
+      return ["edits must be a non-empty array"];
+    }
+
+    const errors = [];
+    edits.forEach((edit, index) => {
+      const label = `Edit ${index + 1}`;
+      if (!edit || typeof edit !== "object") {
+        errors.push(`${label}: must be an object`);
+        return;
+      }
+
+      // Models often send null for the fields they don't use
+      const isBlock = edit.search != null;
+      const isRange = edit.startLine != null || edit.endLine != null;
+
+      if (isBlock === isRange) {
+        errors.push(
+          `${label}: use either search/replace or startLine/endLine/content`
+        );
+      } else if (isBlock) {
+        if (typeof edit.search !== "string" || edit.search === "") {
+          errors.push(`${label}: search must be a non-empty string`);
+        }
+        if (typeof edit.replace !== "string") {
+          errors.push(`${label}: replace must be a string`);
+        }
+      } else {
+        if (!Number.isInteger(edit.startLine) || edit.startLine < 1) {
+          errors.push(`${label}: startLine must be a line number (from 1)`);
+        }
+        if (
+          !Number.isInteger(edit.endLine) ||
+          edit.endLine < edit.startLine - 1
+        ) {
+          errors.push(
+            `${label}: endLine must be at least startLine - 1 (startLine - 1 inserts)`
+          );
+        }
+        if (typeof edit.content !== "string") {
+          errors.push(`${label}: content must be a string`);
+        }
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * ✂️ Apply edits to a text
+   * @param {string} text - Current file content
+   * @param {Array<Object>} edits - Validated edits
+   * @returns {Object} - { content, additions, deletions } (lines written
+   *   and lines replaced)
+   * @throws {Error} - When a search text is missing or ambiguous, a line
+   *   range is outside the file, or two edits overlap
+   */
+  static apply(text, edits) {
+    const errors = EditBlocks.validate(edits);
+    if (errors.length > 0) {
+      throw new Error(errors.join("; "));
+    }
+
+    const eol = text.includes("\r\n") ? "\r\n" : "\n";
+    const lineStarts = EditBlocks.lineStarts(text, eol);
+
+    const changes = edits.map((edit, index) =>
+      edit.search != null
+        ? EditBlocks.locateBlock(text, edit, index, eol, lineStarts)
+        : EditBlocks.locateRange(text, edit, index, eol, lineStarts)
+    );
+
+    // Overlap check on the original offsets (insertions may share a point)
+    const ordered = [...changes].sort(
+      (a, b) => a.start - b.start || a.end - b.end || a.index - b.index
+    );
+    for (let i = 1; i < ordered.length; i++) {
+      if (ordered[i].start < ordered[i - 1].end) {
+        throw new Error(
+          `Edit ${ordered[i - 1].index + 1} and edit ${
+            ordered[i].index + 1
+          } overlap - combine them into one edit`
+        );
+      }
+    }
+
+    // Apply back to front so earlier offsets stay valid
+    let content = text;
+    let additions = 0;
+    let deletions = 0;
+    for (const change of ordered.reverse()) {
+      const removed = text.slice(change.start, change.end);
+      content =
+        content.slice(0, change.start) +
+        change.text +
+        content.slice(change.end);
+      additions += EditBlocks.countLines(change.text, eol);
+      deletions += EditBlocks.countLines(removed, eol);
+    }
+
+    return { content, additions, deletions };
+  }
+
+  /**
+   * 🔎 Find the single place a search text matches
+   */
+  static locateBlock(text, edit, index, eol, lineStarts) {
+    const search = EditBlocks.withEol(edit.search, eol);
+    const matches = [];
+    for (
+      let at = text.indexOf(search);
+      at !== -1;
+      at = text.indexOf(search, at + 1)
+    ) {
+      matches.push(at);
+    }
+
+    if (matches.length === 0) {
+      throw new Error(
+        `Edit ${
+          index + 1
+        }: search text not found. It must match the file exactly, including whitespace and indentation - read the file again and copy the lines to change`
+      );
+    }
+    if (matches.length > 1) {
+      const lines = matches.map((at) => EditBlocks.lineAt(lineStarts, at));
+      throw new Error(
+        `Edit ${index + 1}: search text matches ${
+          matches.length
+        } places (lines ${lines.join(
+          ", "
+        )}). Include more surrounding lines so it matches exactly once`
+      );
+    }
+
+    return {
+      index,
+      start: matches[0],
+      end: matches[0] + search.length,
+      text: EditBlocks.withEol(edit.replace, eol),
+    };
+  }
+
+  /**
+   * 📏 Turn a line range into offsets
+   */
+  static locateRange(text, edit, index, eol, lineStarts) {
+    // A trailing newline doesn't start another line
+    const lineCount =
+      text === "" ? 0 : lineStarts.length - (text.endsWith(eol) ? 1 : 0);
+
+    if (edit.startLine > lineCount + 1) {
+      throw new Error(
+        `Edit ${index + 1}: startLine ${
+          edit.startLine
+        } is past the end of the file (${lineCount} lines)`
+      );
+    }
+    if (edit.endLine > lineCount) {
+      throw new Error(
+        `Edit ${index + 1}: endLine ${
+          edit.endLine
+        } is past the end of the file (${lineCount} lines)`
+      );
+    }
+
+    const start =
+      edit.startLine <= lineCount
+        ? lineStarts[edit.startLine - 1]
+        : text.length;
+    const end =
+      edit.endLine < lineCount ? lineStarts[edit.endLine] : text.length;
+
+    // New lines end with a newline, unless they end a file that has none
+    let replacement = EditBlocks.withEol(edit.content, eol);
+    const endsFile = end === text.length && !text.endsWith(eol);
+    if (replacement !== "" && !replacement.endsWith(eol)) {
+      if (!endsFile || start === end) {
+        replacement += eol;
+      }
+    }
+    if (endsFile && start === end && start > 0 && replacement !== "") {
+      // Appending after a last line without a newline
+      replacement = eol + replacement.slice(0, -eol.length);
+    }
+
+    return { index, start, end, text: replacement };
+  }
+
+  /**
+   * Offsets where each line starts
+   */
+  static lineStarts(text, eol) {
+    const starts = [0];
+    for (
+      let at = text.indexOf(eol);
+      at !== -1;
+      at = text.indexOf(eol, at + eol.length)
+    ) {
+      starts.push(at + eol.length);
+    }
+    return starts;
+  }
+
+  /**
+   * 1-based line number of an offset
+   */
+  static lineAt(lineStarts, offset) {
+    let line = 0;
+    while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) {
+      line++;
+    }
+    return line + 1;
+  }
+
+  /**
+   * Number of lines a piece of text spans
+   */
+  static countLines(text, eol) {
+    if (text === "") {
+      return 0;
+    }
+    const breaks = text.split(eol).length - 1;
+    return text.endsWith(eol) ? breaks : breaks + 1;
+  }
+
+  /**
+   * Convert line endings to the file's
+   */
+  static withEol(text, eol) {
+    return text.replace(/\r?\n/g, eol);
+  }
+}
+
+module.exports = EditBlocks;
@@ -0,0 +1,219 @@
+/**
+ * ✂️ NOX Edit Blocks Tests
+ *
+ * Tests for EditBlocks:
+ * - Search/replace blocks must match exactly once
+ * - Line-range edits replace, insert and append lines
+ * - Edits refer to the original text and may not overlap
+ * - Line endings are kept
+ *
+ * Run with: node src/core/capabilities/write/EditBlocks.test.js
+ */
+
+const EditBlocks = require("./EditBlocks.js");
+
+// Test runner
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.tests = [];
+  }
+
+  test(name, fn) {
+    this.tests.push({ name, fn });
+  }
+
+  async run() {
+    console.log("🦊 Running EditBlocks Tests...\n");
+
+    for (const { name, fn } of this.tests) {
+      try {
+        await fn();
+        this.passed++;
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        this.failed++;
+        console.log(`❌ ${name}`);
+        console.log(`   Error: ${error.message}`);
+      }
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+}
+
+// Assertion helpers
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || "Assertion failed");
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+function assertThrows(fn, pattern) {
+  try {
+    fn();
+  } catch (error) {
+    assert(
+      pattern.test(error.message),
+      `Error "${error.message}" doesn't match ${pattern}`
+    );
+    return;
+  }
+  throw new Error("Expected an error");
+}
+
+const SOURCE = [
+  "function add(a, b) {",
+  "  return a + b;",
+  "}",
+  "",
+  "function sub(a, b) {",
+  "  return a - b;",
+  "}",
+  "",
+].join("\n");
+
+// Create test runner
+const runner = new TestRunner();
+
+// Test 1: Search/replace
+runner.test("search/replace blocks replace their unique match", () => {
+  const result = EditBlocks.apply(SOURCE, [
+    { search: "  return a + b;", replace: "  return b + a;" },
+    {
+      search: "function sub(a, b) {\n  return a - b;",
+      replace: "function sub(a, b) {\n  // Subtract\n  return a - b;",
+    },
+  ]);
+
+  assert(result.content.includes("return b + a;"));
+  assert(result.content.includes("  // Subtract\n  return a - b;"));
+  assertEqual(result.additions, 4);
+  assertEqual(result.deletions, 3);
+});
+
+// Test 2: Missing match
+runner.test("a missing search text fails with guidance", () => {
+  assertThrows(
+    () =>
+      EditBlocks.apply(SOURCE, [
+        { search: "return a * b;", replace: "return 0;" },
+      ]),
+    /Edit 1: search text not found.*exactly/
+  );
+});
+
+// Test 3: Ambiguous match
+runner.test("an ambiguous search text lists where it matches", () => {
+  assertThrows(
+    () => EditBlocks.apply(SOURCE, [{ search: "}\n", replace: "};\n" }]),
+    /Edit 1: search text matches 2 places \(lines 3, 7\)/
+  );
+});
+
+// Test 4: Line ranges
+runner.test("line ranges replace, insert and delete lines", () => {
+  const result = EditBlocks.apply(SOURCE, [
+    { startLine: 1, endLine: 0, content: "'use strict';\n" },
+    { startLine: 2, endLine: 2, content: "  return a + b + 0;" },
+    { startLine: 4, endLine: 4, content: "" },
+  ]);
+
+  assertEqual(
+    result.content,
+    [
+      "'use strict';",
+      "function add(a, b) {",
+      "  return a + b + 0;",
+      "}",
+      "function sub(a, b) {",
+      "  return a - b;",
+      "}",
+      "",
+    ].join("\n")
+  );
+});
+
+// Test 5: Appending
+runner.test("appending keeps a missing final newline missing", () => {
+  assertEqual(
+    EditBlocks.apply("a\nb\n", [{ startLine: 3, endLine: 2, content: "c" }])
+      .content,
+    "a\nb\nc\n"
+  );
+  assertEqual(
+    EditBlocks.apply("a\nb", [{ startLine: 3, endLine: 2, content: "c" }])
+      .content,
+    "a\nb\nc"
+  );
+  assertThrows(
+    () => EditBlocks.apply("a\nb", [{ startLine: 2, endLine: 3, content: "" }]),
+    /endLine 3 is past the end of the file \(2 lines\)/
+  );
+});
+
+// Test 6: Original line numbers and overlaps
+runner.test("edits use original line numbers and may not overlap", () => {
+  const result = EditBlocks.apply(SOURCE, [
+    { startLine: 1, endLine: 0, content: "// one\n// two" },
+    { startLine: 6, endLine: 6, content: "  return a - b - 0;" },
+  ]);
+  assert(result.content.includes("  return a - b - 0;\n}"));
+  assertEqual(result.content.split("\n")[0], "// one");
+
+  assertThrows(
+    () =>
+      EditBlocks.apply(SOURCE, [
+        { startLine: 1, endLine: 3, content: "" },
+        { search: "  return a + b;", replace: "" },
+      ]),
+    /Edit 1 and edit 2 overlap/
+  );
+});
+
+// Test 7: Line endings
+runner.test("CRLF files keep CRLF line endings", () => {
+  const crlf = SOURCE.replace(/\n/g, "\r\n");
+  const result = EditBlocks.apply(crlf, [
+    {
+      search: "function add(a, b) {\n  return a + b;",
+      replace: "function add(a, b) {\n  // Add\n  return a + b;",
+    },
+    { startLine: 6, endLine: 6, content: "  return b - a;" },
+  ]);
+
+  assert(!/[^\r]\n/.test(result.content), "Found a bare LF");
+  assert(result.content.includes("  // Add\r\n"));
+  assert(result.content.includes("  return b - a;\r\n"));
+});
+
+// Test 8: Validation
+runner.test("validate reports malformed edits", () => {
+  assertEqual(EditBlocks.validate([])[0], "edits must be a non-empty array");
+  const errors = EditBlocks.validate([
+    { search: "x" },
+    { search: "x", replace: "y", startLine: 1 },
+    { startLine: 3, endLine: 1, content: "z" },
+  ]);
+
+  assertEqual(errors.length, 3);
+  assert(errors[0].startsWith("Edit 1: replace"));
+  assert(errors[1].startsWith("Edit 2: use either"));
+  assert(errors[2].startsWith("Edit 3: endLine"));
+});
+
+// Run all tests
+runner.run().then((success) => {
+  process.exit(success ? 0 : 1);
+});
@@ -0,0 +1,207 @@
+/**
+ * 🦊 NOX File Delete Capability
+ *
+ * Deletes files and folders from the workspace by moving them to the Nox
+ * trash (see FileTrash), so every deletion can be restored.
+ * Supports rollback via the trash.
+ *
+ * @enterprise-grade Recoverable deletes, validation, rollback support
+ */
+
+const vscode = require("vscode");
+const path = require("path");
+const CapabilityBase = require("../base/CapabilityBase");
+const FileTrash = require("../../fileTrash");
+
+class FileDeleteCapability extends CapabilityBase {
+  static metadata = {
+    id: "file_delete",
+    name: "Delete File",
+    category: "write",
+    description:
+      'Delete a file or folder from the workspace. It is moved to the Nox trash, where the user can restore it with "Nox: Restore from Trash".',
+    version: "1.0.0",
+
+    riskLevel: "high",
+
+    modes: {
+      assistant: true,
+      agent: true,
+      autonomous: true,
+    },
+
+    approval: {
+      assistant: "always",
+      agent: "always",
+      autonomous: "none",
+      highRisk: "always",
+    },
+
+    constraints: {
+      maxExecutionsPerBatch: 10,
+      timeout: 10000,
+      retryable: false, // The file is gone after the first attempt
+      maxRetries: 1,
+    },
+
+    permissions: ["workspace.write", "filesystem.delete"],
+
+    rollback: {
+      supported: true,
+      strategy: "backup",
+    },
+
+    dependencies: [],
+
+    // Parameters schema for tool calling
+    parameters: {
+      type: "object",
+      properties: {
+        path: {
+          type: "string",
+          description:
+            'File or folder path relative to workspace root (e.g., "src/old.js")',
+        },
+        recursive: {
+          type: "boolean",
+          description: "Required to delete a folder and everything in it",
+        },
+        reason: {
+          type: "string",
+          description: "Why the file is deleted (shown in the trash)",
+        },
+      },
+      required: ["path"],
+    },
+  };
+
+  /**
+   * Execute file deletion
+   */
+  async execute(parameters, context = {}) {
+    const { path: filePath, recursive = false, reason = "" } = parameters;
+
+    // Validate parameters
+    const validation = this.validate(parameters);
+    if (!validation.valid) {
+      throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+    }
+
+    try {
+      const fullPath = this.resolvePath(filePath);
+
+      let stat;
+      try {
+        stat = await vscode.workspace.fs.stat(vscode.Uri.file(fullPath));
+      } catch (error) {
+        throw new Error(`File not found: ${filePath}`);
+      }
+
+      const isDirectory = (stat.type & vscode.FileType.Directory) !== 0;
+      if (isDirectory && !recursive) {
+        throw new Error(
+          `${filePath} is a folder - set recursive to delete it and everything in it`
+        );
+      }
+
+      const entry = await FileTrash.getInstance().moveToTrash(fullPath, {
+        originalPath: filePath,
+        reason,
+      });
+
+      return {
+        success: true,
+        filePath,
+        isDirectory,
+        trashId: entry.id,
+        message: `Deleted ${isDirectory ? "folder" : "file"}: ${filePath} (moved to the Nox trash)`,
+      };
+    } catch (error) {
+      throw new Error(`Failed to delete ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate parameters
+   */
+  validate(parameters) {
+    const errors = [];
+
+    if (!parameters.path) {
+      errors.push("Missing required parameter: path");
+    }
+
+    // Validate path format
+    if (parameters.path) {
+      if (parameters.path.includes("..")) {
+        errors.push('Path cannot contain ".." (path traversal)');
+      }
+
+      if (path.isAbsolute(parameters.path)) {
+        errors.push("Path must be relative to workspace root");
+      }
+
+      if (path.normalize(parameters.path).replace(/[\\/]+$/, "") === ".") {
+        errors.push("Cannot delete the workspace root");
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Create rollback point
+   */
+  async createRollbackPoint(parameters) {
+    // The trash keeps the file - remember which entry to look for
+    return {
+      type: "file_delete",
+      filePath: parameters.path,
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Rollback file deletion (restore from the trash)
+   */
+  async rollback(rollbackPoint) {
+    try {
+      const entry = await FileTrash.getInstance().find(
+        rollbackPoint.filePath,
+        rollbackPoint.timestamp
+      );
+      if (!entry) {
+        return {
+          success: true,
+          message: `Nothing to roll back: ${rollbackPoint.filePath} was not deleted`,
+        };
+      }
+
+      await FileTrash.getInstance().restore(entry.id);
+
+      return {
+        success: true,
+        message: `Rolled back file deletion: ${rollbackPoint.filePath}`,
+      };
+    } catch (error) {
+      throw new Error(`Rollback failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Absolute path of a workspace-relative path
+   */
+  resolvePath(filePath) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+      throw new Error("No workspace folder open");
+    }
+
+    return path.join(workspaceFolder.uri.fsPath, filePath);
+  }
+}
+
+module.exports = FileDeleteCapability;
@@ -0,0 +1,383 @@
+/**
+ * 🦊 NOX File Edit Capability
+ *
+ * Edits existing files with exact search/replace blocks or line ranges
+ * (see EditBlocks). Shows a diff preview while approval is pending.
+ * Supports rollback via backup system.
+ *
+ * @enterprise-grade All-or-nothing edits, validation, rollback support
+ */
+
+const vscode = require("vscode");
+const path = require("path");
+const CapabilityBase = require("../base/CapabilityBase");
+const EditBlocks = require("./EditBlocks");
+
+// Proposed content shown on the right side of the diff preview. The provider
+// is registered with the first open preview and disposed with the last one.
+const PREVIEW_SCHEME = "nox-edit-preview";
+const previewContents = new Map(); // preview URI → proposed content
+let previewProvider = null;
+let previewCount = 0; // Keeps preview URIs unique within the same millisecond
+
+class FileEditCapability extends CapabilityBase {
+  static metadata = {
+    id: "file_edit",
+    name: "Edit File",
+    category: "write",
+    description:
+      "Edit an existing file. Each edit is either an exact search/replace block (the search text must match the file exactly once, including whitespace) or a line range to replace (1-based, inclusive; endLine = startLine - 1 inserts). Line numbers refer to the file before this edit. Read the file first.",
+    version: "1.0.0",
+
+    riskLevel: "medium",
+
+    modes: {
+      assistant: true,
+      agent: true,
+      autonomous: true,
+    },
+
+    approval: {
+      assistant: "always",
+      agent: "batch",
+      autonomous: "none",
+      highRisk: "always",
+    },
+
+    constraints: {
+      maxExecutionsPerBatch: 50,
+      timeout: 10000,
+      retryable: false, // A stale search text fails the same way again
+      maxRetries: 1,
+    },
+
+    permissions: ["workspace.write", "filesystem.write"],
+
+    rollback: {
+      supported: true,
+      strategy: "backup",
+    },
+
+    dependencies: [],
+
+    // Parameters schema for tool calling
+    parameters: {
+      type: "object",
+      properties: {
+        path: {
+          type: "string",
+          description:
+            'File path relative to workspace root (e.g., "src/index.js")',
+        },
+        edits: {
+          type: "array",
+          description:
+            "Edits to apply, all or nothing. Use search/replace, or startLine/endLine/content - not both in one edit.",
+          items: {
+            type: "object",
+            properties: {
+              search: {
+                type: "string",
+                description:
+                  "Exact text to find, including indentation - include enough lines to match only once",
+              },
+              replace: {
+                type: "string",
+                description: "Text that replaces the search text",
+              },
+              startLine: {
+                type: "integer",
+                description: "First line to replace (1-based)",
+              },
+              endLine: {
+                type: "integer",
+                description: "Last line to replace (inclusive)",
+              },
+              content: {
+                type: "string",
+                description: "Lines that replace startLine..endLine",
+              },
+            },
+          },
+        },
+      },
+      required: ["path", "edits"],
+    },
+  };
+
+  constructor(context = {}) {
+    super(context);
+    this.fileOps = context.fileOps; // Inject existing fileOps service
+    this.previewUri = null;
+  }
+
+  /**
+   * Execute file edit
+   */
+  async execute(parameters, context = {}) {
+    const { path: filePath, edits } = parameters;
+
+    // Validate parameters
+    const validation = this.validate(parameters);
+    if (!validation.valid) {
+      throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+    }
+
+    try {
+      const document = await this.openDocument(filePath);
+      const result = EditBlocks.apply(document.getText(), edits);
+
+      await this.replaceContent(document, result.content);
+
+      return {
+        success: true,
+        filePath,
+        editsApplied: edits.length,
+        additions: result.additions,
+        deletions: result.deletions,
+        message: `Edited file: ${filePath} (${edits.length} edit${
+          edits.length === 1 ? "" : "s"
+        }, +${result.additions} -${result.deletions} lines)`,
+      };
+    } catch (error) {
+      throw new Error(`Failed to edit file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Show the proposed change in a diff editor (called before approval)
+   * Fails like execute() would, so bad edits are reported before the
+   * user is asked.
+   */
+  async preview(parameters) {
+    const { path: filePath, edits } = parameters;
+
+    const validation = this.validate(parameters);
+    if (!validation.valid) {
+      throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+    }
+
+    let document;
+    let result;
+    try {
+      document = await this.openDocument(filePath);
+      result = EditBlocks.apply(document.getText(), edits);
+    } catch (error) {
+      throw new Error(`Failed to edit file ${filePath}: ${error.message}`);
+    }
+
+    if (!previewProvider) {
+      previewProvider = vscode.workspace.registerTextDocumentContentProvider(
+        PREVIEW_SCHEME,
+        {
+          provideTextDocumentContent: (uri) =>
+            previewContents.get(uri.toString()) || "",
+        }
+      );
+    }
+
+    this.previewUri = vscode.Uri.from({
+      scheme: PREVIEW_SCHEME,
+      path: `/${filePath.replace(/\\/g, "/")}`,
+      query: `${Date.now()}-${++previewCount}`,
+    });
+    previewContents.set(this.previewUri.toString(), result.content);
+
+    await vscode.commands.executeCommand(
+      "vscode.diff",
+      document.uri,
+      this.previewUri,
+      `${path.basename(filePath)} ↔ Proposed Edit (Nox)`,
+      { preview: true, preserveFocus: true }
+    );
+
+    return {
+      filePath,
+      additions: result.additions,
+      deletions: result.deletions,
+    };
+  }
+
+  /**
+   * Close the diff preview, if one is open
+   */
+  async closePreview() {
+    if (!this.previewUri) {
+      return;
+    }
+
+    const key = this.previewUri.toString();
+    previewContents.delete(key);
+    this.previewUri = null;
+
+    try {
+      const tabs = (vscode.window.tabGroups?.all || [])
+        .flatMap((group) => group.tabs)
+        .filter((tab) => tab.input?.modified?.toString() === key);
+      if (tabs.length > 0) {
+        await vscode.window.tabGroups.close(tabs);
+      }
+    } catch (error) {
+      // The user may have closed it already
+    }
+
+    if (previewContents.size === 0 && previewProvider) {
+      previewProvider.dispose();
+      previewProvider = null;
+    }
+  }
+
+  /**
+   * Validate parameters
+   */
+  validate(parameters) {
+    const errors = [];
+
+    if (!parameters.path) {
+      errors.push("Missing required parameter: path");
+    }
+
+    if (!parameters.edits) {
+      errors.push("Missing required parameter: edits");
+    } else {
+      errors.push(...EditBlocks.validate(parameters.edits));
+    }
+
+    // Validate path format
+    if (parameters.path) {
+      if (parameters.path.includes("..")) {
+        errors.push('Path cannot contain ".." (path traversal)');
+      }
+
+      if (path.isAbsolute(parameters.path)) {
+        errors.push("Path must be relative to workspace root");
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Create rollback point (a backup of the file before the edit)
+   */
+  async createRollbackPoint(parameters) {
+    const fullPath = this.resolvePath(parameters.path);
+
+    let content;
+    if (this.fileOps) {
+      if (!(await this.fileOps.createBackup(fullPath))) {
+        throw new Error(`Could not back up ${parameters.path}`);
+      }
+      content = this.fileOps.backupStorage.get(fullPath).content;
+    } else {
+      content = (await this.openDocument(parameters.path)).getText();
+    }
+
+    return {
+      type: "file_edit",
+      filePath: parameters.path,
+      fullPath,
+      content,
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Rollback file edit (restore the backup)
+   */
+  async rollback(rollbackPoint) {
+    try {
+      if (this.fileOps) {
+        // Later edits replace fileOps' backup of the file - restore this one
+        this.fileOps.backupStorage.set(rollbackPoint.fullPath, {
+          content: rollbackPoint.content,
+          timestamp: rollbackPoint.timestamp,
+          size: rollbackPoint.content.length,
+        });
+        await this.fileOps.rollbackFile(rollbackPoint.fullPath);
+        await this.saveDocument(rollbackPoint.fullPath);
+      } else {
+        const document = await this.openDocument(rollbackPoint.filePath);
+        await this.replaceContent(document, rollbackPoint.content);
+      }
+
+      return {
+        success: true,
+        message: `Rolled back file edit: ${rollbackPoint.filePath}`,
+      };
+    } catch (error) {
+      throw new Error(`Rollback failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Absolute path of a workspace-relative path
+   */
+  resolvePath(filePath) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+      throw new Error("No workspace folder open");
+    }
+
+    return path.join(workspaceFolder.uri.fsPath, filePath);
+  }
+
+  /**
+   * Open the file's document (includes unsaved changes in open editors)
+   */
+  async openDocument(filePath) {
+    const uri = vscode.Uri.file(this.resolvePath(filePath));
+
+    try {
+      await vscode.workspace.fs.stat(uri);
+    } catch (error) {
+      throw new Error(
+        `File not found: ${filePath} (use file_create for new files)`
+      );
+    }
+
+    return vscode.workspace.openTextDocument(uri);
+  }
+
+  /**
+   * Replace a document's whole content and save it
+   */
+  async replaceContent(document, content) {
+    const fullRange = new vscode.Range(
+      document.positionAt(0),
+      document.positionAt(document.getText().length)
+    );
+
+    // Use existing fileOps service if available
+    if (this.fileOps) {
+      await this.fileOps.editFile(
+        document.uri.fsPath,
+        [{ range: fullRange, text: content }],
+        { createBackup: true }
+      );
+    } else {
+      const edit = new vscode.WorkspaceEdit();
+      edit.replace(document.uri, fullRange, content);
+      if (!(await vscode.workspace.applyEdit(edit))) {
+        throw new Error("VS Code rejected the edit");
+      }
+    }
+
+    await document.save();
+  }
+
+  /**
+   * Save an open document after fileOps changed it
+   */
+  async saveDocument(fullPath) {
+    const document = await vscode.workspace.openTextDocument(
+      vscode.Uri.file(fullPath)
+    );
+    await document.save();
+  }
+}
+
+module.exports = FileEditCapability;
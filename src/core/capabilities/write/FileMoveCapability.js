@@ -0,0 +1,258 @@
+/**
+ * 🦊 NOX File Move Capability
+ *
+ * Moves or renames files and folders in the workspace. A destination that
+ * is replaced (overwrite) goes to the Nox trash first.
+ * Supports rollback by moving back.
+ *
+ * @enterprise-grade Recoverable moves, validation, rollback support
+ */
+
+const vscode = require("vscode");
+const path = require("path");
+const CapabilityBase = require("../base/CapabilityBase");
+const FileTrash = require("../../fileTrash");
+
+class FileMoveCapability extends CapabilityBase {
+  static metadata = {
+    id: "file_move",
+    name: "Move File",
+    category: "write",
+    description:
+      "Move or rename a file or folder in the workspace. Fails if the destination exists, unless overwrite is set (the replaced file goes to the Nox trash).",
+    version: "1.0.0",
+
+    riskLevel: "high",
+
+    modes: {
+      assistant: true,
+      agent: true,
+      autonomous: true,
+    },
+
+    approval: {
+      assistant: "always",
+      agent: "always",
+      autonomous: "none",
+      highRisk: "always",
+    },
+
+    constraints: {
+      maxExecutionsPerBatch: 20,
+      timeout: 10000,
+      retryable: false, // The source is gone after the first attempt
+      maxRetries: 1,
+    },
+
+    permissions: ["workspace.write", "filesystem.move"],
+
+    rollback: {
+      supported: true,
+      strategy: "compensating",
+    },
+
+    dependencies: [],
+
+    // Parameters schema for tool calling
+    parameters: {
+      type: "object",
+      properties: {
+        source: {
+          type: "string",
+          description:
+            'Current path relative to workspace root (e.g., "src/utils.js")',
+        },
+        destination: {
+          type: "string",
+          description:
+            'New path relative to workspace root (e.g., "src/lib/utils.js")',
+        },
+        overwrite: {
+          type: "boolean",
+          description:
+            "Replace an existing destination (it is moved to the Nox trash)",
+        },
+      },
+      required: ["source", "destination"],
+    },
+  };
+
+  constructor(context = {}) {
+    super(context);
+    this.fileOps = context.fileOps; // Inject existing fileOps service
+  }
+
+  /**
+   * Execute file move
+   */
+  async execute(parameters, context = {}) {
+    const { source, destination, overwrite = false } = parameters;
+
+    // Validate parameters
+    const validation = this.validate(parameters);
+    if (!validation.valid) {
+      throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+    }
+
+    try {
+      const sourcePath = this.resolvePath(source);
+      const targetPath = this.resolvePath(destination);
+
+      if (!(await FileTrash.exists(sourcePath))) {
+        throw new Error(`File not found: ${source}`);
+      }
+
+      let replacedTrashId = null;
+      if (await FileTrash.exists(targetPath)) {
+        if (!overwrite) {
+          throw new Error(
+            `Destination already exists: ${destination} (set overwrite to replace it)`
+          );
+        }
+        const entry = await FileTrash.getInstance().moveToTrash(targetPath, {
+          originalPath: destination,
+          reason: `Replaced by ${source}`,
+        });
+        replacedTrashId = entry.id;
+      }
+
+      await this.move(sourcePath, targetPath);
+
+      return {
+        success: true,
+        source,
+        destination,
+        replacedTrashId,
+        message: `Moved ${source} to ${destination}${
+          replacedTrashId ? " (the old destination is in the Nox trash)" : ""
+        }`,
+      };
+    } catch (error) {
+      throw new Error(
+        `Failed to move ${source} to ${destination}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Validate parameters
+   */
+  validate(parameters) {
+    const errors = [];
+
+    for (const name of ["source", "destination"]) {
+      const value = parameters[name];
+
+      if (!value) {
+        errors.push(`Missing required parameter: ${name}`);
+        continue;
+      }
+
+      // Validate path format
+      if (value.includes("..")) {
+        errors.push(`${name} cannot contain ".." (path traversal)`);
+      }
+
+      if (path.isAbsolute(value)) {
+        errors.push(`${name} must be relative to workspace root`);
+      }
+    }
+
+    if (
+      parameters.source &&
+      parameters.destination &&
+      path.normalize(parameters.source) ===
+        path.normalize(parameters.destination)
+    ) {
+      errors.push("source and destination are the same path");
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Create rollback point
+   */
+  async createRollbackPoint(parameters) {
+    return {
+      type: "file_move",
+      source: parameters.source,
+      destination: parameters.destination,
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Rollback file move (move back, restore a replaced destination)
+   */
+  async rollback(rollbackPoint) {
+    try {
+      const sourcePath = this.resolvePath(rollbackPoint.source);
+      const targetPath = this.resolvePath(rollbackPoint.destination);
+
+      if (
+        (await FileTrash.exists(targetPath)) &&
+        !(await FileTrash.exists(sourcePath))
+      ) {
+        await this.move(targetPath, sourcePath);
+      }
+
+      const replaced = await FileTrash.getInstance().find(
+        rollbackPoint.destination,
+        rollbackPoint.timestamp
+      );
+      if (replaced) {
+        await FileTrash.getInstance().restore(replaced.id);
+      }
+
+      return {
+        success: true,
+        message: `Rolled back file move: ${rollbackPoint.destination} → ${rollbackPoint.source}`,
+      };
+    } catch (error) {
+      throw new Error(`Rollback failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move through VS Code, so open editors follow the file
+   */
+  async move(sourcePath, targetPath) {
+    await vscode.workspace.fs.createDirectory(
+      vscode.Uri.file(path.dirname(targetPath))
+    );
+
+    // Use existing fileOps service if available
+    if (this.fileOps) {
+      await this.fileOps.moveFile(sourcePath, targetPath, {
+        createBackup: false, // Moves keep the content
+      });
+      return;
+    }
+
+    const edit = new vscode.WorkspaceEdit();
+    edit.renameFile(vscode.Uri.file(sourcePath), vscode.Uri.file(targetPath), {
+      overwrite: false,
+    });
+    if (!(await vscode.workspace.applyEdit(edit))) {
+      throw new Error("VS Code rejected the move");
+    }
+  }
+
+  /**
+   * Absolute path of a workspace-relative path
+   */
+  resolvePath(filePath) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+      throw new Error("No workspace folder open");
+    }
+
+    return path.join(workspaceFolder.uri.fsPath, filePath);
+  }
+}
+
+module.exports = FileMoveCapability;
@@ -1001,7 +1001,8 @@ ${isTS ? "" : "module.exports = " + baseName + ";"}
       if (!commitMessage) {
         const commitInfo = await this.gitOps.generateCommitMessage(
           files.length > 0 ? files : status.changes.map((c) => c.file),
-          context
+          context,
+          this.agentController.aiClient
         );
         commitMessage = commitInfo.message;
       }
@@ -393,12 +393,21 @@ class ContextManager {
    * ❓ Should exclude file/directory
    */
   shouldExclude(name, fullPath) {
+    // Only folders inside the workspace count - a workspace under /tmp or
+    // ~/build must not exclude itself
+    const segments = (
+      this.workspacePath ? path.relative(this.workspacePath, fullPath) : name
+    ).split(/[\\/]/);
+
     // Check exclude patterns
     for (const pattern of this.excludePatterns) {
       if (pattern.includes("*")) {
-        const regex = new RegExp(pattern.replace(/\*/g, ".*"));
-        if (regex.test(name)) return true;
-      } else if (name === pattern || fullPath.includes(pattern)) {
+        const escaped = pattern
+          .split("*")
+          .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+          .join(".*");
+        if (new RegExp(`^${escaped}$`).test(name)) return true;
+      } else if (name === pattern || segments.includes(pattern)) {
         return true;
       }
     }
@@ -0,0 +1,108 @@
+/**
+ * 💰 NOX Cost Ledger
+ *
+ * Persistent spend history. performanceMonitor only keeps the last 24 hours in
+ * memory and the chat history only holds chat replies, so every priced response
+ * (summaries, plans, commit messages, editor commands...) is also recorded here.
+ * Entries are aggregated per day, provider, model and task type so globalState
+ * stays small.
+ */
+
+const STORAGE_KEY = "nox.costLedger";
+const RETENTION_DAYS = 400; // Covers the dashboard's "last 365 days" filter
+
+class CostLedger {
+  /**
+   * @param {vscode.ExtensionContext} context - Extension context (globalState)
+   * @param {Object} logger - Logger
+   */
+  constructor(context, logger) {
+    this.context = context;
+    this.logger = logger;
+    this.entries = context?.globalState?.get(STORAGE_KEY, []) || [];
+  }
+
+  /**
+   * Get the ledger day (UTC, same as the dashboard's daily breakdown)
+   * @param {Date|number} date - Date or timestamp
+   * @returns {string} - "YYYY-MM-DD"
+   */
+  static dayOf(date) {
+    return new Date(date).toISOString().split("T")[0];
+  }
+
+  /**
+   * Add a response to today's totals
+   * @param {Object} usage - { provider, model, taskType, tokens, cost }
+   */
+  record({ provider, model, taskType = "chat", tokens = 0, cost = 0 }) {
+    const date = CostLedger.dayOf(Date.now());
+
+    let entry = this.entries.find(
+      (existing) =>
+        existing.date === date &&
+        existing.provider === provider &&
+        existing.model === model &&
+        existing.taskType === taskType
+    );
+    if (!entry) {
+      entry = { date, provider, model, taskType, tokens: 0, cost: 0, calls: 0 };
+      this.entries.push(entry);
+    }
+
+    entry.tokens += tokens;
+    entry.cost += cost;
+    entry.calls += 1;
+
+    this.prune();
+    this.save();
+  }
+
+  /**
+   * Drop days older than the retention window
+   */
+  prune() {
+    const cutoff = CostLedger.dayOf(
+      Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000
+    );
+    this.entries = this.entries.filter((entry) => entry.date >= cutoff);
+  }
+
+  /**
+   * Persist the ledger (fire and forget - a failed write must not fail a request)
+   */
+  save() {
+    Promise.resolve(
+      this.context?.globalState?.update(STORAGE_KEY, this.entries)
+    ).catch((error) => {
+      this.logger?.warn(`💰 Failed to save cost ledger: ${error.message}`);
+    });
+  }
+
+  /**
+   * Get ledger entries, optionally limited to a date range (inclusive)
+   * @param {Date} startDate - Start of range
+   * @param {Date} endDate - End of range
+   * @returns {Array<Object>} - [{ date, provider, model, taskType, tokens, cost, calls }]
+   */
+  getEntries(startDate = null, endDate = null) {
+    const from = startDate ? CostLedger.dayOf(startDate) : null;
+    const to = endDate ? CostLedger.dayOf(endDate) : null;
+
+    return this.entries.filter(
+      (entry) => (!from || entry.date >= from) && (!to || entry.date <= to)
+    );
+  }
+
+  /**
+   * Forget all recorded spend
+   */
+  clear() {
+    this.entries = [];
+    this.save();
+  }
+}
+
+CostLedger.STORAGE_KEY = STORAGE_KEY;
+
+module.exports = CostLedger;
@@ -238,6 +238,8 @@ class ErrorBoundary {
       /502/,
       /429/, // Rate limit
       /500/, // Server error
+      /529/, // Anthropic overloaded
+      /overloaded/i,
     ];
 
     const errorMessage = error.message || error.toString();
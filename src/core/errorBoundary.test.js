@@ -275,6 +275,15 @@ test('isRetryableError detects 503 errors', () => {
   assert(eb.isRetryableError(error), 'Should detect 503 as retryable');
 });
 
+// ============================================================================
+// Test 15b: isRetryableError - Anthropic Overloaded
+// ============================================================================
+test('isRetryableError detects 529 overloaded errors', () => {
+  const eb = new ErrorBoundary(mockLogger);
+  const error = new Error('Claude API error: 529 - {"type":"overloaded_error"}');
+  assert(eb.isRetryableError(error), 'Should detect 529 as retryable');
+});
+
 // ============================================================================
 // Test 16: isRetryableError - Non-Retryable Error
 // ============================================================================
@@ -0,0 +1,249 @@
+/**
+ * 🗑️ NOX File Trash
+ *
+ * Files and folders deleted by Nox are moved here instead of being removed,
+ * so every deletion can be undone ("Nox: Restore from Trash", or rollback
+ * of a file_delete step).
+ *
+ * - Lives in the extension's workspace storage (global storage when no
+ *   folder is open), outside the workspace, so it never shows up in git
+ * - index.json lists the entries; each item is kept in its own folder
+ * - Entries older than TRASH_RETENTION_DAYS are removed for good
+ *
+ * @enterprise-grade Singleton, recoverable deletes, serialized index writes
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+
+const TRASH_RETENTION_DAYS = 30;
+const INDEX_FILE = "index.json";
+
+class FileTrash {
+  constructor(logger = null) {
+    // Singleton pattern
+    if (FileTrash.instance) {
+      return FileTrash.instance;
+    }
+
+    this.logger = logger;
+    this.trashDir = null;
+    this.pending = Promise.resolve(); // Serializes index updates
+
+    FileTrash.instance = this;
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance(logger) {
+    if (!FileTrash.instance) {
+      FileTrash.instance = new FileTrash(logger);
+    } else if (logger && !FileTrash.instance.logger) {
+      FileTrash.instance.logger = logger;
+    }
+    return FileTrash.instance;
+  }
+
+  /**
+   * Set where the trash lives
+   * @param {string} storagePath - Extension storage folder
+   */
+  initialize(storagePath) {
+    this.trashDir = path.join(storagePath, "trash");
+    this.logger?.debug(`🗑️ Nox trash: ${this.trashDir}`);
+  }
+
+  /**
+   * 🗑️ Move a file or folder to the trash
+   * @param {string} fullPath - Absolute path
+   * @param {Object} options - { originalPath (as shown to the user), reason }
+   * @returns {Promise<Object>} - Trash entry
+   */
+  async moveToTrash(fullPath, { originalPath = fullPath, reason = "" } = {}) {
+    const trashDir = this.getTrashDir();
+    const stats = await fs.stat(fullPath);
+
+    const id = `${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+    const trashedPath = path.join(trashDir, id, path.basename(fullPath));
+    await fs.mkdir(path.dirname(trashedPath), { recursive: true });
+    await FileTrash.move(fullPath, trashedPath);
+
+    const entry = {
+      id,
+      originalPath,
+      fullPath,
+      trashedPath,
+      isDirectory: stats.isDirectory(),
+      size: stats.isDirectory() ? null : stats.size,
+      reason,
+      deletedAt: Date.now(),
+    };
+
+    await this.updateIndex((entries) => [...entries, entry]);
+    this.logger?.info(`🗑️ Moved to trash: ${originalPath}`);
+
+    // Housekeeping shouldn't fail the delete
+    this.prune().catch((error) =>
+      this.logger?.warn(`🗑️ Could not prune trash: ${error.message}`)
+    );
+
+    return entry;
+  }
+
+  /**
+   * ♻️ Put a trashed item back where it was
+   * @param {string} id - Entry ID
+   * @param {Object} options - { overwrite: move whatever is there now to the trash first }
+   * @returns {Promise<Object>} - The restored entry
+   * @throws {Error} - error.targetExists when the original path is taken
+   */
+  async restore(id, { overwrite = false } = {}) {
+    const entry = (await this.list()).find((item) => item.id === id);
+    if (!entry) {
+      throw new Error(`Not in the Nox trash: ${id}`);
+    }
+
+    if (await FileTrash.exists(entry.fullPath)) {
+      if (!overwrite) {
+        const error = new Error(`${entry.originalPath} already exists`);
+        error.targetExists = true;
+        throw error;
+      }
+      await this.moveToTrash(entry.fullPath, {
+        originalPath: entry.originalPath,
+        reason: "Replaced by a restore from the trash",
+      });
+    }
+
+    await fs.mkdir(path.dirname(entry.fullPath), { recursive: true });
+    await FileTrash.move(entry.trashedPath, entry.fullPath);
+    await this.forget(entry);
+
+    this.logger?.info(`♻️ Restored from trash: ${entry.originalPath}`);
+    return entry;
+  }
+
+  /**
+   * 📋 Trash entries, newest first
+   */
+  async list() {
+    await this.pending;
+    return (await this.readIndex()).sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  /**
+   * 🔎 Newest entry for a path, trashed at or after a time
+   * @param {string} originalPath - Path as given to moveToTrash
+   * @param {number} since - Timestamp (ms)
+   */
+  async find(originalPath, since = 0) {
+    return (
+      (await this.list()).find(
+        (entry) =>
+          entry.originalPath === originalPath && entry.deletedAt >= since
+      ) || null
+    );
+  }
+
+  /**
+   * 🧹 Remove entries older than the retention period for good
+   */
+  async prune(now = Date.now()) {
+    const cutoff = now - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const expired = (await this.list()).filter(
+      (entry) => entry.deletedAt < cutoff
+    );
+
+    for (const entry of expired) {
+      await this.forget(entry);
+    }
+    return expired.length;
+  }
+
+  // ============================================================================
+  // INTERNALS
+  // ============================================================================
+
+  getTrashDir() {
+    if (!this.trashDir) {
+      throw new Error("Nox trash is not initialized");
+    }
+    return this.trashDir;
+  }
+
+  /**
+   * Drop an entry and whatever is left of its folder
+   */
+  async forget(entry) {
+    await this.updateIndex((entries) =>
+      entries.filter((item) => item.id !== entry.id)
+    );
+    await fs.rm(path.join(this.getTrashDir(), entry.id), {
+      recursive: true,
+      force: true,
+    });
+  }
+
+  async readIndex() {
+    try {
+      const data = await fs.readFile(
+        path.join(this.getTrashDir(), INDEX_FILE),
+        "utf8"
+      );
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read, change and write the index, one update at a time
+   * @param {Function} change - (entries) => new entries
+   */
+  updateIndex(change) {
+    const update = this.pending.then(async () => {
+      const entries = change(await this.readIndex());
+      await fs.mkdir(this.getTrashDir(), { recursive: true });
+      await fs.writeFile(
+        path.join(this.getTrashDir(), INDEX_FILE),
+        JSON.stringify(entries, null, 2)
+      );
+    });
+
+    // Keep the queue going after a failed update
+    this.pending = update.catch(() => {});
+    return update;
+  }
+
+  /**
+   * Rename, or copy and delete across devices
+   */
+  static async move(source, target) {
+    try {
+      await fs.rename(source, target);
+    } catch (error) {
+      if (error.code !== "EXDEV") {
+        throw error;
+      }
+      await fs.cp(source, target, { recursive: true, errorOnExist: true });
+      await fs.rm(source, { recursive: true, force: true });
+    }
+  }
+
+  static async exists(fullPath) {
+    try {
+      await fs.lstat(fullPath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+FileTrash.TRASH_RETENTION_DAYS = TRASH_RETENTION_DAYS;
+
+module.exports = FileTrash;
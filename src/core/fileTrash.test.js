@@ -0,0 +1,201 @@
+/**
+ * 🗑️ NOX File Trash Tests
+ *
+ * Tests for FileTrash:
+ * - Files and folders move to the trash and back
+ * - Restoring onto an existing path needs overwrite (and trashes it)
+ * - find() picks the newest entry since a time
+ * - Old entries are pruned
+ *
+ * Run with: node src/core/fileTrash.test.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const FileTrash = require("./fileTrash.js");
+
+// Test runner
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.tests = [];
+  }
+
+  test(name, fn) {
+    this.tests.push({ name, fn });
+  }
+
+  async run() {
+    console.log("🦊 Running FileTrash Tests...\n");
+
+    for (const { name, fn } of this.tests) {
+      try {
+        await fn();
+        this.passed++;
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        this.failed++;
+        console.log(`❌ ${name}`);
+        console.log(`   Error: ${error.message}`);
+      }
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+}
+
+// Assertion helpers
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || "Assertion failed");
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+// Fresh workspace and storage folders for each test
+function setup() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "nox-trash-test-"));
+  const workspace = path.join(root, "workspace");
+  fs.mkdirSync(path.join(workspace, "src", "lib"), { recursive: true });
+  fs.writeFileSync(path.join(workspace, "src", "old.js"), "// old\n");
+  fs.writeFileSync(path.join(workspace, "src", "lib", "a.js"), "// a\n");
+
+  const trash = FileTrash.getInstance();
+  trash.initialize(path.join(root, "storage"));
+
+  return {
+    trash,
+    file: (relative) => path.join(workspace, relative),
+    cleanup: () => fs.rmSync(root, { recursive: true, force: true }),
+  };
+}
+
+// Create test runner
+const runner = new TestRunner();
+
+// Test 1: Trash and restore a file
+runner.test("a trashed file can be restored", async () => {
+  const { trash, file, cleanup } = setup();
+  try {
+    const entry = await trash.moveToTrash(file("src/old.js"), {
+      originalPath: "src/old.js",
+      reason: "Unused",
+    });
+
+    assert(!fs.existsSync(file("src/old.js")), "File still in workspace");
+    assert(fs.existsSync(entry.trashedPath), "File not in trash");
+    assertEqual(entry.isDirectory, false);
+    assertEqual((await trash.list())[0].reason, "Unused");
+
+    await trash.restore(entry.id);
+    assertEqual(fs.readFileSync(file("src/old.js"), "utf8"), "// old\n");
+    assertEqual((await trash.list()).length, 0);
+  } finally {
+    cleanup();
+  }
+});
+
+// Test 2: Folders
+runner.test(
+  "folders are trashed and restored with their contents",
+  async () => {
+    const { trash, file, cleanup } = setup();
+    try {
+      const entry = await trash.moveToTrash(file("src/lib"), {
+        originalPath: "src/lib",
+      });
+      assertEqual(entry.isDirectory, true);
+      assert(!fs.existsSync(file("src/lib")));
+
+      await trash.restore(entry.id);
+      assertEqual(fs.readFileSync(file("src/lib/a.js"), "utf8"), "// a\n");
+    } finally {
+      cleanup();
+    }
+  }
+);
+
+// Test 3: Occupied original path
+runner.test("restoring onto an existing file needs overwrite", async () => {
+  const { trash, file, cleanup } = setup();
+  try {
+    const entry = await trash.moveToTrash(file("src/old.js"), {
+      originalPath: "src/old.js",
+    });
+    fs.writeFileSync(file("src/old.js"), "// new\n");
+
+    let error = null;
+    try {
+      await trash.restore(entry.id);
+    } catch (caught) {
+      error = caught;
+    }
+    assert(error && error.targetExists, "Expected a targetExists error");
+    assertEqual(fs.readFileSync(file("src/old.js"), "utf8"), "// new\n");
+
+    await trash.restore(entry.id, { overwrite: true });
+    assertEqual(fs.readFileSync(file("src/old.js"), "utf8"), "// old\n");
+
+    // The replaced version is now in the trash
+    const [replaced] = await trash.list();
+    assertEqual(replaced.originalPath, "src/old.js");
+    assertEqual(fs.readFileSync(replaced.trashedPath, "utf8"), "// new\n");
+  } finally {
+    cleanup();
+  }
+});
+
+// Test 4: find()
+runner.test("find returns the newest entry since a time", async () => {
+  const { trash, file, cleanup } = setup();
+  try {
+    const before = Date.now();
+    const first = await trash.moveToTrash(file("src/old.js"), {
+      originalPath: "src/old.js",
+    });
+    fs.writeFileSync(file("src/old.js"), "// again\n");
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const second = await trash.moveToTrash(file("src/old.js"), {
+      originalPath: "src/old.js",
+    });
+
+    assertEqual((await trash.find("src/old.js", before)).id, second.id);
+    assertEqual(await trash.find("src/other.js", before), null);
+    assertEqual(await trash.find("src/old.js", Date.now() + 1000), null);
+    assert(first.id !== second.id);
+  } finally {
+    cleanup();
+  }
+});
+
+// Test 5: Retention
+runner.test("entries past the retention period are pruned", async () => {
+  const { trash, file, cleanup } = setup();
+  try {
+    const entry = await trash.moveToTrash(file("src/old.js"), {
+      originalPath: "src/old.js",
+    });
+    const later =
+      Date.now() + (FileTrash.TRASH_RETENTION_DAYS + 1) * 24 * 60 * 60 * 1000;
+
+    assertEqual(await trash.prune(Date.now()), 0);
+    assertEqual(await trash.prune(later), 1);
+    assertEqual((await trash.list()).length, 0);
+    assert(!fs.existsSync(entry.trashedPath), "Trashed file not removed");
+  } finally {
+    cleanup();
+  }
+});
+
+// Run all tests
+runner.run().then((success) => {
+  process.exit(success ? 0 : 1);
+});
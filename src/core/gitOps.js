@@ -5,10 +5,52 @@
 
 const vscode = require("vscode");
 const path = require("path");
-const { exec } = require("child_process");
+const { exec, execFile } = require("child_process");
 const { promisify } = require("util");
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// Diffs and logs can be long (exec's default buffer is 1 MB)
+const MAX_GIT_OUTPUT_BYTES = 10 * 1024 * 1024;
+
+// Staged diff sent to the model for commit messages (keeps the request cheap)
+const MAX_COMMIT_DIFF_CHARS = 12000;
+
+// Reply schema for AI commit messages (conventional commit parts)
+const COMMIT_MESSAGE_SCHEMA = {
+  title: "commit_message",
+  type: "object",
+  required: ["type", "description"],
+  properties: {
+    type: {
+      type: "string",
+      enum: [
+        "feat",
+        "fix",
+        "refactor",
+        "docs",
+        "test",
+        "chore",
+        "style",
+        "perf",
+        "build",
+        "ci",
+      ],
+    },
+    scope: {
+      type: "string",
+      maxLength: 30,
+      description: "Area of the codebase, empty if the change is broad",
+    },
+    description: {
+      type: "string",
+      minLength: 1,
+      maxLength: 72,
+      description: "Imperative summary without a trailing period",
+    },
+  },
+};
 
 class NoxGitOperations {
   constructor(logger, performanceMonitor, contextManager) {
@@ -52,27 +94,41 @@ class NoxGitOperations {
 
   /**
    * 🔧 Execute Git command
+   * @param {string|string[]} command - Arguments as one string (run through
+   * the shell) or as an array (no shell, so values need no quoting)
+   * @param {Object} options - exec options, plus trim (default true)
    */
   async execGit(command, options = {}) {
-    const fullCommand = `git ${command}`;
+    const { trim = true, ...rest } = options;
+    const fullCommand = Array.isArray(command)
+      ? `git ${command.join(" ")}`
+      : `git ${command}`;
     const execOptions = {
       cwd: this.workspaceRoot,
-      ...options,
+      maxBuffer: MAX_GIT_OUTPUT_BYTES,
+      ...rest,
     };
 
     this.logger.debug(`Executing Git command: ${fullCommand}`);
 
     try {
-      const { stdout, stderr } = await execAsync(fullCommand, execOptions);
+      const { stdout, stderr } = Array.isArray(command)
+        ? await execFileAsync("git", command, execOptions)
+        : await execAsync(fullCommand, execOptions);
 
       if (stderr && !stderr.includes("warning")) {
         this.logger.warn(`Git command warning: ${stderr}`);
       }
 
-      return stdout.trim();
+      return trim ? stdout.trim() : stdout;
     } catch (error) {
       this.logger.error(`Git command failed: ${fullCommand}`, error);
-      throw new Error(`Git operation failed: ${error.message}`);
+
+      // Some failures are only explained on stdout (e.g. "nothing to commit")
+      const output = error.stdout?.trim();
+      throw new Error(
+        `Git operation failed: ${error.message}${output ? `\n${output}` : ""}`
+      );
     }
   }
 
@@ -93,7 +149,8 @@ class NoxGitOperations {
     try {
       const [branch, statusOutput, aheadBehind] = await Promise.all([
         this.getCurrentBranch(),
-        this.execGit("status --porcelain"),
+        // Untrimmed: the first line may start with a space
+        this.execGit("status --porcelain", { trim: false }),
         this.getAheadBehind(),
       ]);
 
@@ -152,9 +209,10 @@ class NoxGitOperations {
    * 📝 Parse Git status output
    */
   parseStatusOutput(statusOutput) {
-    if (!statusOutput) return [];
+    if (!statusOutput.trim()) return [];
 
-    return statusOutput.split("\n").map((line) => {
+    const lines = statusOutput.trimEnd().split("\n");
+    return lines.map((line) => {
       const staged = line[0] !== " " && line[0] !== "?";
       const unstaged = line[1] !== " ";
       const status = line.substring(0, 2);
@@ -174,10 +232,87 @@ class NoxGitOperations {
     });
   }
 
+  /**
+   * 🔍 Get a diff of the working tree, the index or against a ref
+   * @param {Object} options - { staged, ref, paths }
+   */
+  async getDiff({ staged = false, ref = null, paths = [] } = {}) {
+    const args = ["diff", "--no-color", "--no-ext-diff"];
+    if (staged) {
+      args.push("--cached");
+    }
+    if (ref) {
+      args.push(ref);
+    }
+
+    const [stat, diff] = await Promise.all([
+      this.execGit([...args, "--stat", "--", ...paths]),
+      this.execGit([...args, "--", ...paths]),
+    ]);
+    return { stat, diff };
+  }
+
+  /**
+   * 📜 Get recent commits
+   * @param {Object} options - { maxCount, ref, path }
+   * @returns {Promise<Array>} - [{ hash, author, date, subject }], newest first
+   */
+  async getLog({ maxCount = 10, ref = null, path: filePath = null } = {}) {
+    const args = [
+      "log",
+      `--max-count=${maxCount}`,
+      "--format=%h%x1f%an%x1f%aI%x1f%s",
+    ];
+    if (ref) {
+      args.push(ref);
+    }
+    args.push("--");
+    if (filePath) {
+      args.push(filePath);
+    }
+
+    let output;
+    try {
+      output = await this.execGit(args);
+    } catch (error) {
+      // No commits yet
+      if (/does not have any commits/.test(error.message)) {
+        return [];
+      }
+      throw error;
+    }
+
+    return output
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        const [hash, author, date, subject] = line.split("\x1f");
+        return { hash, author, date, subject };
+      });
+  }
+
+  /**
+   * 🌿 List local branches
+   * @returns {Promise<Object>} - { current, branches }
+   */
+  async listBranches() {
+    const [current, output] = await Promise.all([
+      this.getCurrentBranch(),
+      this.execGit(["branch", "--format=%(refname:short)"]),
+    ]);
+
+    return {
+      current,
+      branches: output.split("\n").filter(Boolean),
+    };
+  }
+
   /**
    * 🎨 Generate intelligent commit message
+   * With an AI client the staged diff is summarized by the model routed for
+   * "commit" tasks; the conventional-commit heuristics are the fallback.
    */
-  async generateCommitMessage(files, context = {}) {
+  async generateCommitMessage(files, context = {}, aiClient = null) {
     const timer = this.performanceMonitor.startTimer(
       "commit_message_generation"
     );
@@ -194,20 +329,25 @@ class NoxGitOperations {
       const description = this.generateDescription(analysis);
 
       // Build conventional commit message
-      const message = scope
+      const heuristicMessage = scope
         ? `${commitType}(${scope}): ${description}`
         : `${commitType}: ${description}`;
 
+      const aiCommit = aiClient?.isInitialized
+        ? await this.generateAICommitMessage(aiClient, heuristicMessage)
+        : null;
+
       timer.end();
 
-      this.logger.info(`✅ Generated commit message: "${message}"`);
-      return {
-        message,
+      const commit = aiCommit || {
+        message: heuristicMessage,
         type: commitType,
         scope,
         description,
-        analysis,
       };
+
+      this.logger.info(`✅ Generated commit message: "${commit.message}"`);
+      return { ...commit, analysis };
     } catch (error) {
       timer.end();
       this.logger.error("Failed to generate commit message:", error);
@@ -227,6 +367,75 @@ class NoxGitOperations {
     }
   }
 
+  /**
+   * 🤖 Ask the AI for a conventional commit based on the staged diff
+   * @returns {Promise<Object|null>} - { message, type, scope, description }, or null to use the heuristic
+   */
+  async generateAICommitMessage(aiClient, suggestion) {
+    try {
+      const diff = await this.execGit(
+        "diff --cached --stat --patch --no-color"
+      );
+      if (!diff) {
+        return null;
+      }
+
+      const response = await aiClient.sendStructured(
+        "You write conventional git commit messages for staged changes.",
+        `Staged changes:\n\n${diff.slice(
+          0,
+          MAX_COMMIT_DIFF_CHARS
+        )}\n\nHeuristic suggestion: ${suggestion}`,
+        COMMIT_MESSAGE_SCHEMA,
+        {
+          maxTokens: 200,
+          temperature: 0.2,
+          taskType: "commit",
+        }
+      );
+
+      const { type } = response.data;
+      const scope = this.sanitizeCommitMessage(response.data.scope);
+      const description = this.sanitizeCommitMessage(response.data.description);
+      if (!description) {
+        return null;
+      }
+
+      return {
+        message: scope
+          ? `${type}(${scope}): ${description}`
+          : `${type}: ${description}`,
+        type,
+        scope,
+        description,
+      };
+    } catch (error) {
+      this.logger.warn(
+        `AI commit message failed, using heuristic: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * 🧹 Reduce a model reply to one clean subject line
+   */
+  sanitizeCommitMessage(text) {
+    const line =
+      (text || "")
+        .split("\n")
+        .map((candidate) => candidate.trim())
+        .find(Boolean) || "";
+
+    const message = line
+      .replace(/^["'`]+|["'`]+$/g, "")
+      .replace(/["`$\\]/g, "")
+      .slice(0, 100)
+      .trim();
+
+    return message || null;
+  }
+
   /**
    * 🔍 Analyze code changes
    */
@@ -402,12 +611,11 @@ class NoxGitOperations {
     try {
       if (files.length === 0) {
         // Stage all changes
-        await this.execGit("add .");
+        await this.execGit(["add", "."]);
         this.logger.info("✅ Staged all changes");
       } else {
         // Stage specific files
-        const fileList = files.map((f) => `"${f}"`).join(" ");
-        await this.execGit(`add ${fileList}`);
+        await this.execGit(["add", "--", ...files]);
         this.logger.info(`✅ Staged ${files.length} files`);
       }
 
@@ -427,18 +635,18 @@ class NoxGitOperations {
     try {
       const { author = null, allowEmpty = false, signOff = false } = options;
 
-      let commitCommand = `commit -m "${message}"`;
+      const commitCommand = ["commit", "-m", message];
 
       if (author) {
-        commitCommand += ` --author="${author}"`;
+        commitCommand.push(`--author=${author}`);
       }
 
       if (allowEmpty) {
-        commitCommand += " --allow-empty";
+        commitCommand.push("--allow-empty");
       }
 
       if (signOff) {
-        commitCommand += " --signoff";
+        commitCommand.push("--signoff");
       }
 
       const result = await this.execGit(commitCommand);
@@ -474,17 +682,27 @@ class NoxGitOperations {
       }
 
       // Check if branch already exists
+      let exists = true;
       try {
-        await this.execGit(`rev-parse --verify ${branchName}`);
-        throw new Error(`Branch ${branchName} already exists`);
+        await this.execGit([
+          "rev-parse",
+          "--verify",
+          "--quiet",
+          `refs/heads/${branchName}`,
+        ]);
       } catch (error) {
         // Branch doesn't exist, which is what we want
+        exists = false;
+      }
+      if (exists) {
+        throw new Error(`Branch ${branchName} already exists`);
       }
 
-      let createCommand = `checkout -b ${branchName}`;
+      const currentBranch = await this.getCurrentBranch();
+      const createCommand = ["checkout", "-b", branchName];
 
       if (baseBranch) {
-        createCommand += ` ${baseBranch}`;
+        createCommand.push(baseBranch);
       }
 
       await this.execGit(createCommand);
@@ -494,7 +712,7 @@ class NoxGitOperations {
       return {
         success: true,
         name: branchName,
-        base: baseBranch || (await this.getCurrentBranch()),
+        base: baseBranch || currentBranch,
         created: new Date().toISOString(),
       };
     } catch (error) {
@@ -508,7 +726,7 @@ class NoxGitOperations {
    */
   async switchBranch(branchName) {
     try {
-      await this.execGit(`checkout ${branchName}`);
+      await this.execGit(["checkout", branchName, "--"]);
 
       this.logger.info(`✅ Switched to branch: ${branchName}`);
 
@@ -534,14 +752,14 @@ class NoxGitOperations {
 
       const currentBranch = branch || (await this.getCurrentBranch());
 
-      let pushCommand = `push ${remote} ${currentBranch}`;
+      const pushCommand = ["push", remote, currentBranch];
 
       if (setUpstream) {
-        pushCommand = `push -u ${remote} ${currentBranch}`;
+        pushCommand.splice(1, 0, "-u");
       }
 
       if (force) {
-        pushCommand += " --force";
+        pushCommand.push("--force");
       }
 
       await this.execGit(pushCommand);
@@ -580,18 +798,18 @@ class NoxGitOperations {
         await this.switchBranch(target);
       }
 
-      let mergeCommand = `merge ${sourceBranch}`;
+      const mergeCommand = ["merge", sourceBranch];
 
       if (noFastForward) {
-        mergeCommand += " --no-ff";
+        mergeCommand.push("--no-ff");
       }
 
       if (squash) {
-        mergeCommand += " --squash";
+        mergeCommand.push("--squash");
       }
 
       if (message) {
-        mergeCommand += ` -m "${message}"`;
+        mergeCommand.push("-m", message);
       }
 
       await this.execGit(mergeCommand);
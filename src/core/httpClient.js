@@ -0,0 +1,748 @@
+/**
+ * 🌐 NOX HTTP Client
+ *
+ * Shared network layer for every provider and the cloud voice engines.
+ * Routes requests through the configured proxy and trusts extra CA
+ * certificates, so Nox works behind corporate proxies that intercept TLS.
+ *
+ * Settings (first one set wins):
+ * - Proxy: nox.network.proxy → VS Code http.proxy → HTTPS_PROXY / HTTP_PROXY
+ * - Proxy auth: nox.network.proxyAuthorization → http.proxyAuthorization →
+ *   user:password in the proxy URL
+ * - No proxy: nox.network.noProxy → http.noProxy → NO_PROXY
+ *   (loopback hosts, i.e. local LLM servers, never use the proxy)
+ * - CA certificates: nox.network.caCertificates (PEM files) plus
+ *   NODE_EXTRA_CA_CERTS, on top of Node's built-in roots
+ * - nox.network.strictSSL: verify server certificates (default true)
+ *
+ * testConnectivity() walks through a connection one step at a time
+ * (certificates, DNS, TCP, proxy CONNECT, TLS, HTTP) and reports the step
+ * that fails.
+ *
+ * @enterprise-grade Singleton, cached dispatchers, step-by-step diagnostics
+ */
+
+const dns = require("dns");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const tls = require("tls");
+const { Agent, ProxyAgent, fetch } = require("undici");
+
+// Optional vscode import (not available in tests)
+let vscode;
+try {
+  vscode = require("vscode");
+} catch (e) {
+  // Running in test environment without vscode
+  vscode = null;
+}
+
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "::1"];
+const DEFAULT_PORTS = { "http:": 80, "https:": 443 };
+const CONNECTIVITY_TIMEOUT = 10000; // ms, per step
+
+// TLS errors that mean the server's certificate chain isn't trusted
+const UNTRUSTED_CERTIFICATE_CODES = [
+  "UNABLE_TO_GET_ISSUER_CERT",
+  "UNABLE_TO_GET_ISSUER_CERT_LOCALLY",
+  "UNABLE_TO_VERIFY_LEAF_SIGNATURE",
+  "SELF_SIGNED_CERT_IN_CHAIN",
+  "DEPTH_ZERO_SELF_SIGNED_CERT",
+  "CERT_UNTRUSTED",
+];
+
+class HttpClient {
+  constructor(logger = null) {
+    // Singleton pattern
+    if (HttpClient.instance) {
+      return HttpClient.instance;
+    }
+
+    this.logger = logger;
+    this.dispatchers = new Map(); // proxy URL or "direct" → undici dispatcher
+    this.dispatcherSettingsKey = null;
+    this.caCache = null; // { key, result } for the current CA files
+
+    HttpClient.instance = this;
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance(logger) {
+    if (!HttpClient.instance) {
+      HttpClient.instance = new HttpClient(logger);
+    } else if (logger && !HttpClient.instance.logger) {
+      HttpClient.instance.logger = logger;
+    }
+    return HttpClient.instance;
+  }
+
+  // ============================================================================
+  // SETTINGS
+  // ============================================================================
+
+  /**
+   * Current network settings, from VS Code settings or the environment
+   * @returns {Object} - { proxy, proxyAuthorization, noProxy, caCertificates, strictSSL }
+   */
+  getSettings() {
+    const read = (section, key, defaultValue) =>
+      vscode
+        ? vscode.workspace.getConfiguration(section).get(key, defaultValue)
+        : defaultValue;
+
+    return HttpClient.resolveSettings({
+      nox: {
+        proxy: read("nox", "network.proxy", ""),
+        proxyAuthorization: read("nox", "network.proxyAuthorization", ""),
+        noProxy: read("nox", "network.noProxy", []),
+        caCertificates: read("nox", "network.caCertificates", []),
+        strictSSL: read("nox", "network.strictSSL", true),
+      },
+      http: {
+        proxy: read("http", "proxy", ""),
+        proxyAuthorization: read("http", "proxyAuthorization", null),
+        noProxy: read("http", "noProxy", []),
+        proxyStrictSSL: read("http", "proxyStrictSSL", true),
+      },
+      env: process.env,
+    });
+  }
+
+  /**
+   * Combine Nox settings, VS Code's http.* settings and the environment
+   * @param {Object} sources - { nox, http, env }
+   */
+  static resolveSettings({ nox = {}, http = {}, env = {} }) {
+    const splitList = (value) =>
+      (value || "")
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+    const nonEmpty = (list) =>
+      Array.isArray(list) && list.length > 0 ? list : null;
+
+    return {
+      proxy:
+        nox.proxy ||
+        http.proxy ||
+        env.HTTPS_PROXY ||
+        env.https_proxy ||
+        env.HTTP_PROXY ||
+        env.http_proxy ||
+        null,
+      proxyAuthorization:
+        nox.proxyAuthorization || http.proxyAuthorization || null,
+      noProxy:
+        nonEmpty(nox.noProxy) ||
+        nonEmpty(http.noProxy) ||
+        splitList(env.NO_PROXY || env.no_proxy),
+      caCertificates: [
+        ...(nox.caCertificates || []),
+        ...(env.NODE_EXTRA_CA_CERTS ? [env.NODE_EXTRA_CA_CERTS] : []),
+      ],
+      strictSSL: nox.strictSSL !== false,
+      proxyStrictSSL: nox.strictSSL !== false && http.proxyStrictSSL !== false,
+    };
+  }
+
+  // ============================================================================
+  // PROXY SELECTION
+  // ============================================================================
+
+  /**
+   * Whether a host is on the no-proxy list
+   * Entries: "*", "example.com" (and its subdomains), ".example.com",
+   * "*.example.com", "host:port", or an exact IP address
+   * @param {string} hostname - Target hostname
+   * @param {number} port - Target port
+   * @param {Array<string>} noProxy - No-proxy entries
+   */
+  static matchesNoProxy(hostname, port, noProxy = []) {
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, "");
+
+    return noProxy.some((rawEntry) => {
+      let entry = rawEntry.trim().toLowerCase();
+      if (!entry) {
+        return false;
+      }
+      if (entry === "*") {
+        return true;
+      }
+
+      // Optional port ("host:port", "[::1]:port")
+      const portMatch = entry.match(/^(.*[^:]):(\d+)$/);
+      if (portMatch && !net.isIPv6(entry)) {
+        if (Number(portMatch[2]) !== port) {
+          return false;
+        }
+        entry = portMatch[1];
+      }
+      entry = entry.replace(/^\[|\]$/g, "").replace(/^\*?\./, "");
+
+      return host === entry || host.endsWith(`.${entry}`);
+    });
+  }
+
+  /**
+   * Proxy URL for a request, or null to connect directly
+   * @param {string|URL} url - Target URL
+   * @param {Object} settings - Network settings (defaults to current ones)
+   */
+  getProxyFor(url, settings = this.getSettings()) {
+    const target = new URL(url);
+    const hostname = target.hostname.replace(/^\[|\]$/g, "");
+    const port = Number(target.port) || DEFAULT_PORTS[target.protocol];
+
+    if (
+      !settings.proxy ||
+      LOOPBACK_HOSTS.includes(hostname) ||
+      hostname.startsWith("127.") ||
+      HttpClient.matchesNoProxy(hostname, port, settings.noProxy)
+    ) {
+      return null;
+    }
+
+    // Bare "host:port" proxies are plain HTTP proxies
+    return /^[a-z][a-z0-9+.-]*:\/\//i.test(settings.proxy)
+      ? settings.proxy
+      : `http://${settings.proxy}`;
+  }
+
+  /**
+   * Proxy-Authorization header value, if any
+   * (user:password in the proxy URL is handled by the proxy agent itself)
+   */
+  getProxyAuthorization(proxy, settings) {
+    if (settings.proxyAuthorization) {
+      return settings.proxyAuthorization;
+    }
+
+    const proxyUrl = new URL(proxy);
+    if (!proxyUrl.username && !proxyUrl.password) {
+      return null;
+    }
+
+    const credentials = `${decodeURIComponent(
+      proxyUrl.username
+    )}:${decodeURIComponent(proxyUrl.password)}`;
+    return `Basic ${Buffer.from(credentials).toString("base64")}`;
+  }
+
+  // ============================================================================
+  // CERTIFICATES
+  // ============================================================================
+
+  /**
+   * Load Node's root certificates plus the extra CA bundles
+   * @returns {Object} - { certificates: Array|null (null = Node defaults), files: [{ path, count }] }
+   * @throws {Error} - If a configured CA file can't be read or has no certificates
+   */
+  loadCaCertificates(settings = this.getSettings()) {
+    const key = JSON.stringify(settings.caCertificates);
+    if (this.caCache?.key === key) {
+      return this.caCache.result;
+    }
+
+    const files = [];
+    const extra = [];
+
+    for (const file of settings.caCertificates) {
+      const resolved = file.replace(/^~(?=$|[\\/])/, os.homedir());
+      let pem;
+      try {
+        pem = fs.readFileSync(resolved, "utf8");
+      } catch (error) {
+        throw new Error(
+          `Can't read CA certificate file ${file}: ${error.message}`
+        );
+      }
+
+      const certificates =
+        pem.match(
+          /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g
+        ) || [];
+      if (certificates.length === 0) {
+        throw new Error(`No PEM certificates found in ${file}`);
+      }
+
+      extra.push(...certificates);
+      files.push({ path: file, count: certificates.length });
+    }
+
+    const result = {
+      certificates:
+        extra.length > 0 ? [...tls.rootCertificates, ...extra] : null,
+      files,
+    };
+    this.caCache = { key, result };
+    return result;
+  }
+
+  /**
+   * TLS options for connections to servers (and HTTPS proxies)
+   */
+  getTlsOptions(settings, { forProxy = false } = {}) {
+    const { certificates } = this.loadCaCertificates(settings);
+    const options = {
+      rejectUnauthorized: forProxy
+        ? settings.proxyStrictSSL
+        : settings.strictSSL,
+    };
+    if (certificates) {
+      options.ca = certificates;
+    }
+    return options;
+  }
+
+  // ============================================================================
+  // REQUESTS
+  // ============================================================================
+
+  /**
+   * undici dispatcher for a URL (a proxy agent or a direct agent)
+   * Dispatchers are reused until the network settings change.
+   */
+  getDispatcher(url) {
+    const settings = this.getSettings();
+    const settingsKey = JSON.stringify(settings);
+
+    if (settingsKey !== this.dispatcherSettingsKey) {
+      this.closeDispatchers();
+      this.dispatcherSettingsKey = settingsKey;
+    }
+
+    const proxy = this.getProxyFor(url, settings);
+    const key = proxy || "direct";
+    if (this.dispatchers.has(key)) {
+      return this.dispatchers.get(key);
+    }
+
+    const requestTls = this.getTlsOptions(settings);
+    let dispatcher;
+
+    if (proxy) {
+      const options = {
+        uri: proxy,
+        requestTls,
+        proxyTls: this.getTlsOptions(settings, { forProxy: true }),
+      };
+      if (settings.proxyAuthorization) {
+        options.token = settings.proxyAuthorization;
+      }
+      dispatcher = new ProxyAgent(options);
+    } else {
+      dispatcher = new Agent({ connect: requestTls });
+    }
+
+    this.logger?.debug?.(
+      `🌐 New HTTP dispatcher: ${proxy ? HttpClient.redact(proxy) : "direct"}`
+    );
+    this.dispatchers.set(key, dispatcher);
+    return dispatcher;
+  }
+
+  /**
+   * fetch() through the configured proxy and certificates
+   * Same signature and response as the global fetch(), but undici's own, so
+   * the dispatcher and the fetch come from the same undici version.
+   */
+  fetch(url, init = {}) {
+    return fetch(url, {
+      ...init,
+      dispatcher: this.getDispatcher(String(url)),
+    });
+  }
+
+  /**
+   * Close cached dispatchers (open connections finish first)
+   */
+  closeDispatchers() {
+    for (const dispatcher of this.dispatchers.values()) {
+      dispatcher.close().catch(() => {});
+    }
+    this.dispatchers.clear();
+  }
+
+  // ============================================================================
+  // gRPC (Google Speech)
+  // ============================================================================
+
+  /**
+   * Point gRPC clients at the proxy and CA bundle
+   * gRPC reads these from the environment: the proxy when a channel is
+   * created, the root certificates once when grpc-js is first loaded - so
+   * call this before requiring a gRPC client library. Values already set
+   * in the environment are left alone.
+   * @param {string} url - Service URL (decides proxy vs no-proxy)
+   */
+  configureGrpc(url) {
+    const settings = this.getSettings();
+    const proxy = this.getProxyFor(url, settings);
+
+    // gRPC only supports http:// proxies, with credentials in the URL
+    if (proxy?.startsWith("http:") && !process.env.grpc_proxy) {
+      process.env.grpc_proxy = proxy;
+      if (settings.noProxy.length > 0 && !process.env.no_grpc_proxy) {
+        process.env.no_grpc_proxy = settings.noProxy.join(",");
+      }
+    }
+
+    const { certificates } = this.loadCaCertificates(settings);
+    if (certificates && !process.env.GRPC_DEFAULT_SSL_ROOTS_FILE_PATH) {
+      const bundlePath = path.join(os.tmpdir(), "nox-grpc-ca-bundle.pem");
+      fs.writeFileSync(bundlePath, certificates.join("\n"));
+      process.env.GRPC_DEFAULT_SSL_ROOTS_FILE_PATH = bundlePath;
+    }
+  }
+
+  // ============================================================================
+  // CONNECTIVITY TEST
+  // ============================================================================
+
+  /**
+   * 🩺 Test a connection step by step
+   * Steps: certificates → DNS lookup → TCP connect → proxy CONNECT (when
+   * proxied) → TLS handshake (HTTPS) → HTTP request
+   * @param {string} url - URL to test (e.g. a provider's base URL)
+   * @returns {Promise<Object>} - { url, proxy, ok, failedAt, steps: [{ name, ok, detail, hint, durationMs }] }
+   */
+  async testConnectivity(url) {
+    const target = new URL(url);
+    const targetPort =
+      Number(target.port) || DEFAULT_PORTS[target.protocol] || 443;
+    const report = {
+      url,
+      proxy: null,
+      ok: false,
+      failedAt: null,
+      steps: [],
+    };
+
+    let socket = null;
+
+    const step = async (name, fn) => {
+      const startTime = Date.now();
+      try {
+        const detail = await fn();
+        report.steps.push({
+          name,
+          ok: true,
+          detail,
+          durationMs: Date.now() - startTime,
+        });
+      } catch (error) {
+        report.steps.push({
+          name,
+          ok: false,
+          detail: error.message,
+          hint: HttpClient.getFailureHint(name, error),
+          durationMs: Date.now() - startTime,
+        });
+        report.failedAt = name;
+        throw error;
+      }
+    };
+
+    try {
+      let settings;
+      let proxy;
+
+      await step("Settings & certificates", () => {
+        settings = this.getSettings();
+        proxy = this.getProxyFor(target, settings);
+        report.proxy = proxy ? HttpClient.redact(proxy) : null;
+
+        const { files } = this.loadCaCertificates(settings);
+        const parts = [proxy ? `Proxy ${report.proxy}` : "No proxy"];
+        parts.push(
+          files.length > 0
+            ? `extra CAs: ${files
+                .map((file) => `${file.path} (${file.count})`)
+                .join(", ")}`
+            : "Node's built-in CAs"
+        );
+        if (!settings.strictSSL) {
+          parts.push("certificate checks OFF");
+        }
+        return parts.join(", ");
+      });
+
+      // With a proxy, only the proxy has to resolve - it looks up the target
+      const hop = proxy ? new URL(proxy) : target;
+      const hopHost = hop.hostname.replace(/^\[|\]$/g, "");
+      const hopPort = Number(hop.port) || DEFAULT_PORTS[hop.protocol] || 80;
+      let address;
+
+      await step(`DNS lookup (${hopHost})`, async () => {
+        const result = await HttpClient.withTimeout(
+          dns.promises.lookup(hopHost),
+          "DNS lookup"
+        );
+        address = result.address;
+        return address;
+      });
+
+      await step(`TCP connect (${address}:${hopPort})`, async () => {
+        socket = await HttpClient.connectSocket(address, hopPort);
+        return "Connected";
+      });
+
+      if (proxy) {
+        if (hop.protocol === "https:") {
+          await step("Proxy TLS handshake", async () => {
+            socket = await HttpClient.startTls(
+              socket,
+              hopHost,
+              this.getTlsOptions(settings, { forProxy: true })
+            );
+            return HttpClient.describeTls(socket);
+          });
+        }
+
+        await step("Proxy CONNECT", () =>
+          HttpClient.proxyConnect(
+            socket,
+            `${target.hostname}:${targetPort}`,
+            this.getProxyAuthorization(proxy, settings)
+          )
+        );
+      }
+
+      if (target.protocol === "https:") {
+        await step("TLS handshake", async () => {
+          socket = await HttpClient.startTls(
+            socket,
+            target.hostname,
+            this.getTlsOptions(settings)
+          );
+          return HttpClient.describeTls(socket);
+        });
+      }
+
+      socket.destroy();
+      socket = null;
+
+      await step("HTTP request", async () => {
+        const response = await this.fetch(url, {
+          method: "GET",
+          signal: AbortSignal.timeout(CONNECTIVITY_TIMEOUT),
+        });
+        await response.body?.cancel().catch(() => {});
+        // Any HTTP status means the server was reached
+        return `HTTP ${response.status} ${response.statusText}`.trim();
+      });
+
+      report.ok = true;
+    } catch (error) {
+      this.logger?.warn?.(
+        `🌐 Connectivity test for ${url} failed at ${report.failedAt}: ${error.message}`
+      );
+    } finally {
+      socket?.destroy();
+    }
+
+    return report;
+  }
+
+  /**
+   * Suggest a fix for a failed connectivity step
+   */
+  static getFailureHint(stepName, error) {
+    if (UNTRUSTED_CERTIFICATE_CODES.includes(error.code)) {
+      return "The certificate isn't trusted. If your network inspects TLS, add your company's root CA (PEM) to nox.network.caCertificates.";
+    }
+    if (error.code === "CERT_HAS_EXPIRED") {
+      return "The server's certificate has expired.";
+    }
+    if (error.code === "ERR_TLS_CERT_ALTNAME_INVALID") {
+      return "The certificate doesn't match the host name - something between you and the server is answering instead.";
+    }
+    if (error.statusCode === 407) {
+      return "The proxy requires authentication. Set nox.network.proxyAuthorization or put user:password in the proxy URL.";
+    }
+    if (stepName.startsWith("DNS") && error.code === "ENOTFOUND") {
+      return "The host name doesn't resolve. Check the URL, or set nox.network.proxy if only the proxy can resolve external names.";
+    }
+    if (error.code === "ECONNREFUSED") {
+      return "Nothing is listening on that port. Check the proxy or server address.";
+    }
+    if (error.code === "ETIMEDOUT" || error.name === "TimeoutError") {
+      return "No answer in time - a firewall may be dropping the connection. Check whether a proxy is required.";
+    }
+    if (error.code === "ECONNRESET") {
+      return "The connection was reset - a firewall or proxy may be blocking it.";
+    }
+    return null;
+  }
+
+  /**
+   * Reject if a step takes longer than the connectivity timeout
+   */
+  static withTimeout(promise, what) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(
+          `${what} timed out after ${CONNECTIVITY_TIMEOUT / 1000}s`
+        );
+        error.code = "ETIMEDOUT";
+        reject(error);
+      }, CONNECTIVITY_TIMEOUT);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Open a TCP connection
+   */
+  static connectSocket(host, port) {
+    const socket = net.connect({ host, port });
+    const connected = new Promise((resolve, reject) => {
+      socket.once("connect", () => resolve(socket));
+      socket.once("error", reject);
+    });
+
+    return HttpClient.withTimeout(connected, "TCP connect").catch((error) => {
+      socket.destroy();
+      throw error;
+    });
+  }
+
+  /**
+   * Upgrade a socket to TLS and wait for the handshake
+   */
+  static startTls(socket, servername, options) {
+    const tlsSocket = tls.connect({
+      ...options,
+      socket,
+      servername: net.isIP(servername) ? undefined : servername,
+    });
+    const secured = new Promise((resolve, reject) => {
+      tlsSocket.once("secureConnect", () => resolve(tlsSocket));
+      tlsSocket.once("error", reject);
+    });
+
+    return HttpClient.withTimeout(secured, "TLS handshake").catch((error) => {
+      tlsSocket.destroy();
+      throw error;
+    });
+  }
+
+  /**
+   * Summarize a TLS connection (protocol and certificate issuer)
+   */
+  static describeTls(tlsSocket) {
+    const certificate = tlsSocket.getPeerCertificate();
+    const issuer =
+      certificate?.issuer?.O || certificate?.issuer?.CN || "unknown issuer";
+    const verified = tlsSocket.authorized ? "" : " (NOT verified)";
+    return `${tlsSocket.getProtocol()}, certificate issued by ${issuer}${verified}`;
+  }
+
+  /**
+   * Ask the proxy to open a tunnel to the target
+   */
+  static proxyConnect(socket, authority, proxyAuthorization) {
+    const headers = [`CONNECT ${authority} HTTP/1.1`, `Host: ${authority}`];
+    if (proxyAuthorization) {
+      headers.push(`Proxy-Authorization: ${proxyAuthorization}`);
+    }
+
+    const response = new Promise((resolve, reject) => {
+      let buffer = "";
+
+      const cleanup = () => {
+        socket.removeListener("data", onData);
+        socket.removeListener("error", onError);
+        socket.removeListener("end", onEnd);
+      };
+      const onError = (error) => {
+        cleanup();
+        reject(error);
+      };
+      const onEnd = () => {
+        cleanup();
+        const error = new Error("The proxy closed the connection");
+        error.code = "ECONNRESET";
+        reject(error);
+      };
+      const onData = (data) => {
+        buffer += data.toString("latin1");
+        const headerEnd = buffer.indexOf("\r\n\r\n");
+        if (headerEnd === -1) {
+          return;
+        }
+        cleanup();
+
+        const statusLine = buffer.slice(0, buffer.indexOf("\r\n"));
+        const statusCode = Number(statusLine.split(" ")[1]);
+        if (statusCode >= 200 && statusCode < 300) {
+          resolve(`Tunnel open (${statusLine})`);
+          return;
+        }
+
+        const error = new Error(`Proxy refused the tunnel: ${statusLine}`);
+        error.statusCode = statusCode;
+        reject(error);
+      };
+
+      socket.on("data", onData);
+      socket.once("error", onError);
+      socket.once("end", onEnd);
+    });
+
+    socket.write(`${headers.join("\r\n")}\r\n\r\n`);
+    return HttpClient.withTimeout(response, "Proxy CONNECT");
+  }
+
+  /**
+   * Hide credentials in a proxy URL
+   */
+  static redact(proxy) {
+    try {
+      const url = new URL(proxy);
+      if (url.username || url.password) {
+        url.username = "***";
+        url.password = "";
+      }
+      return url.toString().replace(/\/$/, "");
+    } catch (error) {
+      return proxy;
+    }
+  }
+
+  /**
+   * Render a connectivity report as plain text
+   */
+  static formatReport(report) {
+    const lines = [
+      `🌐 Connectivity test: ${report.url}`,
+      `   Proxy: ${report.proxy || "none (direct connection)"}`,
+      "",
+    ];
+
+    for (const { name, ok, detail, hint, durationMs } of report.steps) {
+      lines.push(`${ok ? "✅" : "❌"} ${name} - ${detail} (${durationMs}ms)`);
+      if (hint) {
+        lines.push(`   💡 ${hint}`);
+      }
+    }
+
+    lines.push(
+      "",
+      report.ok
+        ? "✅ Connection works"
+        : `❌ Connection failed at: ${report.failedAt}`
+    );
+    return lines.join("\n");
+  }
+}
+
+HttpClient.LOOPBACK_HOSTS = LOOPBACK_HOSTS;
+
+module.exports = HttpClient;
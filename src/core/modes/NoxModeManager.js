@@ -30,6 +30,9 @@ class NoxModeManager {
     'deploy_production',
     'database_migration',
     'file_deletion_bulk',
+    'file_delete',
+    'file_move',
+    'run_command',
     'npm_uninstall',
     'sudo_command',
     'rm_rf'
@@ -196,11 +199,19 @@ class NoxModeManager {
     // Map capability types to mode capabilities
     const capabilityMap = {
       file_read: 'read',
+      search_code: 'read',
+      list_files: 'read',
       file_create: 'write',
       file_edit: 'write',
       file_delete: 'write',
+      file_move: 'write',
       terminal_command: 'terminal',
+      run_command: 'terminal',
+      git_status: 'git',
+      git_diff: 'git',
+      git_log: 'git',
       git_commit: 'git',
+      git_branch: 'git',
       git_push: 'git',
       web_search: 'web',
       multi_step: 'multiStep',
@@ -29,21 +29,21 @@ class NoxTaskPlanner {
     const planningPrompt = this.buildPlanningPrompt(userRequest, context);
     
     try {
-      // Request AI to create structured plan
-      const response = await this.aiClient.sendRequestWithSystem(
+      // Request a plan matching the plan schema (validated and repaired by the provider)
+      const response = await this.aiClient.sendStructured(
         systemPrompt,
         [{ role: 'user', content: planningPrompt }],
+        this.buildPlanSchema(),
         {
           maxTokens: 2000,
           temperature: 0.3, // Lower temperature for more deterministic planning
-          response_format: { type: 'json_object' } // Request JSON output if supported
+          taskType: 'plan' // Routed via "nox.modelRouting"
         }
       );
       
-      // Parse plan from AI response
-      const plan = this.parsePlan(response.content);
+      const plan = response.data;
       
-      // Validate plan
+      // Validate plan (capabilities must also be registered)
       const validation = this.validatePlan(plan);
       if (!validation.valid) {
         throw new Error(`Invalid plan: ${validation.errors.join(', ')}`);
@@ -82,7 +82,7 @@ class NoxTaskPlanner {
 - Detect dependencies between steps
 
 ## Available Capabilities:
-${availableCapabilities.map(cap => `- ${cap.id}: ${cap.description} (${cap.riskLevel} risk)`).join('\n')}
+${availableCapabilities.map(({ metadata }) => `- ${metadata.id}: ${metadata.description} (${metadata.riskLevel} risk)`).join('\n')}
 
 ## Current Context:
 - Workspace: ${context.workspacePath || 'Unknown'}
@@ -136,22 +136,45 @@ Return the plan as JSON.`;
   }
 
   /**
-   * Parse plan from AI response
+   * Build the JSON schema for task plans
+   * Step capabilities are limited to the ones available in the current mode
    */
-  parsePlan(responseContent) {
-    try {
-      // Try to parse as JSON
-      const plan = JSON.parse(responseContent);
-      return plan;
-    } catch (error) {
-      // If not JSON, try to extract JSON from markdown code blocks
-      const jsonMatch = responseContent.match(/```json\n([\s\S]*?)\n```/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[1]);
+  buildPlanSchema() {
+    const capabilityIds = this.capabilityRegistry
+      .getByMode(this.modeManager.getCurrentMode())
+      .map(({ metadata }) => metadata.id);
+    const riskLevel = { type: 'string', enum: ['low', 'medium', 'high', 'critical'] };
+    
+    return {
+      title: 'task_plan',
+      type: 'object',
+      required: ['taskName', 'steps'],
+      properties: {
+        taskName: { type: 'string', minLength: 1 },
+        estimatedTime: { type: 'string' },
+        totalSteps: { type: 'integer', minimum: 1 },
+        steps: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['id', 'description', 'capability'],
+            properties: {
+              id: { type: 'string', minLength: 1 },
+              description: { type: 'string', minLength: 1 },
+              capability: capabilityIds.length > 0 ? { type: 'string', enum: capabilityIds } : { type: 'string' },
+              parameters: { type: 'object' },
+              riskLevel: riskLevel,
+              estimatedTime: { type: 'string' },
+              dependencies: { type: 'array', items: { type: 'string' } }
+            }
+          }
+        },
+        dependencies: { type: 'array', items: { type: 'string' } },
+        highRiskOperations: { type: 'array', items: { type: 'string' } },
+        rollbackSupported: { type: 'boolean' }
       }
-      
-      throw new Error('Could not parse plan from AI response');
-    }
+    };
   }
 
   /**
@@ -428,6 +428,11 @@ class NoxContextBuilder {
       },
     };
 
+    // 🖼️ Image attachments travel with the message (see buildMessagesFromHistory)
+    if (context.images?.length) {
+      message.images = context.images;
+    }
+
     this.chatHistory.push(message);
 
     // Enterprise approach: Keep ALL messages in history
@@ -1,6 +1,12 @@
 const vscode = require("vscode");
 const path = require("path");
 
+// First heading of the per-request part of the system prompt. Everything
+// before it is stable across messages and can be served from a prompt cache,
+// so anything that changes between requests (session ID, indexed file count,
+// task, context) must come after it.
+const DYNAMIC_SECTION_HEADING = "## 🔍 CURRENT CONTEXT:";
+
 /**
  * 🦊 NOX System Prompt Builder - Gives AI providers NOX consciousness and identity
  * Transforms generic AI models into NOX-aware agents with full capabilities understanding
@@ -15,6 +21,9 @@ class NoxSystemPrompt {
 
   /**
    * 🧠 Build comprehensive NOX system prompt for AI consciousness
+   * Stable sections (identity, capabilities, project structure, rules) come
+   * first; per-request sections (task, context, history) come last so the
+   * prefix can be cached - see getCacheablePrefixLength()
    */
   buildSystemPrompt(taskType, context, provider) {
     const timer = this.performanceMonitor.startTimer("nox_system_prompt_build");
@@ -35,10 +44,7 @@ You are NOX, your Arctic coding fox - an enterprise-grade AI coding assistant ru
 ## 🏗️ CURRENT ENVIRONMENT:
 - **Workspace**: ${context.workspacePath || "No workspace"}
 - **Project Type**: ${context.projectType || "Unknown"}
-- **Files Indexed**: ${context.totalFiles || 0}
-- **Current Task**: ${taskType}
 - **Provider**: ${provider}
-- **Session ID**: ${context.sessionId || "unknown"}
 
 ## 🎯 YOUR CAPABILITIES:
 ${this.buildCapabilitiesSection(context)}
@@ -46,12 +52,6 @@ ${this.buildCapabilitiesSection(context)}
 ## 📁 PROJECT STRUCTURE:
 ${this.buildProjectStructureSection(context)}
 
-## 🔍 CURRENT CONTEXT:
-${this.buildCurrentContextSection(context)}
-
-## 💬 CONVERSATION HISTORY:
-${this.buildChatHistorySection(context)}
-
 ## 📋 INSTRUCTIONS FOR NOX BEHAVIOR:
 1. **Identity**: Always respond as NOX, never mention being ${provider}
 2. **Context Awareness**: Reference project files, symbols, and structure when relevant
@@ -83,6 +83,8 @@ ${this.buildChatHistorySection(context)}
    - "read" / "show" / "open" → call file_read
    - "edit" / "modify" / "update" → call file_edit
    - "delete" / "remove" → call file_delete
+   - "find" / "where is" / "search" → call search_code
+   - Not sure of a path? Call list_files or search_code - never guess paths
    - When you see these keywords, CALL THE TOOL IMMEDIATELY
 
 3. **Conversational Summary After Execution**
@@ -97,6 +99,15 @@ ${this.buildChatHistorySection(context)}
 
 **REMEMBER: You are an AGENT, not a chatbot. When the user asks for an action, DO IT - don't just talk about it!**
 
+${DYNAMIC_SECTION_HEADING}
+- **Current Task**: ${taskType}
+- **Files Indexed**: ${context.totalFiles || 0}
+- **Session ID**: ${context.sessionId || "unknown"}
+${this.buildCurrentContextSection(context)}
+
+## 💬 CONVERSATION HISTORY:
+${this.buildChatHistorySection(context)}
+
 ## 🚀 TASK EXECUTION:
 Now execute the user's "${taskType}" request with full NOX capabilities and consciousness...
 
@@ -119,6 +130,16 @@ NOX v${
     }
   }
 
+  /**
+   * 💾 Get the length of the stable, cacheable prefix of a system prompt
+   * @param {string} systemPrompt - Prompt built by buildSystemPrompt()
+   * @returns {number} Prefix length in characters (0 if there is no boundary)
+   */
+  getCacheablePrefixLength(systemPrompt) {
+    const index = (systemPrompt || "").indexOf(DYNAMIC_SECTION_HEADING);
+    return index > 0 ? index : 0;
+  }
+
   /**
    * 🛠️ Build capabilities section
    */
@@ -109,15 +109,25 @@ class PerformanceMonitor {
 
   /**
    * Record API cost for tracking
+   * metadata.cache ({ creationTokens, readTokens, savings }) records prompt
+   * cache usage; cost is already priced at cache rates by the provider.
+   * metadata.thinking ({ tokens, cost }) is the extended thinking share,
+   * already included in tokens and cost
    */
   recordCost(provider, model, tokens, cost, metadata = {}) {
+    const { cache, thinking, ...rest } = metadata;
     const costEntry = {
       provider,
       model,
       tokens,
       cost,
+      cacheCreationTokens: cache?.creationTokens || 0,
+      cacheReadTokens: cache?.readTokens || 0,
+      cacheSavings: cache?.savings || 0,
+      thinkingTokens: thinking?.tokens || 0,
+      thinkingCost: thinking?.cost || 0,
       timestamp: Date.now(),
-      ...metadata,
+      ...rest,
     };
 
     const key = `${provider}_${model}`;
@@ -133,6 +143,23 @@ class PerformanceMonitor {
       type: 'cost',
     });
 
+    if (cache) {
+      this.recordMetric('cache_savings', costEntry.cacheSavings, {
+        provider,
+        model,
+        cacheReadTokens: costEntry.cacheReadTokens,
+        cacheCreationTokens: costEntry.cacheCreationTokens,
+      });
+    }
+
+    if (thinking) {
+      this.recordMetric('thinking_tokens', costEntry.thinkingTokens, {
+        provider,
+        model,
+        thinkingCost: costEntry.thinkingCost,
+      });
+    }
+
     this.logger.debug('API cost recorded', costEntry);
     return costEntry;
   }
@@ -185,7 +212,13 @@ class PerformanceMonitor {
       totalCost: 0,
       byProvider: {},
       byModel: {},
+      byTaskType: {},
       totalTokens: 0,
+      cacheReadTokens: 0,
+      cacheCreationTokens: 0,
+      cacheSavings: 0,
+      thinkingTokens: 0,
+      thinkingCost: 0,
     };
 
     for (const [key, costs] of this.costs.entries()) {
@@ -194,6 +227,11 @@ class PerformanceMonitor {
       for (const cost of costs) {
         summary.totalCost += cost.cost;
         summary.totalTokens += cost.tokens;
+        summary.cacheReadTokens += cost.cacheReadTokens || 0;
+        summary.cacheCreationTokens += cost.cacheCreationTokens || 0;
+        summary.cacheSavings += cost.cacheSavings || 0;
+        summary.thinkingTokens += cost.thinkingTokens || 0;
+        summary.thinkingCost += cost.thinkingCost || 0;
 
         if (!summary.byProvider[provider]) {
           summary.byProvider[provider] = { cost: 0, tokens: 0, calls: 0 };
@@ -208,11 +246,21 @@ class PerformanceMonitor {
         summary.byModel[model].cost += cost.cost;
         summary.byModel[model].tokens += cost.tokens;
         summary.byModel[model].calls += 1;
+
+        const taskType = cost.taskType || 'chat';
+        if (!summary.byTaskType[taskType]) {
+          summary.byTaskType[taskType] = { cost: 0, tokens: 0, calls: 0 };
+        }
+        summary.byTaskType[taskType].cost += cost.cost;
+        summary.byTaskType[taskType].tokens += cost.tokens;
+        summary.byTaskType[taskType].calls += 1;
       }
     }
 
     // Round costs to 4 decimal places
     summary.totalCost = Math.round(summary.totalCost * 10000) / 10000;
+    summary.cacheSavings = Math.round(summary.cacheSavings * 10000) / 10000;
+    summary.thinkingCost = Math.round(summary.thinkingCost * 10000) / 10000;
     for (const provider in summary.byProvider) {
       summary.byProvider[provider].cost =
         Math.round(summary.byProvider[provider].cost * 10000) / 10000;
@@ -221,6 +269,10 @@ class PerformanceMonitor {
       summary.byModel[model].cost =
         Math.round(summary.byModel[model].cost * 10000) / 10000;
     }
+    for (const taskType in summary.byTaskType) {
+      summary.byTaskType[taskType].cost =
+        Math.round(summary.byTaskType[taskType].cost * 10000) / 10000;
+    }
 
     return summary;
   }
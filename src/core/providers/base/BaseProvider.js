@@ -8,6 +8,20 @@
  */
 
 const IProvider = require("./IProvider");
+const { getTokenCounter } = require("../../tokenizer");
+const StructuredOutput = require("./StructuredOutput");
+const StreamAccumulator = require("./StreamAccumulator");
+const HttpClient = require("../../httpClient");
+
+/**
+ * Default retry policy - override per provider with a `retry` block in *Config.js
+ */
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3, // Total attempts, including the first one
+  baseDelay: 1000, // ms, doubled on every attempt
+  maxDelay: 30000, // ms, cap for backoff and Retry-After
+  retryableStatuses: [408, 429, 500, 502, 503, 504],
+};
 
 class BaseProvider extends IProvider {
   constructor(config, logger, performanceMonitor) {
@@ -17,6 +31,9 @@ class BaseProvider extends IProvider {
     this.requestCount = 0;
     this.totalTokens = 0;
     this.totalCost = 0;
+
+    // Proxy and CA certificate aware fetch, shared by every provider
+    this.httpClient = HttpClient.getInstance(logger);
   }
 
   // ============================================================================
@@ -51,18 +68,141 @@ class BaseProvider extends IProvider {
 
   /**
    * Build messages array from user prompt or messages
-   * Handles both string prompts and message arrays
+   * Handles both string prompts and message arrays. Messages with image
+   * attachments ({ role, content, images }) become provider content blocks.
    */
-  buildMessages(userPromptOrMessages) {
+  buildMessages(userPromptOrMessages, model = null) {
     if (typeof userPromptOrMessages === "string") {
       return [{ role: "user", content: userPromptOrMessages }];
     } else if (Array.isArray(userPromptOrMessages)) {
-      return userPromptOrMessages;
+      return userPromptOrMessages.map((message) =>
+        message.images?.length
+          ? this.buildImageMessage(message, model)
+          : message
+      );
     } else {
       throw new Error("userPromptOrMessages must be a string or array");
     }
   }
 
+  // ============================================================================
+  // SHARED IMAGE INPUT
+  // ============================================================================
+
+  /**
+   * Check if a model accepts image input (listed in config.visionModels)
+   */
+  supportsVision(model = null) {
+    return (this.config.visionModels || []).includes(
+      model || this.getDefaultModel()
+    );
+  }
+
+  /**
+   * Refuse image input for text-only models with a message the user can act on
+   * The error is flagged so a failover chain skips to the next provider
+   */
+  assertVisionSupport(model = null) {
+    const modelId = model || this.getDefaultModel();
+
+    if (!this.supportsVision(modelId)) {
+      const error = new Error(
+        `${this.getName()} (${modelId}) can't read images. Switch to a vision model such as Claude or GPT-4o, or remove the attachment.`
+      );
+      error.visionUnsupported = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Convert a message with image attachments to the provider's format
+   * @param {Object} message - { role, content, images: [{ name, mimeType, data }] }
+   */
+  buildImageMessage(message, model = null) {
+    this.assertVisionSupport(model);
+
+    const { images, ...rest } = message;
+    return {
+      ...rest,
+      content: this.buildImageContent(message.content, images),
+    };
+  }
+
+  /**
+   * Build content blocks for text plus base64 images
+   * Override in providers that list visionModels
+   */
+  buildImageContent(_text, _images) {
+    throw new Error(`${this.getName()} does not support image input`);
+  }
+
+  // ============================================================================
+  // SHARED TOKEN COUNTING
+  // ============================================================================
+
+  /**
+   * Count tokens with the provider's tokenizer (exact BPE or calibrated estimate)
+   * Used when the API does not report usage (e.g. streaming)
+   */
+  estimateTokens(text, model = null) {
+    return getTokenCounter(this.logger).countTokens(
+      text,
+      this.config.id,
+      model || this.getDefaultModel()
+    );
+  }
+
+  /**
+   * Count prompt tokens for a system prompt plus messages array
+   */
+  estimatePromptTokens(systemPrompt, messages, model = null) {
+    const tokenCounter = getTokenCounter(this.logger);
+    const modelId = model || this.getDefaultModel();
+
+    return (
+      tokenCounter.countTokens(systemPrompt, this.config.id, modelId) +
+      tokenCounter.countMessages(messages, this.config.id, modelId)
+    );
+  }
+
+  /**
+   * Estimate the cost of a request before it is sent, priced by the
+   * provider's own calculateCost
+   * @returns {number|null} - USD, or null when the model has no pricing data
+   */
+  estimateCost(inputTokens, outputTokens, model = null) {
+    const modelId = model || this.getDefaultModel();
+    if (!this.config.pricing?.[modelId]) {
+      return null;
+    }
+
+    return this.calculateCost(
+      this.buildUsage(inputTokens, outputTokens),
+      modelId
+    );
+  }
+
+  /**
+   * Build a usage object in the provider's API format (OpenAI-style by
+   * default), for pricing token counts with calculateCost
+   */
+  buildUsage(inputTokens, outputTokens) {
+    return {
+      prompt_tokens: inputTokens,
+      completion_tokens: outputTokens,
+      total_tokens: inputTokens + outputTokens,
+    };
+  }
+
+  /**
+   * Get the context window (in tokens) for a model
+   * Reads config.contextWindows, where "default" covers unlisted models
+   */
+  getContextWindow(model = null) {
+    const windows = this.config.contextWindows || {};
+    return windows[model || this.getDefaultModel()] || windows.default || null;
+  }
+
   // ============================================================================
   // SHARED PARAMETER SCHEMA BUILDING
   // ============================================================================
@@ -108,6 +248,237 @@ class BaseProvider extends IProvider {
     return schema;
   }
 
+  // ============================================================================
+  // SHARED STRUCTURED OUTPUT
+  // ============================================================================
+
+  /**
+   * Send a request whose reply must be JSON matching a schema
+   * The schema goes to the provider's native JSON mode (see requestStructured)
+   * and into the system prompt; invalid replies are sent back with the
+   * validation errors for repair (options.maxRepairs, default 1).
+   * @returns {Promise<Object>} - Response with `data` (parsed reply) and `repairs`
+   */
+  async sendStructured(
+    apiKey,
+    systemPrompt,
+    userPromptOrMessages,
+    schema,
+    options = {}
+  ) {
+    const { schemaName, maxRepairs = 1, ...requestOptions } = options;
+    const structured = {
+      name: StructuredOutput.buildName(schemaName || schema.title),
+      schema,
+    };
+    const system = `${systemPrompt}\n\n${StructuredOutput.describeSchema(
+      schema
+    )}`;
+    const messages =
+      typeof userPromptOrMessages === "string"
+        ? [{ role: "user", content: userPromptOrMessages }]
+        : [...userPromptOrMessages];
+
+    let tokens = 0;
+    let cost = 0;
+    let errors = [];
+    let content;
+
+    for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+      const response = await this.requestStructured(
+        apiKey,
+        system,
+        messages,
+        structured,
+        requestOptions
+      );
+      tokens += response.tokens || 0;
+      cost += response.cost || 0;
+      content = response.content;
+
+      const result = StructuredOutput.parse(content, schema);
+      if (result.errors.length === 0) {
+        return {
+          ...response,
+          data: result.value,
+          tokens,
+          cost,
+          repairs: attempt,
+        };
+      }
+
+      errors = result.errors;
+      this.logger?.warn(
+        `🧩 [${this.getName()}] Structured reply invalid (attempt ${
+          attempt + 1
+        }): ${errors.slice(0, 3).join("; ")}`
+      );
+      messages.push(
+        { role: "assistant", content: content || "" },
+        { role: "user", content: StructuredOutput.buildRepairPrompt(errors) }
+      );
+    }
+
+    const error = new Error(
+      `${this.getName()} did not return valid "${structured.name}" JSON: ${errors
+        .slice(0, 3)
+        .join("; ")}`
+    );
+    error.structuredOutputInvalid = true;
+    error.validationErrors = errors;
+    error.content = content;
+    throw error;
+  }
+
+  /**
+   * Send one structured output round
+   * Default: a regular request with options.responseSchema, which providers
+   * map to their native JSON mode. Override when the API needs another shape.
+   * @param {Object} structured - { name, schema }
+   * @returns {Promise<Object>} - Response with the raw JSON text in `content`
+   */
+  async requestStructured(apiKey, systemPrompt, messages, structured, options) {
+    return this.sendRequestWithSystem(apiKey, systemPrompt, messages, {
+      ...options,
+      responseSchema: structured,
+    });
+  }
+
+  // ============================================================================
+  // SHARED EMBEDDINGS
+  // ============================================================================
+
+  /**
+   * Check if the provider can compute embeddings (config.embeddings is set)
+   */
+  supportsEmbeddings() {
+    return Boolean(this.config.embeddings);
+  }
+
+  /**
+   * Get the embedding models this provider lists
+   * @returns {Array<string>}
+   */
+  getEmbeddingModels() {
+    return Object.keys(this.config.embeddings?.models || {});
+  }
+
+  /**
+   * Get the embedding model for a request (the configured default if omitted)
+   */
+  getEmbeddingModel(model = null) {
+    return model || this.config.embeddings?.defaultModel || null;
+  }
+
+  /**
+   * Get the vector size of an embedding model
+   * @returns {number|null} - null for unlisted models (known after a request)
+   */
+  getEmbeddingDimensions(model = null) {
+    return (
+      this.config.embeddings?.models?.[this.getEmbeddingModel(model)] || null
+    );
+  }
+
+  /**
+   * Compute embeddings for a list of texts
+   * Texts are sent in batches of config.embeddings.maxBatchSize (or
+   * options.batchSize); vectors come back in input order. Tokens the API
+   * doesn't report are counted with the provider's tokenizer.
+   * @param {string} apiKey - API key
+   * @param {string|Array<string>} texts - Texts to embed
+   * @param {Object} options - { model, dimensions, batchSize }
+   * @returns {Promise<Object>} - { embeddings, model, dimensions, provider, tokens, cost }
+   */
+  async embed(apiKey, texts, options = {}) {
+    if (!this.supportsEmbeddings()) {
+      const error = new Error(`${this.getName()} does not support embeddings`);
+      error.embeddingsUnsupported = true;
+      throw error;
+    }
+
+    const inputs = typeof texts === "string" ? [texts] : texts;
+    if (
+      !Array.isArray(inputs) ||
+      inputs.some((text) => typeof text !== "string")
+    ) {
+      throw new Error("texts must be a string or an array of strings");
+    }
+
+    const model = this.getEmbeddingModel(options.model);
+    const batchSize = Math.max(
+      1,
+      options.batchSize || this.config.embeddings.maxBatchSize || inputs.length
+    );
+    const timer = this.logRequestStart("embed", {
+      model,
+      texts: inputs.length,
+      batches: Math.ceil(inputs.length / batchSize),
+    });
+
+    try {
+      const embeddings = [];
+      let tokens = 0;
+
+      for (let start = 0; start < inputs.length; start += batchSize) {
+        const batch = inputs.slice(start, start + batchSize);
+        const result = await this.requestEmbeddings(
+          apiKey,
+          batch,
+          model,
+          options
+        );
+
+        if (result.embeddings.length !== batch.length) {
+          throw new Error(
+            `${this.getName()} returned ${result.embeddings.length} embeddings for ${batch.length} texts`
+          );
+        }
+
+        embeddings.push(...result.embeddings);
+        tokens +=
+          result.tokens ??
+          batch.reduce(
+            (sum, text) => sum + this.estimateTokens(text, model),
+            0
+          );
+      }
+
+      const response = {
+        embeddings,
+        model,
+        dimensions: embeddings[0]?.length || this.getEmbeddingDimensions(model),
+        provider: this.config.id,
+        tokens,
+        cost: this.estimateCost(tokens, 0, model) || 0,
+      };
+
+      timer?.end();
+      this.logRequestComplete("embed", {
+        tokens: response.tokens,
+        cost: response.cost,
+        dimensions: response.dimensions,
+      });
+
+      return response;
+    } catch (error) {
+      timer?.end();
+      this.handleApiError(error, "embed");
+    }
+  }
+
+  /**
+   * Send one batch of texts to the provider's embeddings API
+   * Override in providers that set config.embeddings
+   * @returns {Promise<Object>} - { embeddings: Array<Array<number>>, tokens }
+   *   (tokens undefined when the API doesn't report usage)
+   */
+  async requestEmbeddings(_apiKey, _texts, _model, _options) {
+    throw new Error(
+      `requestEmbeddings() must be implemented by ${this.getName()}`
+    );
+  }
+
   // ============================================================================
   // SHARED LOGGING METHODS
   // ============================================================================
@@ -177,10 +548,178 @@ class BaseProvider extends IProvider {
     throw error;
   }
 
+  // ============================================================================
+  // SHARED RETRY POLICY
+  // ============================================================================
+
+  /**
+   * Get the effective retry policy (defaults merged with config.retry)
+   */
+  getRetryPolicy() {
+    return { ...DEFAULT_RETRY_POLICY, ...(this.config.retry || {}) };
+  }
+
+  /**
+   * Compute the delay before the next attempt.
+   * Honors Retry-After (seconds or HTTP date), otherwise uses exponential
+   * backoff with full jitter, capped at policy.maxDelay.
+   * Returns null when Retry-After asks for longer than policy.maxDelay:
+   * retrying sooner would only hit the same 429.
+   */
+  getRetryDelay(attempt, response, policy) {
+    const retryAfter = response?.headers?.get("retry-after");
+
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = Number.isFinite(seconds)
+        ? seconds * 1000
+        : Date.parse(retryAfter) - Date.now();
+
+      if (Number.isFinite(delay)) {
+        return delay > policy.maxDelay ? null : Math.max(delay, 0);
+      }
+    }
+
+    const backoff = Math.min(
+      policy.maxDelay,
+      policy.baseDelay * Math.pow(2, attempt - 1)
+    );
+    return Math.round(Math.random() * backoff);
+  }
+
+  /**
+   * Wait before retrying, rejecting immediately if the request is aborted
+   */
+  waitForRetry(delay, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason || new Error("Request aborted"));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timeout);
+        reject(signal.reason || new Error("Request aborted"));
+      };
+
+      const timeout = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, delay);
+
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
+  /**
+   * fetch() with the provider's retry policy, through the shared HTTP client.
+   * Retries network failures and retryable HTTP statuses (429, 5xx, ...).
+   * The last response is returned as-is, so providers keep formatting their
+   * own API errors. Streaming bodies are only read after a successful
+   * response, so streams that fail before the first token retry transparently.
+   * A Retry-After longer than policy.maxDelay is not waited out: the
+   * response is returned right away, so the failover chain can move on.
+   */
+  async fetchWithRetry(url, init = {}) {
+    const policy = this.getRetryPolicy();
+    const maxAttempts = Math.max(1, policy.maxAttempts);
+    const signal = init.signal;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const isLastAttempt = attempt === maxAttempts;
+      let response = null;
+
+      try {
+        response = await this.httpClient.fetch(url, init);
+      } catch (error) {
+        // Aborts are never retried
+        if (signal?.aborted || error.name === "AbortError") {
+          throw error;
+        }
+
+        if (isLastAttempt) {
+          this.recordRetries(attempt - 1, "network_error");
+          throw error;
+        }
+      }
+
+      const retryable =
+        !response ||
+        (!response.ok && policy.retryableStatuses.includes(response.status));
+      const delay =
+        retryable && !isLastAttempt
+          ? this.getRetryDelay(attempt, response, policy)
+          : null;
+
+      if (delay === null) {
+        if (retryable && !isLastAttempt && this.logger) {
+          this.logger.warn(
+            `🔁 [${this.getName()}] HTTP ${response.status}, Retry-After exceeds ${policy.maxDelay}ms - not retrying`
+          );
+        }
+        this.recordRetries(
+          attempt - 1,
+          response.ok ? "success" : `http_${response.status}`
+        );
+        return response;
+      }
+
+      // Release the failed response before retrying
+      await response?.body?.cancel().catch(() => {});
+
+      if (this.logger) {
+        this.logger.warn(
+          `🔁 [${this.getName()}] ${
+            response ? `HTTP ${response.status}` : "Network error"
+          }, retrying in ${delay}ms (attempt ${attempt + 1}/${maxAttempts})`
+        );
+      }
+
+      await this.waitForRetry(delay, signal);
+    }
+  }
+
+  /**
+   * Report how many retries a request needed
+   */
+  recordRetries(retries, outcome) {
+    if (retries > 0 && this.performanceMonitor) {
+      this.performanceMonitor.recordMetric("provider_retries", retries, {
+        provider: this.config.id,
+        outcome,
+      });
+    }
+  }
+
   // ============================================================================
   // SHARED STREAMING UTILITIES
   // ============================================================================
 
+  /**
+   * Read a streaming response through the provider's stream parser
+   * The parser emits unified events (StreamEvents.js); the accumulator
+   * forwards text to onChunk, dispatches complete tool calls to onToolCall
+   * and collects content, tool calls, usage and the stop reason.
+   * @param {Response} response - fetch response with a streaming body
+   * @param {AbortController} abortController - Abort controller for cancellation
+   * @param {Object} options - { messageId, onChunk, onToolCall, label }
+   * @returns {Promise<StreamAccumulator>} - Accumulated stream results
+   */
+  async consumeStream(response, abortController, options = {}) {
+    const accumulator = new StreamAccumulator({
+      ...options,
+      logger: this.logger,
+    });
+
+    return accumulator.consume(
+      this.streamParser.readStream(
+        response.body.getReader(),
+        new TextDecoder(),
+        abortController?.signal
+      )
+    );
+  }
+
   /**
    * Parse streaming chunks (SSE format)
    * Used by providers that use Server-Sent Events
@@ -0,0 +1,210 @@
+/**
+ * 🌊 NOX Base Stream Parser
+ *
+ * Shared stream reading for provider stream parsers: splits the response
+ * body into lines, parses each line (SSE "data:" lines or NDJSON) and hands
+ * it to the provider's parseEvent(), which translates it into the unified
+ * events from StreamEvents.js.
+ *
+ * Parsers keep per-stream state (open tool calls, whether the model called
+ * a tool) in a state object created for every readStream() call, so one
+ * parser instance can serve concurrent streams.
+ *
+ * @enterprise-grade Robust streaming parser with error handling
+ */
+
+const { StreamEvent } = require("./StreamEvents");
+
+// parseLine result for the "[DONE]" end marker
+const DONE = Object.freeze({ done: true });
+
+class BaseStreamParser {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Translate one parsed line into unified events (implemented per provider)
+   * @param {Object} _event - Parsed JSON line, or BaseStreamParser.DONE
+   * @param {Object} _state - Per-stream state from createState()
+   * @returns {Array<Object>} - Unified stream events
+   */
+  parseEvent(_event, _state) {
+    throw new Error("parseEvent() must be implemented by stream parser");
+  }
+
+  /**
+   * Create the state for one stream
+   */
+  createState() {
+    return {
+      openToolCalls: new Map(), // index → { id, name }
+      toolCallCount: 0,
+    };
+  }
+
+  /**
+   * Parse a single line from the stream
+   * @param {string} line - Raw line from stream
+   * @returns {Object|null} - Parsed JSON, DONE, or null for lines to skip
+   */
+  parseLine(line) {
+    // Remove "data: " prefix if present (SSE)
+    if (line.startsWith("data: ")) {
+      line = line.substring(6);
+    }
+
+    // Skip empty lines and SSE event type markers
+    if (!line.trim() || line.startsWith("event:")) {
+      return null;
+    }
+
+    // Check for stream end marker
+    if (line.trim() === "[DONE]") {
+      return DONE;
+    }
+
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      // Ignore parse errors for incomplete chunks
+      return null;
+    }
+  }
+
+  /**
+   * Process one line of the stream
+   * @param {string} line - Raw line from stream
+   * @param {Object} state - Per-stream state (a fresh one if omitted)
+   * @returns {Array<Object>} - Unified stream events
+   */
+  processChunk(line, state = this.createState()) {
+    const event = this.parseLine(line);
+    return event ? this.parseEvent(event, state) : [];
+  }
+
+  /**
+   * Events for the end of the stream: tool calls still open are closed,
+   * for servers that end the stream without a finish reason
+   */
+  finish(state) {
+    return this.endToolCalls(state);
+  }
+
+  // ============================================================================
+  // TOOL CALL FRAMING
+  // ============================================================================
+
+  /**
+   * Open a tool call
+   * @param {number} index - Call index within the response (default: next)
+   */
+  startToolCall(state, id, name, index = state.toolCallCount) {
+    state.openToolCalls.set(index, { id, name });
+    state.toolCallCount = Math.max(state.toolCallCount, index + 1);
+    return StreamEvent.toolCallStart(index, id || `call_${index}`, name);
+  }
+
+  /**
+   * Close a tool call if it is open
+   */
+  endToolCall(state, index) {
+    if (!state.openToolCalls.delete(index)) {
+      return [];
+    }
+    return [StreamEvent.toolCallEnd(index)];
+  }
+
+  /**
+   * Close every open tool call
+   */
+  endToolCalls(state) {
+    return [...state.openToolCalls.keys()].flatMap((index) =>
+      this.endToolCall(state, index)
+    );
+  }
+
+  /**
+   * Frame a tool call that arrives complete (Gemini, Ollama)
+   * @param {Object|string} args - Arguments object or JSON string
+   */
+  completeToolCall(state, id, name, args) {
+    const start = this.startToolCall(state, id, name);
+    const json = typeof args === "string" ? args : JSON.stringify(args || {});
+
+    return [
+      start,
+      StreamEvent.toolArgsDelta(start.index, json),
+      ...this.endToolCall(state, start.index),
+    ];
+  }
+
+  // ============================================================================
+  // STREAM READING
+  // ============================================================================
+
+  /**
+   * Read and process streaming response
+   * @param {ReadableStreamDefaultReader} reader - Stream reader
+   * @param {TextDecoder} decoder - Text decoder
+   * @param {AbortSignal} signal - Optional abort signal
+   * @yields {Object} - Unified stream events
+   */
+  async *readStream(reader, decoder, signal = null) {
+    const state = this.createState();
+    let buffer = "";
+
+    try {
+      while (true) {
+        // Check if aborted before reading
+        if (signal?.aborted) {
+          this.logger?.info("🛑 Stream aborted by user");
+          return;
+        }
+
+        const { done, value } = await reader.read();
+
+        if (done) {
+          break;
+        }
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split("\n");
+
+        // Keep the last incomplete line in buffer
+        buffer = lines.pop() || "";
+
+        for (const line of lines) {
+          if (line.trim()) {
+            yield* this.processChunk(line, state);
+          }
+        }
+      }
+    } catch (error) {
+      // Handle abort errors gracefully
+      if (error.name === "AbortError" || signal?.aborted) {
+        this.logger?.info("🛑 Stream reading aborted");
+        return;
+      }
+      throw error;
+    } finally {
+      // Always release the reader
+      try {
+        reader.releaseLock();
+      } catch (e) {
+        // Ignore errors when releasing lock
+      }
+    }
+
+    // Process any remaining buffer
+    if (buffer.trim()) {
+      yield* this.processChunk(buffer, state);
+    }
+
+    yield* this.finish(state);
+  }
+}
+
+BaseStreamParser.DONE = DONE;
+
+module.exports = BaseStreamParser;
@@ -191,6 +191,48 @@ class IProvider {
     throw new Error("sendStreamingRequestWithTools() must be implemented by provider");
   }
 
+  /**
+   * Send a request whose reply must be JSON matching a schema
+   * @param {string} apiKey - API key
+   * @param {string} systemPrompt - System prompt
+   * @param {string|Array} userPromptOrMessages - User prompt or messages array
+   * @param {Object} schema - JSON Schema the reply must match
+   * @param {Object} _options - Request options (model, maxTokens, temperature, schemaName, maxRepairs)
+   * @returns {Promise<Object>} - Response object with the parsed reply in `data`
+   */
+  async sendStructured(
+    apiKey,
+    systemPrompt,
+    userPromptOrMessages,
+    schema,
+    _options = {}
+  ) {
+    throw new Error("sendStructured() must be implemented by provider");
+  }
+
+  // ============================================================================
+  // EMBEDDING METHODS (Optional - for providers with an embeddings API)
+  // ============================================================================
+
+  /**
+   * Check if provider can compute embeddings
+   * @returns {boolean}
+   */
+  supportsEmbeddings() {
+    return false;
+  }
+
+  /**
+   * Compute embeddings for a list of texts
+   * @param {string} apiKey - API key
+   * @param {string|Array<string>} texts - Texts to embed
+   * @param {Object} _options - Request options (model, dimensions, batchSize)
+   * @returns {Promise<Object>} - { embeddings, model, dimensions, provider, tokens, cost }
+   */
+  async embed(apiKey, texts, _options = {}) {
+    throw new Error(`${this.getName()} does not support embeddings`);
+  }
+
   // ============================================================================
   // TOOL HANDLING METHODS (Required for providers that support tools)
   // ============================================================================
@@ -259,6 +301,17 @@ class IProvider {
     throw new Error("calculateCost() must be implemented by provider");
   }
 
+  /**
+   * Estimate the cost of a request before it is sent
+   * @param {number} _inputTokens - Prompt tokens
+   * @param {number} _outputTokens - Expected response tokens
+   * @param {string} _model - Model ID
+   * @returns {number|null} - Cost in USD, or null without pricing data
+   */
+  estimateCost(_inputTokens, _outputTokens, _model = null) {
+    return null;
+  }
+
   // ============================================================================
   // HELPER METHODS (Optional - can be overridden)
   // ============================================================================
@@ -266,9 +319,10 @@ class IProvider {
   /**
    * Build messages array from user prompt or messages
    * @param {string|Array} userPromptOrMessages - User prompt or messages array
+   * @param {string} _model - Model ID (decides whether images are accepted)
    * @returns {Array} - Messages array in provider format
    */
-  buildMessages(userPromptOrMessages) {
+  buildMessages(userPromptOrMessages, _model = null) {
     if (typeof userPromptOrMessages === "string") {
       return [{ role: "user", content: userPromptOrMessages }];
     } else if (Array.isArray(userPromptOrMessages)) {
@@ -278,6 +332,15 @@ class IProvider {
     }
   }
 
+  /**
+   * Check if a model accepts image input
+   * @param {string} _model - Model ID
+   * @returns {boolean}
+   */
+  supportsVision(_model = null) {
+    return false;
+  }
+
   /**
    * Log request start
    * @param {string} method - Method name
@@ -21,6 +21,8 @@ class ProviderManager {
     this.providers = new Map();
     this.currentProvider = null;
     this.initialized = false;
+    this.failoverChain = []; // Ordered [{ provider, model }] fallbacks
+    this.recorder = null; // CassetteRecorder capturing provider traffic
 
     ProviderManager.instance = this;
   }
@@ -143,7 +145,8 @@ class ProviderManager {
       throw new Error(`Provider not found: ${providerId}`);
     }
 
-    return provider;
+    // While recording, request methods go through the recorder
+    return this.recorder ? this.recorder.wrap(providerId, provider) : provider;
   }
 
   /**
@@ -208,18 +211,21 @@ class ProviderManager {
 
   /**
    * Get all provider metadata
-   * @returns {Array<Object>} - Array of { id, name, models, supportsTools, supportsStreaming }
+   * @returns {Array<Object>} - Array of { id, name, baseUrl, models, supportsTools, supportsStreaming, supportsEmbeddings }
    */
   getAllProviderInfo() {
     return Array.from(this.providers.entries()).map(([id, provider]) => ({
       id,
       name: provider.getName(),
+      baseUrl: provider.config?.baseUrl || null,
       models: provider.getModels(),
       defaultModel: provider.getDefaultModel(),
       supportsToolCalling: provider.supportsToolCalling(),
       supportsStreaming: provider.supportsStreaming(),
       toolFormat: provider.supportsToolCalling() ? provider.getToolFormat() : null,
-      maxTools: provider.supportsToolCalling() ? provider.getMaxTools() : 0
+      maxTools: provider.supportsToolCalling() ? provider.getMaxTools() : 0,
+      supportsEmbeddings: provider.supportsEmbeddings(),
+      embeddingModels: provider.supportsEmbeddings() ? provider.getEmbeddingModels() : []
     }));
   }
 
@@ -243,6 +249,16 @@ class ProviderManager {
       .map(([id, _]) => id);
   }
 
+  /**
+   * Get providers that can compute embeddings
+   * @returns {Array<string>} - Array of provider IDs
+   */
+  getProvidersWithEmbeddingSupport() {
+    return Array.from(this.providers.entries())
+      .filter(([_, provider]) => provider.supportsEmbeddings())
+      .map(([id, _]) => id);
+  }
+
   // ============================================================================
   // STATISTICS
   // ============================================================================
@@ -314,6 +330,126 @@ class ProviderManager {
     return provider.validateModel(model);
   }
 
+  // ============================================================================
+  // FAILOVER
+  // ============================================================================
+
+  /**
+   * Set the ordered failover chain
+   * @param {Array<Object>} chain - [{ provider, model }], e.g. Claude → GPT-4o → local
+   */
+  setFailoverChain(chain) {
+    this.failoverChain = (Array.isArray(chain) ? chain : []).filter(
+      (entry) => entry && typeof entry.provider === 'string'
+    );
+
+    if (this.logger && this.failoverChain.length > 0) {
+      this.logger.info(
+        `🔀 Failover chain: ${this.failoverChain
+          .map((entry) => `${entry.provider}/${entry.model || 'default'}`)
+          .join(' → ')}`
+      );
+    }
+  }
+
+  /**
+   * Get the configured failover chain
+   * @returns {Array<Object>}
+   */
+  getFailoverChain() {
+    return [...this.failoverChain];
+  }
+
+  /**
+   * Build the route for a request: the requested provider/model first,
+   * then every chain entry that is registered and not the same target.
+   * @param {string} providerId - Requested provider ID
+   * @param {string} model - Requested model
+   * @returns {Array<Object>} - [{ provider, model }]
+   */
+  buildFailoverRoute(providerId, model) {
+    const route = [{ provider: providerId, model }];
+
+    for (const entry of this.failoverChain) {
+      if (!this.providers.has(entry.provider)) {
+        continue;
+      }
+
+      const entryModel =
+        entry.model || this.getProvider(entry.provider).getDefaultModel();
+
+      const duplicate = route.some(
+        (existing) =>
+          existing.provider === entry.provider && existing.model === entryModel
+      );
+      if (!duplicate) {
+        route.push({ provider: entry.provider, model: entryModel });
+      }
+    }
+
+    return route;
+  }
+
+  /**
+   * Run a request, moving down the failover chain on retryable errors
+   * @param {string} providerId - Requested provider ID
+   * @param {string} model - Requested model
+   * @param {Function} attemptFn - async (providerInstance, { provider, model }, attemptIndex) => result
+   * @param {Object} options - { isRetryable(error), onFailover(from, to, error) }
+   * @returns {Promise<*>} - Result of the first successful attempt
+   */
+  async executeWithFailover(providerId, model, attemptFn, options = {}) {
+    const route = this.buildFailoverRoute(providerId, model);
+    const isRetryable = options.isRetryable || (() => false);
+
+    let lastError;
+    for (let index = 0; index < route.length; index++) {
+      const target = route[index];
+
+      try {
+        return await attemptFn(this.getProvider(target.provider), target, index);
+      } catch (error) {
+        lastError = error;
+
+        const next = route[index + 1];
+        if (!next || !isRetryable(error)) {
+          throw error;
+        }
+
+        if (this.logger) {
+          this.logger.warn(
+            `🔀 ${target.provider}/${target.model} failed (${error.message}), failing over to ${next.provider}/${next.model}`
+          );
+        }
+
+        if (this.performanceMonitor) {
+          this.performanceMonitor.recordMetric('provider_failover', 1, {
+            from: target.provider,
+            to: next.provider,
+          });
+        }
+
+        if (options.onFailover) {
+          options.onFailover(target, next, error);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  // ============================================================================
+  // RECORDING
+  // ============================================================================
+
+  /**
+   * Record provider traffic into a cassette (see mock/CassetteRecorder)
+   * @param {CassetteRecorder|null} recorder - Recorder, or null to stop recording
+   */
+  setRecorder(recorder) {
+    this.recorder = recorder;
+  }
+
   // ============================================================================
   // INITIALIZATION
   // ============================================================================
@@ -0,0 +1,239 @@
+/**
+ * 🦊 NOX Provider Manager Failover Tests
+ *
+ * Tests for ProviderManager.buildFailoverRoute and executeWithFailover:
+ * - Route order: the requested target first, then the chain
+ * - Unregistered and duplicate targets are skipped
+ * - Retryable errors move down the chain, others are thrown
+ * - No failover once output has started
+ *
+ * Run with: node src/core/providers/base/ProviderManager.test.js
+ */
+
+const ProviderManager = require("./ProviderManager.js");
+const IProvider = require("./IProvider.js");
+
+// Stand-in providers with a fixed default model
+class FakeClaude extends IProvider {
+  getName() {
+    return "Fake Claude";
+  }
+
+  getDefaultModel() {
+    return "claude-default";
+  }
+}
+
+class FakeOpenAI extends IProvider {
+  getName() {
+    return "Fake OpenAI";
+  }
+
+  getDefaultModel() {
+    return "gpt-default";
+  }
+}
+
+// Test runner
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.tests = [];
+  }
+
+  test(name, fn) {
+    this.tests.push({ name, fn });
+  }
+
+  async run() {
+    console.log("🦊 Running ProviderManager Failover Tests...\n");
+
+    for (const { name, fn } of this.tests) {
+      try {
+        await fn();
+        this.passed++;
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        this.failed++;
+        console.log(`❌ ${name}`);
+        console.log(`   Error: ${error.message}`);
+      }
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+}
+
+// Assertion helpers
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+async function assertRejects(promise, expectedMessage) {
+  try {
+    await promise;
+  } catch (error) {
+    assertEqual(error.message, expectedMessage);
+    return;
+  }
+  throw new Error(`Expected rejection: ${expectedMessage}`);
+}
+
+// Fresh manager (it is a singleton) with two providers and a chain
+function createManager(chain) {
+  ProviderManager.instance = null;
+  const manager = new ProviderManager(null, null);
+  manager.register("claude", FakeClaude);
+  manager.register("openai", FakeOpenAI);
+  manager.setFailoverChain(chain);
+  return manager;
+}
+
+const retryable = (message) => {
+  const error = new Error(message);
+  error.retryable = true;
+  return error;
+};
+
+// Create test runner
+const runner = new TestRunner();
+
+// Test 1: Route order
+runner.test("route starts with the requested target, then the chain", () => {
+  const manager = createManager([
+    { provider: "openai", model: "gpt-4o" },
+    { provider: "claude" },
+  ]);
+
+  assertDeepEqual(manager.buildFailoverRoute("claude", "claude-opus"), [
+    { provider: "claude", model: "claude-opus" },
+    { provider: "openai", model: "gpt-4o" },
+    { provider: "claude", model: "claude-default" },
+  ]);
+});
+
+// Test 2: Duplicates and unknown providers
+runner.test("skips duplicate and unregistered targets", () => {
+  const manager = createManager([
+    { provider: "claude", model: "claude-default" },
+    { provider: "local", model: "llama3" },
+    { provider: "openai" },
+    { provider: "openai", model: "gpt-default" },
+  ]);
+
+  assertDeepEqual(manager.buildFailoverRoute("claude", "claude-default"), [
+    { provider: "claude", model: "claude-default" },
+    { provider: "openai", model: "gpt-default" },
+  ]);
+});
+
+// Test 3: Failing over in order
+runner.test("moves down the chain on retryable errors", async () => {
+  const manager = createManager([
+    { provider: "openai", model: "gpt-4o" },
+    { provider: "claude", model: "claude-haiku" },
+  ]);
+  const attempts = [];
+  const failovers = [];
+
+  const result = await manager.executeWithFailover(
+    "claude",
+    "claude-opus",
+    async (provider, target, index) => {
+      attempts.push(`${provider.getName()}:${target.model}:${index}`);
+      if (index < 2) {
+        throw retryable(`HTTP 529 from ${target.model}`);
+      }
+      return "answer";
+    },
+    {
+      isRetryable: (error) => !!error.retryable,
+      onFailover: (from, to, error) =>
+        failovers.push(`${from.model}→${to.model} (${error.message})`),
+    }
+  );
+
+  assertEqual(result, "answer");
+  assertDeepEqual(attempts, [
+    "Fake Claude:claude-opus:0",
+    "Fake OpenAI:gpt-4o:1",
+    "Fake Claude:claude-haiku:2",
+  ]);
+  assertDeepEqual(failovers, [
+    "claude-opus→gpt-4o (HTTP 529 from claude-opus)",
+    "gpt-4o→claude-haiku (HTTP 529 from gpt-4o)",
+  ]);
+});
+
+// Test 4: Errors that may not fail over
+runner.test("throws non-retryable errors and the last error", async () => {
+  const manager = createManager([{ provider: "openai", model: "gpt-4o" }]);
+  let attempts = 0;
+
+  await assertRejects(
+    manager.executeWithFailover(
+      "claude",
+      "claude-opus",
+      async () => {
+        attempts++;
+        throw new Error("HTTP 401");
+      },
+      { isRetryable: (error) => !!error.retryable }
+    ),
+    "HTTP 401"
+  );
+  assertEqual(attempts, 1);
+
+  await assertRejects(
+    manager.executeWithFailover(
+      "claude",
+      "claude-opus",
+      async (provider, target) => {
+        throw retryable(`HTTP 503 from ${target.model}`);
+      },
+      { isRetryable: (error) => !!error.retryable }
+    ),
+    "HTTP 503 from gpt-4o"
+  );
+});
+
+// Test 5: Output already shown (as aiClient tracks it for streams)
+runner.test("does not fail over once output has started", async () => {
+  const manager = createManager([{ provider: "openai", model: "gpt-4o" }]);
+  const chunks = [];
+  let outputStarted = false;
+
+  await assertRejects(
+    manager.executeWithFailover(
+      "claude",
+      "claude-opus",
+      async (provider, target) => {
+        outputStarted = false;
+        chunks.push(`${target.model}: Hello`);
+        outputStarted = true;
+        throw retryable("Stream interrupted");
+      },
+      { isRetryable: (error) => !outputStarted && !!error.retryable }
+    ),
+    "Stream interrupted"
+  );
+  assertDeepEqual(chunks, ["claude-opus: Hello"]);
+});
+
+// Run all tests
+runner.run().then((success) => {
+  process.exit(success ? 0 : 1);
+});
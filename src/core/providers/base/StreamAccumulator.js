@@ -0,0 +1,195 @@
+/**
+ * 🌊 NOX Stream Accumulator
+ *
+ * Consumes the unified stream events (see StreamEvents.js) for every
+ * provider: forwards text and thinking to onChunk, assembles tool calls and
+ * dispatches each one to onToolCall when its arguments are complete, and
+ * collects usage and the stop reason for the final message.
+ *
+ * onToolCall is not awaited before reading on, so the handler can run
+ * independent calls side by side; consume() waits for every call and keeps
+ * each result on its entry in toolCalls, in the order the calls were made.
+ */
+
+const { STREAM_EVENTS, STOP_REASONS, USAGE_FIELDS } = require("./StreamEvents");
+
+class StreamAccumulator {
+  /**
+   * @param {Object} options
+   * @param {string} options.messageId - Message id passed to onChunk
+   * @param {Function} options.onChunk - ({ messageId, chunk, thinking, tokens, isComplete }) => void
+   * @param {Function} options.onToolCall - ({ id, name, parameters }) => Promise<result>
+   * @param {string} options.label - Provider label for error messages (e.g. "Claude")
+   * @param {Object} options.logger - Logger
+   */
+  constructor({ messageId, onChunk, onToolCall, label, logger } = {}) {
+    this.messageId = messageId;
+    this.onChunk = onChunk;
+    this.onToolCall = onToolCall;
+    this.label = label || "Provider";
+    this.logger = logger;
+
+    this.content = "";
+    this.thinking = "";
+    this.toolCalls = []; // { id, name, arguments, parameters, result } in call order
+    this.usage = {};
+    this.stopReason = null;
+    this.providerStopReason = null;
+    this.chunkCount = 0; // Running count shown while streaming
+
+    this.pendingToolCalls = new Map(); // index → { id, name, arguments }
+    this.toolResults = []; // onToolCall promises, in call order
+  }
+
+  /**
+   * Whether the model only called tools, without any text for the user
+   */
+  get wasSilent() {
+    return this.content.trim() === "" && this.toolCalls.length > 0;
+  }
+
+  /**
+   * Handle one stream event
+   * @param {Object} event - Unified stream event
+   */
+  async handle(event) {
+    switch (event.type) {
+      case STREAM_EVENTS.TEXT_DELTA:
+        this.content += event.text;
+        this.emitChunk({ chunk: event.text });
+        break;
+
+      case STREAM_EVENTS.THINKING_DELTA:
+        // Streamed separately from the answer
+        this.thinking += event.text;
+        this.emitChunk({ chunk: "", thinking: event.text });
+        break;
+
+      case STREAM_EVENTS.TOOL_CALL_START:
+        this.pendingToolCalls.set(event.index, {
+          id: event.id,
+          name: event.name,
+          arguments: "",
+        });
+        break;
+
+      case STREAM_EVENTS.TOOL_ARGS_DELTA: {
+        // Accumulate silently - the call runs once its arguments are complete
+        const toolCall = this.pendingToolCalls.get(event.index);
+        if (toolCall) {
+          toolCall.arguments += event.json;
+        }
+        break;
+      }
+
+      case STREAM_EVENTS.TOOL_CALL_END:
+        this.completeToolCall(event.index);
+        break;
+
+      case STREAM_EVENTS.USAGE:
+        for (const field of USAGE_FIELDS) {
+          if (field in event) {
+            this.usage[field] = event[field];
+          }
+        }
+        break;
+
+      case STREAM_EVENTS.STOP_REASON:
+        this.stopReason = event.reason;
+        this.providerStopReason = event.providerReason;
+        break;
+
+      case STREAM_EVENTS.ERROR:
+        throw new Error(`${this.label} streaming error: ${event.message}`);
+
+      default:
+        this.logger?.warn(`🌊 Unknown stream event: ${event.type}`);
+    }
+  }
+
+  /**
+   * Consume a whole event stream
+   * @param {AsyncIterable<Object>} events - Unified stream events
+   * @returns {Promise<StreamAccumulator>} - this, for reading the results
+   */
+  async consume(events) {
+    for await (const event of events) {
+      await this.handle(event);
+    }
+
+    await Promise.all(this.toolResults);
+
+    // Calls made without a text reply count as a tool-use stop
+    if (!this.stopReason && this.toolCalls.length > 0) {
+      this.stopReason = STOP_REASONS.TOOL_USE;
+    }
+
+    return this;
+  }
+
+  /**
+   * Pass a text or thinking chunk to onChunk
+   */
+  emitChunk(data) {
+    this.chunkCount += 1;
+
+    if (this.onChunk) {
+      this.onChunk({
+        messageId: this.messageId,
+        ...data,
+        tokens: this.chunkCount,
+        isComplete: false,
+      });
+    }
+  }
+
+  /**
+   * Parse a finished tool call's arguments and dispatch it
+   */
+  completeToolCall(index) {
+    const toolCall = this.pendingToolCalls.get(index);
+    if (!toolCall) {
+      return;
+    }
+    this.pendingToolCalls.delete(index);
+
+    let parameters = {};
+    if (toolCall.arguments) {
+      try {
+        parameters = JSON.parse(toolCall.arguments);
+      } catch (jsonError) {
+        this.logger?.warn(
+          `🛠️ Invalid JSON in tool arguments for ${toolCall.name}, using empty object:`,
+          toolCall.arguments
+        );
+      }
+    }
+
+    const completed = { ...toolCall, parameters };
+    this.logger?.info(`🔍 ${this.label.toUpperCase()} TOOL CALL COMPLETE:`, {
+      id: completed.id,
+      name: completed.name,
+      arguments: completed.arguments,
+    });
+
+    this.toolCalls.push(completed);
+
+    if (this.onToolCall) {
+      const result = Promise.resolve(
+        this.onToolCall({
+          id: completed.id,
+          name: completed.name,
+          parameters,
+        })
+      ).then((value) => {
+        completed.result = value;
+      });
+
+      // Awaited in consume(); don't report it unhandled if the stream fails first
+      result.catch(() => {});
+      this.toolResults.push(result);
+    }
+  }
+}
+
+module.exports = StreamAccumulator;
@@ -0,0 +1,103 @@
+/**
+ * 🌊 NOX Stream Events
+ *
+ * The typed event stream every provider stream parser emits, so providers
+ * share one consumer (StreamAccumulator) instead of each interpreting its
+ * own wire format:
+ *
+ * - text_delta       { text }                      Answer text
+ * - thinking_delta   { text }                      Reasoning text (Claude extended thinking)
+ * - tool_call_start  { index, id, name }           A tool call begins
+ * - tool_args_delta  { index, json }               Next piece of the call's JSON arguments
+ * - tool_call_end    { index }                     The call's arguments are complete
+ * - usage            { inputTokens, outputTokens, cacheCreationInputTokens, cacheReadInputTokens, thinkingTokens }
+ *                                                  Reported counts only; later values replace earlier ones
+ * - stop_reason      { reason, providerReason }    Why generation stopped (see STOP_REASONS)
+ * - error            { errorType, message }        Error reported inside the stream
+ *
+ * Tool calls are always framed start → args deltas → end with the same
+ * index, even for APIs that deliver complete calls (Gemini, Ollama).
+ */
+
+const STREAM_EVENTS = Object.freeze({
+  TEXT_DELTA: "text_delta",
+  THINKING_DELTA: "thinking_delta",
+  TOOL_CALL_START: "tool_call_start",
+  TOOL_ARGS_DELTA: "tool_args_delta",
+  TOOL_CALL_END: "tool_call_end",
+  USAGE: "usage",
+  STOP_REASON: "stop_reason",
+  ERROR: "error",
+});
+
+const STOP_REASONS = Object.freeze({
+  END_TURN: "end_turn",
+  TOOL_USE: "tool_use",
+  MAX_TOKENS: "max_tokens",
+  STOP_SEQUENCE: "stop_sequence",
+  CONTENT_FILTER: "content_filter",
+  OTHER: "other",
+});
+
+const USAGE_FIELDS = [
+  "inputTokens",
+  "outputTokens",
+  "cacheCreationInputTokens",
+  "cacheReadInputTokens",
+  "thinkingTokens",
+];
+
+class StreamEvent {
+  static textDelta(text) {
+    return { type: STREAM_EVENTS.TEXT_DELTA, text };
+  }
+
+  static thinkingDelta(text) {
+    return { type: STREAM_EVENTS.THINKING_DELTA, text };
+  }
+
+  static toolCallStart(index, id, name) {
+    return { type: STREAM_EVENTS.TOOL_CALL_START, index, id, name };
+  }
+
+  static toolArgsDelta(index, json) {
+    return { type: STREAM_EVENTS.TOOL_ARGS_DELTA, index, json };
+  }
+
+  static toolCallEnd(index) {
+    return { type: STREAM_EVENTS.TOOL_CALL_END, index };
+  }
+
+  /**
+   * Usage event with only the counts the provider reported
+   * @param {Object} counts - Any of USAGE_FIELDS
+   */
+  static usage(counts) {
+    const event = { type: STREAM_EVENTS.USAGE };
+    for (const field of USAGE_FIELDS) {
+      if (typeof counts[field] === "number") {
+        event[field] = counts[field];
+      }
+    }
+    return event;
+  }
+
+  /**
+   * @param {string} reason - One of STOP_REASONS
+   * @param {string} providerReason - Value the API sent (e.g. "length", "MAX_TOKENS")
+   */
+  static stopReason(reason, providerReason) {
+    return { type: STREAM_EVENTS.STOP_REASON, reason, providerReason };
+  }
+
+  static error(message, errorType = "unknown") {
+    return { type: STREAM_EVENTS.ERROR, errorType, message };
+  }
+}
+
+module.exports = {
+  STREAM_EVENTS,
+  STOP_REASONS,
+  USAGE_FIELDS,
+  StreamEvent,
+};
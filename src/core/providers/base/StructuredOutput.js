@@ -0,0 +1,242 @@
+/**
+ * 🧩 NOX Structured Output
+ *
+ * Helpers for sendStructured(): parsing a model reply as JSON, validating it
+ * against a JSON Schema and building the prompts that describe the schema and
+ * ask for a repair. The validator covers the subset of JSON Schema the
+ * providers' native JSON modes accept (type, enum, const, properties,
+ * required, additionalProperties, items, length/size/range limits, pattern).
+ */
+
+const MAX_REPORTED_ERRORS = 10;
+
+class StructuredOutput {
+  /**
+   * Build a schema name the providers accept (OpenAI and Claude: [a-zA-Z0-9_-], max 64)
+   * @param {string} name - Requested name (e.g. the schema title)
+   */
+  static buildName(name) {
+    const cleaned = (name || "")
+      .replace(/[^a-zA-Z0-9_-]+/g, "_")
+      .replace(/^_+|_+$/g, "")
+      .slice(0, 64);
+    return cleaned || "structured_output";
+  }
+
+  /**
+   * Describe the expected output for the system prompt
+   * (native JSON modes enforce it, prompt-only providers rely on it)
+   * @param {Object} schema - JSON Schema
+   */
+  static describeSchema(schema) {
+    return `## Response Format:
+Respond with a single JSON value that matches this JSON Schema. No prose, no markdown code fences.
+${JSON.stringify(schema, null, 2)}`;
+  }
+
+  /**
+   * Ask the model to fix an invalid reply
+   * @param {Array<string>} errors - Validation errors
+   */
+  static buildRepairPrompt(errors) {
+    return `Your reply did not match the required JSON Schema:
+${errors
+  .slice(0, MAX_REPORTED_ERRORS)
+  .map((error) => `- ${error}`)
+  .join("\n")}
+
+Reply again with only the corrected JSON.`;
+  }
+
+  /**
+   * Parse a model reply as JSON and validate it
+   * @param {string} text - Model reply
+   * @param {Object} schema - JSON Schema
+   * @returns {Object} - { value, errors }
+   */
+  static parse(text, schema) {
+    let value;
+    try {
+      value = StructuredOutput.parseJson(text);
+    } catch (error) {
+      return { value: undefined, errors: [`$: ${error.message}`] };
+    }
+
+    return { value, errors: StructuredOutput.validate(value, schema) };
+  }
+
+  /**
+   * Parse JSON, tolerating code fences and text around a single object/array
+   * @param {string} text - Model reply
+   * @returns {*} - Parsed value
+   */
+  static parseJson(text) {
+    const trimmed = (text || "").trim();
+    if (!trimmed) {
+      throw new Error("reply is empty");
+    }
+
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      const fenced = trimmed.match(/```(?:json)?\s*\n([\s\S]*?)\n?```/);
+      if (fenced) {
+        return JSON.parse(fenced[1]);
+      }
+
+      const start = trimmed.search(/[{[]/);
+      const end = Math.max(trimmed.lastIndexOf("}"), trimmed.lastIndexOf("]"));
+      if (start !== -1 && end > start) {
+        return JSON.parse(trimmed.slice(start, end + 1));
+      }
+
+      throw new Error(`reply is not JSON (${error.message})`);
+    }
+  }
+
+  /**
+   * Validate a value against a JSON Schema
+   * @param {*} value - Value to check
+   * @param {Object} schema - JSON Schema
+   * @param {string} path - JSON path of the value (for messages)
+   * @returns {Array<string>} - Errors, empty if valid
+   */
+  static validate(value, schema, path = "$") {
+    if (!schema || typeof schema !== "object") {
+      return [];
+    }
+
+    const errors = [];
+    const types = [].concat(schema.type || []);
+
+    if (types.length > 0 && !types.some((type) => matchesType(value, type))) {
+      return [`${path}: expected ${types.join(" or ")}, got ${typeOf(value)}`];
+    }
+
+    if (
+      schema.enum &&
+      !schema.enum.some((option) => deepEqual(option, value))
+    ) {
+      errors.push(
+        `${path}: must be one of ${schema.enum
+          .map((option) => JSON.stringify(option))
+          .join(", ")}`
+      );
+    }
+
+    if ("const" in schema && !deepEqual(schema.const, value)) {
+      errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === "string") {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path}: shorter than ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${path}: longer than ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path}: does not match ${schema.pattern}`);
+      }
+    }
+
+    if (typeof value === "number") {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: less than ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path}: greater than ${schema.maximum}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path}: fewer than ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path}: more than ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(
+            ...StructuredOutput.validate(
+              item,
+              schema.items,
+              `${path}[${index}]`
+            )
+          );
+        });
+      }
+    }
+
+    if (typeOf(value) === "object") {
+      const properties = schema.properties || {};
+
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          errors.push(`${path}.${key}: is required`);
+        }
+      }
+
+      for (const [key, propertyValue] of Object.entries(value)) {
+        if (properties[key]) {
+          errors.push(
+            ...StructuredOutput.validate(
+              propertyValue,
+              properties[key],
+              `${path}.${key}`
+            )
+          );
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key}: is not allowed`);
+        } else if (typeof schema.additionalProperties === "object") {
+          errors.push(
+            ...StructuredOutput.validate(
+              propertyValue,
+              schema.additionalProperties,
+              `${path}.${key}`
+            )
+          );
+        }
+      }
+    }
+
+    return errors;
+  }
+}
+
+/**
+ * JSON Schema type of a value
+ */
+function typeOf(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  return typeof value;
+}
+
+/**
+ * Check a value against one JSON Schema type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+/**
+ * Compare JSON values
+ */
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = StructuredOutput;
@@ -0,0 +1,300 @@
+/**
+ * 🦊 NOX Structured Output Tests
+ *
+ * Tests for StructuredOutput and BaseProvider.sendStructured:
+ * - JSON parsing (fences, surrounding text)
+ * - Schema validation
+ * - Repair retry
+ * - Failure after the last repair
+ *
+ * Run with: node src/core/providers/base/StructuredOutput.test.js
+ */
+
+const StructuredOutput = require("./StructuredOutput.js");
+const BaseProvider = require("./BaseProvider.js");
+
+// Test logger that captures warnings
+class TestLogger {
+  constructor() {
+    this.warnings = [];
+  }
+
+  info() {}
+
+  warn(...args) {
+    this.warnings.push(args.join(" "));
+  }
+
+  error() {}
+}
+
+// Test runner
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.tests = [];
+  }
+
+  test(name, fn) {
+    this.tests.push({ name, fn });
+  }
+
+  async run() {
+    console.log("🦊 Running StructuredOutput Tests...\n");
+
+    for (const { name, fn } of this.tests) {
+      try {
+        await fn();
+        this.passed++;
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        this.failed++;
+        console.log(`❌ ${name}`);
+        console.log(`   Error: ${error.message}`);
+      }
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+}
+
+// Assertion helpers
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || "Assertion failed");
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+// Provider that replies with canned text and records what it was sent
+class ScriptedProvider extends BaseProvider {
+  constructor(replies, logger) {
+    super({ id: "scripted", name: "Scripted" }, logger);
+    this.replies = [...replies];
+    this.requests = [];
+  }
+
+  getName() {
+    return this.config.name;
+  }
+
+  async sendRequestWithSystem(apiKey, systemPrompt, messages, options) {
+    this.requests.push({
+      systemPrompt,
+      messages: [...messages],
+      options,
+    });
+    return { content: this.replies.shift(), tokens: 10, cost: 0.001 };
+  }
+}
+
+const COMMIT_SCHEMA = {
+  title: "commit message",
+  type: "object",
+  required: ["type", "description"],
+  properties: {
+    type: { type: "string", enum: ["feat", "fix"] },
+    scope: { type: "string" },
+    description: { type: "string", minLength: 1, maxLength: 20 },
+  },
+  additionalProperties: false,
+};
+
+// Create test runner
+const runner = new TestRunner();
+
+// Test 1: Plain JSON
+runner.test("parseJson parses plain JSON", () => {
+  assertDeepEqual(StructuredOutput.parseJson(' {"a": 1} '), { a: 1 });
+});
+
+// Test 2: Code fences and surrounding prose
+runner.test("parseJson tolerates code fences and surrounding text", () => {
+  assertDeepEqual(StructuredOutput.parseJson('```json\n{"a": 1}\n```'), {
+    a: 1,
+  });
+  assertDeepEqual(
+    StructuredOutput.parseJson('Here is the plan: {"a": [1, 2]} Done.'),
+    { a: [1, 2] }
+  );
+});
+
+// Test 3: Not JSON
+runner.test("parse reports replies that are not JSON", () => {
+  const result = StructuredOutput.parse("Sure, I can help!", COMMIT_SCHEMA);
+
+  assertEqual(result.value, undefined);
+  assert(result.errors[0].includes("not JSON"));
+});
+
+// Test 4: Valid value
+runner.test("validate accepts a matching value", () => {
+  assertDeepEqual(
+    StructuredOutput.validate(
+      { type: "fix", scope: "git", description: "handle renames" },
+      COMMIT_SCHEMA
+    ),
+    []
+  );
+});
+
+// Test 5: Invalid value
+runner.test("validate reports every mismatch with its path", () => {
+  const errors = StructuredOutput.validate(
+    { type: "chore", description: "", extra: true },
+    COMMIT_SCHEMA
+  );
+
+  assertDeepEqual(errors, [
+    '$.type: must be one of "feat", "fix"',
+    "$.description: shorter than 1 characters",
+    "$.extra: is not allowed",
+  ]);
+});
+
+// Test 6: Nested arrays and types
+runner.test("validate checks array items and integer types", () => {
+  const schema = {
+    type: "object",
+    required: ["steps"],
+    properties: {
+      steps: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          required: ["id"],
+          properties: { id: { type: "string" }, order: { type: "integer" } },
+        },
+      },
+    },
+  };
+
+  assertDeepEqual(StructuredOutput.validate({ steps: [] }, schema), [
+    "$.steps: fewer than 1 items",
+  ]);
+  assertDeepEqual(
+    StructuredOutput.validate({ steps: [{ order: 1.5 }] }, schema),
+    [
+      "$.steps[0].id: is required",
+      "$.steps[0].order: expected integer, got number",
+    ]
+  );
+});
+
+// Test 7: Schema names
+runner.test("buildName makes provider-safe schema names", () => {
+  assertEqual(StructuredOutput.buildName("commit message!"), "commit_message");
+  assertEqual(StructuredOutput.buildName(undefined), "structured_output");
+});
+
+// Test 8: First reply valid
+runner.test("sendStructured returns parsed data", async () => {
+  const provider = new ScriptedProvider(
+    ['{"type":"feat","description":"add cache"}'],
+    new TestLogger()
+  );
+
+  const response = await provider.sendStructured(
+    "key",
+    "You write commit messages.",
+    "diff",
+    COMMIT_SCHEMA
+  );
+
+  assertDeepEqual(response.data, { type: "feat", description: "add cache" });
+  assertEqual(response.repairs, 0);
+
+  const request = provider.requests[0];
+  assertEqual(request.options.responseSchema.name, "commit_message");
+  assert(request.systemPrompt.includes('"enum": ['));
+});
+
+// Test 9: Repair retry
+runner.test("sendStructured repairs an invalid reply", async () => {
+  const logger = new TestLogger();
+  const provider = new ScriptedProvider(
+    [
+      '{"type":"chore","description":"add cache"}',
+      '{"type":"feat","description":"add cache"}',
+    ],
+    logger
+  );
+
+  const response = await provider.sendStructured(
+    "key",
+    "system",
+    "diff",
+    COMMIT_SCHEMA
+  );
+
+  assertEqual(response.data.type, "feat");
+  assertEqual(response.repairs, 1);
+  assertEqual(response.tokens, 20);
+  assertEqual(logger.warnings.length, 1);
+
+  // The invalid reply and the validation errors are sent back
+  const repair = provider.requests[1].messages;
+  assertEqual(repair.length, 3);
+  assertEqual(repair[1].role, "assistant");
+  assert(repair[2].content.includes('$.type: must be one of "feat", "fix"'));
+});
+
+// Test 10: Repairs exhausted
+runner.test("sendStructured fails after the last repair", async () => {
+  const provider = new ScriptedProvider(
+    ["not json", '{"type":"feat"}', "unused"],
+    new TestLogger()
+  );
+
+  let error = null;
+  try {
+    await provider.sendStructured("key", "system", "diff", COMMIT_SCHEMA);
+  } catch (caught) {
+    error = caught;
+  }
+
+  assert(error, "Expected sendStructured to throw");
+  assert(error.structuredOutputInvalid);
+  assertDeepEqual(error.validationErrors, ["$.description: is required"]);
+  assertEqual(provider.requests.length, 2);
+});
+
+// Test 11: maxRepairs
+runner.test("maxRepairs: 0 disables the repair retry", async () => {
+  const provider = new ScriptedProvider(["{}"], new TestLogger());
+
+  let error = null;
+  try {
+    await provider.sendStructured("key", "system", "diff", COMMIT_SCHEMA, {
+      maxRepairs: 0,
+    });
+  } catch (caught) {
+    error = caught;
+  }
+
+  assert(error && error.structuredOutputInvalid);
+  assertEqual(provider.requests.length, 1);
+  assertEqual(provider.requests[0].options.maxRepairs, undefined);
+});
+
+// Run all tests
+runner.run().then((success) => {
+  process.exit(success ? 0 : 1);
+});
@@ -5,15 +5,25 @@
  * - IProvider: Interface contract
  * - BaseProvider: Shared functionality
  * - ProviderManager: Registry and routing
+ * - StructuredOutput: JSON parsing and schema validation for sendStructured
+ * - StreamEvents / BaseStreamParser / StreamAccumulator: Unified streaming events
  */
 
 const IProvider = require('./IProvider');
 const BaseProvider = require('./BaseProvider');
 const ProviderManager = require('./ProviderManager');
+const StructuredOutput = require('./StructuredOutput');
+const StreamEvents = require('./StreamEvents');
+const BaseStreamParser = require('./BaseStreamParser');
+const StreamAccumulator = require('./StreamAccumulator');
 
 module.exports = {
   IProvider,
   BaseProvider,
-  ProviderManager
+  ProviderManager,
+  StructuredOutput,
+  StreamEvents,
+  BaseStreamParser,
+  StreamAccumulator
 };
 
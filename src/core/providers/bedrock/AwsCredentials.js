@@ -0,0 +1,257 @@
+/**
+ * ☁️ AWS Credentials
+ *
+ * Resolves AWS credentials the way the AWS CLI and SDKs do, without the SDK:
+ * 1. Environment: AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY / AWS_SESSION_TOKEN
+ *    (skipped when a profile is chosen explicitly, like the SDKs do)
+ * 2. The profile (setting → AWS_PROFILE → "default") in ~/.aws/credentials
+ *    and ~/.aws/config (AWS_SHARED_CREDENTIALS_FILE / AWS_CONFIG_FILE):
+ *    static keys or credential_process
+ *
+ * SSO and role profiles work through credential_process, e.g.
+ * `credential_process = aws configure export-credentials --profile work --format process`
+ *
+ * Credentials are cached until 5 minutes before they expire.
+ */
+
+const { exec } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const EXPIRY_MARGIN = 5 * 60 * 1000; // Refresh 5 minutes early
+const PROCESS_TIMEOUT = 30000; // ms for credential_process
+
+class AwsCredentials {
+  constructor(logger = null) {
+    this.logger = logger;
+    this.cache = new Map(); // "env" or "profile:<name>" → credentials
+  }
+
+  /**
+   * Resolve credentials
+   * @param {Object} options - { profile } (empty for AWS_PROFILE / "default")
+   * @returns {Promise<Object>} - { accessKeyId, secretAccessKey, sessionToken, expiration, source }
+   * @throws {Error} - If no credentials are found
+   */
+  async resolve({ profile } = {}) {
+    const env = process.env;
+    const explicitProfile = profile || env.AWS_PROFILE;
+    const cacheKey = explicitProfile ? `profile:${explicitProfile}` : "env";
+
+    const cached = this.cache.get(cacheKey);
+    if (cached && !AwsCredentials.isExpiring(cached)) {
+      return cached;
+    }
+
+    const credentials =
+      (!explicitProfile && AwsCredentials.fromEnv(env)) ||
+      (await this.fromProfile(explicitProfile || "default"));
+
+    this.cache.set(cacheKey, credentials);
+    this.logger?.info(`☁️ AWS credentials from ${credentials.source}`);
+    return credentials;
+  }
+
+  /**
+   * Resolve the region: setting → AWS_REGION → AWS_DEFAULT_REGION → profile
+   * @returns {string|null}
+   */
+  resolveRegion({ region, profile } = {}) {
+    const env = process.env;
+    if (region || env.AWS_REGION || env.AWS_DEFAULT_REGION) {
+      return region || env.AWS_REGION || env.AWS_DEFAULT_REGION;
+    }
+
+    const settings = this.loadProfile(profile || env.AWS_PROFILE || "default");
+    return settings.region || null;
+  }
+
+  /**
+   * Forget cached credentials (after the profile or its files change)
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+
+  static isExpiring(credentials) {
+    return (
+      !!credentials.expiration &&
+      credentials.expiration.getTime() - Date.now() < EXPIRY_MARGIN
+    );
+  }
+
+  // ============================================================================
+  // SOURCES
+  // ============================================================================
+
+  /**
+   * Credentials from environment variables, or null
+   */
+  static fromEnv(env) {
+    if (!env.AWS_ACCESS_KEY_ID || !env.AWS_SECRET_ACCESS_KEY) {
+      return null;
+    }
+
+    return {
+      accessKeyId: env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+      sessionToken: env.AWS_SESSION_TOKEN || null,
+      expiration: env.AWS_CREDENTIAL_EXPIRATION
+        ? new Date(env.AWS_CREDENTIAL_EXPIRATION)
+        : null,
+      source: "environment variables",
+    };
+  }
+
+  /**
+   * Credentials from a profile in the shared credentials and config files
+   */
+  async fromProfile(name) {
+    const settings = this.loadProfile(name);
+
+    if (settings.aws_access_key_id && settings.aws_secret_access_key) {
+      return {
+        accessKeyId: settings.aws_access_key_id,
+        secretAccessKey: settings.aws_secret_access_key,
+        sessionToken: settings.aws_session_token || null,
+        expiration: null,
+        source: `profile "${name}"`,
+      };
+    }
+
+    if (settings.credential_process) {
+      return await AwsCredentials.fromProcess(
+        settings.credential_process,
+        name
+      );
+    }
+
+    if (settings.sso_session || settings.sso_start_url || settings.role_arn) {
+      throw new Error(
+        `AWS profile "${name}" uses SSO or an assumed role, which Nox can't sign in with directly. ` +
+          `Add "credential_process = aws configure export-credentials --profile ${name} --format process" to that profile.`
+      );
+    }
+
+    throw new Error(
+      `No AWS credentials found: set AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY or configure profile "${name}" in ~/.aws/credentials`
+    );
+  }
+
+  /**
+   * Credentials printed by a credential_process command
+   */
+  static fromProcess(command, profileName) {
+    return new Promise((resolve, reject) => {
+      exec(
+        command,
+        { timeout: PROCESS_TIMEOUT, windowsHide: true },
+        (error, stdout) => {
+          if (error) {
+            reject(
+              new Error(
+                `credential_process for AWS profile "${profileName}" failed: ${error.message}`
+              )
+            );
+            return;
+          }
+
+          try {
+            const output = JSON.parse(stdout);
+            if (
+              output.Version !== 1 ||
+              !output.AccessKeyId ||
+              !output.SecretAccessKey
+            ) {
+              throw new Error(
+                "expected Version 1 with AccessKeyId and SecretAccessKey"
+              );
+            }
+
+            resolve({
+              accessKeyId: output.AccessKeyId,
+              secretAccessKey: output.SecretAccessKey,
+              sessionToken: output.SessionToken || null,
+              expiration: output.Expiration
+                ? new Date(output.Expiration)
+                : null,
+              source: `credential_process of profile "${profileName}"`,
+            });
+          } catch (parseError) {
+            reject(
+              new Error(
+                `credential_process for AWS profile "${profileName}" returned invalid output: ${parseError.message}`
+              )
+            );
+          }
+        }
+      );
+    });
+  }
+
+  // ============================================================================
+  // SHARED FILES
+  // ============================================================================
+
+  /**
+   * Settings for a profile: ~/.aws/config, overridden by ~/.aws/credentials
+   */
+  loadProfile(name) {
+    const env = process.env;
+    const home = os.homedir();
+    const config = AwsCredentials.readIni(
+      env.AWS_CONFIG_FILE || path.join(home, ".aws", "config")
+    );
+    const credentials = AwsCredentials.readIni(
+      env.AWS_SHARED_CREDENTIALS_FILE || path.join(home, ".aws", "credentials")
+    );
+
+    // The config file prefixes every profile except "default" with "profile "
+    const configSection =
+      config[`profile ${name}`] || (name === "default" ? config.default : null);
+
+    return { ...configSection, ...credentials[name] };
+  }
+
+  /**
+   * Read an INI file into { section: { key: value } } ({} if missing)
+   */
+  static readIni(filePath) {
+    let text;
+    try {
+      text = fs.readFileSync(filePath, "utf8");
+    } catch (error) {
+      return {};
+    }
+    return AwsCredentials.parseIni(text);
+  }
+
+  static parseIni(text) {
+    const sections = {};
+    let current = null;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith("#") || line.startsWith(";")) {
+        continue;
+      }
+
+      const section = line.match(/^\[\s*(.+?)\s*\]$/);
+      if (section) {
+        current = sections[section[1]] = sections[section[1]] || {};
+        continue;
+      }
+
+      // Indented lines belong to nested blocks (e.g. s3 = ...), not the profile
+      const entry = line.match(/^([^=]+?)\s*=\s*(.*)$/);
+      if (current && entry && !/^\s/.test(rawLine)) {
+        current[entry[1].toLowerCase()] = entry[2];
+      }
+    }
+
+    return sections;
+  }
+}
+
+module.exports = AwsCredentials;
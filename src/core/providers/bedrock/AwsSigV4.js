@@ -0,0 +1,154 @@
+/**
+ * ☁️ AWS Signature Version 4
+ *
+ * Signs HTTP requests for AWS services (Bedrock runtime), without the AWS SDK:
+ * canonical request → string to sign → HMAC chain over date, region and
+ * service → Authorization header.
+ *
+ * https://docs.aws.amazon.com/IAM/latest/UserGuide/reference_sigv.html
+ */
+
+const crypto = require("crypto");
+
+const ALGORITHM = "AWS4-HMAC-SHA256";
+
+class AwsSigV4 {
+  /**
+   * Sign a request
+   * @param {Object} request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.url - Full URL (path segments already URI-encoded)
+   * @param {Object} request.headers - Headers to send (all of them are signed)
+   * @param {string} request.body - Request body ("" for none)
+   * @param {Object} options
+   * @param {Object} options.credentials - { accessKeyId, secretAccessKey, sessionToken }
+   * @param {string} options.region - AWS region (e.g. "us-east-1")
+   * @param {string} options.service - Signing name (e.g. "bedrock")
+   * @param {Date} options.date - Signing time (default: now)
+   * @returns {Object} - Headers to send, including x-amz-date and authorization
+   */
+  static sign(
+    { method, url, headers = {}, body = "" },
+    { credentials, region, service, date = new Date() }
+  ) {
+    const target = new URL(url);
+    const amzDate = AwsSigV4.formatDate(date);
+    const scope = `${amzDate.slice(0, 8)}/${region}/${service}/aws4_request`;
+
+    const signedHeaders = {};
+    for (const [name, value] of Object.entries(headers)) {
+      signedHeaders[name.toLowerCase()] = String(value);
+    }
+    signedHeaders["x-amz-date"] = amzDate;
+    if (credentials.sessionToken) {
+      signedHeaders["x-amz-security-token"] = credentials.sessionToken;
+    }
+
+    // host is signed but left out of the sent headers - fetch sets it from the URL
+    const canonicalHeaders = { ...signedHeaders, host: target.host };
+    const headerNames = Object.keys(canonicalHeaders).sort();
+
+    const canonicalRequest = [
+      method.toUpperCase(),
+      AwsSigV4.canonicalUri(target.pathname),
+      AwsSigV4.canonicalQuery(target.searchParams),
+      ...headerNames.map(
+        (name) =>
+          `${name}:${canonicalHeaders[name].trim().replace(/\s+/g, " ")}`
+      ),
+      "",
+      headerNames.join(";"),
+      AwsSigV4.sha256Hex(body),
+    ].join("\n");
+
+    const stringToSign = [
+      ALGORITHM,
+      amzDate,
+      scope,
+      AwsSigV4.sha256Hex(canonicalRequest),
+    ].join("\n");
+
+    const signature = crypto
+      .createHmac(
+        "sha256",
+        AwsSigV4.signingKey(credentials.secretAccessKey, scope)
+      )
+      .update(stringToSign)
+      .digest("hex");
+
+    return {
+      ...signedHeaders,
+      authorization: `${ALGORITHM} Credential=${
+        credentials.accessKeyId
+      }/${scope}, SignedHeaders=${headerNames.join(
+        ";"
+      )}, Signature=${signature}`,
+    };
+  }
+
+  /**
+   * Derive the signing key for a scope ("date/region/service/aws4_request")
+   */
+  static signingKey(secretAccessKey, scope) {
+    return scope
+      .split("/")
+      .reduce(
+        (key, part) => crypto.createHmac("sha256", key).update(part).digest(),
+        `AWS4${secretAccessKey}`
+      );
+  }
+
+  /**
+   * "20150830T123600Z"
+   */
+  static formatDate(date) {
+    return date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+  }
+
+  /**
+   * Canonical URI: every path segment URI-encoded again
+   * (all services except S3 sign the encoded path encoded twice)
+   */
+  static canonicalUri(pathname) {
+    return (
+      pathname
+        .split("/")
+        .map((segment) => AwsSigV4.uriEncode(segment))
+        .join("/") || "/"
+    );
+  }
+
+  /**
+   * Canonical query string: encoded names and values, sorted
+   */
+  static canonicalQuery(searchParams) {
+    return [...searchParams]
+      .map(([name, value]) => [
+        AwsSigV4.uriEncode(name),
+        AwsSigV4.uriEncode(value),
+      ])
+      .sort(([a, aValue], [b, bValue]) =>
+        a === b ? (aValue < bValue ? -1 : 1) : a < b ? -1 : 1
+      )
+      .map(([name, value]) => `${name}=${value}`)
+      .join("&");
+  }
+
+  /**
+   * RFC 3986 encoding (encodeURIComponent leaves !'()* alone)
+   */
+  static uriEncode(value) {
+    return encodeURIComponent(value).replace(
+      /[!'()*]/g,
+      (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+    );
+  }
+
+  static sha256Hex(value) {
+    return crypto.createHash("sha256").update(value).digest("hex");
+  }
+}
+
+AwsSigV4.ALGORITHM = ALGORITHM;
+
+module.exports = AwsSigV4;
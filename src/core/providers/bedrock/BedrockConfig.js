@@ -0,0 +1,110 @@
+/**
+ * ☁️ AWS Bedrock Provider Configuration
+ *
+ * Claude on AWS Bedrock. Requests use the Anthropic Messages format, so
+ * everything not listed here (tool choice mapping, prompt caching, thinking
+ * budget) is the same as ClaudeConfig.
+ *
+ * @enterprise-grade Centralized configuration, easy maintenance
+ */
+
+const ClaudeConfig = require("../claude/ClaudeConfig");
+
+const BedrockConfig = {
+  ...ClaudeConfig,
+
+  // Provider metadata
+  name: "☁️ AWS Bedrock (Claude)",
+  id: "bedrock",
+
+  // API configuration - the endpoint follows "nox.bedrock.region", or
+  // "nox.bedrock.endpoint" (VPC endpoints, gateways, local stubs)
+  baseUrl: "https://bedrock-runtime.us-east-1.amazonaws.com",
+  endpointTemplate: "https://bedrock-runtime.{region}.amazonaws.com",
+  defaultRegion: "us-east-1",
+  signingName: "bedrock", // SigV4 service name
+  anthropicVersion: "bedrock-2023-05-31", // Sent in the body, not a header
+
+  // Available models (Bedrock model IDs)
+  models: [
+    "anthropic.claude-sonnet-4-5-20250929-v1:0",
+    "anthropic.claude-sonnet-4-20250514-v1:0",
+    "anthropic.claude-3-5-haiku-20241022-v1:0",
+    "anthropic.claude-3-haiku-20240307-v1:0",
+  ],
+
+  // Default model
+  defaultModel: "anthropic.claude-sonnet-4-5-20250929-v1:0",
+
+  // Models only served through cross-region inference profiles - invoked as
+  // "<geography>.<model id>" (us., eu., apac.) for the configured region
+  inferenceProfileModels: [
+    "anthropic.claude-sonnet-4-5-20250929-v1:0",
+    "anthropic.claude-sonnet-4-20250514-v1:0",
+    "anthropic.claude-3-5-haiku-20241022-v1:0",
+  ],
+  inferenceProfileGeographies: {
+    "us-gov-": "us-gov",
+    "us-": "us",
+    "eu-": "eu",
+    "ap-": "apac",
+  },
+
+  // Image input (PNG/JPEG base64 content blocks)
+  visionModels: [
+    "anthropic.claude-sonnet-4-5-20250929-v1:0",
+    "anthropic.claude-sonnet-4-20250514-v1:0",
+    "anthropic.claude-3-5-haiku-20241022-v1:0",
+    "anthropic.claude-3-haiku-20240307-v1:0",
+  ],
+
+  // Retry policy (see BaseProvider.fetchWithRetry)
+  retry: {
+    maxAttempts: 4, // ThrottlingException (429) is common on shared quotas
+    baseDelay: 1000,
+    maxDelay: 30000,
+    retryableStatuses: [408, 429, 500, 502, 503, 504],
+  },
+
+  // Extended thinking (opt-in via "nox.claude.extendedThinking")
+  thinking: {
+    ...ClaudeConfig.thinking,
+    models: [
+      "anthropic.claude-sonnet-4-5-20250929-v1:0",
+      "anthropic.claude-sonnet-4-20250514-v1:0",
+    ],
+  },
+
+  // Pricing (per 1M tokens in USD, on-demand - same as the Anthropic API)
+  pricing: {
+    "anthropic.claude-sonnet-4-5-20250929-v1:0": {
+      input: 3.00,
+      output: 15.00,
+    },
+    "anthropic.claude-sonnet-4-20250514-v1:0": {
+      input: 3.00,
+      output: 15.00,
+    },
+    "anthropic.claude-3-5-haiku-20241022-v1:0": {
+      input: 0.80,
+      output: 4.00,
+    },
+    "anthropic.claude-3-haiku-20240307-v1:0": {
+      input: 0.25,
+      output: 1.25,
+    },
+  },
+
+  // No API key - requests are signed with AWS credentials
+  apiKeyPattern: null,
+
+  // Error messages
+  errors: {
+    invalidModel: "Invalid model for Bedrock. Available models: ",
+    rateLimitExceeded: "Bedrock is throttling requests. Please try again later.",
+    serverError: "Bedrock server error. Please try again.",
+    timeout: "Bedrock request timeout. Please try again.",
+  },
+};
+
+module.exports = BedrockConfig;
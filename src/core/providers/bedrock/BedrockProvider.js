@@ -0,0 +1,171 @@
+/**
+ * ☁️ Bedrock Provider
+ *
+ * Claude on AWS Bedrock. The request and response bodies are the Anthropic
+ * Messages format, so everything above the transport (tool conversion,
+ * prompt caching, extended thinking, stream events) is ClaudeProvider's.
+ * Only the transport differs:
+ * - POST /model/{modelId}/invoke (or /invoke-with-response-stream)
+ * - anthropic_version in the body instead of model, stream and headers
+ * - SigV4-signed with credentials from the AWS env/profile chain
+ * - Streams arrive in the AWS event stream format (BedrockStreamParser)
+ *
+ * @enterprise-grade Zero cross-contamination, fully testable, production-ready
+ */
+
+const ClaudeProvider = require("../claude/ClaudeProvider");
+const BedrockConfig = require("./BedrockConfig");
+const BedrockStreamParser = require("./BedrockStreamParser");
+const AwsCredentials = require("./AwsCredentials");
+const AwsSigV4 = require("./AwsSigV4");
+
+class BedrockProvider extends ClaudeProvider {
+  constructor(config, logger, performanceMonitor) {
+    super(config, logger, performanceMonitor);
+
+    // Merge provided config with defaults
+    this.config = { ...BedrockConfig, ...config };
+
+    // Claude events wrapped in event stream frames
+    this.streamParser = new BedrockStreamParser(logger);
+    this.awsCredentials = new AwsCredentials(logger);
+
+    // "nox.bedrock.*" settings (empty = AWS defaults)
+    this.settings = { region: "", profile: "", endpoint: "" };
+  }
+
+  /**
+   * Apply the "nox.bedrock.*" settings
+   * @param {Object} settings - { region, profile, endpoint }
+   */
+  configure({ region = "", profile = "", endpoint = "" } = {}) {
+    this.settings = { region, profile, endpoint };
+    this.awsCredentials.clearCache();
+    this.config.baseUrl = this.getBaseUrl();
+  }
+
+  // ============================================================================
+  // METADATA METHODS
+  // ============================================================================
+
+  /**
+   * Region from the setting, the AWS environment or the profile
+   */
+  getRegion() {
+    try {
+      return (
+        this.awsCredentials.resolveRegion(this.settings) ||
+        this.config.defaultRegion
+      );
+    } catch (error) {
+      this.logger?.warn(`☁️ Could not read AWS region: ${error.message}`);
+      return this.config.defaultRegion;
+    }
+  }
+
+  getBaseUrl() {
+    if (this.settings.endpoint) {
+      return this.settings.endpoint.replace(/\/+$/, "");
+    }
+    return this.config.endpointTemplate.replace("{region}", this.getRegion());
+  }
+
+  /**
+   * Model ID to invoke - newer models are only served through cross-region
+   * inference profiles, addressed as "<geography>.<model id>"
+   */
+  getInvocationModelId(model) {
+    if (!this.config.inferenceProfileModels.includes(model)) {
+      return model;
+    }
+
+    const region = this.getRegion();
+    const prefix = Object.keys(this.config.inferenceProfileGeographies).find(
+      (regionPrefix) => region.startsWith(regionPrefix)
+    );
+    return prefix
+      ? `${this.config.inferenceProfileGeographies[prefix]}.${model}`
+      : model;
+  }
+
+  // ============================================================================
+  // VALIDATION METHODS
+  // ============================================================================
+
+  /**
+   * There is no API key - aiClient passes a placeholder once
+   * hasCredentials() succeeded
+   */
+  validateApiKey(_apiKey) {
+    return true;
+  }
+
+  /**
+   * Whether AWS credentials can be resolved
+   */
+  async hasCredentials() {
+    try {
+      await this.awsCredentials.resolve(this.settings);
+      return true;
+    } catch (error) {
+      this.logger?.warn(`☁️ ${error.message}`);
+      return false;
+    }
+  }
+
+  // ============================================================================
+  // CORE REQUEST METHODS
+  // ============================================================================
+
+  /**
+   * POST a Messages API payload to InvokeModel(WithResponseStream)
+   * @param {string} apiKey - Unused (requests are SigV4-signed)
+   */
+  async postMessages(apiKey, payload, { signal } = {}) {
+    const { model, stream, ...body } = payload;
+    const url = `${this.getBaseUrl()}/model/${encodeURIComponent(
+      this.getInvocationModelId(model)
+    )}/${stream ? "invoke-with-response-stream" : "invoke"}`;
+    const requestBody = JSON.stringify({
+      anthropic_version: this.config.anthropicVersion,
+      ...body,
+    });
+
+    const headers = AwsSigV4.sign(
+      {
+        method: "POST",
+        url,
+        headers: {
+          "content-type": "application/json",
+          accept: stream
+            ? "application/vnd.amazon.eventstream"
+            : "application/json",
+        },
+        body: requestBody,
+      },
+      {
+        credentials: await this.awsCredentials.resolve(this.settings),
+        region: this.getRegion(),
+        service: this.config.signingName,
+      }
+    );
+
+    const response = await this.fetchWithRetry(url, {
+      method: "POST",
+      headers,
+      body: requestBody,
+      signal,
+    });
+
+    if (!response.ok) {
+      const errorData = await response.text();
+      throw new Error(
+        `Bedrock API error: ${response.status} ${response.statusText} - ${errorData}`
+      );
+    }
+
+    return response;
+  }
+}
+
+module.exports = BedrockProvider;
@@ -0,0 +1,113 @@
+/**
+ * ☁️ Bedrock Stream Parser
+ *
+ * Bedrock's InvokeModelWithResponseStream wraps Claude's streaming events in
+ * the AWS event stream format: every "chunk" event carries one Claude event
+ * as base64 JSON ({ "bytes": "..." }). This parser unwraps the frames and
+ * hands each Claude event to ClaudeStreamParser, so the unified events are
+ * exactly those of the Anthropic API. Exception messages (throttling,
+ * validation, model errors) become error events.
+ *
+ * @enterprise-grade Robust streaming parser with error handling
+ */
+
+const ClaudeStreamParser = require("../claude/ClaudeStreamParser");
+const { StreamEvent } = require("../base/StreamEvents");
+const EventStreamDecoder = require("./EventStreamDecoder");
+
+class BedrockStreamParser extends ClaudeStreamParser {
+  /**
+   * Translate one event stream message into unified stream events
+   * @param {Object} message - { headers, payload } from EventStreamDecoder
+   * @param {Object} state - Per-stream state
+   * @returns {Array<Object>}
+   */
+  parseMessage(message, state) {
+    const messageType = message.headers[":message-type"];
+    let body;
+    try {
+      body = JSON.parse(message.payload.toString("utf8") || "{}");
+    } catch (error) {
+      body = {};
+    }
+
+    if (messageType === "exception" || messageType === "error") {
+      const errorType =
+        message.headers[":exception-type"] ||
+        message.headers[":error-code"] ||
+        "unknown";
+      return [
+        StreamEvent.error(
+          body.message ||
+            body.Message ||
+            message.headers[":error-message"] ||
+            errorType,
+          errorType
+        ),
+      ];
+    }
+
+    if (message.headers[":event-type"] !== "chunk" || !body.bytes) {
+      return [];
+    }
+
+    const event = this.parseLine(
+      Buffer.from(body.bytes, "base64").toString("utf8")
+    );
+    return event ? this.parseEvent(event, state) : [];
+  }
+
+  /**
+   * Read and process an event stream response
+   * @param {ReadableStreamDefaultReader} reader - Stream reader
+   * @param {TextDecoder} decoder - Unused (the framing is binary)
+   * @param {AbortSignal} signal - Optional abort signal
+   * @yields {Object} - Unified stream events
+   */
+  async *readStream(reader, decoder, signal = null) {
+    const state = this.createState();
+    const eventStream = new EventStreamDecoder();
+
+    try {
+      while (true) {
+        // Check if aborted before reading
+        if (signal?.aborted) {
+          this.logger?.info("🛑 Stream aborted by user");
+          return;
+        }
+
+        const { done, value } = await reader.read();
+
+        if (done) {
+          break;
+        }
+
+        for (const message of eventStream.push(value)) {
+          yield* this.parseMessage(message, state);
+        }
+      }
+    } catch (error) {
+      // Handle abort errors gracefully
+      if (error.name === "AbortError" || signal?.aborted) {
+        this.logger?.info("🛑 Stream reading aborted");
+        return;
+      }
+      throw error;
+    } finally {
+      // Always release the reader
+      try {
+        reader.releaseLock();
+      } catch (e) {
+        // Ignore errors when releasing lock
+      }
+    }
+
+    if (eventStream.hasPartialMessage()) {
+      this.logger?.warn("☁️ Bedrock stream ended in the middle of a message");
+    }
+
+    yield* this.finish(state);
+  }
+}
+
+module.exports = BedrockStreamParser;
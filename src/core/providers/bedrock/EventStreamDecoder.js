@@ -0,0 +1,170 @@
+/**
+ * ☁️ AWS Event Stream Decoder
+ *
+ * Splits an application/vnd.amazon.eventstream body into messages. Each
+ * message is binary-framed:
+ *
+ *   total length (4) | headers length (4) | prelude CRC32 (4)
+ *   headers | payload | message CRC32 (4)
+ *
+ * Headers are (name length (1), name, type (1), value). Bedrock sends
+ * ":message-type" ("event" or "exception"), ":event-type" and
+ * ":exception-type" as strings, and JSON payloads.
+ */
+
+const PRELUDE_LENGTH = 12;
+const CRC_LENGTH = 4;
+
+// Header value types → byte length (null = 2-byte length prefix)
+const HEADER_TYPES = {
+  0: 0, // true
+  1: 0, // false
+  2: 1, // byte
+  3: 2, // short
+  4: 4, // integer
+  5: 8, // long
+  6: null, // byte array
+  7: null, // string
+  8: 8, // timestamp
+  9: 16, // uuid
+};
+
+let crcTable = null;
+
+class EventStreamDecoder {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Add bytes from the response body
+   * @param {Uint8Array} bytes - Next chunk
+   * @returns {Array<Object>} - Complete messages: { headers, payload (Buffer) }
+   */
+  push(bytes) {
+    this.buffer = Buffer.concat([this.buffer, Buffer.from(bytes)]);
+    const messages = [];
+
+    while (this.buffer.length >= PRELUDE_LENGTH) {
+      const totalLength = this.buffer.readUInt32BE(0);
+      if (this.buffer.length < totalLength) {
+        break;
+      }
+
+      messages.push(
+        EventStreamDecoder.decodeMessage(this.buffer.subarray(0, totalLength))
+      );
+      this.buffer = this.buffer.subarray(totalLength);
+    }
+
+    return messages;
+  }
+
+  /**
+   * Whether a partial message is left over (the stream was cut off)
+   */
+  hasPartialMessage() {
+    return this.buffer.length > 0;
+  }
+
+  /**
+   * Decode one complete message
+   * @param {Buffer} message - The whole frame
+   * @throws {Error} - On a corrupt frame (bad length or checksum)
+   */
+  static decodeMessage(message) {
+    const totalLength = message.readUInt32BE(0);
+    const headersLength = message.readUInt32BE(4);
+
+    if (
+      totalLength !== message.length ||
+      PRELUDE_LENGTH + headersLength + CRC_LENGTH > totalLength
+    ) {
+      throw new Error("Corrupt event stream message: bad length");
+    }
+    if (
+      EventStreamDecoder.crc32(message.subarray(0, 8)) !==
+      message.readUInt32BE(8)
+    ) {
+      throw new Error("Corrupt event stream message: prelude checksum");
+    }
+    if (
+      EventStreamDecoder.crc32(
+        message.subarray(0, totalLength - CRC_LENGTH)
+      ) !== message.readUInt32BE(totalLength - CRC_LENGTH)
+    ) {
+      throw new Error("Corrupt event stream message: message checksum");
+    }
+
+    const headersEnd = PRELUDE_LENGTH + headersLength;
+    return {
+      headers: EventStreamDecoder.decodeHeaders(
+        message.subarray(PRELUDE_LENGTH, headersEnd)
+      ),
+      payload: message.subarray(headersEnd, totalLength - CRC_LENGTH),
+    };
+  }
+
+  /**
+   * Decode headers; string values become strings, others raw Buffers
+   */
+  static decodeHeaders(bytes) {
+    const headers = {};
+    let offset = 0;
+
+    while (offset < bytes.length) {
+      const nameLength = bytes.readUInt8(offset);
+      const name = bytes.toString("utf8", offset + 1, offset + 1 + nameLength);
+      offset += 1 + nameLength;
+
+      const type = bytes.readUInt8(offset);
+      offset += 1;
+
+      if (!(type in HEADER_TYPES)) {
+        throw new Error(`Corrupt event stream message: header type ${type}`);
+      }
+
+      let length = HEADER_TYPES[type];
+      if (length === null) {
+        length = bytes.readUInt16BE(offset);
+        offset += 2;
+      }
+
+      const value = bytes.subarray(offset, offset + length);
+      if (type === 7) {
+        headers[name] = value.toString("utf8");
+      } else if (length === 0) {
+        headers[name] = type === 0; // Booleans live in the type byte
+      } else {
+        headers[name] = value;
+      }
+      offset += length;
+    }
+
+    return headers;
+  }
+
+  /**
+   * CRC-32 (IEEE), as used by the event stream framing
+   */
+  static crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+      crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
+
+module.exports = EventStreamDecoder;
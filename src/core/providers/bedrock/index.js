@@ -0,0 +1,27 @@
+/**
+ * ☁️ Bedrock Provider Module - Central Export
+ * 
+ * Exports all Bedrock-specific components:
+ * - BedrockProvider: Main provider class (Claude over Bedrock)
+ * - BedrockConfig: Configuration
+ * - BedrockStreamParser: Event stream response parser
+ * - EventStreamDecoder: AWS event stream framing
+ * - AwsSigV4: Request signing
+ * - AwsCredentials: AWS env/profile credential chain
+ */
+
+const BedrockProvider = require('./BedrockProvider');
+const BedrockConfig = require('./BedrockConfig');
+const BedrockStreamParser = require('./BedrockStreamParser');
+const EventStreamDecoder = require('./EventStreamDecoder');
+const AwsSigV4 = require('./AwsSigV4');
+const AwsCredentials = require('./AwsCredentials');
+
+module.exports = {
+  BedrockProvider,
+  BedrockConfig,
+  BedrockStreamParser,
+  EventStreamDecoder,
+  AwsSigV4,
+  AwsCredentials
+};
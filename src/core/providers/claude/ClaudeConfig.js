@@ -34,6 +34,14 @@ const ClaudeConfig = {
   
   // Streaming support
   supportsStreaming: true,
+
+  // Image input (PNG/JPEG base64 content blocks)
+  visionModels: [
+    "claude-sonnet-4-5-20250929",
+    "claude-sonnet-4-20250514",
+    "claude-3-5-haiku-20241022",
+    "claude-3-haiku-20240307",
+  ],
   
   // Request defaults
   defaults: {
@@ -41,7 +49,38 @@ const ClaudeConfig = {
     temperature: 0.7,
     timeout: 60000, // 60 seconds
   },
+
+  // Context window sizes in tokens ("default" applies to unlisted models)
+  contextWindows: {
+    default: 200000,
+  },
+
+  // Retry policy (see BaseProvider.fetchWithRetry)
+  retry: {
+    maxAttempts: 4, // Anthropic returns 529 when overloaded - worth waiting for
+    baseDelay: 1000,
+    maxDelay: 30000,
+    retryableStatuses: [408, 429, 500, 502, 503, 504, 529],
+  },
   
+  // Prompt caching - cache_control breakpoints on the tool list and the
+  // stable system prompt prefix. Cached prefixes live for 5 minutes.
+  promptCaching: {
+    enabled: true,
+    writeMultiplier: 1.25, // Cache writes cost 25% more than regular input
+    readMultiplier: 0.1, // Cache reads cost 10% of regular input
+  },
+
+  // Extended thinking (opt-in via "nox.claude.extendedThinking").
+  // Thinking tokens are billed as output and count toward max_tokens.
+  thinking: {
+    minBudgetTokens: 1024, // Smallest budget the API accepts
+    models: [
+      "claude-sonnet-4-5-20250929",
+      "claude-sonnet-4-20250514",
+    ],
+  },
+
   // Pricing (per 1M tokens in USD)
   pricing: {
     "claude-sonnet-4-5-20250929": {
@@ -89,10 +89,232 @@ class ClaudeProvider extends BaseProvider {
       return 0;
     }
 
+    const { writeMultiplier, readMultiplier } = this.config.promptCaching;
+
     const inputCost = (usage.input_tokens / 1000000) * pricing.input;
     const outputCost = (usage.output_tokens / 1000000) * pricing.output;
+    const cacheWriteCost =
+      ((usage.cache_creation_input_tokens || 0) / 1000000) *
+      pricing.input *
+      writeMultiplier;
+    const cacheReadCost =
+      ((usage.cache_read_input_tokens || 0) / 1000000) *
+      pricing.input *
+      readMultiplier;
+
+    return inputCost + outputCost + cacheWriteCost + cacheReadCost;
+  }
+
+  buildUsage(inputTokens, outputTokens) {
+    return { input_tokens: inputTokens, output_tokens: outputTokens };
+  }
+
+  /**
+   * Build Claude usage from a finished stream
+   * message_start reports exact input usage; count it ourselves if missing
+   */
+  buildStreamUsage(stream, systemPrompt, messages, model) {
+    const usage = {
+      input_tokens: stream.usage.inputTokens || 0,
+      output_tokens: stream.usage.outputTokens ?? stream.chunkCount,
+      cache_creation_input_tokens: stream.usage.cacheCreationInputTokens || 0,
+      cache_read_input_tokens: stream.usage.cacheReadInputTokens || 0,
+    };
+
+    if (
+      !usage.input_tokens &&
+      !usage.cache_creation_input_tokens &&
+      !usage.cache_read_input_tokens
+    ) {
+      usage.input_tokens = this.estimatePromptTokens(
+        systemPrompt,
+        messages,
+        model
+      );
+    }
+
+    return usage;
+  }
+
+  // ============================================================================
+  // PROMPT CACHING
+  // ============================================================================
+
+  /**
+   * Build the system parameter.
+   * When the caller marks a stable prefix (options.cacheablePrefixLength),
+   * the prefix becomes its own block with a cache_control breakpoint.
+   */
+  buildSystem(systemPrompt, options = {}) {
+    const prefixLength = options.cacheablePrefixLength || 0;
+
+    if (
+      !this.config.promptCaching.enabled ||
+      !systemPrompt ||
+      prefixLength <= 0
+    ) {
+      return systemPrompt;
+    }
+
+    const blocks = [
+      {
+        type: "text",
+        text: systemPrompt.slice(0, prefixLength),
+        cache_control: { type: "ephemeral" },
+      },
+    ];
+
+    const dynamicPart = systemPrompt.slice(prefixLength);
+    if (dynamicPart.trim()) {
+      blocks.push({ type: "text", text: dynamicPart });
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Mark the tool list as cacheable
+   * A breakpoint on the last tool caches every tool definition before it
+   */
+  buildCachedTools(tools) {
+    if (!this.config.promptCaching.enabled || !tools || tools.length === 0) {
+      return tools;
+    }
+
+    const cachedTools = [...tools];
+    cachedTools[cachedTools.length - 1] = {
+      ...cachedTools[cachedTools.length - 1],
+      cache_control: { type: "ephemeral" },
+    };
+
+    return cachedTools;
+  }
+
+  /**
+   * Total tokens processed, including cache writes and reads
+   */
+  getTotalTokens(usage) {
+    return (
+      (usage.input_tokens || 0) +
+      (usage.cache_creation_input_tokens || 0) +
+      (usage.cache_read_input_tokens || 0) +
+      (usage.output_tokens || 0)
+    );
+  }
+
+  /**
+   * Summarize prompt cache usage for a response
+   * @returns {Object|null} - { creationTokens, readTokens, savings } (savings in USD,
+   *   negative while a prefix is first written) or null if the cache was not used
+   */
+  buildCacheInfo(usage, model) {
+    const creationTokens = usage.cache_creation_input_tokens || 0;
+    const readTokens = usage.cache_read_input_tokens || 0;
+    const pricing = this.config.pricing[model];
+
+    if ((!creationTokens && !readTokens) || !pricing) {
+      return null;
+    }
+
+    const { writeMultiplier, readMultiplier } = this.config.promptCaching;
+    const savings =
+      ((readTokens * (1 - readMultiplier) -
+        creationTokens * (writeMultiplier - 1)) /
+        1000000) *
+      pricing.input;
+
+    return { creationTokens, readTokens, savings };
+  }
+
+  // ============================================================================
+  // EXTENDED THINKING
+  // ============================================================================
+
+  /**
+   * Get the thinking budget for a request, or 0 when thinking is off
+   * (options.thinking = { enabled, budgetTokens }, unsupported models ignore it)
+   */
+  getThinkingBudget(model, options = {}) {
+    if (
+      !options.thinking?.enabled ||
+      !this.config.thinking.models.includes(model)
+    ) {
+      return 0;
+    }
+
+    return Math.max(
+      this.config.thinking.minBudgetTokens,
+      Math.floor(options.thinking.budgetTokens || 0)
+    );
+  }
+
+  /**
+   * Enable extended thinking on a request payload.
+   * The budget is added on top of max_tokens so the answer keeps its room,
+   * and settings the API rejects alongside thinking are relaxed.
+   */
+  applyThinking(payload, budgetTokens) {
+    if (!budgetTokens) {
+      return payload;
+    }
+
+    payload.thinking = { type: "enabled", budget_tokens: budgetTokens };
+    payload.max_tokens += budgetTokens;
+
+    // Thinking requires the default temperature and cannot force tool use
+    delete payload.temperature;
+    if (payload.tool_choice && payload.tool_choice.type !== "auto") {
+      payload.tool_choice = { type: "auto" };
+    }
+
+    return payload;
+  }
+
+  /**
+   * Summarize the thinking part of a response
+   * Thinking is billed as output but not reported separately, and Claude 4
+   * models stream a summary of it - so the billed share is the output beyond
+   * the visible answer, never less than the streamed thinking itself.
+   * @returns {Object|null} - { content, tokens, cost } or null without thinking
+   */
+  buildThinkingInfo(thinkingContent, answerText, usage, model) {
+    if (!thinkingContent) {
+      return null;
+    }
+
+    const tokens = Math.max(
+      this.estimateTokens(thinkingContent, model),
+      usage.output_tokens - this.estimateTokens(answerText, model)
+    );
+    const pricing = this.config.pricing[model];
+    const cost = pricing ? (tokens / 1000000) * pricing.output : 0;
 
-    return inputCost + outputCost;
+    return { content: thinkingContent, tokens, cost };
+  }
+
+  // ============================================================================
+  // IMAGE INPUT
+  // ============================================================================
+
+  /**
+   * Images first, then the text - Claude answers best when images lead
+   * (empty text blocks are rejected, so image-only messages have none)
+   */
+  buildImageContent(text, images) {
+    const content = images.map((image) => ({
+      type: "image",
+      source: {
+        type: "base64",
+        media_type: image.mimeType,
+        data: image.data,
+      },
+    }));
+
+    if (text?.trim()) {
+      content.push({ type: "text", text });
+    }
+
+    return content;
   }
 
   // ============================================================================
@@ -115,6 +337,37 @@ class ClaudeProvider extends BaseProvider {
   // CORE REQUEST METHODS
   // ============================================================================
 
+  /**
+   * POST a Messages API payload
+   * Overridden by providers that serve Claude elsewhere (Bedrock)
+   * @returns {Promise<Response>} - The successful response
+   * @throws {Error} - With the API's error body for non-2xx responses
+   */
+  async postMessages(apiKey, payload, { signal } = {}) {
+    const response = await this.fetchWithRetry(
+      `${this.getBaseUrl()}/messages`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "x-api-key": apiKey,
+          "anthropic-version": this.config.apiVersion,
+        },
+        body: JSON.stringify(payload),
+        signal,
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.text();
+      throw new Error(
+        `Claude API error: ${response.status} ${response.statusText} - ${errorData}`
+      );
+    }
+
+    return response;
+  }
+
   /**
    * Send a simple request (non-streaming, no tools)
    */
@@ -127,35 +380,21 @@ class ClaudeProvider extends BaseProvider {
     const maxTokens = options.maxTokens || this.config.defaults.maxTokens;
 
     try {
-      const response = await fetch(`${this.getBaseUrl()}/messages`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-api-key": apiKey,
-          "anthropic-version": this.config.apiVersion,
-        },
-        body: JSON.stringify({
-          model: model,
-          max_tokens: maxTokens,
-          messages: [{ role: "user", content: prompt }],
-        }),
+      const response = await this.postMessages(apiKey, {
+        model: model,
+        max_tokens: maxTokens,
+        messages: [{ role: "user", content: prompt }],
       });
 
-      if (!response.ok) {
-        const errorData = await response.text();
-        throw new Error(
-          `Claude API error: ${response.status} ${response.statusText} - ${errorData}`
-        );
-      }
-
       const data = await response.json();
 
       const result = {
         content: data.content[0].text,
-        provider: "anthropic",
+        provider: this.config.id,
         model: model,
-        tokens: data.usage.input_tokens + data.usage.output_tokens,
+        tokens: this.getTotalTokens(data.usage),
         cost: this.calculateCost(data.usage, model),
+        cache: this.buildCacheInfo(data.usage, model),
       };
 
       this.logRequestComplete("sendRequest", {
@@ -182,39 +421,25 @@ class ClaudeProvider extends BaseProvider {
 
     const model = options.model || this.getDefaultModel();
     const maxTokens = options.maxTokens || this.config.defaults.maxTokens;
-    const messages = this.buildMessages(userPromptOrMessages);
+    const messages = this.buildMessages(userPromptOrMessages, model);
 
     try {
-      const response = await fetch(`${this.getBaseUrl()}/messages`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-api-key": apiKey,
-          "anthropic-version": this.config.apiVersion,
-        },
-        body: JSON.stringify({
-          model: model,
-          max_tokens: maxTokens,
-          system: systemPrompt,
-          messages: messages,
-        }),
+      const response = await this.postMessages(apiKey, {
+        model: model,
+        max_tokens: maxTokens,
+        system: this.buildSystem(systemPrompt, options),
+        messages: messages,
       });
 
-      if (!response.ok) {
-        const errorData = await response.text();
-        throw new Error(
-          `Claude API error: ${response.status} ${response.statusText} - ${errorData}`
-        );
-      }
-
       const data = await response.json();
 
       const result = {
         content: data.content[0].text,
-        provider: "anthropic",
+        provider: this.config.id,
         model: model,
-        tokens: data.usage.input_tokens + data.usage.output_tokens,
+        tokens: this.getTotalTokens(data.usage),
         cost: this.calculateCost(data.usage, model),
+        cache: this.buildCacheInfo(data.usage, model),
       };
 
       this.logRequestComplete("sendRequestWithSystem", {
@@ -244,32 +469,20 @@ class ClaudeProvider extends BaseProvider {
 
     const model = options.model || this.getDefaultModel();
     const maxTokens = options.maxTokens || this.config.defaults.maxTokens;
-    const messages = this.buildMessages(userPromptOrMessages);
+    const messages = this.buildMessages(userPromptOrMessages, model);
 
     try {
-      const response = await fetch(`${this.getBaseUrl()}/messages`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-api-key": apiKey,
-          "anthropic-version": this.config.apiVersion,
-        },
-        body: JSON.stringify({
-          model: model,
-          max_tokens: maxTokens,
-          system: systemPrompt,
-          messages: messages,
-          tools: tools,
+      const response = await this.postMessages(apiKey, {
+        model: model,
+        max_tokens: maxTokens,
+        system: this.buildSystem(systemPrompt, options),
+        messages: messages,
+        tools: this.buildCachedTools(tools),
+        ...(options.tool_choice && {
+          tool_choice: this.toolAdapter.mapToolChoice(options.tool_choice),
         }),
       });
 
-      if (!response.ok) {
-        const errorData = await response.text();
-        throw new Error(
-          `Claude API error: ${response.status} ${response.statusText} - ${errorData}`
-        );
-      }
-
       const data = await response.json();
 
       const result = {
@@ -277,10 +490,11 @@ class ClaudeProvider extends BaseProvider {
         type: "assistant",
         content: data.content,
         tool_calls: data.content.filter((block) => block.type === "tool_use"),
-        provider: "anthropic",
+        provider: this.config.id,
         model: model,
-        tokens: data.usage.input_tokens + data.usage.output_tokens,
+        tokens: this.getTotalTokens(data.usage),
         cost: this.calculateCost(data.usage, model),
+        cache: this.buildCacheInfo(data.usage, model),
       };
 
       this.logRequestComplete("sendRequestWithTools", {
@@ -295,6 +509,41 @@ class ClaudeProvider extends BaseProvider {
     }
   }
 
+  // ============================================================================
+  // STRUCTURED OUTPUT
+  // ============================================================================
+
+  /**
+   * Claude has no JSON mode: force a single tool whose input_schema is the
+   * requested schema and return the tool input as the JSON reply
+   */
+  async requestStructured(apiKey, systemPrompt, messages, structured, options) {
+    const tool = {
+      name: structured.name,
+      description: `Return the ${structured.name} result. Its input must match the schema.`,
+      input_schema: structured.schema,
+    };
+
+    const response = await this.sendRequestWithTools(
+      apiKey,
+      systemPrompt,
+      messages,
+      [tool],
+      { ...options, tool_choice: { type: "tool", name: tool.name } }
+    );
+
+    const toolUse = response.tool_calls[0];
+    return {
+      ...response,
+      content: toolUse
+        ? JSON.stringify(toolUse.input)
+        : response.content
+            .filter((block) => block.type === "text")
+            .map((block) => block.text)
+            .join(""),
+    };
+  }
+
   // ============================================================================
   // STREAMING METHODS
   // ============================================================================
@@ -316,78 +565,55 @@ class ClaudeProvider extends BaseProvider {
     const model = options.model || this.getDefaultModel();
     const maxTokens = options.maxTokens || this.config.defaults.maxTokens;
     const messageId = options.messageId || Date.now().toString();
-    const messages = this.buildMessages(userPromptOrMessages);
+    const messages = this.buildMessages(userPromptOrMessages, model);
 
     try {
-      const response = await fetch(`${this.getBaseUrl()}/messages`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-api-key": apiKey,
-          "anthropic-version": this.config.apiVersion,
-        },
-        body: JSON.stringify({
+      const requestPayload = this.applyThinking(
+        {
           model: model,
           max_tokens: maxTokens,
-          system: systemPrompt,
+          system: this.buildSystem(systemPrompt, options),
           messages: messages,
           stream: true,
           temperature: options.temperature || this.config.defaults.temperature,
-        }),
+        },
+        this.getThinkingBudget(model, options)
+      );
+
+      const response = await this.postMessages(apiKey, requestPayload, {
         signal: abortController?.signal,
       });
 
-      if (!response.ok) {
-        const errorData = await response.text();
-        throw new Error(
-          `Claude API error: ${response.status} ${response.statusText} - ${errorData}`
-        );
-      }
-
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-
-      let fullContent = "";
-      let totalTokens = 0;
-
-      // Process streaming chunks
-      for await (const chunk of this.streamParser.readStream(
-        reader,
-        decoder,
-        abortController?.signal
-      )) {
-        if (chunk.type === "text") {
-          fullContent += chunk.data;
-          totalTokens += 1; // Approximate
-
-          if (onChunk) {
-            onChunk({
-              messageId: messageId,
-              chunk: chunk.data,
-              tokens: totalTokens,
-              isComplete: false,
-            });
-          }
-        } else if (chunk.type === "usage_delta") {
-          totalTokens = chunk.data.output_tokens || totalTokens;
-        } else if (chunk.type === "error") {
-          throw new Error(`Claude streaming error: ${chunk.data.message}`);
-        }
-      }
+      const stream = await this.consumeStream(response, abortController, {
+        messageId,
+        onChunk,
+        label: "Claude",
+      });
+      const usage = this.buildStreamUsage(
+        stream,
+        systemPrompt,
+        messages,
+        model
+      );
 
       // Build final message
       const finalMessage = {
         id: messageId,
         type: "assistant",
-        content: fullContent,
+        content: stream.content,
         timestamp: new Date().toISOString(),
-        provider: "anthropic",
+        provider: this.config.id,
         model: model,
-        tokens: totalTokens,
-        cost: this.calculateCost(
-          { input_tokens: 0, output_tokens: totalTokens },
+        tokens: this.getTotalTokens(usage),
+        cost: this.calculateCost(usage, model),
+        cache: this.buildCacheInfo(usage, model),
+        thinking: this.buildThinkingInfo(
+          stream.thinking,
+          stream.content,
+          usage,
           model
         ),
+        stopReason: stream.stopReason,
       };
 
       this.logRequestComplete("sendStreamingRequest", {
@@ -423,7 +649,7 @@ class ClaudeProvider extends BaseProvider {
     const model = options.model || this.getDefaultModel();
     const maxTokens = options.maxTokens || this.config.defaults.maxTokens;
     const messageId = options.messageId || Date.now().toString();
-    const messages = this.buildMessages(userPromptOrMessages);
+    const messages = this.buildMessages(userPromptOrMessages, model);
 
     const { onChunk, onToolCall, onToolResult, onComplete } = callbacks;
 
@@ -432,11 +658,11 @@ class ClaudeProvider extends BaseProvider {
       const requestPayload = {
         model: model,
         max_tokens: maxTokens,
-        system: systemPrompt,
+        system: this.buildSystem(systemPrompt, options),
         messages: messages,
         stream: true,
         temperature: options.temperature || this.config.defaults.temperature,
-        tools: tools,
+        tools: this.buildCachedTools(tools),
       };
 
       // Add tool_choice if specified
@@ -446,6 +672,11 @@ class ClaudeProvider extends BaseProvider {
         );
       }
 
+      this.applyThinking(
+        requestPayload,
+        this.getThinkingBudget(model, options)
+      );
+
       this.logger?.info(`🔍 CLAUDE REQUEST PAYLOAD:`, {
         model: requestPayload.model,
         messageCount: requestPayload.messages.length,
@@ -453,129 +684,53 @@ class ClaudeProvider extends BaseProvider {
         toolNames: requestPayload.tools.map((t) => t.name),
         tool_choice: requestPayload.tool_choice,
         temperature: requestPayload.temperature,
+        thinkingBudget: requestPayload.thinking?.budget_tokens,
       });
 
-      const response = await fetch(`${this.getBaseUrl()}/messages`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-api-key": apiKey,
-          "anthropic-version": this.config.apiVersion,
-        },
-        body: JSON.stringify(requestPayload),
+      const response = await this.postMessages(apiKey, requestPayload, {
         signal: abortController?.signal,
       });
 
-      if (!response.ok) {
-        const errorData = await response.text();
-        throw new Error(
-          `Claude API error: ${response.status} ${response.statusText} - ${errorData}`
-        );
-      }
-
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-
-      let fullContent = "";
-      let totalTokens = 0;
-      let toolUses = [];
-      let currentToolUse = null;
-
-      // Process streaming chunks
-      for await (const chunk of this.streamParser.readStream(
-        reader,
-        decoder,
-        abortController?.signal
-      )) {
-        if (chunk.type === "text") {
-          // Text content delta
-          fullContent += chunk.data;
-          totalTokens += 1;
-
-          if (onChunk) {
-            onChunk({
-              messageId: messageId,
-              chunk: chunk.data,
-              tokens: totalTokens,
-              isComplete: false,
-            });
-          }
-        } else if (chunk.type === "tool_use_start") {
-          // Tool use started
-          this.logger?.info(`🔍 CLAUDE TOOL USE START:`, chunk.data);
-          currentToolUse = {
-            id: chunk.data.id,
-            name: chunk.data.name,
-            input: "",
-          };
-        } else if (chunk.type === "tool_input_delta") {
-          // Tool input delta - accumulate silently
-          if (currentToolUse) {
-            currentToolUse.input += chunk.data;
-          }
-        } else if (chunk.type === "content_block_stop") {
-          // Content block stopped (tool use complete)
-          if (currentToolUse) {
-            this.logger?.info(`🔍 CLAUDE TOOL USE COMPLETE:`, {
-              id: currentToolUse.id,
-              name: currentToolUse.name,
-              input: currentToolUse.input,
-            });
-
-            // Parse tool input
-            let parameters = {};
-            if (currentToolUse.input) {
-              try {
-                parameters = JSON.parse(currentToolUse.input);
-              } catch (jsonError) {
-                this.logger?.warn(
-                  `🛠️ Invalid JSON in tool input for ${currentToolUse.name}, using empty object:`,
-                  currentToolUse.input
-                );
-                parameters = {};
-              }
-            }
-
-            // Call tool handler
-            if (onToolCall) {
-              await onToolCall({
-                id: currentToolUse.id,
-                name: currentToolUse.name,
-                parameters: parameters,
-              });
-            }
-
-            toolUses.push(currentToolUse);
-            currentToolUse = null;
-          }
-        } else if (chunk.type === "usage_delta") {
-          totalTokens = chunk.data.output_tokens || totalTokens;
-        } else if (chunk.type === "error") {
-          throw new Error(`Claude streaming error: ${chunk.data.message}`);
-        }
-      }
+      const stream = await this.consumeStream(response, abortController, {
+        messageId,
+        onChunk,
+        onToolCall,
+        label: "Claude",
+      });
+      const usage = this.buildStreamUsage(
+        stream,
+        systemPrompt,
+        messages,
+        model
+      );
 
       // Build final message
       const finalMessage = {
         id: messageId,
         type: "assistant",
-        content: fullContent,
+        content: stream.content,
         timestamp: new Date().toISOString(),
-        tool_uses: toolUses,
-        provider: "anthropic",
+        tool_calls: stream.toolCalls,
+        provider: this.config.id,
         model: model,
-        tokens: totalTokens,
-        cost: this.calculateCost(
-          { input_tokens: 0, output_tokens: totalTokens },
+        tokens: this.getTotalTokens(usage),
+        cost: this.calculateCost(usage, model),
+        cache: this.buildCacheInfo(usage, model),
+        thinking: this.buildThinkingInfo(
+          stream.thinking,
+          stream.content +
+            stream.toolCalls.map((toolCall) => toolCall.arguments).join(""),
+          usage,
           model
         ),
-        wasSilent: fullContent.length === 0 && toolUses.length > 0,
+        stopReason: stream.stopReason,
+        wasSilent: stream.wasSilent,
       };
 
       this.logRequestComplete("sendStreamingRequestWithTools", {
         tokens: finalMessage.tokens,
         cost: finalMessage.cost,
-        toolCalls: toolUses.length,
+        toolCalls: stream.toolCalls.length,
         wasSilent: finalMessage.wasSilent,
       });
 
@@ -2,44 +2,28 @@
  * 🦊 Claude Stream Parser
  *
  * Handles all streaming response parsing for Claude.
- * Processes Server-Sent Events (SSE) and extracts:
- * - Text content deltas
- * - Tool use blocks
- * - Tool input deltas
- * - Message completion
+ * Translates Server-Sent Events (SSE) into the unified stream events:
+ * - text_delta / thinking_delta from content block deltas
+ * - tool_call_start / tool_args_delta / tool_call_end from tool_use blocks
+ * - usage from message_start (input, prompt cache) and message_delta (output)
+ * - stop_reason from message_delta
  *
  * @enterprise-grade Robust streaming parser with error handling
  */
 
-class ClaudeStreamParser {
-  constructor(logger) {
-    this.logger = logger;
-  }
-
-  /**
-   * Parse a single line from the stream
-   * @param {string} line - Raw line from stream
-   * @returns {Object|null} - Parsed event or null
-   */
-  parseLine(line) {
-    // Remove "data: " prefix if present
-    if (line.startsWith("data: ")) {
-      line = line.substring(6);
-    }
+const BaseStreamParser = require("../base/BaseStreamParser");
+const { StreamEvent, STOP_REASONS } = require("../base/StreamEvents");
 
-    // Skip empty lines and event type markers
-    if (!line.trim() || line.startsWith("event:")) {
-      return null;
-    }
-
-    try {
-      return JSON.parse(line);
-    } catch (error) {
-      // Ignore parse errors for incomplete chunks
-      return null;
-    }
-  }
+// Claude stop_reason → unified stop reason
+const STOP_REASON_MAP = {
+  end_turn: STOP_REASONS.END_TURN,
+  tool_use: STOP_REASONS.TOOL_USE,
+  max_tokens: STOP_REASONS.MAX_TOKENS,
+  stop_sequence: STOP_REASONS.STOP_SEQUENCE,
+  refusal: STOP_REASONS.CONTENT_FILTER,
+};
 
+class ClaudeStreamParser extends BaseStreamParser {
   /**
    * Check if event is a text content delta
    * @param {Object} event - Parsed event
@@ -63,6 +47,31 @@ class ClaudeStreamParser {
     return null;
   }
 
+  /**
+   * Check if event is an extended thinking delta
+   * (signature_delta events only verify the block and are ignored)
+   * @param {Object} event - Parsed event
+   * @returns {boolean}
+   */
+  isThinkingDelta(event) {
+    return (
+      event.type === "content_block_delta" &&
+      event.delta?.type === "thinking_delta"
+    );
+  }
+
+  /**
+   * Extract reasoning text from thinking delta event
+   * @param {Object} event - Parsed event
+   * @returns {string|null}
+   */
+  extractThinkingDelta(event) {
+    if (this.isThinkingDelta(event)) {
+      return event.delta.thinking;
+    }
+    return null;
+  }
+
   /**
    * Check if event is a tool use start
    * @param {Object} event - Parsed event
@@ -132,6 +141,21 @@ class ClaudeStreamParser {
     return event.type === "message_start";
   }
 
+  /**
+   * Normalize usage so cache token counts are always present
+   * (message_start carries input and prompt-cache usage)
+   * @param {Object} usage - Raw usage from the API
+   * @returns {Object} - { input_tokens, output_tokens, cache_creation_input_tokens, cache_read_input_tokens }
+   */
+  normalizeUsage(usage = {}) {
+    return {
+      input_tokens: usage?.input_tokens || 0,
+      output_tokens: usage?.output_tokens || 0,
+      cache_creation_input_tokens: usage?.cache_creation_input_tokens || 0,
+      cache_read_input_tokens: usage?.cache_read_input_tokens || 0,
+    };
+  }
+
   /**
    * Check if event is a message delta (usage update)
    * @param {Object} event - Parsed event
@@ -187,128 +211,89 @@ class ClaudeStreamParser {
   }
 
   /**
-   * Process streaming chunk and extract all relevant data
-   * @param {string} line - Raw line from stream
-   * @returns {Object} - Processed chunk data
+   * Translate one Claude event into unified stream events
+   * @param {Object} event - Parsed event
+   * @param {Object} state - Per-stream state
+   * @returns {Array<Object>}
    */
-  processChunk(line) {
-    const event = this.parseLine(line);
-
-    if (!event) {
-      return { type: "unknown", data: null };
-    }
-
+  parseEvent(event, state) {
     // Text content delta
     const textDelta = this.extractTextDelta(event);
     if (textDelta !== null) {
-      return { type: "text", data: textDelta };
+      return [StreamEvent.textDelta(textDelta)];
+    }
+
+    // Extended thinking delta
+    const thinkingDelta = this.extractThinkingDelta(event);
+    if (thinkingDelta !== null) {
+      return [StreamEvent.thinkingDelta(thinkingDelta)];
     }
 
     // Tool use start
     const toolUseStart = this.extractToolUseStart(event);
     if (toolUseStart) {
-      return { type: "tool_use_start", data: toolUseStart };
+      return [
+        this.startToolCall(
+          state,
+          toolUseStart.id,
+          toolUseStart.name,
+          event.index
+        ),
+      ];
     }
 
     // Tool input delta
     const toolInputDelta = this.extractToolInputDelta(event);
     if (toolInputDelta !== null) {
-      return { type: "tool_input_delta", data: toolInputDelta };
+      return [StreamEvent.toolArgsDelta(event.index, toolInputDelta)];
     }
 
-    // Content block stop
+    // Content block stop (ends the tool call if the block was one)
     if (this.isContentBlockStop(event)) {
-      return { type: "content_block_stop", data: null };
+      return this.endToolCall(state, event.index);
     }
 
-    // Message start
+    // Message start: input and prompt-cache usage
     if (this.isMessageStart(event)) {
-      return { type: "message_start", data: event.message };
+      const usage = this.normalizeUsage(event.message?.usage);
+      return [
+        StreamEvent.usage({
+          inputTokens: usage.input_tokens,
+          outputTokens: usage.output_tokens,
+          cacheCreationInputTokens: usage.cache_creation_input_tokens,
+          cacheReadInputTokens: usage.cache_read_input_tokens,
+        }),
+      ];
     }
 
-    // Usage delta
-    const usageDelta = this.extractUsageDelta(event);
-    if (usageDelta) {
-      return { type: "usage_delta", data: usageDelta };
-    }
-
-    // Message stop
-    if (this.isMessageStop(event)) {
-      return { type: "message_stop", data: null };
+    // Message delta: cumulative output usage and the stop reason
+    if (this.isMessageDelta(event)) {
+      const events = [];
+      const usageDelta = this.extractUsageDelta(event);
+      if (usageDelta?.output_tokens !== undefined) {
+        events.push(
+          StreamEvent.usage({ outputTokens: usageDelta.output_tokens })
+        );
+      }
+      if (event.delta?.stop_reason) {
+        events.push(
+          StreamEvent.stopReason(
+            STOP_REASON_MAP[event.delta.stop_reason] || STOP_REASONS.OTHER,
+            event.delta.stop_reason
+          )
+        );
+      }
+      return events;
     }
 
     // Error
     const error = this.extractError(event);
     if (error) {
-      return { type: "error", data: error };
-    }
-
-    // Unknown event type
-    return { type: "unknown", data: event };
-  }
-
-  /**
-   * Read and process streaming response
-   * @param {ReadableStreamDefaultReader} reader - Stream reader
-   * @param {TextDecoder} decoder - Text decoder
-   * @param {AbortSignal} signal - Optional abort signal
-   * @yields {Object} - Processed chunks
-   */
-  async *readStream(reader, decoder, signal = null) {
-    let buffer = "";
-
-    try {
-      while (true) {
-        // Check if aborted before reading
-        if (signal?.aborted) {
-          this.logger?.info("🛑 Stream aborted by user");
-          break;
-        }
-
-        const { done, value } = await reader.read();
-
-        if (done) {
-          break;
-        }
-
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split("\n");
-
-        // Keep the last incomplete line in buffer
-        buffer = lines.pop() || "";
-
-        for (const line of lines) {
-          if (line.trim()) {
-            const processed = this.processChunk(line);
-            if (processed.type !== "unknown") {
-              yield processed;
-            }
-          }
-        }
-      }
-    } catch (error) {
-      // Handle abort errors gracefully
-      if (error.name === "AbortError" || signal?.aborted) {
-        this.logger?.info("🛑 Stream reading aborted");
-        return;
-      }
-      throw error;
-    } finally {
-      // Always release the reader
-      try {
-        reader.releaseLock();
-      } catch (e) {
-        // Ignore errors when releasing lock
-      }
+      return [StreamEvent.error(error.message, error.type)];
     }
 
-    // Process any remaining buffer
-    if (buffer.trim()) {
-      const processed = this.processChunk(buffer);
-      if (processed.type !== "unknown") {
-        yield processed;
-      }
-    }
+    // message_stop, ping and unknown events carry nothing new
+    return [];
   }
 }
 
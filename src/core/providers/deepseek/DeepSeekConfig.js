@@ -31,6 +31,9 @@ const DeepSeekConfig = {
   
   // Streaming support
   supportsStreaming: true,
+
+  // Structured output - JSON mode only, the schema goes in the prompt
+  structuredOutput: "json_object",
   
   // Request defaults
   defaults: {
@@ -38,6 +41,18 @@ const DeepSeekConfig = {
     temperature: 0.7,
     timeout: 60000, // 60 seconds
   },
+
+  // Context window sizes in tokens ("default" applies to unlisted models)
+  contextWindows: {
+    default: 128000,
+  },
+
+  // Retry policy (see BaseProvider.fetchWithRetry)
+  retry: {
+    maxAttempts: 3,
+    baseDelay: 1000,
+    maxDelay: 30000,
+  },
   
   // Pricing (per 1K tokens in USD) - Very competitive!
   pricing: {
@@ -128,18 +128,21 @@ class DeepSeekProvider extends BaseProvider {
     const maxTokens = options.maxTokens || this.config.defaults.maxTokens;
 
     try {
-      const response = await fetch(`${this.getBaseUrl()}/chat/completions`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify({
-          model: model,
-          messages: [{ role: "user", content: prompt }],
-          max_tokens: maxTokens,
-        }),
-      });
+      const response = await this.fetchWithRetry(
+        `${this.getBaseUrl()}/chat/completions`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${apiKey}`,
+          },
+          body: JSON.stringify({
+            model: model,
+            messages: [{ role: "user", content: prompt }],
+            max_tokens: maxTokens,
+          }),
+        }
+      );
 
       if (!response.ok) {
         const errorData = await response.text();
@@ -182,7 +185,7 @@ class DeepSeekProvider extends BaseProvider {
 
     const model = options.model || this.getDefaultModel();
     const maxTokens = options.maxTokens || this.config.defaults.maxTokens;
-    const messages = this.buildMessages(userPromptOrMessages);
+    const messages = this.buildMessages(userPromptOrMessages, model);
 
     // Prepend system message
     const allMessages = [
@@ -191,19 +194,27 @@ class DeepSeekProvider extends BaseProvider {
     ];
 
     try {
-      const response = await fetch(`${this.getBaseUrl()}/chat/completions`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify({
-          model: model,
-          messages: allMessages,
-          max_tokens: maxTokens,
-          temperature: options.temperature || this.config.defaults.temperature,
-        }),
-      });
+      const response = await this.fetchWithRetry(
+        `${this.getBaseUrl()}/chat/completions`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${apiKey}`,
+          },
+          body: JSON.stringify({
+            model: model,
+            messages: allMessages,
+            max_tokens: maxTokens,
+            temperature:
+              options.temperature || this.config.defaults.temperature,
+            // JSON mode only - the schema is described in the system prompt
+            ...(options.responseSchema && {
+              response_format: { type: this.config.structuredOutput },
+            }),
+          }),
+        }
+      );
 
       if (!response.ok) {
         const errorData = await response.text();
@@ -270,7 +281,7 @@ class DeepSeekProvider extends BaseProvider {
     const model = options.model || this.getDefaultModel();
     const maxTokens = options.maxTokens || this.config.defaults.maxTokens;
     const messageId = options.messageId || Date.now().toString();
-    const messages = this.buildMessages(userPromptOrMessages);
+    const messages = this.buildMessages(userPromptOrMessages, model);
 
     // Prepend system message
     const allMessages = [
@@ -279,21 +290,25 @@ class DeepSeekProvider extends BaseProvider {
     ];
 
     try {
-      const response = await fetch(`${this.getBaseUrl()}/chat/completions`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify({
-          model: model,
-          messages: allMessages,
-          max_tokens: maxTokens,
-          temperature: options.temperature || this.config.defaults.temperature,
-          stream: true,
-        }),
-        signal: abortController?.signal,
-      });
+      const response = await this.fetchWithRetry(
+        `${this.getBaseUrl()}/chat/completions`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${apiKey}`,
+          },
+          body: JSON.stringify({
+            model: model,
+            messages: allMessages,
+            max_tokens: maxTokens,
+            temperature:
+              options.temperature || this.config.defaults.temperature,
+            stream: true,
+          }),
+          signal: abortController?.signal,
+        }
+      );
 
       if (!response.ok) {
         const errorData = await response.text();
@@ -302,55 +317,35 @@ class DeepSeekProvider extends BaseProvider {
         );
       }
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-
-      let fullContent = "";
-      let totalTokens = 0;
-
-      // Process streaming chunks
-      for await (const chunk of this.streamParser.readStream(
-        reader,
-        decoder,
-        abortController?.signal
-      )) {
-        if (chunk.type === "text") {
-          fullContent += chunk.data;
-          totalTokens += 1; // Approximate
-
-          if (onChunk) {
-            onChunk({
-              messageId: messageId,
-              chunk: chunk.data,
-              tokens: totalTokens,
-              isComplete: false,
-            });
-          }
-        } else if (chunk.type === "done") {
-          break;
-        }
-      }
+      const stream = await this.consumeStream(response, abortController, {
+        messageId,
+        onChunk,
+        label: "DeepSeek",
+      });
 
       // Build final message
+      // Prefer reported usage; otherwise count with the model's tokenizer
+      const promptTokens =
+        stream.usage.inputTokens ??
+        this.estimatePromptTokens(systemPrompt, messages, model);
+      const completionTokens =
+        stream.usage.outputTokens ?? this.estimateTokens(stream.content, model);
       const usage = {
-        prompt_tokens: this.estimateTokens(
-          systemPrompt + JSON.stringify(messages)
-        ),
-        completion_tokens: totalTokens,
-        total_tokens:
-          this.estimateTokens(systemPrompt + JSON.stringify(messages)) +
-          totalTokens,
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
       };
 
       const finalMessage = {
         id: messageId,
         type: "assistant",
-        content: fullContent,
+        content: stream.content,
         provider: "deepseek",
         model: model,
         tokens: usage.total_tokens,
         cost: this.calculateCost(usage, model),
         timestamp: new Date().toISOString(),
+        stopReason: stream.stopReason,
       };
 
       this.logRequestComplete("sendStreamingRequest", {
@@ -384,16 +379,6 @@ class DeepSeekProvider extends BaseProvider {
   // ============================================================================
   // UTILITY METHODS
   // ============================================================================
-
-  /**
-   * Estimate token count (rough approximation)
-   * @param {string} text - Text to estimate
-   * @returns {number} - Estimated token count
-   */
-  estimateTokens(text) {
-    // Rough estimate: 1 token ≈ 4 characters
-    return Math.ceil(text.length / 4);
-  }
 }
 
 module.exports = DeepSeekProvider;
@@ -2,77 +2,31 @@
  * 🦊 DeepSeek Stream Parser
  *
  * Handles all streaming response parsing for DeepSeek.
- * DeepSeek uses OpenAI-compatible API format.
+ * DeepSeek uses OpenAI-compatible API format; this parser translates its
+ * text deltas, usage and finish reason into the unified stream events.
  *
  * @enterprise-grade Robust streaming parser with error handling
  */
 
-class DeepSeekStreamParser {
-  constructor(logger) {
-    this.logger = logger;
-  }
-
-  /**
-   * Parse a single line from the stream
-   * @param {string} line - Raw line from stream
-   * @returns {Object|null} - Parsed event or null
-   */
-  parseLine(line) {
-    // Remove "data: " prefix if present
-    if (line.startsWith("data: ")) {
-      line = line.substring(6);
-    }
+const BaseStreamParser = require("../base/BaseStreamParser");
+const { StreamEvent, STOP_REASONS } = require("../base/StreamEvents");
 
-    // Check for stream end marker
-    if (line.trim() === "[DONE]") {
-      return { type: "done" };
-    }
-
-    // Skip empty lines
-    if (!line.trim()) {
-      return null;
-    }
-
-    try {
-      return JSON.parse(line);
-    } catch (error) {
-      // Ignore parse errors for incomplete chunks
-      return null;
-    }
-  }
+// DeepSeek finish_reason → unified stop reason
+const STOP_REASON_MAP = {
+  stop: STOP_REASONS.END_TURN,
+  tool_calls: STOP_REASONS.TOOL_USE,
+  length: STOP_REASONS.MAX_TOKENS,
+  content_filter: STOP_REASONS.CONTENT_FILTER,
+};
 
+class DeepSeekStreamParser extends BaseStreamParser {
   /**
    * Check if delta contains text content
    * @param {Object} delta - Delta object from chunk
    * @returns {boolean}
    */
   hasTextContent(delta) {
-    return delta && delta.content !== undefined && delta.content !== null;
-  }
-
-  /**
-   * Extract text from delta
-   * @param {Object} delta - Delta object from chunk
-   * @returns {string|null}
-   */
-  extractTextContent(delta) {
-    if (this.hasTextContent(delta)) {
-      return delta.content;
-    }
-    return null;
-  }
-
-  /**
-   * Check if delta indicates finish
-   * @param {Object} choice - Choice object from chunk
-   * @returns {boolean}
-   */
-  isFinished(choice) {
-    return (
-      choice &&
-      choice.finish_reason !== null &&
-      choice.finish_reason !== undefined
-    );
+    return typeof delta?.content === "string" && delta.content.length > 0;
   }
 
   /**
@@ -81,121 +35,60 @@ class DeepSeekStreamParser {
    * @returns {string|null}
    */
   getFinishReason(choice) {
-    if (this.isFinished(choice)) {
-      return choice.finish_reason;
-    }
-    return null;
+    return choice?.finish_reason || null;
   }
 
   /**
-   * Process streaming chunk and extract all relevant data
-   * @param {string} line - Raw line from stream
-   * @returns {Object} - Processed chunk data
+   * Translate one chunk into unified stream events
+   * @param {Object} chunk - Parsed chunk
+   * @param {Object} _state - Per-stream state
+   * @returns {Array<Object>}
    */
-  processChunk(line) {
-    const parsed = this.parseLine(line);
-
-    if (!parsed) {
-      return { type: "unknown", data: null };
-    }
-
+  parseEvent(chunk, _state) {
     // Stream end marker
-    if (parsed.type === "done") {
-      return { type: "done", data: null };
+    if (chunk === BaseStreamParser.DONE) {
+      return [];
     }
 
-    // Extract choice (DeepSeek follows OpenAI format)
-    const choice = parsed.choices?.[0];
-
-    if (!choice) {
-      return { type: "unknown", data: null };
+    if (chunk.error) {
+      return [
+        StreamEvent.error(
+          chunk.error.message || "Unknown error",
+          chunk.error.type || chunk.error.code
+        ),
+      ];
     }
 
-    const delta = choice.delta;
+    const events = [];
+    const choice = chunk.choices?.[0];
 
     // Text content delta
-    const textContent = this.extractTextContent(delta);
-    if (textContent !== null) {
-      return { type: "text", data: textContent };
+    if (this.hasTextContent(choice?.delta)) {
+      events.push(StreamEvent.textDelta(choice.delta.content));
     }
 
-    // Role assignment (first chunk)
-    if (delta && delta.role) {
-      return { type: "role", data: delta.role };
+    // Usage (DeepSeek sends it with the final chunk)
+    if (chunk.usage) {
+      events.push(
+        StreamEvent.usage({
+          inputTokens: chunk.usage.prompt_tokens,
+          outputTokens: chunk.usage.completion_tokens,
+        })
+      );
     }
 
     // Finish reason
     const finishReason = this.getFinishReason(choice);
     if (finishReason) {
-      return { type: "finish", data: finishReason };
-    }
-
-    // Unknown chunk type
-    return { type: "unknown", data: parsed };
-  }
-
-  /**
-   * Read and process streaming response
-   * @param {ReadableStreamDefaultReader} reader - Stream reader
-   * @param {TextDecoder} decoder - Text decoder
-   * @param {AbortSignal} signal - Optional abort signal
-   * @yields {Object} - Processed chunks
-   */
-  async *readStream(reader, decoder, signal = null) {
-    let buffer = "";
-
-    try {
-      while (true) {
-        // Check if aborted before reading
-        if (signal?.aborted) {
-          this.logger?.info("🛑 Stream aborted by user");
-          break;
-        }
-
-        const { done, value } = await reader.read();
-
-        if (done) {
-          break;
-        }
-
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split("\n");
-
-        // Keep the last incomplete line in buffer
-        buffer = lines.pop() || "";
-
-        for (const line of lines) {
-          if (line.trim()) {
-            const processed = this.processChunk(line);
-            if (processed.type !== "unknown") {
-              yield processed;
-            }
-          }
-        }
-      }
-    } catch (error) {
-      // Handle abort errors gracefully
-      if (error.name === "AbortError" || signal?.aborted) {
-        this.logger?.info("🛑 Stream reading aborted");
-        return;
-      }
-      throw error;
-    } finally {
-      // Always release the reader
-      try {
-        reader.releaseLock();
-      } catch (e) {
-        // Ignore errors when releasing lock
-      }
+      events.push(
+        StreamEvent.stopReason(
+          STOP_REASON_MAP[finishReason] || STOP_REASONS.OTHER,
+          finishReason
+        )
+      );
     }
 
-    // Process any remaining buffer
-    if (buffer.trim()) {
-      const processed = this.processChunk(buffer);
-      if (processed.type !== "unknown") {
-        yield processed;
-      }
-    }
+    return events;
   }
 
   /**
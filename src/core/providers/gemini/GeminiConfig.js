@@ -0,0 +1,118 @@
+/**
+ * 🦊 Gemini Provider Configuration
+ *
+ * All Google Gemini-specific configuration in one place.
+ * Makes it easy to update models, pricing, and settings.
+ *
+ * @enterprise-grade Centralized configuration, easy maintenance
+ */
+
+const GeminiConfig = {
+  // Provider metadata
+  name: "✨ Google Gemini",
+  id: "gemini",
+
+  // API configuration
+  baseUrl: "https://generativelanguage.googleapis.com/v1beta",
+
+  // Available models
+  models: [
+    "gemini-2.5-pro", // Most capable reasoning
+    "gemini-2.5-flash", // Fast, balanced
+    "gemini-2.5-flash-lite", // Cheapest, high throughput
+    "gemini-2.0-flash", // Previous generation
+  ],
+
+  // Default model
+  defaultModel: "gemini-2.5-flash",
+
+  // Tool calling support
+  supportsToolCalling: true,
+  toolFormat: "gemini_functions",
+  maxTools: 128,
+
+  // Streaming support
+  supportsStreaming: true,
+
+  // Request defaults
+  defaults: {
+    maxTokens: 4000,
+    temperature: 0.7,
+    timeout: 60000, // 60 seconds
+  },
+
+  // Context window sizes in tokens ("default" applies to unlisted models)
+  contextWindows: {
+    default: 1048576,
+  },
+
+  // Retry policy (see BaseProvider.fetchWithRetry)
+  retry: {
+    maxAttempts: 3,
+    baseDelay: 1000,
+    maxDelay: 30000,
+  },
+
+  // Embeddings (see BaseProvider.embed) - model → vector dimensions
+  embeddings: {
+    models: {
+      "gemini-embedding-001": 3072,
+      "text-embedding-004": 768,
+    },
+    defaultModel: "gemini-embedding-001",
+    maxBatchSize: 100, // Requests per batchEmbedContents call
+  },
+
+  // Pricing (per 1M tokens in USD)
+  pricing: {
+    "gemini-2.5-pro": {
+      input: 1.25,
+      output: 10.00,
+    },
+    "gemini-2.5-flash": {
+      input: 0.30,
+      output: 2.50,
+    },
+    "gemini-2.5-flash-lite": {
+      input: 0.10,
+      output: 0.40,
+    },
+    "gemini-2.0-flash": {
+      input: 0.10,
+      output: 0.40,
+    },
+    "gemini-embedding-001": {
+      input: 0.15,
+      output: 0,
+    },
+    "text-embedding-004": {
+      input: 0, // Free tier only
+      output: 0,
+    },
+  },
+
+  // API key validation
+  apiKeyPattern: /^AIza[a-zA-Z0-9_-]{35}$/,
+
+  // Tool choice mapping
+  // Gemini uses functionCallingConfig modes "AUTO", "ANY" and "NONE"
+  toolChoiceMapping: {
+    auto: { functionCallingConfig: { mode: "AUTO" } },
+    required: { functionCallingConfig: { mode: "ANY" } },
+    none: { functionCallingConfig: { mode: "NONE" } },
+  },
+
+  // JSON schema keywords Gemini rejects in function declarations
+  unsupportedSchemaKeys: ["default", "additionalProperties", "$schema"],
+
+  // Error messages
+  errors: {
+    invalidApiKey: "Invalid API key format for Gemini. Expected format: AIza...",
+    invalidModel: "Invalid model for Gemini. Available models: ",
+    rateLimitExceeded: "Gemini API rate limit exceeded. Please try again later.",
+    serverError: "Gemini API server error. Please try again.",
+    timeout: "Gemini API request timeout. Please try again.",
+  },
+};
+
+module.exports = GeminiConfig;
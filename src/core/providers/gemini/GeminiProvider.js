@@ -0,0 +1,619 @@
+/**
+ * 🦊 Gemini Provider
+ *
+ * Complete implementation of the Google Gemini API (generativelanguage v1beta).
+ * Handles all Gemini-specific logic in isolation.
+ *
+ * @enterprise-grade Zero cross-contamination, fully testable, production-ready
+ */
+
+const BaseProvider = require("../base/BaseProvider");
+const GeminiConfig = require("./GeminiConfig");
+const GeminiToolAdapter = require("./GeminiToolAdapter");
+const GeminiStreamParser = require("./GeminiStreamParser");
+
+class GeminiProvider extends BaseProvider {
+  constructor(config, logger, performanceMonitor) {
+    super(config, logger, performanceMonitor);
+
+    // Merge provided config with defaults
+    this.config = { ...GeminiConfig, ...config };
+
+    // Initialize adapters
+    this.toolAdapter = new GeminiToolAdapter(logger);
+    this.streamParser = new GeminiStreamParser(logger);
+
+    // Tool call id → function name, for sending results back by name
+    this.toolCallNames = new Map();
+  }
+
+  // ============================================================================
+  // METADATA METHODS
+  // ============================================================================
+
+  getName() {
+    return this.config.name;
+  }
+
+  getModels() {
+    return this.config.models;
+  }
+
+  getDefaultModel() {
+    return this.config.defaultModel;
+  }
+
+  getBaseUrl() {
+    return this.config.baseUrl;
+  }
+
+  supportsToolCalling() {
+    return this.config.supportsToolCalling;
+  }
+
+  supportsStreaming() {
+    return this.config.supportsStreaming;
+  }
+
+  getToolFormat() {
+    return this.config.toolFormat;
+  }
+
+  getMaxTools() {
+    return this.config.maxTools;
+  }
+
+  // ============================================================================
+  // VALIDATION METHODS
+  // ============================================================================
+
+  validateApiKey(apiKey) {
+    if (!apiKey || typeof apiKey !== "string") {
+      return false;
+    }
+
+    // Google AI Studio keys start with "AIza"
+    return this.config.apiKeyPattern.test(apiKey);
+  }
+
+  validateModel(model) {
+    return this.config.models.includes(model);
+  }
+
+  // ============================================================================
+  // COST CALCULATION
+  // ============================================================================
+
+  calculateCost(usage, model) {
+    const pricing = this.config.pricing[model];
+
+    if (!pricing) {
+      this.logger?.warn(`No pricing data for model: ${model}`);
+      return 0;
+    }
+
+    const inputCost = ((usage.promptTokenCount || 0) / 1000000) * pricing.input;
+    const outputCost =
+      ((usage.candidatesTokenCount || 0) / 1000000) * pricing.output;
+
+    return inputCost + outputCost;
+  }
+
+  buildUsage(inputTokens, outputTokens) {
+    return {
+      promptTokenCount: inputTokens,
+      candidatesTokenCount: outputTokens,
+      totalTokenCount: inputTokens + outputTokens,
+    };
+  }
+
+  // ============================================================================
+  // TOOL HANDLING METHODS
+  // ============================================================================
+
+  convertCapabilitiesToTools(capabilities) {
+    return this.toolAdapter.convertCapabilitiesToTools(capabilities);
+  }
+
+  parseToolCalls(response) {
+    const toolCalls = this.toolAdapter.parseToolCalls(response);
+    this.rememberToolCalls(toolCalls);
+    return toolCalls;
+  }
+
+  /**
+   * Gemini matches results to calls by function name, so the id is
+   * looked up in the calls of the latest response
+   */
+  buildToolResult(toolCallId, result) {
+    const toolName = this.toolCallNames.get(toolCallId) || toolCallId;
+    return this.toolAdapter.buildToolResult(toolName, result);
+  }
+
+  /**
+   * Remember the function names of a response's tool calls
+   * Ids are positional (call_0, call_1...), so each response replaces the
+   * previous one's
+   */
+  rememberToolCalls(toolCalls) {
+    this.toolCallNames.clear();
+    for (const call of toolCalls) {
+      this.toolCallNames.set(call.id, call.name);
+    }
+  }
+
+  // ============================================================================
+  // REQUEST HELPERS
+  // ============================================================================
+
+  /**
+   * Convert NOX messages to Gemini contents
+   * Gemini calls the assistant role "model" and wraps text in parts.
+   * @param {string|Array} userPromptOrMessages - Prompt or message history
+   * @param {string} model - Model ID
+   * @returns {Array<Object>} - Gemini contents
+   */
+  buildContents(userPromptOrMessages, model = null) {
+    return this.buildMessages(userPromptOrMessages, model).map((message) => ({
+      role: message.role === "assistant" ? "model" : "user",
+      parts: Array.isArray(message.parts)
+        ? message.parts
+        : [{ text: message.content }],
+    }));
+  }
+
+  /**
+   * Build the generateContent request body
+   * options.responseSchema ({ name, schema }) switches on JSON output
+   */
+  buildRequestBody(systemPrompt, userPromptOrMessages, options = {}) {
+    const body = {
+      contents: this.buildContents(userPromptOrMessages, options.model),
+      generationConfig: {
+        maxOutputTokens: options.maxTokens || this.config.defaults.maxTokens,
+        temperature: options.temperature ?? this.config.defaults.temperature,
+      },
+    };
+
+    if (systemPrompt) {
+      body.systemInstruction = { parts: [{ text: systemPrompt }] };
+    }
+
+    // Structured output: JSON reply constrained by the schema
+    if (options.responseSchema) {
+      body.generationConfig.responseMimeType = "application/json";
+      body.generationConfig.responseJsonSchema = options.responseSchema.schema;
+    }
+
+    return body;
+  }
+
+  /**
+   * Build endpoint URL for a model method
+   * @param {string} model - Model id
+   * @param {string} method - "generateContent" or "streamGenerateContent"
+   */
+  buildUrl(model, method) {
+    const url = `${this.getBaseUrl()}/models/${model}:${method}`;
+    return method === "streamGenerateContent" ? `${url}?alt=sse` : url;
+  }
+
+  /**
+   * POST a request body to Gemini
+   */
+  async postRequest(apiKey, model, method, body, signal = undefined) {
+    const response = await this.fetchWithRetry(this.buildUrl(model, method), {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-goog-api-key": apiKey,
+      },
+      body: JSON.stringify(body),
+      signal: signal,
+    });
+
+    if (!response.ok) {
+      const errorData = await response.text();
+      throw new Error(
+        `Gemini API error: ${response.status} ${response.statusText} - ${errorData}`
+      );
+    }
+
+    return response;
+  }
+
+  /**
+   * Extract concatenated text from a generateContent response
+   */
+  extractText(data) {
+    const parts = data?.candidates?.[0]?.content?.parts || [];
+    return parts
+      .filter((part) => typeof part.text === "string" && !part.thought)
+      .map((part) => part.text)
+      .join("");
+  }
+
+  /**
+   * Get total token count from usage metadata
+   */
+  getTotalTokens(usage) {
+    if (!usage) {
+      return 0;
+    }
+
+    return (
+      usage.totalTokenCount ||
+      (usage.promptTokenCount || 0) + (usage.candidatesTokenCount || 0)
+    );
+  }
+
+  /**
+   * Convert streamed usage back to usageMetadata for cost calculation
+   * Falls back to estimated output tokens when the stream reported no usage
+   * @param {StreamAccumulator} stream - Consumed stream
+   * @param {string} model - Model ID (picks the tokenizer)
+   * @returns {Object} - { promptTokenCount, candidatesTokenCount, totalTokenCount }
+   */
+  buildStreamUsage(stream, model = null) {
+    const { inputTokens, outputTokens, thinkingTokens } = stream.usage;
+
+    if (inputTokens === undefined && outputTokens === undefined) {
+      return {
+        promptTokenCount: 0,
+        candidatesTokenCount: this.estimateTokens(stream.content, model),
+      };
+    }
+
+    return {
+      promptTokenCount: inputTokens || 0,
+      candidatesTokenCount: outputTokens || 0,
+      totalTokenCount:
+        (inputTokens || 0) + (outputTokens || 0) + (thinkingTokens || 0),
+    };
+  }
+
+  // ============================================================================
+  // CORE REQUEST METHODS
+  // ============================================================================
+
+  /**
+   * Send a simple request (non-streaming, no tools)
+   */
+  async sendRequest(apiKey, prompt, options = {}) {
+    this.logRequestStart("sendRequest", {
+      prompt: prompt.substring(0, 100),
+    });
+
+    const model = options.model || this.getDefaultModel();
+
+    try {
+      const response = await this.postRequest(
+        apiKey,
+        model,
+        "generateContent",
+        this.buildRequestBody(null, prompt, options)
+      );
+
+      const data = await response.json();
+      const usage = data.usageMetadata || {};
+
+      const result = {
+        content: this.extractText(data),
+        provider: "gemini",
+        model: model,
+        tokens: this.getTotalTokens(usage),
+        cost: this.calculateCost(usage, model),
+      };
+
+      this.logRequestComplete("sendRequest", {
+        tokens: result.tokens,
+        cost: result.cost,
+      });
+
+      return result;
+    } catch (error) {
+      this.handleApiError(error, "sendRequest");
+    }
+  }
+
+  /**
+   * Send a request with system prompt (non-streaming, no tools)
+   */
+  async sendRequestWithSystem(
+    apiKey,
+    systemPrompt,
+    userPromptOrMessages,
+    options = {}
+  ) {
+    this.logRequestStart("sendRequestWithSystem");
+
+    const model = options.model || this.getDefaultModel();
+
+    try {
+      const response = await this.postRequest(
+        apiKey,
+        model,
+        "generateContent",
+        this.buildRequestBody(systemPrompt, userPromptOrMessages, options)
+      );
+
+      const data = await response.json();
+      const usage = data.usageMetadata || {};
+
+      const result = {
+        content: this.extractText(data),
+        provider: "gemini",
+        model: model,
+        tokens: this.getTotalTokens(usage),
+        cost: this.calculateCost(usage, model),
+      };
+
+      this.logRequestComplete("sendRequestWithSystem", {
+        tokens: result.tokens,
+        cost: result.cost,
+      });
+
+      return result;
+    } catch (error) {
+      this.handleApiError(error, "sendRequestWithSystem");
+    }
+  }
+
+  /**
+   * Send a request with tools (non-streaming)
+   */
+  async sendRequestWithTools(
+    apiKey,
+    systemPrompt,
+    userPromptOrMessages,
+    tools,
+    options = {}
+  ) {
+    this.logRequestStart("sendRequestWithTools", {
+      toolCount: tools.length,
+    });
+
+    const model = options.model || this.getDefaultModel();
+
+    try {
+      const body = this.buildRequestBody(
+        systemPrompt,
+        userPromptOrMessages,
+        options
+      );
+      body.tools = this.toolAdapter.buildToolsPayload(tools);
+
+      const toolConfig = this.toolAdapter.mapToolChoice(options.tool_choice);
+      if (toolConfig) {
+        body.toolConfig = toolConfig;
+      }
+
+      const response = await this.postRequest(
+        apiKey,
+        model,
+        "generateContent",
+        body
+      );
+
+      const data = await response.json();
+      const usage = data.usageMetadata || {};
+      const toolCalls = this.parseToolCalls(data);
+
+      const result = {
+        id: Date.now().toString(),
+        type: "assistant",
+        content: this.extractText(data),
+        functionCalls: toolCalls.map((call) => ({
+          name: call.name,
+          args: call.parameters,
+        })),
+        tool_calls: toolCalls,
+        provider: "gemini",
+        model: model,
+        tokens: this.getTotalTokens(usage),
+        cost: this.calculateCost(usage, model),
+      };
+
+      this.logRequestComplete("sendRequestWithTools", {
+        tokens: result.tokens,
+        cost: result.cost,
+        toolCalls: result.tool_calls.length,
+      });
+
+      return result;
+    } catch (error) {
+      this.handleApiError(error, "sendRequestWithTools");
+    }
+  }
+
+  // ============================================================================
+  // EMBEDDINGS
+  // ============================================================================
+
+  /**
+   * Embed one batch with batchEmbedContents (batching is done by
+   * BaseProvider.embed). Gemini reports no usage, so tokens are counted.
+   * options.dimensions truncates the vectors (outputDimensionality)
+   */
+  async requestEmbeddings(apiKey, texts, model, options = {}) {
+    const response = await this.postRequest(
+      apiKey,
+      model,
+      "batchEmbedContents",
+      {
+        requests: texts.map((text) => ({
+          model: `models/${model}`,
+          content: { parts: [{ text }] },
+          ...(options.dimensions && {
+            outputDimensionality: options.dimensions,
+          }),
+        })),
+      }
+    );
+
+    const data = await response.json();
+
+    return {
+      embeddings: (data.embeddings || []).map((embedding) => embedding.values),
+    };
+  }
+
+  // ============================================================================
+  // STREAMING METHODS
+  // ============================================================================
+
+  /**
+   * Send a streaming request with system prompt (no tools)
+   */
+  async sendStreamingRequest(
+    apiKey,
+    systemPrompt,
+    userPromptOrMessages,
+    options,
+    onChunk,
+    onComplete,
+    abortController = null
+  ) {
+    this.logRequestStart("sendStreamingRequest");
+
+    const model = options.model || this.getDefaultModel();
+    const messageId = options.messageId || Date.now().toString();
+
+    try {
+      const response = await this.postRequest(
+        apiKey,
+        model,
+        "streamGenerateContent",
+        this.buildRequestBody(systemPrompt, userPromptOrMessages, options),
+        abortController?.signal
+      );
+
+      const stream = await this.consumeStream(response, abortController, {
+        messageId,
+        onChunk,
+        label: "Gemini",
+      });
+      const usage = this.buildStreamUsage(stream, model);
+
+      // Build final message
+      const finalMessage = {
+        id: messageId,
+        type: "assistant",
+        content: stream.content,
+        timestamp: new Date().toISOString(),
+        provider: "gemini",
+        model: model,
+        tokens: this.getTotalTokens(usage),
+        cost: this.calculateCost(usage, model),
+        stopReason: stream.stopReason,
+      };
+
+      this.logRequestComplete("sendStreamingRequest", {
+        tokens: finalMessage.tokens,
+        cost: finalMessage.cost,
+      });
+
+      if (onComplete) {
+        onComplete(finalMessage);
+      }
+    } catch (error) {
+      this.handleApiError(error, "sendStreamingRequest");
+    }
+  }
+
+  /**
+   * Send a streaming request with tools
+   * Gemini delivers each functionCall as a complete part, so tool calls
+   * are dispatched as soon as they arrive.
+   */
+  async sendStreamingRequestWithTools(
+    apiKey,
+    systemPrompt,
+    userPromptOrMessages,
+    tools,
+    options,
+    callbacks,
+    abortController = null
+  ) {
+    this.logRequestStart("sendStreamingRequestWithTools", {
+      toolCount: tools.length,
+    });
+
+    const model = options.model || this.getDefaultModel();
+    const messageId = options.messageId || Date.now().toString();
+
+    const { onChunk, onToolCall, onComplete } = callbacks;
+
+    try {
+      // Build request payload
+      const requestPayload = this.buildRequestBody(
+        systemPrompt,
+        userPromptOrMessages,
+        options
+      );
+      requestPayload.tools = this.toolAdapter.buildToolsPayload(tools);
+
+      // Add toolConfig if tool_choice specified
+      const toolConfig = this.toolAdapter.mapToolChoice(options.tool_choice);
+      if (toolConfig) {
+        requestPayload.toolConfig = toolConfig;
+      }
+
+      this.logger?.info(`🔍 GEMINI REQUEST PAYLOAD:`, {
+        model: model,
+        contentCount: requestPayload.contents.length,
+        toolCount: tools.length,
+        toolNames: tools.map((t) => t.name),
+        toolConfig: requestPayload.toolConfig,
+        temperature: requestPayload.generationConfig.temperature,
+      });
+
+      const response = await this.postRequest(
+        apiKey,
+        model,
+        "streamGenerateContent",
+        requestPayload,
+        abortController?.signal
+      );
+
+      const stream = await this.consumeStream(response, abortController, {
+        messageId,
+        onChunk,
+        onToolCall,
+        label: "Gemini",
+      });
+      this.rememberToolCalls(stream.toolCalls);
+      const usage = this.buildStreamUsage(stream, model);
+
+      // Build final message
+      const finalMessage = {
+        id: messageId,
+        type: "assistant",
+        content: stream.content,
+        timestamp: new Date().toISOString(),
+        tool_calls: stream.toolCalls,
+        provider: "gemini",
+        model: model,
+        tokens: this.getTotalTokens(usage),
+        cost: this.calculateCost(usage, model),
+        stopReason: stream.stopReason,
+        wasSilent: stream.wasSilent,
+      };
+
+      this.logRequestComplete("sendStreamingRequestWithTools", {
+        tokens: finalMessage.tokens,
+        cost: finalMessage.cost,
+        toolCalls: stream.toolCalls.length,
+        wasSilent: finalMessage.wasSilent,
+      });
+
+      if (onComplete) {
+        onComplete(finalMessage);
+      }
+    } catch (error) {
+      this.handleApiError(error, "sendStreamingRequestWithTools");
+    }
+  }
+}
+
+module.exports = GeminiProvider;
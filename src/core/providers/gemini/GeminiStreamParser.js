@@ -0,0 +1,155 @@
+/**
+ * 🦊 Gemini Stream Parser
+ *
+ * Handles all streaming response parsing for Gemini.
+ * Translates Server-Sent Events (SSE, requested with alt=sse) into the
+ * unified stream events:
+ * - text_delta from text parts (thought summaries are skipped)
+ * - tool_call_start / tool_args_delta / tool_call_end for each functionCall
+ *   part (Gemini sends each call complete, never partial)
+ * - usage from usageMetadata, stop_reason from finishReason
+ * - error for API errors and blocked prompts
+ *
+ * @enterprise-grade Robust streaming parser with error handling
+ */
+
+const BaseStreamParser = require("../base/BaseStreamParser");
+const { StreamEvent, STOP_REASONS } = require("../base/StreamEvents");
+
+// Gemini finishReason → unified stop reason
+const STOP_REASON_MAP = {
+  STOP: STOP_REASONS.END_TURN,
+  MAX_TOKENS: STOP_REASONS.MAX_TOKENS,
+  SAFETY: STOP_REASONS.CONTENT_FILTER,
+  RECITATION: STOP_REASONS.CONTENT_FILTER,
+  BLOCKLIST: STOP_REASONS.CONTENT_FILTER,
+  PROHIBITED_CONTENT: STOP_REASONS.CONTENT_FILTER,
+  SPII: STOP_REASONS.CONTENT_FILTER,
+};
+
+class GeminiStreamParser extends BaseStreamParser {
+  /**
+   * Get content parts from the first candidate
+   * @param {Object} event - Parsed event
+   * @returns {Array<Object>}
+   */
+  extractParts(event) {
+    const parts = event?.candidates?.[0]?.content?.parts;
+    return Array.isArray(parts) ? parts : [];
+  }
+
+  /**
+   * Extract finish reason from the first candidate
+   * @param {Object} event - Parsed event
+   * @returns {string|null}
+   */
+  extractFinishReason(event) {
+    return event?.candidates?.[0]?.finishReason || null;
+  }
+
+  /**
+   * Extract usage metadata
+   * @param {Object} event - Parsed event
+   * @returns {Object|null} - { promptTokenCount, candidatesTokenCount, totalTokenCount }
+   */
+  extractUsage(event) {
+    return event?.usageMetadata || null;
+  }
+
+  /**
+   * Extract error details (API errors or blocked prompts)
+   * @param {Object} event - Parsed event
+   * @returns {Object|null} - { type, message }
+   */
+  extractError(event) {
+    if (event?.error) {
+      return {
+        type: event.error.status || "unknown",
+        message: event.error.message || "Unknown error",
+      };
+    }
+
+    if (event?.promptFeedback?.blockReason) {
+      return {
+        type: "blocked",
+        message: `Prompt blocked: ${event.promptFeedback.blockReason}`,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Map a finish reason; Gemini reports STOP after function calls too
+   */
+  toStopReason(finishReason, state) {
+    if (finishReason === "STOP" && state.toolCallCount > 0) {
+      return StreamEvent.stopReason(STOP_REASONS.TOOL_USE, finishReason);
+    }
+    return StreamEvent.stopReason(
+      STOP_REASON_MAP[finishReason] || STOP_REASONS.OTHER,
+      finishReason
+    );
+  }
+
+  /**
+   * Translate one chunk into unified stream events
+   * A single Gemini chunk can carry several parts.
+   * @param {Object} event - Parsed event
+   * @param {Object} state - Per-stream state
+   * @returns {Array<Object>}
+   */
+  parseEvent(event, state) {
+    // Gemini never sends [DONE], but don't treat it as a chunk
+    if (event === BaseStreamParser.DONE) {
+      return [];
+    }
+
+    const error = this.extractError(event);
+    if (error) {
+      return [StreamEvent.error(error.message, error.type)];
+    }
+
+    const events = [];
+
+    for (const part of this.extractParts(event)) {
+      // Skip thought summaries, they are not part of the answer
+      if (part.thought) {
+        continue;
+      }
+
+      if (typeof part.text === "string" && part.text.length > 0) {
+        events.push(StreamEvent.textDelta(part.text));
+      } else if (part.functionCall) {
+        events.push(
+          ...this.completeToolCall(
+            state,
+            part.functionCall.id,
+            part.functionCall.name,
+            part.functionCall.args
+          )
+        );
+      }
+    }
+
+    const usage = this.extractUsage(event);
+    if (usage) {
+      events.push(
+        StreamEvent.usage({
+          inputTokens: usage.promptTokenCount,
+          outputTokens: usage.candidatesTokenCount,
+          thinkingTokens: usage.thoughtsTokenCount,
+        })
+      );
+    }
+
+    const finishReason = this.extractFinishReason(event);
+    if (finishReason) {
+      events.push(this.toStopReason(finishReason, state));
+    }
+
+    return events;
+  }
+}
+
+module.exports = GeminiStreamParser;
@@ -0,0 +1,238 @@
+/**
+ * 🦊 Gemini Tool Adapter
+ *
+ * Converts NOX capabilities to Gemini's function declaration format and vice versa.
+ * Handles all tool-related transformations for Gemini.
+ *
+ * @enterprise-grade Clean separation of tool logic
+ */
+
+const GeminiConfig = require("./GeminiConfig");
+
+class GeminiToolAdapter {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Convert NOX capabilities to Gemini function declarations
+   * @param {Array<Class>} capabilities - Array of capability classes
+   * @returns {Array<Object>} - Function declarations in Gemini format
+   */
+  convertCapabilitiesToTools(capabilities) {
+    return capabilities.map((CapabilityClass) => {
+      const metadata = CapabilityClass.metadata;
+
+      return {
+        name: metadata.id,
+        description: metadata.description || metadata.name,
+        parameters: this.buildParameterSchema(metadata.parameters || {}),
+      };
+    });
+  }
+
+  /**
+   * Build JSON schema for tool parameters
+   * @param {Object} parameters - Parameter definitions
+   * @returns {Object} - JSON schema
+   */
+  buildParameterSchema(parameters) {
+    // If parameters already has a schema, use it
+    if (parameters.type === "object") {
+      return this.sanitizeSchema(parameters);
+    }
+
+    // Otherwise, build schema from parameter definitions
+    const schema = {
+      type: "object",
+      properties: {},
+      required: [],
+    };
+
+    for (const [name, def] of Object.entries(parameters)) {
+      schema.properties[name] = {
+        type: def.type || "string",
+        description: def.description || name,
+      };
+
+      if (def.required) {
+        schema.required.push(name);
+      }
+
+      // Add enum if provided
+      if (def.enum) {
+        schema.properties[name].enum = def.enum;
+      }
+    }
+
+    return schema;
+  }
+
+  /**
+   * Strip JSON schema keywords Gemini does not accept.
+   * Gemini uses an OpenAPI subset and rejects the whole request
+   * if a declaration contains e.g. "default" or "additionalProperties".
+   * @param {Object} schema - JSON schema
+   * @returns {Object} - Sanitized copy of the schema
+   */
+  sanitizeSchema(schema) {
+    if (Array.isArray(schema)) {
+      return schema.map((item) => this.sanitizeSchema(item));
+    }
+
+    if (!schema || typeof schema !== "object") {
+      return schema;
+    }
+
+    const sanitized = {};
+    for (const [key, value] of Object.entries(schema)) {
+      if (GeminiConfig.unsupportedSchemaKeys.includes(key)) {
+        continue;
+      }
+
+      // Property names are user data, only their schemas get sanitized
+      if (key === "properties" && value && typeof value === "object") {
+        sanitized.properties = {};
+        for (const [name, propSchema] of Object.entries(value)) {
+          sanitized.properties[name] = this.sanitizeSchema(propSchema);
+        }
+        continue;
+      }
+
+      sanitized[key] = this.sanitizeSchema(value);
+    }
+
+    return sanitized;
+  }
+
+  /**
+   * Wrap function declarations in Gemini's tools envelope.
+   * Accepts declarations from NoxToolAdapter.toGeminiFunctions or
+   * convertCapabilitiesToTools and sanitizes their schemas.
+   * @param {Array<Object>} declarations - Function declarations
+   * @returns {Array<Object>} - [{ functionDeclarations }]
+   */
+  buildToolsPayload(declarations) {
+    if (!Array.isArray(declarations) || declarations.length === 0) {
+      return [];
+    }
+
+    return [
+      {
+        functionDeclarations: declarations.map((declaration) => ({
+          ...declaration,
+          parameters: this.sanitizeSchema(declaration.parameters || {}),
+        })),
+      },
+    ];
+  }
+
+  /**
+   * Parse tool calls from Gemini response
+   * Gemini does not assign ids to function calls, so ids are positional.
+   * @param {Object} response - Gemini response object (generateContent)
+   * @returns {Array<Object>} - Array of { id, name, parameters }
+   */
+  parseToolCalls(response) {
+    const parts = response?.candidates?.[0]?.content?.parts;
+    if (!Array.isArray(parts)) {
+      return [];
+    }
+
+    return parts
+      .filter((part) => part.functionCall)
+      .map((part, index) => ({
+        id: `call_${index}`,
+        name: part.functionCall.name,
+        parameters: part.functionCall.args || {},
+      }));
+  }
+
+  /**
+   * Build tool result in Gemini format
+   * Gemini matches results to calls by function name, not by id.
+   * @param {string} toolName - Name of the function that was called
+   * @param {Object} result - Tool execution result
+   * @returns {Object} - functionResponse part
+   */
+  buildToolResult(toolName, result) {
+    return {
+      functionResponse: {
+        name: toolName,
+        response:
+          result && typeof result === "object" && !Array.isArray(result)
+            ? result
+            : { result },
+      },
+    };
+  }
+
+  /**
+   * Map tool_choice option to Gemini toolConfig
+   * @param {string} toolChoice - Tool choice option ("auto", "required", "none")
+   * @returns {Object|null} - Gemini toolConfig object or null
+   */
+  mapToolChoice(toolChoice) {
+    if (!toolChoice) {
+      return null;
+    }
+
+    if (typeof toolChoice === "object") {
+      return toolChoice;
+    }
+
+    return GeminiConfig.toolChoiceMapping[toolChoice] || null;
+  }
+
+  /**
+   * Validate function declaration
+   * @param {Object} tool - Function declaration
+   * @returns {boolean}
+   */
+  validateTool(tool) {
+    if (!tool.name || typeof tool.name !== "string") {
+      if (this.logger) {
+        this.logger.warn("Tool missing required 'name' field");
+      }
+      return false;
+    }
+
+    if (!tool.description || typeof tool.description !== "string") {
+      if (this.logger) {
+        this.logger.warn(
+          `Tool '${tool.name}' missing required 'description' field`
+        );
+      }
+      return false;
+    }
+
+    if (!tool.parameters || typeof tool.parameters !== "object") {
+      if (this.logger) {
+        this.logger.warn(
+          `Tool '${tool.name}' missing required 'parameters' field`
+        );
+      }
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate all tools
+   * @param {Array<Object>} tools - Array of function declarations
+   * @returns {boolean}
+   */
+  validateTools(tools) {
+    if (!Array.isArray(tools)) {
+      if (this.logger) {
+        this.logger.warn("Tools must be an array");
+      }
+      return false;
+    }
+
+    return tools.every((tool) => this.validateTool(tool));
+  }
+}
+
+module.exports = GeminiToolAdapter;
@@ -0,0 +1,21 @@
+/**
+ * 🦊 Gemini Provider Module - Central Export
+ *
+ * Exports all Gemini-specific components:
+ * - GeminiProvider: Main provider class
+ * - GeminiConfig: Configuration
+ * - GeminiToolAdapter: Tool format conversion
+ * - GeminiStreamParser: Streaming response parser
+ */
+
+const GeminiProvider = require('./GeminiProvider');
+const GeminiConfig = require('./GeminiConfig');
+const GeminiToolAdapter = require('./GeminiToolAdapter');
+const GeminiStreamParser = require('./GeminiStreamParser');
+
+module.exports = {
+  GeminiProvider,
+  GeminiConfig,
+  GeminiToolAdapter,
+  GeminiStreamParser
+};
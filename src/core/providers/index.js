@@ -8,13 +8,17 @@
  */
 
 // Import base infrastructure
-const { IProvider, BaseProvider, ProviderManager } = require('./base');
+const { IProvider, BaseProvider, ProviderManager, StructuredOutput, StreamEvents } = require('./base');
 
 // Import all provider modules
 const { ClaudeProvider, ClaudeConfig, ClaudeToolAdapter, ClaudeStreamParser } = require('./claude');
 const { OpenAIProvider, OpenAIConfig, OpenAIToolAdapter, OpenAIStreamParser } = require('./openai');
 const { DeepSeekProvider, DeepSeekConfig, DeepSeekStreamParser } = require('./deepseek');
-const { LocalProvider, LocalConfig, LocalStreamParser } = require('./local');
+const { LocalProvider, LocalConfig, LocalToolAdapter, LocalStreamParser } = require('./local');
+const { GeminiProvider, GeminiConfig, GeminiToolAdapter, GeminiStreamParser } = require('./gemini');
+const { OpenAICompatibleProvider, OpenAICompatibleConfig } = require('./openaiCompatible');
+const { MockProvider, MockConfig, Cassette, CassetteRecorder } = require('./mock');
+const { BedrockProvider, BedrockConfig, BedrockStreamParser, AwsSigV4, AwsCredentials } = require('./bedrock');
 
 /**
  * Initialize the provider system
@@ -33,21 +37,63 @@ function initializeProviders(logger, performanceMonitor) {
   providerManager.register('openai', OpenAIProvider, {});
   providerManager.register('deepseek', DeepSeekProvider, {});
   providerManager.register('local', LocalProvider, {});
+  providerManager.register('gemini', GeminiProvider, {});
+  providerManager.register('bedrock', BedrockProvider, {}); // Region/profile from settings
+  providerManager.register('mock', MockProvider, {}); // Cassette loaded from settings
 
   // Mark as initialized
   providerManager.markInitialized();
 
   if (logger) {
-    logger.info('🦊 NOX Provider System initialized with 4 providers:');
+    logger.info('🦊 NOX Provider System initialized with 7 providers:');
     logger.info('  ✅ Anthropic Claude (anthropic)');
     logger.info('  ✅ OpenAI GPT (openai)');
     logger.info('  ✅ DeepSeek (deepseek)');
     logger.info('  ✅ Local LLM (local)');
+    logger.info('  ✅ Google Gemini (gemini)');
+    logger.info('  ✅ AWS Bedrock Claude (bedrock)');
+    logger.info('  ✅ Mock cassette replay (mock)');
   }
 
   return providerManager;
 }
 
+/**
+ * Register user-defined OpenAI-compatible endpoints
+ * Previously registered endpoints are removed first, so this can be called
+ * again whenever the "nox.openaiCompatible.endpoints" setting changes.
+ *
+ * @param {ProviderManager} providerManager - Initialized provider manager
+ * @param {Array<Object>} endpoints - Endpoint definitions from settings
+ * @param {Object} logger - Logger instance
+ * @returns {Array<Object>} - Registered endpoint configs
+ */
+function registerOpenAICompatibleEndpoints(providerManager, endpoints, logger) {
+  // Drop endpoints from a previous registration
+  for (const providerId of providerManager.listProviders()) {
+    const provider = providerManager.getProvider(providerId);
+    if (provider.isOpenAICompatible && provider.isOpenAICompatible()) {
+      providerManager.unregister(providerId);
+    }
+  }
+
+  const registered = [];
+
+  for (const endpoint of endpoints || []) {
+    try {
+      const config = OpenAICompatibleConfig.fromEndpoint(endpoint);
+      providerManager.register(config.id, OpenAICompatibleProvider, config);
+      registered.push(config);
+    } catch (error) {
+      if (logger) {
+        logger.warn(`⚠️ Skipping OpenAI-compatible endpoint: ${error.message}`);
+      }
+    }
+  }
+
+  return registered;
+}
+
 /**
  * Get provider manager instance (must be initialized first)
  * @returns {ProviderManager}
@@ -62,31 +108,54 @@ module.exports = {
   IProvider,
   BaseProvider,
   ProviderManager,
+  StructuredOutput,
+  StreamEvents,
 
   // Provider classes
   ClaudeProvider,
   OpenAIProvider,
   DeepSeekProvider,
   LocalProvider,
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  MockProvider,
+  BedrockProvider,
 
   // Provider configs
   ClaudeConfig,
   OpenAIConfig,
   DeepSeekConfig,
   LocalConfig,
+  GeminiConfig,
+  OpenAICompatibleConfig,
+  MockConfig,
+  BedrockConfig,
+
+  // Cassette record/replay
+  Cassette,
+  CassetteRecorder,
+
+  // AWS signing and credentials (Bedrock)
+  AwsSigV4,
+  AwsCredentials,
 
   // Tool adapters
   ClaudeToolAdapter,
   OpenAIToolAdapter,
+  GeminiToolAdapter,
+  LocalToolAdapter,
 
   // Stream parsers
   ClaudeStreamParser,
   OpenAIStreamParser,
   DeepSeekStreamParser,
   LocalStreamParser,
+  GeminiStreamParser,
+  BedrockStreamParser,
 
   // Initialization functions
   initializeProviders,
+  registerOpenAICompatibleEndpoints,
   getProviderManager,
 };
 
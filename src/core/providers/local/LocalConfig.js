@@ -14,6 +14,7 @@ const LocalConfig = {
   
   // API configuration
   baseUrl: "http://localhost:11434", // Default Ollama port
+  lmStudioBaseUrl: "http://localhost:1234/v1", // Default LM Studio port
   
   // Available models (user-configurable)
   models: [
@@ -29,9 +30,12 @@ const LocalConfig = {
   defaultModel: "ollama",
   
   // Tool calling support
-  supportsToolCalling: false, // Local LLMs don't support tool calling yet
-  toolFormat: null,
-  maxTools: 0,
+  // Ollama /api/chat and LM Studio both accept OpenAI-style function tools.
+  // Models without tool support are detected at request time and fall back
+  // to plain streaming.
+  supportsToolCalling: true,
+  toolFormat: "openai_functions",
+  maxTools: 64,
   
   // Streaming support
   supportsStreaming: true,
@@ -42,6 +46,37 @@ const LocalConfig = {
     temperature: 0.7,
     timeout: 120000, // 2 minutes for local models (can be slower)
   },
+
+  // Context window sizes in tokens - Ollama's default num_ctx unless the
+  // server reports the loaded model's context length during discovery
+  contextWindows: {
+    default: 4096,
+  },
+
+  // Retry policy (see BaseProvider.fetchWithRetry)
+  retry: {
+    maxAttempts: 2, // A stopped local server won't come back within seconds
+    baseDelay: 500,
+    maxDelay: 5000,
+  },
+  
+  // Embeddings - Ollama /api/embeddings (one text per call), or /v1/embeddings
+  // on OpenAI-compatible servers. Any pulled embedding model can be used.
+  embeddings: {
+    models: {
+      "nomic-embed-text": 768,
+      "mxbai-embed-large": 1024,
+      "all-minilm": 384,
+    },
+    defaultModel: "nomic-embed-text",
+    maxBatchSize: 32,
+  },
+  
+  // Model discovery (Ollama /api/tags, LM Studio /api/v0/models, /v1/models)
+  discovery: {
+    timeout: 3000, // Fail fast when the server is not running
+    refreshInterval: 15000, // Poll for server start/stop and newly pulled models
+  },
   
   // Pricing (FREE!)
   pricing: {
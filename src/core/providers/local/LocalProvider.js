@@ -9,6 +9,7 @@
 
 const BaseProvider = require("../base/BaseProvider");
 const LocalConfig = require("./LocalConfig");
+const LocalToolAdapter = require("./LocalToolAdapter");
 const LocalStreamParser = require("./LocalStreamParser");
 
 class LocalProvider extends BaseProvider {
@@ -18,8 +19,16 @@ class LocalProvider extends BaseProvider {
     // Merge provided config with defaults
     this.config = { ...LocalConfig, ...config };
 
-    // Initialize stream parser
+    // Initialize adapters
+    this.toolAdapter = new LocalToolAdapter(logger);
     this.streamParser = new LocalStreamParser(logger);
+
+    // Base URL of a server found on a fallback port (see discoverModels)
+    this.discoveredBaseUrl = null;
+
+    // Ollama context lengths by server, tag and digest - /api/show is only
+    // asked once per pulled model, not on every discovery poll
+    this.contextLengthCache = new Map();
   }
 
   // ============================================================================
@@ -81,23 +90,275 @@ class LocalProvider extends BaseProvider {
     return 0;
   }
 
+  estimateCost(_inputTokens, _outputTokens, _model) {
+    // Discovered models have no pricing entry, but they're free too
+    return 0;
+  }
+
   // ============================================================================
-  // TOOL HANDLING METHODS (NOT SUPPORTED)
+  // TOOL HANDLING METHODS
   // ============================================================================
 
   convertCapabilitiesToTools(capabilities) {
-    // Local LLMs don't support tool calling yet
-    return [];
+    return this.toolAdapter.convertCapabilitiesToTools(capabilities);
   }
 
   parseToolCalls(response) {
-    // Local LLMs don't support tool calling yet
-    return [];
+    return this.toolAdapter.parseToolCalls(response);
   }
 
   buildToolResult(toolCallId, result) {
-    // Local LLMs don't support tool calling yet
-    return null;
+    return this.toolAdapter.buildToolResult(toolCallId, result);
+  }
+
+  // ============================================================================
+  // ENDPOINT HELPERS
+  // ============================================================================
+
+  /**
+   * Resolve the server base URL.
+   * The settings panel stores the local endpoint URL in place of an API key,
+   * so an http(s) "key" overrides the configured default.
+   * @param {string} apiKey - Stored key (may be an endpoint URL)
+   * @param {Object} options - Request options
+   * @returns {string}
+   */
+  resolveBaseUrl(apiKey, options = {}) {
+    if (options.baseUrl) {
+      return options.baseUrl;
+    }
+
+    if (typeof apiKey === "string" && /^https?:\/\//.test(apiKey)) {
+      return apiKey.replace(/\/+$/, "");
+    }
+
+    // Server found on a fallback port during model discovery
+    if (this.discoveredBaseUrl) {
+      return this.discoveredBaseUrl;
+    }
+
+    return this.getBaseUrl();
+  }
+
+  /**
+   * Resolve the chat endpoint and its API style for a request.
+   * LM Studio speaks the OpenAI protocol under /v1, Ollama uses /api/chat.
+   * @param {string} apiKey - Stored key (may be an endpoint URL)
+   * @param {Object} options - Request options
+   * @param {string} model - Model name
+   * @returns {Object} - { style: "ollama"|"openai", url }
+   */
+  resolveChatEndpoint(apiKey, options, model) {
+    let baseUrl = this.resolveBaseUrl(apiKey, options);
+
+    if (model === "lm-studio" && baseUrl === this.getBaseUrl()) {
+      baseUrl = this.config.lmStudioBaseUrl;
+    }
+
+    if (/\/v1\/?$/.test(baseUrl)) {
+      return {
+        style: "openai",
+        url: `${baseUrl.replace(/\/+$/, "")}/chat/completions`,
+      };
+    }
+
+    return { style: "ollama", url: `${baseUrl}/api/chat` };
+  }
+
+  /**
+   * Build a chat request body for the resolved API style
+   * options.responseSchema ({ name, schema }) asks for a JSON reply:
+   * response_format json_schema (LM Studio, llama.cpp) or Ollama's format
+   */
+  buildChatRequestBody(style, model, systemPrompt, messages, tools, options) {
+    const allMessages = [
+      { role: "system", content: systemPrompt },
+      ...messages,
+    ];
+    const temperature = options.temperature || this.config.defaults.temperature;
+    const maxTokens = options.maxTokens || this.config.defaults.maxTokens;
+    const structured = options.responseSchema;
+
+    if (style === "openai") {
+      const body = {
+        model: model,
+        messages: allMessages,
+        max_tokens: maxTokens,
+        temperature: temperature,
+        stream: options.stream !== false,
+        ...(tools.length > 0 && { tools: tools }),
+      };
+
+      const toolChoice = this.toolAdapter.mapToolChoice(options.tool_choice);
+      if (toolChoice) {
+        body.tool_choice = toolChoice;
+      }
+
+      if (structured) {
+        body.response_format = {
+          type: "json_schema",
+          json_schema: { name: structured.name, schema: structured.schema },
+        };
+      }
+
+      return body;
+    }
+
+    // Ollama has no tool_choice - the model decides on its own
+    return {
+      model: model,
+      messages: allMessages,
+      ...(tools.length > 0 && { tools: tools }),
+      ...(structured && { format: structured.schema }),
+      stream: options.stream !== false,
+      options: {
+        temperature: temperature,
+        num_predict: maxTokens,
+      },
+    };
+  }
+
+  // ============================================================================
+  // MODEL DISCOVERY
+  // ============================================================================
+
+  /**
+   * Ask the local server which models are installed.
+   * Tries the configured server first; if the default Ollama port is not
+   * answering, LM Studio's default port is tried as well.
+   * @param {string} apiKey - Stored key (may be an endpoint URL)
+   * @param {Object} options - { baseUrl }
+   * @returns {Promise<Object>} - { online, baseUrl, models: [{ id, contextLength, quantization, parameterSize, family }] }
+   */
+  async discoverModels(apiKey, options = {}) {
+    this.discoveredBaseUrl = null;
+
+    const baseUrl = this.resolveBaseUrl(apiKey, options);
+    const candidates = [baseUrl];
+
+    if (baseUrl === this.getBaseUrl()) {
+      candidates.push(this.config.lmStudioBaseUrl);
+    }
+
+    for (const candidate of candidates) {
+      try {
+        const models = /\/v1\/?$/.test(candidate)
+          ? await this.discoverOpenAICompatibleModels(candidate)
+          : await this.discoverOllamaModels(candidate);
+
+        if (candidate !== baseUrl) {
+          this.discoveredBaseUrl = candidate;
+        }
+
+        return { online: true, baseUrl: candidate, models };
+      } catch (error) {
+        this.logger?.debug?.(
+          `🏠 No local LLM server at ${candidate}: ${error.message}`
+        );
+      }
+    }
+
+    return { online: false, baseUrl, models: [] };
+  }
+
+  /**
+   * GET/POST JSON from the local server with the discovery timeout
+   */
+  async fetchDiscoveryJson(url, init = {}) {
+    const response = await this.httpClient.fetch(url, {
+      ...init,
+      signal: AbortSignal.timeout(this.config.discovery.timeout),
+    });
+
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Discover models from Ollama (/api/tags + /api/show for context length)
+   */
+  async discoverOllamaModels(baseUrl) {
+    const data = await this.fetchDiscoveryJson(`${baseUrl}/api/tags`);
+    const tags = Array.isArray(data.models) ? data.models : [];
+
+    return await Promise.all(
+      tags.map(async (tag) => ({
+        id: tag.name || tag.model,
+        contextLength: await this.fetchOllamaContextLength(
+          baseUrl,
+          tag.name || tag.model,
+          tag.digest
+        ),
+        quantization: tag.details?.quantization_level || null,
+        parameterSize: tag.details?.parameter_size || null,
+        family: tag.details?.family || null,
+      }))
+    );
+  }
+
+  /**
+   * Read a model's context length from Ollama's /api/show model_info
+   * (keys are architecture-prefixed, e.g. "llama.context_length").
+   * Answers are cached per tag; a re-pulled tag has a new digest.
+   */
+  async fetchOllamaContextLength(baseUrl, model, digest = "") {
+    const cacheKey = `${baseUrl} ${model}@${digest}`;
+    if (this.contextLengthCache.has(cacheKey)) {
+      return this.contextLengthCache.get(cacheKey);
+    }
+
+    try {
+      const data = await this.fetchDiscoveryJson(`${baseUrl}/api/show`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ model: model }),
+      });
+
+      const key = Object.keys(data.model_info || {}).find((k) =>
+        k.endsWith(".context_length")
+      );
+      const contextLength = key ? data.model_info[key] : null;
+      this.contextLengthCache.set(cacheKey, contextLength);
+      return contextLength;
+    } catch (error) {
+      return null; // Not cached - asked again on the next poll
+    }
+  }
+
+  /**
+   * Discover models from an OpenAI-compatible server.
+   * LM Studio's /api/v0/models adds context length and quantization;
+   * other servers only expose /v1/models ids.
+   */
+  async discoverOpenAICompatibleModels(baseUrl) {
+    const root = baseUrl.replace(/\/v1\/?$/, "");
+
+    try {
+      const data = await this.fetchDiscoveryJson(`${root}/api/v0/models`);
+      return (data.data || [])
+        .filter((model) => model.type !== "embeddings")
+        .map((model) => ({
+          id: model.id,
+          contextLength: model.max_context_length || null,
+          quantization: model.quantization || null,
+          parameterSize: null,
+          family: model.arch || null,
+        }));
+    } catch (error) {
+      const data = await this.fetchDiscoveryJson(
+        `${baseUrl.replace(/\/+$/, "")}/models`
+      );
+      return (data.data || []).map((model) => ({
+        id: model.id,
+        contextLength: null,
+        quantization: null,
+        parameterSize: null,
+        family: null,
+      }));
+    }
   }
 
   // ============================================================================
@@ -113,10 +374,10 @@ class LocalProvider extends BaseProvider {
     });
 
     const model = options.model || this.getDefaultModel();
-    const baseUrl = options.baseUrl || this.getBaseUrl();
+    const baseUrl = this.resolveBaseUrl(apiKey, options);
 
     try {
-      const response = await fetch(`${baseUrl}/api/generate`, {
+      const response = await this.fetchWithRetry(`${baseUrl}/api/generate`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
@@ -172,8 +433,8 @@ class LocalProvider extends BaseProvider {
     const timer = this.logRequestStart("sendRequestWithSystem");
 
     const model = options.model || this.getDefaultModel();
-    const baseUrl = options.baseUrl || this.getBaseUrl();
-    const messages = this.buildMessages(userPromptOrMessages);
+    const baseUrl = this.resolveBaseUrl(apiKey, options);
+    const messages = this.buildMessages(userPromptOrMessages, model);
 
     // Combine system prompt and user messages into a single prompt
     let combinedPrompt = `System: ${systemPrompt}\n\n`;
@@ -189,7 +450,7 @@ class LocalProvider extends BaseProvider {
     }
 
     try {
-      const response = await fetch(`${baseUrl}/api/generate`, {
+      const response = await this.fetchWithRetry(`${baseUrl}/api/generate`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
@@ -237,7 +498,18 @@ class LocalProvider extends BaseProvider {
   }
 
   /**
-   * Send a request with tools (NOT SUPPORTED)
+   * Send one structured output round through the chat endpoint, which
+   * supports JSON schemas in both API styles (/api/generate does not)
+   */
+  async requestStructured(apiKey, systemPrompt, messages, structured, options) {
+    return this.sendRequestWithTools(apiKey, systemPrompt, messages, [], {
+      ...options,
+      responseSchema: structured,
+    });
+  }
+
+  /**
+   * Send a request with tools (non-streaming)
    */
   async sendRequestWithTools(
     apiKey,
@@ -246,7 +518,117 @@ class LocalProvider extends BaseProvider {
     tools,
     options = {}
   ) {
-    throw new Error("Local LLMs do not support tool calling yet");
+    this.logRequestStart("sendRequestWithTools", {
+      toolCount: tools.length,
+    });
+
+    const model = options.model || this.getDefaultModel();
+    const messages = this.buildMessages(userPromptOrMessages, model);
+    const endpoint = this.resolveChatEndpoint(apiKey, options, model);
+
+    try {
+      const response = await this.fetchWithRetry(endpoint.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(
+          this.buildChatRequestBody(
+            endpoint.style,
+            model,
+            systemPrompt,
+            messages,
+            tools,
+            { ...options, stream: false }
+          )
+        ),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.text();
+        throw new Error(
+          `Local LLM API error: ${response.status} ${response.statusText} - ${errorData}`
+        );
+      }
+
+      const data = await response.json();
+      const message = data.message || data.choices?.[0]?.message || {};
+
+      const result = {
+        id: Date.now().toString(),
+        type: "assistant",
+        content: message.content || "",
+        tool_calls: this.toolAdapter.parseToolCalls(data),
+        provider: "local",
+        model: model,
+        tokens: 0, // Local models don't track tokens
+        cost: 0, // Free!
+        timestamp: new Date().toISOString(),
+      };
+
+      this.logRequestComplete("sendRequestWithTools", {
+        tokens: result.tokens,
+        cost: result.cost,
+        toolCalls: result.tool_calls.length,
+      });
+
+      return result;
+    } catch (error) {
+      this.handleApiError(error, "sendRequestWithTools");
+    }
+  }
+
+  // ============================================================================
+  // EMBEDDINGS
+  // ============================================================================
+
+  /**
+   * Embed one batch (batching is done by BaseProvider.embed)
+   * OpenAI-compatible servers (LM Studio, base URL ending in /v1) take the
+   * whole batch at /embeddings; Ollama's /api/embeddings takes one prompt
+   * per call, so the batch is embedded text by text.
+   */
+  async requestEmbeddings(apiKey, texts, model, options = {}) {
+    const baseUrl = this.resolveBaseUrl(apiKey, options).replace(/\/+$/, "");
+    const post = async (url, body) => {
+      const response = await this.fetchWithRetry(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.text();
+        throw new Error(
+          `Local LLM API error: ${response.status} ${response.statusText} - ${errorData}`
+        );
+      }
+
+      return await response.json();
+    };
+
+    if (/\/v1$/.test(baseUrl)) {
+      const data = await post(`${baseUrl}/embeddings`, {
+        model: model,
+        input: texts,
+      });
+      return {
+        embeddings: [...data.data]
+          .sort((a, b) => a.index - b.index)
+          .map((item) => item.embedding),
+        tokens: data.usage?.prompt_tokens,
+      };
+    }
+
+    const embeddings = [];
+    for (const text of texts) {
+      const data = await post(`${baseUrl}/api/embeddings`, {
+        model: model,
+        prompt: text,
+      });
+      embeddings.push(data.embedding);
+    }
+    return { embeddings };
   }
 
   // ============================================================================
@@ -268,9 +650,9 @@ class LocalProvider extends BaseProvider {
     const timer = this.logRequestStart("sendStreamingRequest");
 
     const model = options.model || this.getDefaultModel();
-    const baseUrl = options.baseUrl || this.getBaseUrl();
+    const baseUrl = this.resolveBaseUrl(apiKey, options);
     const messageId = options.messageId || Date.now().toString();
-    const messages = this.buildMessages(userPromptOrMessages);
+    const messages = this.buildMessages(userPromptOrMessages, model);
 
     // Combine system prompt and user messages into a single prompt
     let combinedPrompt = `System: ${systemPrompt}\n\n`;
@@ -286,7 +668,7 @@ class LocalProvider extends BaseProvider {
     }
 
     try {
-      const response = await fetch(`${baseUrl}/api/generate`, {
+      const response = await this.fetchWithRetry(`${baseUrl}/api/generate`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
@@ -310,43 +692,34 @@ class LocalProvider extends BaseProvider {
         );
       }
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-
-      let fullContent = "";
-
-      // Process streaming chunks
-      for await (const chunk of this.streamParser.readStream(
-        reader,
-        decoder,
-        abortController?.signal
-      )) {
-        if (chunk.type === "text") {
-          fullContent += chunk.data;
-
-          if (onChunk) {
-            onChunk({
-              messageId: messageId,
-              chunk: chunk.data,
-              tokens: 0, // Local models don't track tokens
-              isComplete: false,
-            });
-          }
-        } else if (chunk.type === "done") {
-          break;
-        }
+      const stream = await this.consumeStream(response, abortController, {
+        messageId,
+        onChunk,
+        label: "Local LLM",
+      });
+
+      let totalTokens = stream.usage.outputTokens
+        ? (stream.usage.inputTokens || 0) + stream.usage.outputTokens
+        : 0;
+
+      // Servers that don't report counts get the local tokenizer estimate
+      if (!totalTokens) {
+        totalTokens =
+          this.estimateTokens(combinedPrompt, model) +
+          this.estimateTokens(stream.content, model);
       }
 
       // Build final message
       const finalMessage = {
         id: messageId,
         type: "assistant",
-        content: fullContent,
+        content: stream.content,
         provider: "local",
         model: model,
-        tokens: 0, // Local models don't track tokens
+        tokens: totalTokens,
         cost: 0, // Free!
         timestamp: new Date().toISOString(),
+        stopReason: stream.stopReason,
       };
 
       this.logRequestComplete("sendStreamingRequest", {
@@ -363,7 +736,9 @@ class LocalProvider extends BaseProvider {
   }
 
   /**
-   * Send a streaming request with tools (NOT SUPPORTED)
+   * Send a streaming request with tools
+   * Ollama streams complete tool calls; LM Studio streams OpenAI-style deltas
+   * that are accumulated until the finish reason arrives.
    */
   async sendStreamingRequestWithTools(
     apiKey,
@@ -374,7 +749,118 @@ class LocalProvider extends BaseProvider {
     callbacks,
     abortController = null
   ) {
-    throw new Error("Local LLMs do not support tool calling yet");
+    this.logRequestStart("sendStreamingRequestWithTools", {
+      toolCount: tools.length,
+    });
+
+    const model = options.model || this.getDefaultModel();
+    const messageId = options.messageId || Date.now().toString();
+    const messages = this.buildMessages(userPromptOrMessages, model);
+    const endpoint = this.resolveChatEndpoint(apiKey, options, model);
+
+    const { onChunk, onToolCall, onComplete } = callbacks;
+
+    try {
+      const requestPayload = this.buildChatRequestBody(
+        endpoint.style,
+        model,
+        systemPrompt,
+        messages,
+        tools,
+        options
+      );
+
+      this.logger?.info(`🔍 LOCAL REQUEST PAYLOAD:`, {
+        model: requestPayload.model,
+        style: endpoint.style,
+        messageCount: requestPayload.messages.length,
+        toolCount: tools.length,
+        toolNames: tools.map((t) => t.function.name),
+        tool_choice: requestPayload.tool_choice,
+      });
+
+      const response = await this.fetchWithRetry(endpoint.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(requestPayload),
+        signal: abortController?.signal,
+      });
+
+      if (!response.ok) {
+        const errorData = await response.text();
+
+        // Model was pulled without tool support - degrade to plain streaming
+        if (this.toolAdapter.isToolsUnsupportedError(errorData)) {
+          this.logger?.warn(
+            `🛠️ Local model ${model} does not support tools, falling back to plain streaming`
+          );
+          return await this.sendStreamingRequest(
+            apiKey,
+            systemPrompt,
+            userPromptOrMessages,
+            options,
+            onChunk,
+            onComplete,
+            abortController
+          );
+        }
+
+        throw new Error(
+          `Local LLM API error: ${response.status} ${response.statusText} - ${errorData}`
+        );
+      }
+
+      const stream = await this.consumeStream(response, abortController, {
+        messageId,
+        onChunk,
+        onToolCall,
+        label: "Local LLM",
+      });
+
+      let totalTokens = stream.usage.outputTokens
+        ? (stream.usage.inputTokens || 0) + stream.usage.outputTokens
+        : 0;
+
+      // Servers that don't report counts get the local tokenizer estimate
+      if (!totalTokens) {
+        totalTokens =
+          this.estimatePromptTokens(systemPrompt, messages, model) +
+          this.estimateTokens(
+            stream.content + JSON.stringify(stream.toolCalls),
+            model
+          );
+      }
+
+      // Build final message
+      const finalMessage = {
+        id: messageId,
+        type: "assistant",
+        content: stream.content,
+        tool_calls: stream.toolCalls,
+        provider: "local",
+        model: model,
+        tokens: totalTokens,
+        cost: 0, // Free!
+        timestamp: new Date().toISOString(),
+        stopReason: stream.stopReason,
+        wasSilent: stream.wasSilent,
+      };
+
+      this.logRequestComplete("sendStreamingRequestWithTools", {
+        tokens: finalMessage.tokens,
+        cost: finalMessage.cost,
+        toolCalls: stream.toolCalls.length,
+        wasSilent: finalMessage.wasSilent,
+      });
+
+      if (onComplete) {
+        onComplete(finalMessage);
+      }
+    } catch (error) {
+      this.handleApiError(error, "sendStreamingRequestWithTools");
+    }
   }
 }
 
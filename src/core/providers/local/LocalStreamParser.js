@@ -2,58 +2,78 @@
  * 🦊 Local LLM Stream Parser
  *
  * Handles all streaming response parsing for Local LLMs (Ollama/LM Studio).
- * Ollama uses a different streaming format than OpenAI.
+ * Ollama uses a different streaming format than OpenAI:
+ * - /api/generate and /api/chat stream NDJSON lines
+ * - LM Studio's OpenAI-compatible endpoint streams SSE "data:" lines
+ *
+ * Both formats are detected per line, so one parser serves every endpoint.
+ * Ollama delivers tool calls complete; they are framed as start → args → end
+ * like the deltas LM Studio streams.
  *
  * @enterprise-grade Robust streaming parser with error handling
  */
 
-class LocalStreamParser {
-  constructor(logger) {
-    this.logger = logger;
+const BaseStreamParser = require("../base/BaseStreamParser");
+const { StreamEvent, STOP_REASONS } = require("../base/StreamEvents");
+
+// Ollama done_reason / OpenAI-compatible finish_reason → unified stop reason
+const STOP_REASON_MAP = {
+  stop: STOP_REASONS.END_TURN,
+  tool_calls: STOP_REASONS.TOOL_USE,
+  length: STOP_REASONS.MAX_TOKENS,
+  content_filter: STOP_REASONS.CONTENT_FILTER,
+};
+
+class LocalStreamParser extends BaseStreamParser {
+  /**
+   * Check if chunk contains response text (Ollama /api/generate)
+   * @param {Object} chunk - Parsed chunk
+   * @returns {boolean}
+   */
+  hasResponse(chunk) {
+    return typeof chunk?.response === "string" && chunk.response.length > 0;
   }
 
   /**
-   * Parse a single line from the stream
-   * @param {string} line - Raw line from stream
-   * @returns {Object|null} - Parsed event or null
+   * Extract assistant message text (Ollama /api/chat)
+   * @param {Object} chunk - Parsed chunk
+   * @returns {string|null}
    */
-  parseLine(line) {
-    // Skip empty lines
-    if (!line.trim()) {
-      return null;
-    }
+  extractMessageContent(chunk) {
+    const content = chunk?.message?.content;
+    return typeof content === "string" && content.length > 0 ? content : null;
+  }
 
-    try {
-      return JSON.parse(line);
-    } catch (error) {
-      // Ignore parse errors for incomplete chunks
-      return null;
-    }
+  /**
+   * Extract complete tool calls (Ollama /api/chat)
+   * @param {Object} chunk - Parsed chunk
+   * @returns {Array|null}
+   */
+  extractToolCalls(chunk) {
+    const toolCalls = chunk?.message?.tool_calls;
+    return Array.isArray(toolCalls) && toolCalls.length > 0 ? toolCalls : null;
   }
 
   /**
-   * Check if chunk contains response text
+   * Get delta from an OpenAI-compatible chunk
    * @param {Object} chunk - Parsed chunk
-   * @returns {boolean}
+   * @returns {Object|null}
    */
-  hasResponse(chunk) {
-    return chunk && chunk.response !== undefined && chunk.response !== null;
+  extractDelta(chunk) {
+    return chunk?.choices?.[0]?.delta || null;
   }
 
   /**
-   * Extract response text from chunk
+   * Extract finish reason from an OpenAI-compatible chunk
    * @param {Object} chunk - Parsed chunk
    * @returns {string|null}
    */
-  extractResponse(chunk) {
-    if (this.hasResponse(chunk)) {
-      return chunk.response;
-    }
-    return null;
+  extractFinishReason(chunk) {
+    return chunk?.choices?.[0]?.finish_reason || null;
   }
 
   /**
-   * Check if chunk indicates completion
+   * Check if chunk is Ollama's final chunk
    * @param {Object} chunk - Parsed chunk
    * @returns {boolean}
    */
@@ -62,94 +82,129 @@ class LocalStreamParser {
   }
 
   /**
-   * Process streaming chunk and extract all relevant data
-   * @param {string} line - Raw line from stream
-   * @returns {Object} - Processed chunk data
+   * Map a finish reason; Ollama reports "stop" even after tool calls
    */
-  processChunk(line) {
-    const parsed = this.parseLine(line);
-
-    if (!parsed) {
-      return { type: "unknown", data: null };
+  toStopReason(reason, state) {
+    if (reason === "stop" && state.toolCallCount > 0) {
+      return StreamEvent.stopReason(STOP_REASONS.TOOL_USE, reason);
     }
+    return StreamEvent.stopReason(
+      STOP_REASON_MAP[reason] || STOP_REASONS.OTHER,
+      reason
+    );
+  }
 
-    // Response text
-    const responseText = this.extractResponse(parsed);
-    if (responseText !== null) {
-      return { type: "text", data: responseText };
-    }
+  /**
+   * Translate OpenAI-compatible tool call deltas (LM Studio)
+   */
+  parseToolCallDeltas(toolCallDeltas, state) {
+    const events = [];
+
+    for (const toolCallDelta of toolCallDeltas) {
+      const index = toolCallDelta.index ?? 0;
+
+      if (!state.openToolCalls.has(index)) {
+        events.push(
+          this.startToolCall(
+            state,
+            toolCallDelta.id,
+            toolCallDelta.function?.name,
+            index
+          )
+        );
+      }
 
-    // Done marker
-    if (this.isDone(parsed)) {
-      return { type: "done", data: parsed };
+      if (toolCallDelta.function?.arguments) {
+        events.push(
+          StreamEvent.toolArgsDelta(index, toolCallDelta.function.arguments)
+        );
+      }
     }
 
-    // Unknown chunk type
-    return { type: "unknown", data: parsed };
+    return events;
   }
 
   /**
-   * Read and process streaming response
-   * @param {ReadableStreamDefaultReader} reader - Stream reader
-   * @param {TextDecoder} decoder - Text decoder
-   * @param {AbortSignal} signal - Optional abort signal
-   * @yields {Object} - Processed chunks
+   * Translate one chunk into unified stream events
+   * @param {Object} chunk - Parsed chunk
+   * @param {Object} state - Per-stream state
+   * @returns {Array<Object>}
    */
-  async *readStream(reader, decoder, signal = null) {
-    let buffer = "";
-
-    try {
-      while (true) {
-        // Check if aborted before reading
-        if (signal?.aborted) {
-          this.logger?.info("🛑 Stream aborted by user");
-          break;
-        }
-
-        const { done, value } = await reader.read();
-
-        if (done) {
-          break;
-        }
-
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split("\n");
-
-        // Keep the last incomplete line in buffer
-        buffer = lines.pop() || "";
-
-        for (const line of lines) {
-          if (line.trim()) {
-            const processed = this.processChunk(line);
-            if (processed.type !== "unknown") {
-              yield processed;
-            }
-          }
-        }
-      }
-    } catch (error) {
-      // Handle abort errors gracefully
-      if (error.name === "AbortError" || signal?.aborted) {
-        this.logger?.info("🛑 Stream reading aborted");
-        return;
-      }
-      throw error;
-    } finally {
-      // Always release the reader
-      try {
-        reader.releaseLock();
-      } catch (e) {
-        // Ignore errors when releasing lock
-      }
+  parseEvent(chunk, state) {
+    // Stream end marker (LM Studio)
+    if (chunk === BaseStreamParser.DONE) {
+      return this.endToolCalls(state);
     }
 
-    // Process any remaining buffer
-    if (buffer.trim()) {
-      const processed = this.processChunk(buffer);
-      if (processed.type !== "unknown") {
-        yield processed;
-      }
+    if (chunk.error) {
+      const message =
+        typeof chunk.error === "string" ? chunk.error : chunk.error.message;
+      return [StreamEvent.error(message || "Unknown error")];
+    }
+
+    const events = [];
+
+    // Response text (Ollama /api/generate)
+    if (this.hasResponse(chunk)) {
+      events.push(StreamEvent.textDelta(chunk.response));
+    }
+
+    // Chat message text (Ollama /api/chat) - the final chunk carries ""
+    const messageContent = this.extractMessageContent(chunk);
+    if (messageContent) {
+      events.push(StreamEvent.textDelta(messageContent));
     }
+
+    // Complete tool calls (Ollama /api/chat)
+    for (const toolCall of this.extractToolCalls(chunk) || []) {
+      events.push(
+        ...this.completeToolCall(
+          state,
+          toolCall.id,
+          toolCall.function?.name,
+          toolCall.function?.arguments
+        )
+      );
+    }
+
+    // OpenAI-compatible deltas (LM Studio)
+    const delta = this.extractDelta(chunk);
+    if (typeof delta?.content === "string" && delta.content.length > 0) {
+      events.push(StreamEvent.textDelta(delta.content));
+    }
+    if (Array.isArray(delta?.tool_calls)) {
+      events.push(...this.parseToolCallDeltas(delta.tool_calls, state));
+    }
+
+    if (chunk.usage) {
+      events.push(
+        StreamEvent.usage({
+          inputTokens: chunk.usage.prompt_tokens,
+          outputTokens: chunk.usage.completion_tokens,
+        })
+      );
+    }
+
+    const finishReason = this.extractFinishReason(chunk);
+    if (finishReason) {
+      events.push(
+        ...this.endToolCalls(state),
+        this.toStopReason(finishReason, state)
+      );
+    }
+
+    // Final chunk (Ollama) - carries the token counts
+    if (this.isDone(chunk)) {
+      events.push(
+        StreamEvent.usage({
+          inputTokens: chunk.prompt_eval_count,
+          outputTokens: chunk.eval_count,
+        }),
+        this.toStopReason(chunk.done_reason || "stop", state)
+      );
+    }
+
+    return events;
   }
 
   /**
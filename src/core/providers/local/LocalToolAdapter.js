@@ -0,0 +1,206 @@
+/**
+ * 🦊 Local LLM Tool Adapter
+ *
+ * Converts NOX capabilities to the tool format understood by local servers.
+ * Both Ollama (/api/chat) and LM Studio (OpenAI-compatible /v1/chat/completions)
+ * accept OpenAI-style function tools, but they stream tool calls differently:
+ * - Ollama sends each call complete, with arguments as an object
+ * - LM Studio sends OpenAI-style deltas with arguments as JSON fragments
+ *
+ * @enterprise-grade Clean separation of tool logic
+ */
+
+class LocalToolAdapter {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Convert NOX capabilities to OpenAI-style function tools
+   * @param {Array<Class>} capabilities - Array of capability classes
+   * @returns {Array<Object>} - Tools in OpenAI function format
+   */
+  convertCapabilitiesToTools(capabilities) {
+    return capabilities.map((CapabilityClass) => {
+      const metadata = CapabilityClass.metadata;
+
+      return {
+        type: "function",
+        function: {
+          name: metadata.id,
+          description: metadata.description || metadata.name,
+          parameters: this.buildParameterSchema(metadata.parameters || {}),
+        },
+      };
+    });
+  }
+
+  /**
+   * Build JSON schema for tool parameters
+   * @param {Object} parameters - Parameter definitions
+   * @returns {Object} - JSON schema
+   */
+  buildParameterSchema(parameters) {
+    // If parameters already has a schema, use it
+    if (parameters.type === "object") {
+      return parameters;
+    }
+
+    // Otherwise, build schema from parameter definitions
+    const schema = {
+      type: "object",
+      properties: {},
+      required: [],
+    };
+
+    for (const [name, def] of Object.entries(parameters)) {
+      schema.properties[name] = {
+        type: def.type || "string",
+        description: def.description || name,
+      };
+
+      if (def.required) {
+        schema.required.push(name);
+      }
+
+      // Add enum if provided
+      if (def.enum) {
+        schema.properties[name].enum = def.enum;
+      }
+    }
+
+    return schema;
+  }
+
+  /**
+   * Normalize a complete tool call (Ollama or non-streaming OpenAI-compatible)
+   * @param {Object} toolCall - Raw tool call
+   * @param {number} index - Position of the call in the response
+   * @returns {Object} - { id, name, parameters }
+   */
+  normalizeToolCall(toolCall, index) {
+    return {
+      id: toolCall.id || `call_${index}`,
+      name: toolCall.function?.name,
+      parameters: this.parseArguments(
+        toolCall.function?.name,
+        toolCall.function?.arguments
+      ),
+    };
+  }
+
+  /**
+   * Parse tool arguments (object from Ollama, JSON string from LM Studio)
+   * @param {string} name - Tool name (for logging)
+   * @param {Object|string} args - Raw arguments
+   * @returns {Object} - Parsed parameters
+   */
+  parseArguments(name, args) {
+    if (!args) {
+      return {};
+    }
+
+    if (typeof args === "object") {
+      return args;
+    }
+
+    try {
+      return JSON.parse(args);
+    } catch (jsonError) {
+      this.logger?.warn(
+        `🛠️ Invalid JSON in tool arguments for ${name}, using empty object:`,
+        args
+      );
+      return {};
+    }
+  }
+
+  /**
+   * Parse tool calls from a non-streaming response
+   * @param {Object} response - Ollama /api/chat or OpenAI-compatible response
+   * @returns {Array<Object>} - Array of { id, name, parameters }
+   */
+  parseToolCalls(response) {
+    const message = response?.message || response?.choices?.[0]?.message;
+
+    if (!message?.tool_calls || !Array.isArray(message.tool_calls)) {
+      return [];
+    }
+
+    return message.tool_calls.map((toolCall, index) =>
+      this.normalizeToolCall(toolCall, index)
+    );
+  }
+
+  /**
+   * Accumulate streaming tool call arguments (OpenAI-compatible servers)
+   * @param {Object} existingToolCall - Existing accumulated tool call
+   * @param {Object} delta - New delta to add
+   * @returns {Object} - Updated tool call
+   */
+  accumulateToolCallDelta(existingToolCall, delta) {
+    if (!existingToolCall) {
+      return {
+        id: delta.id || "",
+        type: delta.type || "function",
+        function: {
+          name: delta.function?.name || "",
+          arguments: delta.function?.arguments || "",
+        },
+      };
+    }
+
+    return {
+      ...existingToolCall,
+      id: existingToolCall.id || delta.id,
+      function: {
+        name: existingToolCall.function.name || delta.function?.name || "",
+        arguments:
+          existingToolCall.function.arguments +
+          (delta.function?.arguments || ""),
+      },
+    };
+  }
+
+  /**
+   * Build tool result message
+   * @param {string} toolCallId - Tool call ID
+   * @param {Object} result - Tool execution result
+   * @returns {Object} - Tool result message
+   */
+  buildToolResult(toolCallId, result) {
+    return {
+      role: "tool",
+      tool_call_id: toolCallId,
+      content: JSON.stringify(result),
+    };
+  }
+
+  /**
+   * Map tool_choice option for OpenAI-compatible servers.
+   * Ollama has no tool_choice parameter, so it is only sent to LM Studio.
+   * @param {string} toolChoice - Tool choice option ("auto", "required", "none")
+   * @returns {string|Object|null}
+   */
+  mapToolChoice(toolChoice) {
+    if (!toolChoice) {
+      return null;
+    }
+
+    return toolChoice;
+  }
+
+  /**
+   * Check whether a server error means the model cannot use tools
+   * (e.g. Ollama: "llama2 does not support tools")
+   * @param {string} errorText - Error body from the server
+   * @returns {boolean}
+   */
+  isToolsUnsupportedError(errorText) {
+    return /does not support tools|tools? (are|is) not supported/i.test(
+      errorText || ""
+    );
+  }
+}
+
+module.exports = LocalToolAdapter;
@@ -4,16 +4,19 @@
  * Exports all Local LLM-specific components:
  * - LocalProvider: Main provider class
  * - LocalConfig: Configuration
+ * - LocalToolAdapter: Tool format conversion
  * - LocalStreamParser: Streaming response parser
  */
 
 const LocalProvider = require('./LocalProvider');
 const LocalConfig = require('./LocalConfig');
+const LocalToolAdapter = require('./LocalToolAdapter');
 const LocalStreamParser = require('./LocalStreamParser');
 
 module.exports = {
   LocalProvider,
   LocalConfig,
+  LocalToolAdapter,
   LocalStreamParser
 };
 
@@ -0,0 +1,198 @@
+/**
+ * 🧪 NOX Cassette
+ *
+ * Recorded provider traffic for the mock provider: one interaction per
+ * provider call, replayed strictly in order so tests are deterministic.
+ *
+ * {
+ *   "version": 1,
+ *   "interactions": [{
+ *     "method": "sendStreamingRequestWithTools",
+ *     "provider": "anthropic",
+ *     "model": "claude-sonnet-4-5-20250929",
+ *     "request": { "systemPrompt", "messages", "tools": ["read_file"], "schema", "options" },
+ *     "events": [{ "type": "chunk" | "toolCall" | "toolResult" | "complete", "data" }],
+ *     "response": { ... },             // non-streaming calls
+ *     "error": { "message", "status" } // calls that failed
+ *   }]
+ * }
+ *
+ * Everything added to a cassette is redacted: the API key used for the call
+ * and anything shaped like a key is replaced with "[REDACTED]".
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const CASSETTE_VERSION = 1;
+const REDACTED = "[REDACTED]";
+
+// Key shapes that can show up in error messages or echoed requests
+const SECRET_PATTERNS = [
+  /sk-[A-Za-z0-9_-]{16,}/g, // OpenAI, Anthropic (sk-ant-...), DeepSeek
+  /AIza[0-9A-Za-z_-]{30,}/g, // Google
+  /([?&]key=)[^&\s"\\]+/g, // Gemini's key query parameter
+  /(Bearer\s+)[A-Za-z0-9._~+/=-]+/g,
+];
+
+class Cassette {
+  /**
+   * @param {Object} data - Parsed cassette ({ version, interactions })
+   * @param {string} filePath - File the cassette was loaded from / saves to
+   */
+  constructor(data = {}, filePath = null) {
+    this.filePath = filePath;
+    this.version = data.version || CASSETTE_VERSION;
+    this.interactions = Array.isArray(data.interactions)
+      ? data.interactions
+      : [];
+    this.position = 0; // Next interaction to replay
+  }
+
+  /**
+   * Load a cassette file
+   * @param {string} filePath - Path to the JSON file
+   * @returns {Cassette}
+   */
+  static load(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+    if (!Array.isArray(data.interactions)) {
+      throw new Error(`Not a cassette (no interactions array): ${filePath}`);
+    }
+    if (data.version > CASSETTE_VERSION) {
+      throw new Error(
+        `Cassette version ${data.version} is newer than supported (${CASSETTE_VERSION}): ${filePath}`
+      );
+    }
+
+    return new Cassette(data, filePath);
+  }
+
+  /**
+   * Load a cassette file to append to, or start an empty one
+   * @param {string} filePath - Path to the JSON file
+   * @returns {Cassette}
+   */
+  static loadOrCreate(filePath) {
+    return fs.existsSync(filePath)
+      ? Cassette.load(filePath)
+      : new Cassette({}, filePath);
+  }
+
+  // ============================================================================
+  // REPLAY
+  // ============================================================================
+
+  /**
+   * Take the next interaction
+   * @param {string} method - Provider method being replayed
+   * @returns {Object} - Interaction
+   */
+  next(method) {
+    const interaction = this.interactions[this.position];
+    const number = this.position + 1;
+
+    if (!interaction) {
+      throw new Error(
+        `🧪 Cassette exhausted: ${this.describe()} has no interaction #${number} for ${method}`
+      );
+    }
+    if (interaction.method !== method) {
+      throw new Error(
+        `🧪 Cassette mismatch: interaction #${number} of ${this.describe()} was recorded for ${interaction.method}, not ${method}`
+      );
+    }
+
+    this.position++;
+    return interaction;
+  }
+
+  /**
+   * Check whether every interaction has been replayed
+   */
+  isExhausted() {
+    return this.position >= this.interactions.length;
+  }
+
+  /**
+   * Start replaying from the first interaction again
+   */
+  rewind() {
+    this.position = 0;
+  }
+
+  /**
+   * Describe the cassette for messages
+   */
+  describe() {
+    return this.filePath ? path.basename(this.filePath) : "in-memory cassette";
+  }
+
+  // ============================================================================
+  // RECORDING
+  // ============================================================================
+
+  /**
+   * Append an interaction (redacted)
+   * @param {Object} interaction - Interaction to store
+   * @param {Array<string>} secrets - Values to redact (API keys used for the call)
+   */
+  add(interaction, secrets = []) {
+    this.interactions.push(Cassette.redact(interaction, secrets));
+  }
+
+  /**
+   * Replace secrets and key-shaped strings in a JSON-serializable value
+   * @param {*} value - Value to redact
+   * @param {Array<string>} secrets - Exact values to redact
+   * @returns {*} - Redacted deep copy
+   */
+  static redact(value, secrets = []) {
+    let json = JSON.stringify(value);
+    if (json === undefined) {
+      return value;
+    }
+
+    for (const secret of secrets) {
+      // Short values (placeholders, empty keys) would redact ordinary text
+      if (typeof secret === "string" && secret.length >= 8) {
+        json = json.split(JSON.stringify(secret).slice(1, -1)).join(REDACTED);
+      }
+    }
+
+    for (const pattern of SECRET_PATTERNS) {
+      json = json.replace(pattern, (match, prefix) =>
+        typeof prefix === "string" ? `${prefix}${REDACTED}` : REDACTED
+      );
+    }
+
+    return JSON.parse(json);
+  }
+
+  /**
+   * Write the cassette to disk
+   * @param {string} filePath - Target file (default: the file it was loaded from)
+   */
+  async save(filePath = this.filePath) {
+    if (!filePath) {
+      throw new Error("Cassette has no file to save to");
+    }
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(
+      filePath,
+      `${JSON.stringify(
+        { version: this.version, interactions: this.interactions },
+        null,
+        2
+      )}\n`,
+      "utf8"
+    );
+    this.filePath = filePath;
+  }
+}
+
+Cassette.REDACTED = REDACTED;
+
+module.exports = Cassette;
@@ -0,0 +1,224 @@
+/**
+ * 🧪 NOX Cassette Recorder
+ *
+ * Captures real provider traffic into a cassette the mock provider can
+ * replay. ProviderManager hands out recording wrappers while a recorder is
+ * set; each request method call becomes one interaction with the request,
+ * every streamed event (chunks, tool calls, tool results, final message) or
+ * the response, and any error. Interactions are redacted and appended to
+ * the cassette file as they complete.
+ */
+
+const Cassette = require("./Cassette");
+
+// Argument names of the provider request methods (see IProvider)
+const SIGNATURES = {
+  sendRequest: ["apiKey", "messages", "options"],
+  sendRequestWithSystem: ["apiKey", "systemPrompt", "messages", "options"],
+  sendRequestWithTools: [
+    "apiKey",
+    "systemPrompt",
+    "messages",
+    "tools",
+    "options",
+  ],
+  sendStructured: ["apiKey", "systemPrompt", "messages", "schema", "options"],
+  embed: ["apiKey", "texts", "options"],
+  sendStreamingRequest: [
+    "apiKey",
+    "systemPrompt",
+    "messages",
+    "options",
+    "onChunk",
+    "onComplete",
+    "abortController",
+  ],
+  sendStreamingRequestWithTools: [
+    "apiKey",
+    "systemPrompt",
+    "messages",
+    "tools",
+    "options",
+    "callbacks",
+    "abortController",
+  ],
+};
+
+// Request options worth keeping (message ids, signals etc. are per run)
+const RECORDED_OPTIONS = [
+  "model",
+  "maxTokens",
+  "temperature",
+  "taskType",
+  "tool_choice",
+  "schemaName",
+  "dimensions",
+];
+
+// Event data is copied when it happens - providers may mutate it later
+const copy = (value) =>
+  value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+class CassetteRecorder {
+  /**
+   * @param {string} filePath - Cassette to record into (appended if it exists)
+   * @param {Object} logger - Logger
+   */
+  constructor(filePath, logger) {
+    this.cassette = Cassette.loadOrCreate(filePath);
+    this.logger = logger;
+    this.wrappers = new WeakMap(); // provider instance → recording wrapper
+    this.saving = Promise.resolve();
+
+    this.logger?.info(
+      `🧪 Recording provider traffic into ${this.cassette.describe()}`
+    );
+  }
+
+  /**
+   * Get a recording wrapper for a provider
+   * @param {string} providerId - Provider ID
+   * @param {IProvider} provider - Provider instance
+   * @returns {IProvider} - Wrapper (the mock provider itself is never recorded)
+   */
+  wrap(providerId, provider) {
+    if (providerId === "mock") {
+      return provider;
+    }
+
+    if (!this.wrappers.has(provider)) {
+      this.wrappers.set(
+        provider,
+        new Proxy(provider, {
+          get: (target, property, receiver) =>
+            SIGNATURES[property]
+              ? (...args) => this.record(providerId, target, property, args)
+              : Reflect.get(target, property, receiver),
+        })
+      );
+    }
+
+    return this.wrappers.get(provider);
+  }
+
+  /**
+   * Run a provider call and record it as one interaction
+   */
+  async record(providerId, provider, method, args) {
+    const call = {};
+    SIGNATURES[method].forEach((name, index) => {
+      call[name] = args[index];
+    });
+
+    const options = call.options || {};
+    const interaction = {
+      method,
+      provider: providerId,
+      model:
+        method === "embed"
+          ? provider.getEmbeddingModel(options.model)
+          : options.model || provider.getDefaultModel(),
+      request: {
+        systemPrompt: call.systemPrompt,
+        messages: copy(call.messages),
+        tools: call.tools?.map((tool) => CassetteRecorder.toolName(tool)),
+        schema: copy(call.schema),
+        texts: copy(call.texts),
+        options: Object.fromEntries(
+          RECORDED_OPTIONS.filter((key) => options[key] !== undefined).map(
+            (key) => [key, copy(options[key])]
+          )
+        ),
+      },
+    };
+
+    const recordedArgs = [...args];
+    if (method.startsWith("sendStreaming")) {
+      interaction.events = [];
+      const index = (name) => SIGNATURES[method].indexOf(name);
+      const callbacks = this.recordEvents(
+        interaction.events,
+        method === "sendStreamingRequest"
+          ? { onChunk: call.onChunk, onComplete: call.onComplete }
+          : call.callbacks || {}
+      );
+
+      if (method === "sendStreamingRequest") {
+        recordedArgs[index("onChunk")] = callbacks.onChunk;
+        recordedArgs[index("onComplete")] = callbacks.onComplete;
+      } else {
+        recordedArgs[index("callbacks")] = callbacks;
+      }
+    }
+
+    try {
+      const result = await provider[method](...recordedArgs);
+      if (!interaction.events) {
+        interaction.response = copy(result);
+      }
+      return result;
+    } catch (error) {
+      interaction.error = {
+        message: error.message,
+        name: error.name,
+        ...(error.status && { status: error.status }),
+      };
+      throw error;
+    } finally {
+      this.cassette.add(interaction, [call.apiKey]);
+      await this.save();
+    }
+  }
+
+  /**
+   * Wrap streaming callbacks so every event is recorded before it is passed on
+   */
+  recordEvents(events, callbacks) {
+    const { onChunk, onToolCall, onToolResult, onComplete } = callbacks;
+
+    return {
+      onChunk: (data) => {
+        events.push({ type: "chunk", data: copy(data) });
+        return onChunk ? onChunk(data) : undefined;
+      },
+      onToolCall: async (toolCall) => {
+        events.push({ type: "toolCall", data: copy(toolCall) });
+        return onToolCall ? await onToolCall(toolCall) : undefined;
+      },
+      onToolResult: (data) => {
+        events.push({ type: "toolResult", data: copy(data) });
+        return onToolResult ? onToolResult(data) : undefined;
+      },
+      onComplete: (finalMessage) => {
+        events.push({ type: "complete", data: copy(finalMessage) });
+        return onComplete ? onComplete(finalMessage) : undefined;
+      },
+    };
+  }
+
+  /**
+   * Save the cassette (a failed write must not fail the request)
+   */
+  async save() {
+    this.saving = this.saving
+      .then(() => this.cassette.save())
+      .catch((error) => {
+        this.logger?.warn(`🧪 Failed to save cassette: ${error.message}`);
+      });
+    await this.saving;
+  }
+
+  /**
+   * Get a tool's name in any provider format
+   */
+  static toolName(tool) {
+    return (
+      tool?.name ||
+      tool?.function?.name ||
+      tool?.functionDeclarations?.map((declaration) => declaration.name) ||
+      "unknown"
+    );
+  }
+}
+
+module.exports = CassetteRecorder;
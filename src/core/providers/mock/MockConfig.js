@@ -0,0 +1,56 @@
+/**
+ * 🧪 Mock Provider Configuration
+ *
+ * Deterministic provider for offline tests. It makes no network calls:
+ * every request replays the next interaction from a cassette file.
+ *
+ * @enterprise-grade Centralized configuration, easy maintenance
+ */
+
+const MockConfig = {
+  // Provider metadata
+  name: "🧪 Mock (cassette replay)",
+  id: "mock",
+
+  // API configuration - nothing is sent anywhere
+  baseUrl: "cassette://",
+
+  // Cassette to replay (path or Cassette instance), see MockProvider.loadCassette
+  cassette: null,
+
+  // Available models - replies come from the cassette whatever model is asked for
+  models: ["cassette"],
+
+  // Default model
+  defaultModel: "cassette",
+
+  // Tool calling support
+  // Recorded tool calls are replayed through onToolCall, so the agent loop
+  // runs the real capabilities. Requests are never sent, so the format only
+  // decides how NoxToolAdapter builds tools and tool results for the mock.
+  supportsToolCalling: true,
+  toolFormat: "openai_functions",
+  maxTools: 128,
+
+  // Streaming support
+  supportsStreaming: true,
+
+  // Embeddings - recorded embed() calls replay like any other request
+  embeddings: {
+    models: { cassette: null },
+    defaultModel: "cassette",
+  },
+
+  // Request defaults
+  defaults: {
+    maxTokens: 4000,
+    temperature: 0.7,
+  },
+
+  // Context window sizes in tokens
+  contextWindows: {
+    default: 200000,
+  },
+};
+
+module.exports = MockConfig;
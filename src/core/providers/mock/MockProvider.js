@@ -0,0 +1,354 @@
+/**
+ * 🧪 Mock Provider
+ *
+ * Replays recorded provider traffic from a cassette (see Cassette.js) so the
+ * agent loop - agentController, StreamingToolHandler, capabilities - can be
+ * exercised offline and deterministically. Streamed chunks and the final
+ * message are replayed as recorded; recorded tool calls go through
+ * onToolCall, so the real capabilities run and their live results are used.
+ *
+ * Replies are free (cost 0) and report provider "mock".
+ *
+ * @enterprise-grade Zero cross-contamination, fully testable, production-ready
+ */
+
+const BaseProvider = require("../base/BaseProvider");
+const MockConfig = require("./MockConfig");
+const Cassette = require("./Cassette");
+const { OpenAIToolAdapter } = require("../openai");
+
+class MockProvider extends BaseProvider {
+  constructor(config, logger, performanceMonitor) {
+    super(config, logger, performanceMonitor);
+
+    // Merge provided config with defaults
+    this.config = { ...MockConfig, ...config };
+
+    // Initialize adapters (tools use the OpenAI function format)
+    this.toolAdapter = new OpenAIToolAdapter(logger);
+
+    this.cassette = null;
+    if (this.config.cassette) {
+      this.loadCassette(this.config.cassette);
+    }
+  }
+
+  // ============================================================================
+  // METADATA METHODS
+  // ============================================================================
+
+  getName() {
+    return this.config.name;
+  }
+
+  getModels() {
+    return this.config.models;
+  }
+
+  getDefaultModel() {
+    return this.config.defaultModel;
+  }
+
+  getBaseUrl() {
+    return this.config.baseUrl;
+  }
+
+  supportsToolCalling() {
+    return this.config.supportsToolCalling;
+  }
+
+  supportsStreaming() {
+    return this.config.supportsStreaming;
+  }
+
+  getToolFormat() {
+    return this.config.toolFormat;
+  }
+
+  getMaxTools() {
+    return this.config.maxTools;
+  }
+
+  // ============================================================================
+  // VALIDATION METHODS
+  // ============================================================================
+
+  validateApiKey(_apiKey) {
+    // Nothing is sent anywhere, so no key is needed
+    return true;
+  }
+
+  validateModel(_model) {
+    // The cassette decides the reply whatever model is asked for
+    return true;
+  }
+
+  // ============================================================================
+  // COST CALCULATION
+  // ============================================================================
+
+  calculateCost(_usage, _model) {
+    return 0;
+  }
+
+  estimateCost(_inputTokens, _outputTokens, _model) {
+    return 0;
+  }
+
+  // ============================================================================
+  // TOOL HANDLING METHODS
+  // ============================================================================
+
+  convertCapabilitiesToTools(capabilities) {
+    return this.toolAdapter.convertCapabilitiesToTools(capabilities);
+  }
+
+  parseToolCalls(response) {
+    return this.toolAdapter.parseToolCalls(response);
+  }
+
+  buildToolResult(toolCallId, result) {
+    return this.toolAdapter.buildToolResult(toolCallId, result);
+  }
+
+  // ============================================================================
+  // CASSETTE
+  // ============================================================================
+
+  /**
+   * Load the cassette to replay
+   * @param {string|Object|Cassette} cassette - File path, parsed cassette data or Cassette
+   * @returns {Cassette}
+   */
+  loadCassette(cassette) {
+    if (typeof cassette === "string") {
+      this.cassette = Cassette.load(cassette);
+    } else if (cassette instanceof Cassette) {
+      this.cassette = cassette;
+    } else {
+      this.cassette = new Cassette(cassette);
+    }
+
+    this.logger?.info(
+      `🧪 Loaded ${this.cassette.describe()} (${
+        this.cassette.interactions.length
+      } interactions)`
+    );
+    return this.cassette;
+  }
+
+  /**
+   * Take the next recorded interaction for a method
+   */
+  takeInteraction(method) {
+    if (!this.cassette) {
+      throw new Error(
+        '🧪 No cassette loaded for the mock provider. Set "nox.mock.cassette" to a recorded cassette file.'
+      );
+    }
+
+    return this.cassette.next(method);
+  }
+
+  /**
+   * Rebuild a recorded error
+   */
+  buildError(recorded) {
+    const error = new Error(recorded.message);
+    if (recorded.name) {
+      error.name = recorded.name;
+    }
+    if (recorded.status) {
+      error.status = recorded.status;
+    }
+    error.replayed = true;
+    return error;
+  }
+
+  /**
+   * Turn a recorded response or final message into this request's reply
+   */
+  buildReply(recorded, interaction, options = {}) {
+    return {
+      ...recorded,
+      ...(options.messageId && { id: options.messageId }),
+      provider: "mock",
+      model: options.model || this.getDefaultModel(),
+      recordedFrom: {
+        provider: interaction.provider,
+        model: interaction.model,
+      },
+      cost: 0,
+    };
+  }
+
+  // ============================================================================
+  // REQUEST METHODS
+  // ============================================================================
+
+  async sendRequest(apiKey, prompt, options = {}) {
+    return this.replayResponse("sendRequest", options);
+  }
+
+  async sendRequestWithSystem(
+    apiKey,
+    systemPrompt,
+    userPromptOrMessages,
+    options = {}
+  ) {
+    return this.replayResponse("sendRequestWithSystem", options);
+  }
+
+  async sendRequestWithTools(
+    apiKey,
+    systemPrompt,
+    userPromptOrMessages,
+    tools,
+    options = {}
+  ) {
+    return this.replayResponse("sendRequestWithTools", options);
+  }
+
+  async sendStructured(
+    apiKey,
+    systemPrompt,
+    userPromptOrMessages,
+    schema,
+    options = {}
+  ) {
+    // The recorded reply already holds the parsed, validated data
+    return this.replayResponse("sendStructured", options);
+  }
+
+  async embed(apiKey, texts, options = {}) {
+    return this.replayResponse("embed", options);
+  }
+
+  async sendStreamingRequest(
+    apiKey,
+    systemPrompt,
+    userPromptOrMessages,
+    options,
+    onChunk,
+    onComplete,
+    abortController = null
+  ) {
+    await this.replayStream(
+      "sendStreamingRequest",
+      options,
+      { onChunk, onComplete },
+      abortController
+    );
+  }
+
+  async sendStreamingRequestWithTools(
+    apiKey,
+    systemPrompt,
+    userPromptOrMessages,
+    tools,
+    options,
+    callbacks = {},
+    abortController = null
+  ) {
+    await this.replayStream(
+      "sendStreamingRequestWithTools",
+      options,
+      callbacks,
+      abortController
+    );
+  }
+
+  /**
+   * Replay a non-streaming call
+   */
+  async replayResponse(method, options = {}) {
+    this.logRequestStart(method, { model: options.model });
+
+    try {
+      const interaction = this.takeInteraction(method);
+      if (interaction.error) {
+        throw this.buildError(interaction.error);
+      }
+
+      const response = this.buildReply(
+        interaction.response || {},
+        interaction,
+        options
+      );
+
+      this.logRequestComplete(method, { tokens: response.tokens, cost: 0 });
+      return response;
+    } catch (error) {
+      this.handleApiError(error, method);
+    }
+  }
+
+  /**
+   * Replay a streaming call event by event
+   */
+  async replayStream(method, options = {}, callbacks = {}, abortController) {
+    const { onChunk, onToolCall, onToolResult, onComplete } = callbacks;
+    const withMessageId = (data) =>
+      options.messageId ? { ...data, messageId: options.messageId } : data;
+
+    this.logRequestStart(method, { model: options.model });
+
+    try {
+      const interaction = this.takeInteraction(method);
+      const toolResults = new Map(); // Live results by tool call id
+
+      for (const event of interaction.events || []) {
+        // Like a real stream, stop quietly when the user stops the response
+        if (abortController?.signal?.aborted) {
+          this.logger?.info("🛑 Replay aborted by user");
+          return;
+        }
+
+        switch (event.type) {
+          case "chunk":
+            if (onChunk) {
+              onChunk(withMessageId(event.data));
+            }
+            break;
+
+          case "toolCall":
+            toolResults.set(
+              event.data.id,
+              onToolCall ? await onToolCall(event.data) : undefined
+            );
+            break;
+
+          case "toolResult":
+            if (onToolResult) {
+              onToolResult({
+                ...event.data,
+                result: toolResults.get(event.data.id) ?? event.data.result,
+              });
+            }
+            break;
+
+          case "complete":
+            if (onComplete) {
+              onComplete(this.buildReply(event.data, interaction, options));
+            }
+            this.logRequestComplete(method, {
+              tokens: event.data.tokens,
+              cost: 0,
+            });
+            break;
+
+          default:
+            this.logger?.warn(`🧪 Unknown cassette event: ${event.type}`);
+        }
+      }
+
+      if (interaction.error) {
+        throw this.buildError(interaction.error);
+      }
+    } catch (error) {
+      this.handleApiError(error, method);
+    }
+  }
+}
+
+module.exports = MockProvider;
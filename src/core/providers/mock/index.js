@@ -0,0 +1,21 @@
+/**
+ * 🧪 Mock Provider Module - Central Export
+ * 
+ * Exports all mock provider components:
+ * - MockProvider: Cassette-replaying provider
+ * - MockConfig: Configuration
+ * - Cassette: Recorded interactions (load, replay, redact, save)
+ * - CassetteRecorder: Captures real provider traffic into a cassette
+ */
+
+const MockProvider = require('./MockProvider');
+const MockConfig = require('./MockConfig');
+const Cassette = require('./Cassette');
+const CassetteRecorder = require('./CassetteRecorder');
+
+module.exports = {
+  MockProvider,
+  MockConfig,
+  Cassette,
+  CassetteRecorder
+};
@@ -14,6 +14,8 @@ const OpenAIConfig = {
   
   // API configuration
   baseUrl: "https://api.openai.com/v1",
+  apiLabel: "OpenAI", // Prefix for API error messages
+  headers: {}, // Extra request headers
   
   // Available models
   models: [
@@ -44,6 +46,19 @@ const OpenAIConfig = {
   
   // Streaming support
   supportsStreaming: true,
+
+  // Structured output (response_format for sendStructured)
+  structuredOutput: "json_schema",
+
+  // Image input (image_url content parts with data URLs)
+  visionModels: [
+    "chatgpt-4o-latest",
+    "gpt-4o",
+    "gpt-4o-mini",
+    "gpt-4-turbo",
+    "gpt-4.1",
+    "gpt-5",
+  ],
   
   // Request defaults
   defaults: {
@@ -51,6 +66,32 @@ const OpenAIConfig = {
     temperature: 0.7,
     timeout: 60000, // 60 seconds
   },
+
+  // Context window sizes in tokens ("default" applies to unlisted models)
+  contextWindows: {
+    default: 128000,
+    "gpt-3.5-turbo": 16385,
+    "gpt-4.1": 1047576,
+    "gpt-5": 400000,
+  },
+
+  // Retry policy (see BaseProvider.fetchWithRetry)
+  retry: {
+    maxAttempts: 3,
+    baseDelay: 1000,
+    maxDelay: 30000,
+  },
+
+  // Embeddings (see BaseProvider.embed) - model → vector dimensions
+  embeddings: {
+    models: {
+      "text-embedding-3-small": 1536,
+      "text-embedding-3-large": 3072,
+      "text-embedding-ada-002": 1536,
+    },
+    defaultModel: "text-embedding-3-small",
+    maxBatchSize: 2048, // Inputs per /embeddings request
+  },
   
   // Pricing (per 1K tokens in USD)
   pricing: {
@@ -69,6 +110,11 @@ const OpenAIConfig = {
     "gpt-4o-audio-preview": { input: 0.0025, output: 0.01 },
     "gpt-4o-search-preview": { input: 0.0025, output: 0.01 },
     "gpt-4o-realtime-preview": { input: 0.005, output: 0.02 },
+
+    // 🧬 Embedding Models (input only)
+    "text-embedding-3-small": { input: 0.00002, output: 0 },
+    "text-embedding-3-large": { input: 0.00013, output: 0 },
+    "text-embedding-ada-002": { input: 0.0001, output: 0 },
   },
   
   // API key validation
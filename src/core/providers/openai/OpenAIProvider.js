@@ -69,7 +69,10 @@ class OpenAIProvider extends BaseProvider {
       return false;
     }
 
-    // OpenAI API keys start with "sk-"
+    // OpenAI API keys start with "sk-"; compatible endpoints may not have a pattern
+    if (!this.config.apiKeyPattern) {
+      return true;
+    }
     return this.config.apiKeyPattern.test(apiKey);
   }
 
@@ -95,6 +98,26 @@ class OpenAIProvider extends BaseProvider {
     return inputCost + outputCost;
   }
 
+  // ============================================================================
+  // IMAGE INPUT
+  // ============================================================================
+
+  /**
+   * Text part first, then each image as a base64 data URL
+   */
+  buildImageContent(text, images) {
+    const content = text?.trim() ? [{ type: "text", text }] : [];
+
+    for (const image of images) {
+      content.push({
+        type: "image_url",
+        image_url: { url: `data:${image.mimeType};base64,${image.data}` },
+      });
+    }
+
+    return content;
+  }
+
   // ============================================================================
   // TOOL HANDLING METHODS
   // ============================================================================
@@ -127,23 +150,23 @@ class OpenAIProvider extends BaseProvider {
     const maxTokens = options.maxTokens || this.config.defaults.maxTokens;
 
     try {
-      const response = await fetch(`${this.getBaseUrl()}/chat/completions`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify({
-          model: model,
-          messages: [{ role: "user", content: prompt }],
-          max_tokens: maxTokens,
-        }),
-      });
+      const response = await this.fetchWithRetry(
+        `${this.getBaseUrl()}/chat/completions`,
+        {
+          method: "POST",
+          headers: this.buildHeaders(apiKey),
+          body: JSON.stringify({
+            model: model,
+            messages: [{ role: "user", content: prompt }],
+            max_tokens: maxTokens,
+          }),
+        }
+      );
 
       if (!response.ok) {
         const errorData = await response.text();
         throw new Error(
-          `OpenAI API error: ${response.status} ${response.statusText} - ${errorData}`
+          `${this.config.apiLabel} API error: ${response.status} ${response.statusText} - ${errorData}`
         );
       }
 
@@ -151,7 +174,7 @@ class OpenAIProvider extends BaseProvider {
 
       const result = {
         content: data.choices[0].message.content,
-        provider: "openai",
+        provider: this.config.id,
         model: model,
         tokens: data.usage.total_tokens,
         cost: this.calculateCost(data.usage, model),
@@ -181,7 +204,7 @@ class OpenAIProvider extends BaseProvider {
 
     const model = options.model || this.getDefaultModel();
     const maxTokens = options.maxTokens || this.config.defaults.maxTokens;
-    const messages = this.buildMessages(userPromptOrMessages);
+    const messages = this.buildMessages(userPromptOrMessages, model);
 
     // Prepend system message
     const allMessages = [
@@ -190,24 +213,28 @@ class OpenAIProvider extends BaseProvider {
     ];
 
     try {
-      const response = await fetch(`${this.getBaseUrl()}/chat/completions`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify({
-          model: model,
-          messages: allMessages,
-          max_tokens: maxTokens,
-          temperature: options.temperature || this.config.defaults.temperature,
-        }),
-      });
+      const response = await this.fetchWithRetry(
+        `${this.getBaseUrl()}/chat/completions`,
+        {
+          method: "POST",
+          headers: this.buildHeaders(apiKey),
+          body: JSON.stringify({
+            model: model,
+            messages: allMessages,
+            max_tokens: maxTokens,
+            temperature:
+              options.temperature || this.config.defaults.temperature,
+            ...(options.responseSchema && {
+              response_format: this.buildResponseFormat(options.responseSchema),
+            }),
+          }),
+        }
+      );
 
       if (!response.ok) {
         const errorData = await response.text();
         throw new Error(
-          `OpenAI API error: ${response.status} ${response.statusText} - ${errorData}`
+          `${this.config.apiLabel} API error: ${response.status} ${response.statusText} - ${errorData}`
         );
       }
 
@@ -217,7 +244,7 @@ class OpenAIProvider extends BaseProvider {
         id: Date.now().toString(),
         type: "assistant",
         content: data.choices[0].message.content,
-        provider: "openai",
+        provider: this.config.id,
         model: model,
         tokens: data.usage.total_tokens,
         cost: this.calculateCost(data.usage, model),
@@ -251,7 +278,7 @@ class OpenAIProvider extends BaseProvider {
 
     const model = options.model || this.getDefaultModel();
     const maxTokens = options.maxTokens || this.config.defaults.maxTokens;
-    const messages = this.buildMessages(userPromptOrMessages);
+    const messages = this.buildMessages(userPromptOrMessages, model);
 
     // Prepend system message
     const allMessages = [
@@ -275,19 +302,19 @@ class OpenAIProvider extends BaseProvider {
         );
       }
 
-      const response = await fetch(`${this.getBaseUrl()}/chat/completions`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify(requestBody),
-      });
+      const response = await this.fetchWithRetry(
+        `${this.getBaseUrl()}/chat/completions`,
+        {
+          method: "POST",
+          headers: this.buildHeaders(apiKey),
+          body: JSON.stringify(requestBody),
+        }
+      );
 
       if (!response.ok) {
         const errorData = await response.text();
         throw new Error(
-          `OpenAI API error: ${response.status} ${response.statusText} - ${errorData}`
+          `${this.config.apiLabel} API error: ${response.status} ${response.statusText} - ${errorData}`
         );
       }
 
@@ -299,7 +326,7 @@ class OpenAIProvider extends BaseProvider {
         type: "assistant",
         content: message.content,
         tool_calls: message.tool_calls || [],
-        provider: "openai",
+        provider: this.config.id,
         model: model,
         tokens: data.usage.total_tokens,
         cost: this.calculateCost(data.usage, model),
@@ -339,7 +366,7 @@ class OpenAIProvider extends BaseProvider {
     const model = options.model || this.getDefaultModel();
     const maxTokens = options.maxTokens || this.config.defaults.maxTokens;
     const messageId = options.messageId || Date.now().toString();
-    const messages = this.buildMessages(userPromptOrMessages);
+    const messages = this.buildMessages(userPromptOrMessages, model);
 
     // Prepend system message
     const allMessages = [
@@ -348,78 +375,59 @@ class OpenAIProvider extends BaseProvider {
     ];
 
     try {
-      const response = await fetch(`${this.getBaseUrl()}/chat/completions`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify({
-          model: model,
-          messages: allMessages,
-          max_tokens: maxTokens,
-          temperature: options.temperature || this.config.defaults.temperature,
-          stream: true,
-        }),
-        signal: abortController?.signal,
-      });
+      const response = await this.fetchWithRetry(
+        `${this.getBaseUrl()}/chat/completions`,
+        {
+          method: "POST",
+          headers: this.buildHeaders(apiKey),
+          body: JSON.stringify({
+            model: model,
+            messages: allMessages,
+            max_tokens: maxTokens,
+            temperature:
+              options.temperature || this.config.defaults.temperature,
+            stream: true,
+          }),
+          signal: abortController?.signal,
+        }
+      );
 
       if (!response.ok) {
         const errorData = await response.text();
         throw new Error(
-          `OpenAI API error: ${response.status} ${response.statusText} - ${errorData}`
+          `${this.config.apiLabel} API error: ${response.status} ${response.statusText} - ${errorData}`
         );
       }
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-
-      let fullContent = "";
-      let totalTokens = 0;
-
-      // Process streaming chunks
-      for await (const chunk of this.streamParser.readStream(
-        reader,
-        decoder,
-        abortController?.signal
-      )) {
-        if (chunk.type === "text") {
-          fullContent += chunk.data;
-          totalTokens += 1; // Approximate
-
-          if (onChunk) {
-            onChunk({
-              messageId: messageId,
-              chunk: chunk.data,
-              tokens: totalTokens,
-              isComplete: false,
-            });
-          }
-        } else if (chunk.type === "done") {
-          break;
-        }
-      }
+      const stream = await this.consumeStream(response, abortController, {
+        messageId,
+        onChunk,
+        label: this.config.apiLabel,
+      });
 
       // Build final message
+      // Prefer reported usage; otherwise count with the model's tokenizer
+      const promptTokens =
+        stream.usage.inputTokens ??
+        this.estimatePromptTokens(systemPrompt, messages, model);
+      const completionTokens =
+        stream.usage.outputTokens ?? this.estimateTokens(stream.content, model);
       const usage = {
-        prompt_tokens: this.estimateTokens(
-          systemPrompt + JSON.stringify(messages)
-        ),
-        completion_tokens: totalTokens,
-        total_tokens:
-          this.estimateTokens(systemPrompt + JSON.stringify(messages)) +
-          totalTokens,
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
       };
 
       const finalMessage = {
         id: messageId,
         type: "assistant",
-        content: fullContent,
-        provider: "openai",
+        content: stream.content,
+        provider: this.config.id,
         model: model,
         tokens: usage.total_tokens,
         cost: this.calculateCost(usage, model),
         timestamp: new Date().toISOString(),
+        stopReason: stream.stopReason,
       };
 
       this.logRequestComplete("sendStreamingRequest", {
@@ -455,7 +463,7 @@ class OpenAIProvider extends BaseProvider {
     const model = options.model || this.getDefaultModel();
     const maxTokens = options.maxTokens || this.config.defaults.maxTokens;
     const messageId = options.messageId || Date.now().toString();
-    const messages = this.buildMessages(userPromptOrMessages);
+    const messages = this.buildMessages(userPromptOrMessages, model);
 
     const { onChunk, onToolCall, onToolResult, onComplete } = callbacks;
 
@@ -492,133 +500,65 @@ class OpenAIProvider extends BaseProvider {
         temperature: requestPayload.temperature,
       });
 
-      const response = await fetch(`${this.getBaseUrl()}/chat/completions`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify(requestPayload),
-        signal: abortController?.signal,
-      });
+      const response = await this.fetchWithRetry(
+        `${this.getBaseUrl()}/chat/completions`,
+        {
+          method: "POST",
+          headers: this.buildHeaders(apiKey),
+          body: JSON.stringify(requestPayload),
+          signal: abortController?.signal,
+        }
+      );
 
       if (!response.ok) {
         const errorData = await response.text();
         throw new Error(
-          `OpenAI API error: ${response.status} ${response.statusText} - ${errorData}`
+          `${this.config.apiLabel} API error: ${response.status} ${response.statusText} - ${errorData}`
         );
       }
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-
-      let fullContent = "";
-      let totalTokens = 0;
-      let toolCalls = [];
-      let currentToolCalls = {}; // Track tool calls by index
-
-      // Process streaming chunks
-      for await (const chunk of this.streamParser.readStream(
-        reader,
-        decoder,
-        abortController?.signal
-      )) {
-        if (chunk.type === "text") {
-          // Text content delta
-          fullContent += chunk.data;
-          totalTokens += 1;
-
-          if (onChunk) {
-            onChunk({
-              messageId: messageId,
-              chunk: chunk.data,
-              tokens: totalTokens,
-              isComplete: false,
-            });
-          }
-        } else if (chunk.type === "tool_calls") {
-          // Tool call delta
-          for (const toolCallDelta of chunk.data) {
-            const index = toolCallDelta.index;
-
-            // Accumulate tool call
-            currentToolCalls[index] = this.toolAdapter.accumulateToolCallDelta(
-              currentToolCalls[index],
-              toolCallDelta
-            );
-
-            // ✅ Silent accumulation - no per-chunk logging
-          }
-        } else if (chunk.type === "finish") {
-          // Stream finished - process any accumulated tool calls
-          if (chunk.data === "tool_calls") {
-            for (const [index, toolCall] of Object.entries(currentToolCalls)) {
-              this.logger?.info(`🔍 OPENAI TOOL CALL COMPLETE:`, {
-                id: toolCall.id,
-                name: toolCall.function.name,
-                arguments: toolCall.function.arguments,
-              });
-
-              // Parse tool arguments
-              let parameters = {};
-              if (toolCall.function.arguments) {
-                try {
-                  parameters = JSON.parse(toolCall.function.arguments);
-                } catch (jsonError) {
-                  this.logger?.warn(
-                    `🛠️ Invalid JSON in tool arguments for ${toolCall.function.name}, using empty object:`,
-                    toolCall.function.arguments
-                  );
-                  parameters = {};
-                }
-              }
-
-              // Call tool handler
-              if (onToolCall) {
-                await onToolCall({
-                  id: toolCall.id,
-                  name: toolCall.function.name,
-                  parameters: parameters,
-                });
-              }
-
-              toolCalls.push(toolCall);
-            }
-          }
-          break;
-        } else if (chunk.type === "done") {
-          break;
-        }
-      }
+      const stream = await this.consumeStream(response, abortController, {
+        messageId,
+        onChunk,
+        onToolCall,
+        label: this.config.apiLabel,
+      });
 
       // Build final message
+      // Prefer reported usage; otherwise count with the model's tokenizer
+      const promptTokens =
+        stream.usage.inputTokens ??
+        this.estimatePromptTokens(systemPrompt, messages, model);
+      const completionTokens =
+        stream.usage.outputTokens ??
+        this.estimateTokens(
+          stream.content + JSON.stringify(stream.toolCalls),
+          model
+        );
       const usage = {
-        prompt_tokens: this.estimateTokens(
-          systemPrompt + JSON.stringify(messages)
-        ),
-        completion_tokens: totalTokens,
-        total_tokens:
-          this.estimateTokens(systemPrompt + JSON.stringify(messages)) +
-          totalTokens,
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
       };
 
       const finalMessage = {
         id: messageId,
         type: "assistant",
-        content: fullContent,
-        tool_calls: toolCalls,
-        provider: "openai",
+        content: stream.content,
+        tool_calls: stream.toolCalls,
+        provider: this.config.id,
         model: model,
         tokens: usage.total_tokens,
         cost: this.calculateCost(usage, model),
         timestamp: new Date().toISOString(),
-        wasSilent: fullContent.trim() === "" && toolCalls.length > 0,
+        stopReason: stream.stopReason,
+        wasSilent: stream.wasSilent,
       };
 
       this.logRequestComplete("sendStreamingRequestWithTools", {
         tokens: finalMessage.tokens,
         cost: finalMessage.cost,
-        toolCalls: toolCalls.length,
+        toolCalls: stream.toolCalls.length,
         wasSilent: finalMessage.wasSilent,
       });
 
@@ -630,18 +570,83 @@ class OpenAIProvider extends BaseProvider {
     }
   }
 
+  // ============================================================================
+  // EMBEDDINGS
+  // ============================================================================
+
+  /**
+   * Embed one batch with /embeddings (batching is done by BaseProvider.embed)
+   * options.dimensions shortens text-embedding-3 vectors
+   */
+  async requestEmbeddings(apiKey, texts, model, options = {}) {
+    const response = await this.fetchWithRetry(
+      `${this.getBaseUrl()}/embeddings`,
+      {
+        method: "POST",
+        headers: this.buildHeaders(apiKey),
+        body: JSON.stringify({
+          model: model,
+          input: texts,
+          ...(options.dimensions && { dimensions: options.dimensions }),
+        }),
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.text();
+      throw new Error(
+        `${this.config.apiLabel} API error: ${response.status} ${response.statusText} - ${errorData}`
+      );
+    }
+
+    const data = await response.json();
+
+    return {
+      embeddings: [...data.data]
+        .sort((a, b) => a.index - b.index)
+        .map((item) => item.embedding),
+      tokens: data.usage?.prompt_tokens,
+    };
+  }
+
   // ============================================================================
   // UTILITY METHODS
   // ============================================================================
 
   /**
-   * Estimate token count (rough approximation)
-   * @param {string} text - Text to estimate
-   * @returns {number} - Estimated token count
+   * Build response_format for a structured request
+   * config.structuredOutput picks "json_schema" (schema enforced by the API)
+   * or "json_object" (JSON mode, schema only in the prompt)
+   * @param {Object} structured - { name, schema }
+   * @returns {Object} - response_format
+   */
+  buildResponseFormat(structured) {
+    if (this.config.structuredOutput !== "json_schema") {
+      return { type: "json_object" };
+    }
+
+    return {
+      type: "json_schema",
+      json_schema: {
+        name: structured.name,
+        schema: structured.schema,
+        strict: false, // strict mode rejects optional properties
+      },
+    };
+  }
+
+  /**
+   * Build request headers
+   * Extra headers from config are merged in (used by OpenAI-compatible endpoints)
+   * @param {string} apiKey - API key
+   * @returns {Object} - Request headers
    */
-  estimateTokens(text) {
-    // Rough estimate: 1 token ≈ 4 characters
-    return Math.ceil(text.length / 4);
+  buildHeaders(apiKey) {
+    return {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${apiKey}`,
+      ...(this.config.headers || {}),
+    };
   }
 }
 
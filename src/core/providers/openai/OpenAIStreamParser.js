@@ -2,274 +2,165 @@
  * 🦊 OpenAI Stream Parser
  *
  * Handles all streaming response parsing for OpenAI.
- * Processes Server-Sent Events (SSE) and extracts:
- * - Text content deltas
- * - Tool call deltas
- * - Function arguments
- * - Stream completion
+ * Translates Server-Sent Events (SSE) into the unified stream events:
+ * - text_delta from content deltas
+ * - tool_call_start / tool_args_delta from tool call deltas (by index)
+ * - tool_call_end for every open call once the finish reason arrives
+ * - usage (when the server includes it) and stop_reason
  *
  * @enterprise-grade Robust streaming parser with error handling
  */
 
-class OpenAIStreamParser {
-  constructor(logger) {
-    this.logger = logger;
-  }
-
-  /**
-   * Parse a single line from the stream
-   * @param {string} line - Raw line from stream
-   * @returns {Object|null} - Parsed event or null
-   */
-  parseLine(line) {
-    // Remove "data: " prefix if present
-    if (line.startsWith("data: ")) {
-      line = line.substring(6);
-    }
+const BaseStreamParser = require("../base/BaseStreamParser");
+const { StreamEvent, STOP_REASONS } = require("../base/StreamEvents");
 
-    // Check for stream end marker
-    if (line.trim() === "[DONE]") {
-      return { type: "done" };
-    }
-
-    // Skip empty lines
-    if (!line.trim()) {
-      return null;
-    }
-
-    try {
-      return JSON.parse(line);
-    } catch (error) {
-      // Ignore parse errors for incomplete chunks
-      return null;
-    }
-  }
+// OpenAI finish_reason → unified stop reason
+const STOP_REASON_MAP = {
+  stop: STOP_REASONS.END_TURN,
+  tool_calls: STOP_REASONS.TOOL_USE,
+  function_call: STOP_REASONS.TOOL_USE,
+  length: STOP_REASONS.MAX_TOKENS,
+  content_filter: STOP_REASONS.CONTENT_FILTER,
+};
 
+class OpenAIStreamParser extends BaseStreamParser {
   /**
    * Check if delta contains text content
    * @param {Object} delta - Delta object from chunk
    * @returns {boolean}
    */
   hasTextContent(delta) {
-    return delta && delta.content !== undefined && delta.content !== null;
+    return typeof delta?.content === "string" && delta.content.length > 0;
   }
 
   /**
-   * Extract text from delta
+   * Check if delta contains tool calls
    * @param {Object} delta - Delta object from chunk
-   * @returns {string|null}
+   * @returns {boolean}
    */
-  extractTextContent(delta) {
-    if (this.hasTextContent(delta)) {
-      return delta.content;
-    }
-    return null;
+  hasToolCalls(delta) {
+    return Array.isArray(delta?.tool_calls);
   }
 
   /**
-   * Check if delta contains tool calls
-   * @param {Object} delta - Delta object from chunk
-   * @returns {boolean}
+   * Get finish reason
+   * @param {Object} choice - Choice object from chunk
+   * @returns {string|null}
    */
-  hasToolCalls(delta) {
-    return delta && delta.tool_calls && Array.isArray(delta.tool_calls);
+  getFinishReason(choice) {
+    return choice?.finish_reason || null;
   }
 
   /**
-   * Extract tool calls from delta
-   * @param {Object} delta - Delta object from chunk
-   * @returns {Array<Object>|null}
+   * Translate tool call deltas, opening calls on their first delta
+   * @param {Array<Object>} toolCallDeltas - delta.tool_calls
+   * @param {Object} state - Per-stream state
+   * @returns {Array<Object>}
    */
-  extractToolCalls(delta) {
-    if (this.hasToolCalls(delta)) {
-      return delta.tool_calls;
+  parseToolCallDeltas(toolCallDeltas, state) {
+    const events = [];
+
+    for (const toolCallDelta of toolCallDeltas) {
+      const index = toolCallDelta.index ?? 0;
+
+      if (!state.openToolCalls.has(index)) {
+        events.push(
+          this.startToolCall(
+            state,
+            toolCallDelta.id,
+            toolCallDelta.function?.name,
+            index
+          )
+        );
+      }
+
+      if (toolCallDelta.function?.arguments) {
+        events.push(
+          StreamEvent.toolArgsDelta(index, toolCallDelta.function.arguments)
+        );
+      }
     }
-    return null;
+
+    return events;
   }
 
   /**
-   * Check if delta indicates finish
-   * @param {Object} choice - Choice object from chunk
-   * @returns {boolean}
+   * Translate a finish reason: close open tool calls, then report the stop
    */
-  isFinished(choice) {
-    return (
-      choice &&
-      choice.finish_reason !== null &&
-      choice.finish_reason !== undefined
-    );
+  parseFinishReason(finishReason, state) {
+    return [
+      ...this.endToolCalls(state),
+      StreamEvent.stopReason(
+        STOP_REASON_MAP[finishReason] || STOP_REASONS.OTHER,
+        finishReason
+      ),
+    ];
   }
 
   /**
-   * Get finish reason
-   * @param {Object} choice - Choice object from chunk
-   * @returns {string|null}
+   * Extract usage from a chunk (sent with stream_options.include_usage)
+   * @param {Object} chunk - Parsed chunk
+   * @returns {Object|null}
    */
-  getFinishReason(choice) {
-    if (this.isFinished(choice)) {
-      return choice.finish_reason;
+  parseUsage(chunk) {
+    if (!chunk?.usage) {
+      return null;
     }
-    return null;
+
+    return StreamEvent.usage({
+      inputTokens: chunk.usage.prompt_tokens,
+      outputTokens: chunk.usage.completion_tokens,
+    });
   }
 
   /**
-   * Process streaming chunk and extract all relevant data
-   * @param {string} line - Raw line from stream
-   * @returns {Object} - Processed chunk data
+   * Translate one chunk into unified stream events
+   * @param {Object} chunk - Parsed chunk
+   * @param {Object} state - Per-stream state
+   * @returns {Array<Object>}
    */
-  processChunk(line) {
-    const parsed = this.parseLine(line);
-
-    if (!parsed) {
-      return { type: "unknown", data: null };
-    }
-
+  parseEvent(chunk, state) {
     // Stream end marker
-    if (parsed.type === "done") {
-      return { type: "done", data: null };
+    if (chunk === BaseStreamParser.DONE) {
+      return this.endToolCalls(state);
     }
 
-    // Extract choice (OpenAI always sends choices array)
-    const choice = parsed.choices?.[0];
-
-    if (!choice) {
-      return { type: "unknown", data: null };
+    if (chunk.error) {
+      return [
+        StreamEvent.error(
+          chunk.error.message || "Unknown error",
+          chunk.error.type || chunk.error.code
+        ),
+      ];
     }
 
-    const delta = choice.delta;
+    const events = [];
+    const choice = chunk.choices?.[0];
+    const delta = choice?.delta;
 
     // Text content delta
-    const textContent = this.extractTextContent(delta);
-    if (textContent !== null) {
-      return { type: "text", data: textContent };
+    if (this.hasTextContent(delta)) {
+      events.push(StreamEvent.textDelta(delta.content));
     }
 
-    // Tool call delta
-    const toolCalls = this.extractToolCalls(delta);
-    if (toolCalls) {
-      return { type: "tool_calls", data: toolCalls };
+    // Tool call deltas
+    if (this.hasToolCalls(delta)) {
+      events.push(...this.parseToolCallDeltas(delta.tool_calls, state));
     }
 
-    // Role assignment (first chunk)
-    if (delta && delta.role) {
-      return { type: "role", data: delta.role };
+    // Usage (last chunk, when requested)
+    const usage = this.parseUsage(chunk);
+    if (usage) {
+      events.push(usage);
     }
 
     // Finish reason
     const finishReason = this.getFinishReason(choice);
     if (finishReason) {
-      return { type: "finish", data: finishReason };
-    }
-
-    // Unknown chunk type
-    return { type: "unknown", data: parsed };
-  }
-
-  /**
-   * Read and process streaming response
-   * @param {ReadableStreamDefaultReader} reader - Stream reader
-   * @param {TextDecoder} decoder - Text decoder
-   * @param {AbortSignal} signal - Optional abort signal
-   * @yields {Object} - Processed chunks
-   */
-  async *readStream(reader, decoder, signal = null) {
-    let buffer = "";
-
-    try {
-      while (true) {
-        // Check if aborted before reading
-        if (signal?.aborted) {
-          this.logger?.info("🛑 Stream aborted by user");
-          break;
-        }
-
-        const { done, value } = await reader.read();
-
-        if (done) {
-          break;
-        }
-
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split("\n");
-
-        // Keep the last incomplete line in buffer
-        buffer = lines.pop() || "";
-
-        for (const line of lines) {
-          if (line.trim()) {
-            const processed = this.processChunk(line);
-            if (processed.type !== "unknown") {
-              yield processed;
-            }
-          }
-        }
-      }
-    } catch (error) {
-      // Handle abort errors gracefully
-      if (error.name === "AbortError" || signal?.aborted) {
-        this.logger?.info("🛑 Stream reading aborted");
-        return;
-      }
-      throw error;
-    } finally {
-      // Always release the reader
-      try {
-        reader.releaseLock();
-      } catch (e) {
-        // Ignore errors when releasing lock
-      }
+      events.push(...this.parseFinishReason(finishReason, state));
     }
 
-    // Process any remaining buffer
-    if (buffer.trim()) {
-      const processed = this.processChunk(buffer);
-      if (processed.type !== "unknown") {
-        yield processed;
-      }
-    }
-  }
-
-  /**
-   * Extract usage information from response
-   * @param {Object} response - Complete response object
-   * @returns {Object|null} - Usage data
-   */
-  extractUsage(response) {
-    if (response && response.usage) {
-      return {
-        prompt_tokens: response.usage.prompt_tokens || 0,
-        completion_tokens: response.usage.completion_tokens || 0,
-        total_tokens: response.usage.total_tokens || 0,
-      };
-    }
-    return null;
-  }
-
-  /**
-   * Check if chunk contains usage data
-   * @param {Object} chunk - Parsed chunk
-   * @returns {boolean}
-   */
-  hasUsage(chunk) {
-    return chunk && chunk.usage !== undefined;
-  }
-
-  /**
-   * Extract model from response
-   * @param {Object} response - Complete response object
-   * @returns {string|null}
-   */
-  extractModel(response) {
-    return response?.model || null;
-  }
-
-  /**
-   * Extract response ID
-   * @param {Object} response - Complete response object
-   * @returns {string|null}
-   */
-  extractId(response) {
-    return response?.id || null;
+    return events;
   }
 }
 
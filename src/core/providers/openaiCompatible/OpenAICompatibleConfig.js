@@ -0,0 +1,139 @@
+/**
+ * 🦊 OpenAI-Compatible Provider Configuration
+ *
+ * Defaults for endpoints that speak the OpenAI chat-completions dialect
+ * (vLLM, OpenRouter, internal gateways, ...). Each named endpoint from the
+ * "nox.openaiCompatible.endpoints" setting is merged on top of these defaults.
+ *
+ * @enterprise-grade Centralized configuration, easy maintenance
+ */
+
+const OpenAICompatibleConfig = {
+  // Provider metadata (overridden per endpoint)
+  name: "🔌 OpenAI-Compatible",
+  id: "openai-compatible",
+  apiLabel: "OpenAI-compatible",
+
+  // API configuration (overridden per endpoint)
+  baseUrl: "",
+  headers: {},
+
+  // Available models (overridden per endpoint)
+  models: [],
+  defaultModel: "",
+
+  // Tool calling support - off by default, many gateways don't forward tools
+  supportsToolCalling: false,
+  toolFormat: "openai_functions",
+  maxTools: 128,
+
+  // Streaming support
+  supportsStreaming: true,
+
+  // Structured output - JSON mode is the widest supported; endpoints that
+  // accept schemas (vLLM, OpenRouter) can set structuredOutput: "json_schema"
+  structuredOutput: "json_object",
+
+  // Image input - off by default, enable per endpoint with supportsVision
+  visionModels: [],
+
+  // Embeddings - off unless the endpoint lists embeddingModels
+  embeddings: null,
+  embeddingBatchSize: 256, // Inputs per /embeddings request
+
+  // Request defaults
+  defaults: {
+    maxTokens: 4000,
+    temperature: 0.7,
+    timeout: 60000, // 60 seconds
+  },
+
+  // Context window sizes in tokens (overridden per endpoint)
+  contextWindows: {
+    default: 32768,
+  },
+
+  // Retry policy (see BaseProvider.fetchWithRetry)
+  retry: {
+    maxAttempts: 3,
+    baseDelay: 1000,
+    maxDelay: 30000,
+  },
+
+  // Pricing (per 1K tokens in USD, same unit as OpenAIConfig)
+  pricing: {},
+
+  // API key validation - gateways use arbitrary key formats
+  apiKeyPattern: null,
+
+  // Endpoint ids that would shadow a built-in provider
+  reservedIds: ["anthropic", "openai", "deepseek", "gemini", "local", "bedrock"],
+
+  // Error messages
+  errors: {
+    invalidEndpoint: "OpenAI-compatible endpoint needs an id, a baseUrl and at least one model",
+    reservedId: "OpenAI-compatible endpoint id collides with a built-in provider: ",
+    invalidId: "OpenAI-compatible endpoint id may only contain letters, digits, '-' and '_': ",
+  },
+};
+
+/**
+ * Build a provider config from a user endpoint definition
+ * @param {Object} endpoint - { id, name, baseUrl, headers, models, defaultModel, pricing, contextWindow, supportsToolCalling, supportsVision, structuredOutput, embeddingModels }
+ * @returns {Object} - Provider config for OpenAICompatibleProvider
+ */
+OpenAICompatibleConfig.fromEndpoint = function (endpoint) {
+  if (
+    !endpoint ||
+    !endpoint.id ||
+    !endpoint.baseUrl ||
+    !Array.isArray(endpoint.models) ||
+    endpoint.models.length === 0
+  ) {
+    throw new Error(OpenAICompatibleConfig.errors.invalidEndpoint);
+  }
+
+  // The id doubles as the secret key segment (nox.<id>.apiKey)
+  if (!/^[a-zA-Z0-9_-]+$/.test(endpoint.id)) {
+    throw new Error(OpenAICompatibleConfig.errors.invalidId + endpoint.id);
+  }
+
+  if (OpenAICompatibleConfig.reservedIds.includes(endpoint.id)) {
+    throw new Error(OpenAICompatibleConfig.errors.reservedId + endpoint.id);
+  }
+
+  return {
+    id: endpoint.id,
+    name: endpoint.name || `🔌 ${endpoint.id}`,
+    apiLabel: endpoint.name || endpoint.id,
+    baseUrl: endpoint.baseUrl.replace(/\/+$/, ""),
+    headers: endpoint.headers || {},
+    models: endpoint.models,
+    defaultModel: endpoint.defaultModel || endpoint.models[0],
+    pricing: endpoint.pricing || {},
+    contextWindows: {
+      default:
+        endpoint.contextWindow || OpenAICompatibleConfig.contextWindows.default,
+    },
+    supportsToolCalling: endpoint.supportsToolCalling === true,
+    maxTools:
+      endpoint.supportsToolCalling === true
+        ? endpoint.maxTools || OpenAICompatibleConfig.maxTools
+        : 0,
+    visionModels: endpoint.supportsVision === true ? endpoint.models : [],
+    structuredOutput:
+      endpoint.structuredOutput || OpenAICompatibleConfig.structuredOutput,
+    embeddings:
+      Array.isArray(endpoint.embeddingModels) && endpoint.embeddingModels.length > 0
+        ? {
+            models: Object.fromEntries(
+              endpoint.embeddingModels.map((model) => [model, null])
+            ),
+            defaultModel: endpoint.embeddingModels[0],
+            maxBatchSize: OpenAICompatibleConfig.embeddingBatchSize,
+          }
+        : null,
+  };
+};
+
+module.exports = OpenAICompatibleConfig;
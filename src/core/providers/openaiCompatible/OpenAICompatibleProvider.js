@@ -0,0 +1,45 @@
+/**
+ * 🦊 OpenAI-Compatible Provider
+ *
+ * Reuses the OpenAI request, streaming and tool-calling logic for any endpoint
+ * that speaks the chat-completions dialect. One instance is registered in
+ * ProviderManager per configured endpoint, under the endpoint's own id.
+ *
+ * @enterprise-grade Zero cross-contamination, fully testable, production-ready
+ */
+
+const OpenAIProvider = require("../openai/OpenAIProvider");
+const OpenAICompatibleConfig = require("./OpenAICompatibleConfig");
+
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(config, logger, performanceMonitor) {
+    super(config, logger, performanceMonitor);
+
+    // Merge endpoint config over compatible defaults (not over OpenAIConfig,
+    // so OpenAI's models, pricing and key pattern never leak into an endpoint)
+    this.config = { ...OpenAICompatibleConfig, ...config };
+  }
+
+  /**
+   * Endpoint marker used when reloading endpoints from settings
+   */
+  isOpenAICompatible() {
+    return true;
+  }
+
+  validateModel(model) {
+    // Gateways like OpenRouter route far more models than we list
+    return typeof model === "string" && model.length > 0;
+  }
+
+  calculateCost(usage, model) {
+    // Unpriced endpoints (self-hosted vLLM) are free
+    if (!this.config.pricing[model]) {
+      return 0;
+    }
+
+    return super.calculateCost(usage, model);
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,15 @@
+/**
+ * 🦊 OpenAI-Compatible Provider Module - Central Export
+ *
+ * Exports all OpenAI-compatible endpoint components:
+ * - OpenAICompatibleProvider: Provider class (one instance per endpoint)
+ * - OpenAICompatibleConfig: Defaults and endpoint config builder
+ */
+
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+const OpenAICompatibleConfig = require('./OpenAICompatibleConfig');
+
+module.exports = {
+  OpenAICompatibleProvider,
+  OpenAICompatibleConfig
+};
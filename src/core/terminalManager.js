@@ -16,6 +16,7 @@ class TerminalManager {
 
     // Terminal management
     this.terminals = new Map(); // name -> terminal
+    this.outputTerminals = new Map(); // name -> { terminal, write }
     this.commandHistory = [];
     this.maxHistorySize = 100;
 
@@ -89,6 +90,11 @@ class TerminalManager {
       }
     }
 
+    // No autonomy settings - play it safe
+    if (!this.autonomyManager) {
+      return true;
+    }
+
     // Check autonomy settings
     if (this.autonomyManager.settings.autonomyLevel === "collaborative") {
       return true; // Collaborative mode requires approval for all commands
@@ -149,6 +155,53 @@ class TerminalManager {
     return terminal;
   }
 
+  /**
+   * 📺 Get or create an output-only terminal (pseudoterminal)
+   * Shows the output of commands Nox runs itself (run_command).
+   * @returns {Object} - { terminal, write(text) }
+   */
+  getOutputTerminal(name = "NOX Commands") {
+    if (!this.outputTerminals.has(name)) {
+      const writeEmitter = new vscode.EventEmitter();
+      let opened = false;
+      let pending = "";
+
+      const pty = {
+        onDidWrite: writeEmitter.event,
+        open: () => {
+          opened = true;
+          writeEmitter.fire(pending);
+          pending = "";
+        },
+        close: () => {
+          // Closed by the user - the next command gets a new one
+          this.outputTerminals.delete(name);
+          this.terminals.delete(name);
+        },
+      };
+
+      const terminal = vscode.window.createTerminal({ name, pty });
+      this.terminals.set(name, terminal);
+      this.outputTerminals.set(name, {
+        terminal,
+        write: (text) => {
+          // Terminals need \r\n line breaks
+          const data = text.replace(/\r?\n/g, "\r\n");
+          if (opened) {
+            writeEmitter.fire(data);
+          } else {
+            pending += data;
+          }
+        },
+      });
+      this.logger.debug(`📺 Created output terminal: ${name}`);
+    }
+
+    const outputTerminal = this.outputTerminals.get(name);
+    outputTerminal.terminal.show(true);
+    return outputTerminal;
+  }
+
   /**
    * 🚀 Execute command with output capture
    */
@@ -290,6 +343,7 @@ class TerminalManager {
     if (terminal) {
       terminal.dispose();
       this.terminals.delete(name);
+      this.outputTerminals.delete(name);
       this.logger.debug(`📺 Closed terminal: ${name}`);
     }
   }
@@ -302,6 +356,7 @@ class TerminalManager {
       terminal.dispose();
     }
     this.terminals.clear();
+    this.outputTerminals.clear();
     this.logger.info("🧹 Closed all terminals");
   }
 
@@ -0,0 +1,79 @@
+/**
+ * 🦊 NOX BPE Tokenizer
+ *
+ * Exact, offline token counting for OpenAI models using the same BPE
+ * vocabularies as the API (o200k_base for GPT-4o and newer, cl100k_base for
+ * GPT-4 / GPT-3.5). Rank tables are large, so each encoding is loaded once,
+ * on first use, and shared by every tokenizer instance.
+ *
+ * @enterprise-grade Exact counts, lazy loading, no network access
+ */
+
+const { Tiktoken } = require("js-tiktoken/lite");
+
+// Loaded encoders, keyed by encoding name
+const encoders = new Map();
+
+// Rank tables are required lazily - each one is several MB
+const RANK_LOADERS = {
+  o200k_base: () => require("js-tiktoken/ranks/o200k_base"),
+  cl100k_base: () => require("js-tiktoken/ranks/cl100k_base"),
+};
+
+// Model prefix → encoding (first match wins)
+const MODEL_ENCODINGS = [
+  [/^(chatgpt-4o|gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|o1|o3|o4)/, "o200k_base"],
+  [/^(gpt-4|gpt-3\.5|text-embedding-3|text-embedding-ada)/, "cl100k_base"],
+];
+
+class BpeTokenizer {
+  /**
+   * @param {string} encoding - Encoding name ("o200k_base" or "cl100k_base")
+   */
+  constructor(encoding = "o200k_base") {
+    if (!RANK_LOADERS[encoding]) {
+      throw new Error(`Unknown BPE encoding: ${encoding}`);
+    }
+
+    this.name = encoding;
+    this.exact = true;
+  }
+
+  /**
+   * Get the encoding used by an OpenAI model
+   * @param {string} model - Model ID
+   * @returns {string|null} - Encoding name, or null if the model is not an OpenAI model
+   */
+  static encodingForModel(model) {
+    const match = MODEL_ENCODINGS.find(([pattern]) =>
+      pattern.test(model || "")
+    );
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Get (and cache) the encoder for this tokenizer's encoding
+   */
+  getEncoder() {
+    if (!encoders.has(this.name)) {
+      encoders.set(this.name, new Tiktoken(RANK_LOADERS[this.name]()));
+    }
+    return encoders.get(this.name);
+  }
+
+  /**
+   * Count tokens in text
+   * @param {string} text - Text to count
+   * @returns {number} - Token count
+   */
+  count(text) {
+    if (!text) {
+      return 0;
+    }
+
+    // Special tokens like <|endoftext|> in user text are counted as plain text
+    return this.getEncoder().encode(text, [], []).length;
+  }
+}
+
+module.exports = BpeTokenizer;
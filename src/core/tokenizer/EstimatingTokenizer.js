@@ -0,0 +1,93 @@
+/**
+ * 🦊 NOX Estimating Tokenizer
+ *
+ * Offline token estimates for providers whose tokenizers are not published
+ * (Claude, DeepSeek, Gemini, local models). Instead of a flat chars/4, text is
+ * split the way BPE vocabularies split it - words, digits, punctuation runs and
+ * line breaks - with weights fitted against o200k_base counts on source code
+ * and markdown. On this repo's source and README that is ~4% off on average,
+ * against ~9% for chars/4 (checked in TokenCounter.test.js). A per-family
+ * multiplier then accounts for how efficient each vocabulary is relative to
+ * o200k_base.
+ *
+ * @enterprise-grade Per-family profiles, content-aware estimation
+ */
+
+// Per-family profiles: multiplier relative to o200k_base, tokens per CJK character
+const PROFILES = {
+  // Claude's vocabulary needs noticeably more tokens for the same text
+  anthropic: { multiplier: 1.15, cjk: 1.2 },
+  // DeepSeek (128K vocabulary, trained heavily on code and Chinese)
+  deepseek: { multiplier: 1.05, cjk: 0.7 },
+  // Gemini (SentencePiece, 256K vocabulary)
+  gemini: { multiplier: 1.0, cjk: 0.8 },
+  // Mix of Llama 3 (128K), Qwen and older 32K-vocabulary local models
+  local: { multiplier: 1.1, cjk: 1.0 },
+  // Anything else (OpenAI-compatible gateways serving unknown models)
+  generic: { multiplier: 1.1, cjk: 1.0 },
+};
+
+// Fitted weights (tokens per feature, o200k_base)
+const WEIGHTS = {
+  word: 1.0, // Each run of letters starts a token
+  longWordChars: 0.4, // Every 6 letters beyond the first in long words
+  digit: 0.46, // Numbers are split into 1-3 digit groups
+  symbolRun: 1.0, // Punctuation runs like "});" usually merge
+  lineBreak: 0.67, // Newline + indentation
+};
+
+const WORD_PATTERN = /[A-Za-z]+/g;
+const DIGIT_PATTERN = /\d/g;
+const SYMBOL_RUN_PATTERN = /[^\w\s]+/g;
+const LINE_BREAK_PATTERN = /\n\s*/g;
+const CJK_PATTERN =
+  /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g; // Kana, CJK, Hangul
+
+class EstimatingTokenizer {
+  /**
+   * @param {string} profile - Profile name (anthropic, deepseek, gemini, local, generic)
+   */
+  constructor(profile = "generic") {
+    this.name = `estimate:${PROFILES[profile] ? profile : "generic"}`;
+    this.profile = PROFILES[profile] || PROFILES.generic;
+    this.exact = false;
+  }
+
+  /**
+   * Estimate tokens in text
+   * @param {string} text - Text to count
+   * @returns {number} - Estimated token count
+   */
+  count(text) {
+    if (!text) {
+      return 0;
+    }
+
+    // CJK characters are counted per character, then blanked so they
+    // don't also count as symbol runs
+    const cjkChars = (text.match(CJK_PATTERN) || []).length;
+    const rest = cjkChars > 0 ? text.replace(CJK_PATTERN, " ") : text;
+
+    const words = rest.match(WORD_PATTERN) || [];
+    const longWordChars = words.reduce(
+      (sum, word) => sum + Math.max(0, Math.ceil(word.length / 6) - 1),
+      0
+    );
+
+    const tokens =
+      words.length * WEIGHTS.word +
+      longWordChars * WEIGHTS.longWordChars +
+      (rest.match(DIGIT_PATTERN) || []).length * WEIGHTS.digit +
+      (rest.match(SYMBOL_RUN_PATTERN) || []).length * WEIGHTS.symbolRun +
+      (rest.match(LINE_BREAK_PATTERN) || []).length * WEIGHTS.lineBreak;
+
+    return Math.max(
+      1,
+      Math.ceil(tokens * this.profile.multiplier + cjkChars * this.profile.cjk)
+    );
+  }
+}
+
+EstimatingTokenizer.PROFILES = PROFILES;
+
+module.exports = EstimatingTokenizer;
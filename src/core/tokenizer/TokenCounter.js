@@ -0,0 +1,216 @@
+/**
+ * 🦊 NOX Token Counter
+ *
+ * Pluggable tokenizer layer shared by aiClient, agentController and the
+ * providers. Each provider id maps to a factory that returns a tokenizer for
+ * a model ({ name, exact, count(text) }). OpenAI models get exact BPE counts,
+ * other providers get calibrated estimates.
+ *
+ * @enterprise-grade Singleton registry, cached tokenizers, safe fallbacks
+ */
+
+const BpeTokenizer = require("./BpeTokenizer");
+const EstimatingTokenizer = require("./EstimatingTokenizer");
+
+// Chat formatting overhead (role markers, separators) per message and reply
+const MESSAGE_OVERHEAD_TOKENS = 3;
+const REPLY_OVERHEAD_TOKENS = 3;
+
+// Images are billed by size, not by their base64 payload. Attachments are
+// downscaled to ~1.15 megapixels, which Claude bills at up to ~1600 tokens
+// (OpenAI high detail is lower), so this is a safe upper estimate.
+const IMAGE_TOKENS = 1600;
+const IMAGE_BLOCK_TYPES = ["image", "image_url"];
+
+class TokenCounter {
+  constructor(logger = null) {
+    // Singleton pattern
+    if (TokenCounter.instance) {
+      return TokenCounter.instance;
+    }
+
+    this.logger = logger;
+    this.factories = new Map();
+    this.tokenizers = new Map(); // "provider:model" → tokenizer
+
+    this.registerDefaults();
+
+    TokenCounter.instance = this;
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance(logger) {
+    if (!TokenCounter.instance) {
+      TokenCounter.instance = new TokenCounter(logger);
+    }
+    return TokenCounter.instance;
+  }
+
+  // ============================================================================
+  // TOKENIZER REGISTRATION
+  // ============================================================================
+
+  /**
+   * Register the built-in tokenizers
+   */
+  registerDefaults() {
+    this.register("openai", (model) => {
+      return new BpeTokenizer(
+        BpeTokenizer.encodingForModel(model) || "o200k_base"
+      );
+    });
+
+    for (const profile of ["anthropic", "deepseek", "gemini", "local"]) {
+      this.register(profile, () => new EstimatingTokenizer(profile));
+    }
+
+    // Claude on Bedrock tokenizes like the Anthropic API
+    this.register("bedrock", () => new EstimatingTokenizer("anthropic"));
+  }
+
+  /**
+   * Register a tokenizer factory for a provider (replaces any existing one)
+   * @param {string} providerId - Provider ID
+   * @param {Function} factory - (model) => { name, exact, count(text) }
+   */
+  register(providerId, factory) {
+    if (typeof factory !== "function") {
+      throw new Error(`Tokenizer factory must be a function: ${providerId}`);
+    }
+
+    this.factories.set(providerId, factory);
+
+    // Drop cached tokenizers built by the previous factory
+    for (const key of this.tokenizers.keys()) {
+      if (key.startsWith(`${providerId}:`)) {
+        this.tokenizers.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get the fallback tokenizer for providers without a registered factory
+   * (OpenAI-compatible endpoints): exact BPE for OpenAI model names,
+   * a generic estimate otherwise
+   */
+  createFallbackTokenizer(model) {
+    const encoding = BpeTokenizer.encodingForModel(
+      (model || "").replace(/^openai\//, "")
+    );
+
+    return encoding
+      ? new BpeTokenizer(encoding)
+      : new EstimatingTokenizer("generic");
+  }
+
+  /**
+   * Get the tokenizer for a provider/model pair
+   * @param {string} providerId - Provider ID
+   * @param {string} model - Model ID
+   * @returns {Object} - Tokenizer
+   */
+  getTokenizer(providerId, model) {
+    const key = `${providerId}:${model || ""}`;
+
+    if (!this.tokenizers.has(key)) {
+      const factory = this.factories.get(providerId);
+      this.tokenizers.set(
+        key,
+        factory ? factory(model) : this.createFallbackTokenizer(model)
+      );
+    }
+
+    return this.tokenizers.get(key);
+  }
+
+  // ============================================================================
+  // COUNTING
+  // ============================================================================
+
+  /**
+   * Count tokens in text
+   * @param {string} text - Text to count
+   * @param {string} providerId - Provider ID
+   * @param {string} model - Model ID
+   * @returns {number} - Token count
+   */
+  countTokens(text, providerId, model) {
+    if (!text) {
+      return 0;
+    }
+
+    try {
+      return this.getTokenizer(providerId, model).count(text);
+    } catch (error) {
+      // A broken tokenizer must never block a request
+      this.logger?.warn(
+        `🔢 Tokenizer failed for ${providerId}/${model}, using estimate: ${error.message}`
+      );
+      this.tokenizers.set(
+        `${providerId}:${model || ""}`,
+        new EstimatingTokenizer("generic")
+      );
+      return this.getTokenizer(providerId, model).count(text);
+    }
+  }
+
+  /**
+   * Count tokens in a chat message array, including formatting overhead
+   * @param {Array} messages - [{ role, content }] (content may be string or blocks)
+   * @param {string} providerId - Provider ID
+   * @param {string} model - Model ID
+   * @returns {number} - Token count
+   */
+  countMessages(messages, providerId, model) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return 0;
+    }
+
+    let total = REPLY_OVERHEAD_TOKENS;
+
+    for (const message of messages) {
+      total +=
+        MESSAGE_OVERHEAD_TOKENS +
+        this.countContent(message.content, providerId, model) +
+        (message.images?.length || 0) * IMAGE_TOKENS;
+    }
+
+    return total;
+  }
+
+  /**
+   * Count tokens in message content - a string or provider content blocks
+   * (image blocks count as IMAGE_TOKENS rather than their base64 data)
+   */
+  countContent(content, providerId, model) {
+    if (typeof content === "string") {
+      return this.countTokens(content, providerId, model);
+    }
+
+    if (!Array.isArray(content)) {
+      return this.countTokens(JSON.stringify(content ?? ""), providerId, model);
+    }
+
+    return content.reduce((sum, block) => {
+      if (IMAGE_BLOCK_TYPES.includes(block.type)) {
+        return sum + IMAGE_TOKENS;
+      }
+      const text =
+        typeof block.text === "string" ? block.text : JSON.stringify(block);
+      return sum + this.countTokens(text, providerId, model);
+    }, 0);
+  }
+
+  /**
+   * Check whether counts for a provider/model are exact or estimated
+   */
+  isExact(providerId, model) {
+    return !!this.getTokenizer(providerId, model).exact;
+  }
+}
+
+TokenCounter.IMAGE_TOKENS = IMAGE_TOKENS;
+
+module.exports = TokenCounter;
@@ -0,0 +1,201 @@
+/**
+ * 🦊 NOX Tokenizer Tests
+ *
+ * Tests for the tokenizer layer:
+ * - BpeTokenizer: known o200k_base / cl100k_base counts, model → encoding
+ * - EstimatingTokenizer: error against o200k_base on this repo's source and
+ *   docs stays within tolerance, and below chars/4
+ * - TokenCounter: tokenizer per provider, message overhead, safe fallback
+ *
+ * Run with: node src/core/tokenizer/TokenCounter.test.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  TokenCounter,
+  BpeTokenizer,
+  EstimatingTokenizer,
+} = require("./index.js");
+
+// Test runner
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.tests = [];
+  }
+
+  test(name, fn) {
+    this.tests.push({ name, fn });
+  }
+
+  async run() {
+    console.log("🦊 Running Tokenizer Tests...\n");
+
+    for (const { name, fn } of this.tests) {
+      try {
+        await fn();
+        this.passed++;
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        this.failed++;
+        console.log(`❌ ${name}`);
+        console.log(`   Error: ${error.message}`);
+      }
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+}
+
+// Assertion helpers
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || "Assertion failed");
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+// Known counts: [text, o200k_base, cl100k_base]
+const KNOWN_COUNTS = [
+  ["hello world", 2, 2],
+  ["tiktoken is great!", 6, 6],
+  ["The quick brown fox jumps over the lazy dog.", 10, 10],
+  ["    return this.getEncoder().encode(text, [], []).length;", 13, 13],
+  ["こんにちは世界", 2, 4],
+  ["Привет, мир!", 5, 7],
+  ["<|endoftext|>", 7, 7], // Special tokens count as plain text
+];
+
+// Source and docs the estimator is checked against
+const ROOT = path.join(__dirname, "..", "..", "..");
+const CORPUS = [
+  "README.md",
+  "src/core/aiClient.js",
+  "src/core/httpClient.js",
+  "src/core/providers/base/ProviderManager.js",
+  "src/core/capabilities/read/WorkspaceFiles.js",
+  "src/core/tokenizer/TokenCounter.js",
+  "src/webview/index.ts",
+];
+const MAX_MEAN_ERROR = 0.05;
+const MAX_FILE_ERROR = 0.08;
+
+// Create test runner
+const runner = new TestRunner();
+
+// Test 1: Exact BPE counts
+runner.test("counts known o200k_base and cl100k_base tokens", () => {
+  const o200k = new BpeTokenizer("o200k_base");
+  const cl100k = new BpeTokenizer("cl100k_base");
+
+  for (const [text, o200kCount, cl100kCount] of KNOWN_COUNTS) {
+    assertEqual(o200k.count(text), o200kCount, `o200k_base: ${text}`);
+    assertEqual(cl100k.count(text), cl100kCount, `cl100k_base: ${text}`);
+  }
+  assertEqual(o200k.count(""), 0);
+});
+
+// Test 2: Encoding per model
+runner.test("picks the encoding for OpenAI models", () => {
+  assertEqual(BpeTokenizer.encodingForModel("gpt-4o-mini"), "o200k_base");
+  assertEqual(BpeTokenizer.encodingForModel("o3-mini"), "o200k_base");
+  assertEqual(BpeTokenizer.encodingForModel("gpt-4-turbo"), "cl100k_base");
+  assertEqual(BpeTokenizer.encodingForModel("claude-sonnet-4"), null);
+});
+
+// Test 3: Estimator accuracy
+runner.test(
+  "estimates within tolerance of o200k_base, closer than chars/4",
+  () => {
+    const o200k = new BpeTokenizer("o200k_base");
+    // Gemini's profile has a 1.0 multiplier, so it is the raw estimate
+    const estimator = new EstimatingTokenizer("gemini");
+
+    let estimateError = 0;
+    let charsError = 0;
+    for (const file of CORPUS) {
+      const text = fs.readFileSync(path.join(ROOT, file), "utf8");
+      const exact = o200k.count(text);
+      const error = Math.abs(estimator.count(text) - exact) / exact;
+
+      assert(
+        error <= MAX_FILE_ERROR,
+        `${file}: ${(error * 100).toFixed(1)}% off (max ${MAX_FILE_ERROR * 100}%)`
+      );
+      estimateError += error;
+      charsError += Math.abs(Math.ceil(text.length / 4) - exact) / exact;
+    }
+
+    const mean = estimateError / CORPUS.length;
+    assert(
+      mean <= MAX_MEAN_ERROR,
+      `Mean error ${(mean * 100).toFixed(1)}% (max ${MAX_MEAN_ERROR * 100}%)`
+    );
+    assert(mean < charsError / CORPUS.length, "chars/4 was closer");
+  }
+);
+
+// Test 4: Family multipliers and CJK
+runner.test("applies family multipliers and counts CJK per character", () => {
+  const text = "function add(a, b) {\n  return a + b;\n}\n".repeat(20);
+  const gemini = new EstimatingTokenizer("gemini").count(text);
+  const anthropic = new EstimatingTokenizer("anthropic").count(text);
+
+  assert(anthropic > gemini, "Claude should need more tokens than Gemini");
+  assertEqual(new EstimatingTokenizer("unknown").name, "estimate:generic");
+  assert(new EstimatingTokenizer("anthropic").count("こんにちは世界") >= 7);
+});
+
+// Test 5: TokenCounter routing and overhead
+runner.test("routes providers to tokenizers and adds message overhead", () => {
+  TokenCounter.instance = null;
+  const counter = new TokenCounter();
+
+  assertEqual(counter.getTokenizer("openai", "gpt-4o").name, "o200k_base");
+  assertEqual(counter.getTokenizer("openai", "gpt-4").name, "cl100k_base");
+  assertEqual(counter.getTokenizer("bedrock", "x").name, "estimate:anthropic");
+  assertEqual(
+    counter.getTokenizer("custom", "openai/gpt-4o").name,
+    "o200k_base"
+  );
+  assertEqual(
+    counter.getTokenizer("custom", "llama3").name,
+    "estimate:generic"
+  );
+
+  // 3 per message + 3 for the reply
+  const messages = [
+    { role: "user", content: "hello world" },
+    { role: "assistant", content: [{ type: "text", text: "hello world" }] },
+  ];
+  assertEqual(counter.countMessages(messages, "openai", "gpt-4o"), 2 + 2 + 9);
+});
+
+// Test 6: Broken tokenizers
+runner.test("falls back to an estimate when a tokenizer throws", () => {
+  TokenCounter.instance = null;
+  const counter = new TokenCounter();
+  counter.register("broken", () => ({
+    name: "broken",
+    exact: true,
+    count() {
+      throw new Error("Rank table missing");
+    },
+  }));
+
+  assert(counter.countTokens("hello world", "broken", "x") > 0);
+  assertEqual(counter.getTokenizer("broken", "x").name, "estimate:generic");
+});
+
+// Run all tests
+runner.run().then((success) => {
+  process.exit(success ? 0 : 1);
+});
@@ -0,0 +1,28 @@
+/**
+ * 🦊 NOX Tokenizer Module - Central Export
+ *
+ * Exports the tokenizer layer:
+ * - TokenCounter: Pluggable per-provider registry (singleton)
+ * - BpeTokenizer: Exact offline BPE counts for OpenAI models
+ * - EstimatingTokenizer: Calibrated estimates for other providers
+ */
+
+const TokenCounter = require('./TokenCounter');
+const BpeTokenizer = require('./BpeTokenizer');
+const EstimatingTokenizer = require('./EstimatingTokenizer');
+
+/**
+ * Get the shared token counter
+ * @param {Object} logger - Optional logger (used on first call)
+ * @returns {TokenCounter}
+ */
+function getTokenCounter(logger) {
+  return TokenCounter.getInstance(logger);
+}
+
+module.exports = {
+  TokenCounter,
+  BpeTokenizer,
+  EstimatingTokenizer,
+  getTokenCounter
+};
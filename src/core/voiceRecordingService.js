@@ -8,6 +8,10 @@ const path = require("path");
 const os = require("os");
 const vscode = require("vscode");
 const sdk = require("microsoft-cognitiveservices-speech-sdk");
+const HttpClient = require("./httpClient");
+
+// Google Speech-to-Text endpoint (decides whether gRPC goes through the proxy)
+const GOOGLE_SPEECH_URL = "https://speech.googleapis.com";
 
 /**
  * 🌍 Language mapping for different speech engines
@@ -154,6 +158,7 @@ class VoiceRecordingService {
     this.azureSpeechConfig = null; // Azure Speech config
     this.azureAudioConfig = null; // Azure Audio config
     this.voiceSettings = null;
+    this.httpClient = HttpClient.getInstance(logger); // Proxy and CA settings
 
     // Load voice settings and initialize services
     this.loadVoiceSettings();
@@ -325,6 +330,7 @@ class VoiceRecordingService {
         const OpenAI = require("openai");
         this.openai = new OpenAI({
           apiKey: openaiApiKey,
+          fetch: (url, init) => this.httpClient.fetch(url, init),
         });
         this.logger.info("🎤 OpenAI Whisper API initialized");
       } else {
@@ -343,7 +349,7 @@ class VoiceRecordingService {
       // Get API key from secure storage
       const googleApiKey = await this.getGoogleApiKey();
       if (googleApiKey) {
-        const speech = require("@google-cloud/speech");
+        const speech = this.loadGoogleSpeech();
         this.speechClient = new speech.SpeechClient({
           apiKey: googleApiKey,
         });
@@ -354,7 +360,7 @@ class VoiceRecordingService {
         // Fallback to environment credentials
         const credentialsPath = process.env.GOOGLE_APPLICATION_CREDENTIALS;
         if (credentialsPath || process.env.GOOGLE_CLOUD_PROJECT) {
-          const speech = require("@google-cloud/speech");
+          const speech = this.loadGoogleSpeech();
           this.speechClient = new speech.SpeechClient();
           this.logger.info(
             "🎤 Google Speech-to-Text API initialized with environment credentials"
@@ -370,6 +376,15 @@ class VoiceRecordingService {
     }
   }
 
+  /**
+   * Load the Google Speech library with the proxy and CA settings applied
+   * (gRPC reads them from the environment, before the library first loads)
+   */
+  loadGoogleSpeech() {
+    this.httpClient.configureGrpc(GOOGLE_SPEECH_URL);
+    return require("@google-cloud/speech");
+  }
+
   /**
    * Initialize Azure Speech-to-Text client
    */
@@ -388,6 +403,7 @@ class VoiceRecordingService {
         this.azureSpeechConfig.speechRecognitionLanguage =
           this.getLanguageForEngine("azure"); // 🌍 Dynamic language
         this.azureSpeechConfig.outputFormat = sdk.OutputFormat.Detailed;
+        this.applyAzureProxy(azureRegion);
 
         this.logger.info("🎤 Azure Speech client initialized successfully");
       } else {
@@ -402,6 +418,35 @@ class VoiceRecordingService {
     }
   }
 
+  /**
+   * 🌐 Route Azure Speech through the configured proxy
+   * (the Speech SDK uses Node's default CA store - extra CAs must come from
+   * NODE_EXTRA_CA_CERTS when VS Code starts)
+   */
+  applyAzureProxy(azureRegion) {
+    const proxy = this.httpClient.getProxyFor(
+      `https://${azureRegion}.stt.speech.microsoft.com`
+    );
+    if (!proxy) {
+      return;
+    }
+
+    const proxyUrl = new URL(proxy);
+    const port =
+      Number(proxyUrl.port) || (proxyUrl.protocol === "https:" ? 443 : 80);
+    if (proxyUrl.username) {
+      this.azureSpeechConfig.setProxy(
+        proxyUrl.hostname,
+        port,
+        decodeURIComponent(proxyUrl.username),
+        decodeURIComponent(proxyUrl.password)
+      );
+    } else {
+      this.azureSpeechConfig.setProxy(proxyUrl.hostname, port);
+    }
+    this.logger.info(`🎤 Azure Speech using proxy ${HttpClient.redact(proxy)}`);
+  }
+
   /**
    * Start recording audio from microphone
    */
@@ -1,6 +1,17 @@
 const vscode = require("vscode");
 const VoiceRecordingService = require("../core/voiceRecordingService");
 const { ErrorBoundary, ErrorSeverity } = require("../core/errorBoundary");
+const LocalConfig = require("../core/providers/local/LocalConfig");
+
+// 🖼️ Image attachments (PNG/JPEG, sent as base64 content blocks)
+const IMAGE_MIME_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+};
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024; // Per-image API limit (after downscaling)
+const MAX_PICKED_IMAGE_BYTES = 20 * 1024 * 1024; // Raw file size before downscaling
+const MAX_IMAGES_PER_MESSAGE = 5;
 
 /**
  * 🦊 Nox Chat Sidebar - WebviewViewProvider for Sidebar Integration
@@ -34,6 +45,7 @@ class NoxChatViewProvider {
     this.chatHistory = [];
     this.isAIResponding = false;
     this.activeStreams = new Map(); // Track active streaming requests
+    this.refreshLocalModelsIfActive = null; // Set by startLocalModelWatcher
   }
 
   /**
@@ -74,6 +86,9 @@ class NoxChatViewProvider {
     // Setup view events
     this.setupViewEvents();
 
+    // Keep local model dropdown in sync with the running Ollama / LM Studio server
+    this.startLocalModelWatcher();
+
     this.logger.info("🦊 Nox chat sidebar initialized successfully");
   }
 
@@ -90,11 +105,19 @@ class NoxChatViewProvider {
 
         switch (message.type) {
           case "sendMessage":
-            await this.handleUserMessage(message.content);
+            await this.handleUserMessage(message.content, message.images);
             break;
 
           case "sendStreamingMessage":
-            await this.handleStreamingMessage(message.content);
+            await this.handleStreamingMessage(message.content, message.images);
+            break;
+
+          case "pickImages":
+            await this.handlePickImages();
+            break;
+
+          case "attachImageUris":
+            await this.handleAttachImageUris(message.uris);
             break;
 
           case "streamStop":
@@ -224,6 +247,14 @@ class NoxChatViewProvider {
             );
             break;
 
+          case "costPreviewResponse":
+            // 💰 User answered a cost preview card
+            this.agentController.handleCostPreviewResponse(
+              message.previewId,
+              message.approved
+            );
+            break;
+
           default:
             this.logger.warn(`Unknown message type: ${message.type}`);
         }
@@ -247,8 +278,9 @@ class NoxChatViewProvider {
   /**
    * 🤖 Handle user message and get AI response
    */
-  async handleUserMessage(userMessage) {
-    if (!userMessage?.trim()) {
+  async handleUserMessage(userMessage, attachedImages = []) {
+    const images = this.sanitizeImages(attachedImages);
+    if (!userMessage?.trim() && images.length === 0) {
       return;
     }
 
@@ -260,6 +292,10 @@ class NoxChatViewProvider {
       return;
     }
 
+    if (this.rejectUnsupportedImages(images)) {
+      return;
+    }
+
     try {
       this.isAIResponding = true;
 
@@ -267,8 +303,9 @@ class NoxChatViewProvider {
       const userMessageObj = {
         id: Date.now().toString(),
         type: "user",
-        content: userMessage,
+        content: userMessage || "",
         timestamp: new Date().toISOString(),
+        ...(images.length > 0 && { images }),
       };
 
       this.chatHistory.push(userMessageObj);
@@ -277,10 +314,11 @@ class NoxChatViewProvider {
       // Phase 2A: Add user message to NOX context builder for conversation memory
       this.agentController.noxContextBuilder.addChatMessage(
         "user",
-        userMessage,
+        userMessageObj.content,
         {
           activeFile:
             this.agentController.noxContextBuilder.getActiveFileContext()?.path,
+          images,
         }
       );
 
@@ -298,7 +336,7 @@ class NoxChatViewProvider {
 
       // Get AI response using NOX consciousness system
       const aiResponse = await this.agentController.executeTask("chat", {
-        message: userMessage,
+        message: userMessageObj.content,
         maxTokens: 4000,
       });
 
@@ -374,10 +412,12 @@ class NoxChatViewProvider {
   /**
    * 🌊 Handle streaming user message and get real-time AI response
    */
-  async handleStreamingMessage(userMessage) {
-    if (!userMessage?.trim()) {
+  async handleStreamingMessage(userMessage, attachedImages = []) {
+    const images = this.sanitizeImages(attachedImages);
+    if (!userMessage?.trim() && images.length === 0) {
       return;
     }
+    userMessage = userMessage || "";
 
     this.logger.info(
       `🌊 handleStreamingMessage called, isAIResponding: ${this.isAIResponding}`
@@ -392,6 +432,10 @@ class NoxChatViewProvider {
       return;
     }
 
+    if (this.rejectUnsupportedImages(images)) {
+      return;
+    }
+
     // 🔧 FIX: Declare streamingMessageId at top level so it's accessible in catch/cleanup blocks
     let streamingMessageId;
 
@@ -407,6 +451,7 @@ class NoxChatViewProvider {
             type: "user",
             content: userMessage,
             timestamp: new Date().toISOString(),
+            ...(images.length > 0 && { images }),
           };
 
           this.chatHistory.push(userMessageObj);
@@ -425,6 +470,7 @@ class NoxChatViewProvider {
               activeFile:
                 this.agentController.noxContextBuilder.getActiveFileContext()
                   ?.path,
+              images,
             }
           );
 
@@ -465,6 +511,16 @@ class NoxChatViewProvider {
 
           // Set up streaming callbacks
           const onChunk = (chunkData) => {
+            // 💭 Extended thinking goes to its own collapsible section
+            if (chunkData.thinking) {
+              this.sendMessageToWebview({
+                type: "streamThinking",
+                messageId: chunkData.messageId,
+                chunk: chunkData.thinking,
+              });
+              return;
+            }
+
             // 🌊 INDUSTRY STANDARD: Send chunks immediately (no batching)
             // Character-by-character buffering happens in webview StreamingBuffer
             this.sendMessageToWebview({
@@ -640,6 +696,126 @@ class NoxChatViewProvider {
     );
   }
 
+  /**
+   * 🖼️ Keep well-formed PNG/JPEG attachments within the size limits
+   * @param {Array} images - [{ name, mimeType, data }] from the webview (data is base64)
+   * @returns {Array} - Valid attachments
+   */
+  sanitizeImages(images) {
+    if (!Array.isArray(images)) {
+      return [];
+    }
+
+    const mimeTypes = Object.values(IMAGE_MIME_TYPES);
+    const valid = images.filter(
+      (image) =>
+        image &&
+        mimeTypes.includes(image.mimeType) &&
+        typeof image.data === "string" &&
+        image.data.length > 0 &&
+        Buffer.byteLength(image.data, "base64") <= MAX_IMAGE_BYTES
+    );
+
+    if (valid.length < images.length) {
+      this.logger.warn(
+        `🖼️ Dropped ${images.length - valid.length} invalid or oversized image attachment(s)`
+      );
+    }
+
+    return valid.slice(0, MAX_IMAGES_PER_MESSAGE).map((image) => ({
+      name: String(image.name || "image"),
+      mimeType: image.mimeType,
+      data: image.data,
+    }));
+  }
+
+  /**
+   * 🖼️ Refuse attachments the selected model can't read
+   * @returns {boolean} - True if the message was refused
+   */
+  rejectUnsupportedImages(images) {
+    if (images.length === 0) {
+      return false;
+    }
+
+    try {
+      this.agentController.aiClient.assertVisionSupport();
+      return false;
+    } catch (error) {
+      this.sendErrorToWebview(error.message);
+      return true;
+    }
+  }
+
+  /**
+   * 🖼️ Pick workspace images to attach to the next message
+   */
+  async handlePickImages() {
+    const uris = await vscode.window.showOpenDialog({
+      canSelectMany: true,
+      defaultUri: vscode.workspace.workspaceFolders?.[0]?.uri,
+      filters: { Images: Object.keys(IMAGE_MIME_TYPES) },
+      openLabel: "Attach",
+    });
+
+    if (uris && uris.length > 0) {
+      await this.sendImageFiles(uris);
+    }
+  }
+
+  /**
+   * 🖼️ Attach images dropped from the Explorer (sent as a URI list)
+   */
+  async handleAttachImageUris(uris) {
+    if (!Array.isArray(uris) || uris.length === 0) {
+      return;
+    }
+
+    await this.sendImageFiles(uris.map((uri) => vscode.Uri.parse(uri)));
+  }
+
+  /**
+   * 🖼️ Read image files and hand them to the webview, which downscales them
+   */
+  async sendImageFiles(uris) {
+    const images = [];
+
+    for (const uri of uris.slice(0, MAX_IMAGES_PER_MESSAGE)) {
+      const name = uri.path.split("/").pop();
+      const extension = name.split(".").pop().toLowerCase();
+
+      if (!IMAGE_MIME_TYPES[extension]) {
+        this.sendErrorToWebview(`${name} is not a PNG or JPEG image.`);
+        continue;
+      }
+
+      try {
+        const data = await vscode.workspace.fs.readFile(uri);
+        if (data.byteLength > MAX_PICKED_IMAGE_BYTES) {
+          this.sendErrorToWebview(
+            `${name} is too large to attach (max ${
+              MAX_PICKED_IMAGE_BYTES / 1024 / 1024
+            } MB).`
+          );
+          continue;
+        }
+
+        images.push({
+          name,
+          mimeType: IMAGE_MIME_TYPES[extension],
+          data: Buffer.from(data).toString("base64"),
+        });
+      } catch (error) {
+        this.logger.error(`🖼️ Failed to read image ${uri.toString()}:`, error);
+        this.sendErrorToWebview(`Could not read ${name}: ${error.message}`);
+      }
+    }
+
+    if (images.length > 0) {
+      this.sendMessageToWebview({ type: "imagesAttached", images });
+    }
+  }
+
   /**
    * ⏹️ Handle stream stop request
    */
@@ -1088,6 +1264,7 @@ class NoxChatViewProvider {
             activeFile:
               this.agentController.noxContextBuilder.getActiveFileContext()
                 ?.path,
+            images: msg.images,
           }
         );
       }
@@ -1159,6 +1336,36 @@ class NoxChatViewProvider {
     }
   }
 
+  /**
+   * 🏠 Poll the local LLM server and refresh the model dropdown
+   * when the server starts, stops, or its installed models change.
+   * Only polls while the local provider is selected and the chat is
+   * visible; other providers never touch localhost.
+   */
+  startLocalModelWatcher() {
+    const refresh = async () => {
+      const aiClient = this.agentController?.aiClient;
+      if (
+        !aiClient?.refreshLocalModels ||
+        aiClient.currentProvider !== "local" ||
+        !this.webviewView?.visible
+      ) {
+        return;
+      }
+
+      const changed = await aiClient.refreshLocalModels();
+      if (changed) {
+        await this.sendProviderStatus();
+      }
+    };
+    this.refreshLocalModelsIfActive = refresh;
+
+    const timer = setInterval(refresh, LocalConfig.discovery.refreshInterval);
+    this.disposables.push({ dispose: () => clearInterval(timer) });
+
+    refresh();
+  }
+
   /**
    * 📊 Send provider status to webview
    */
@@ -1263,6 +1470,7 @@ class NoxChatViewProvider {
           msg.content,
           {
             activeFile: msg.activeFile || null,
+            images: msg.images,
           }
         );
       }
@@ -1387,6 +1595,9 @@ class NoxChatViewProvider {
         // CRITICAL FIX: Re-apply theme when view becomes visible
         // This ensures theme persists even if it was overridden while hidden
         this.applyCurrentTheme();
+
+        // Pick up local models pulled while the view was hidden
+        this.refreshLocalModelsIfActive?.();
       }
     });
 
@@ -1564,7 +1775,9 @@ class NoxChatViewProvider {
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
         <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; script-src 'nonce-${nonce}' ${
       this.webviewView.webview.cspSource
-    }; font-src https:; media-src * data: blob:;">
+    }; font-src https:; img-src ${
+      this.webviewView.webview.cspSource
+    } data:; media-src * data: blob:;">
         <!-- ✅ SECURITY FIX: Removed 'unsafe-eval' from CSP after eliminating all eval() usage -->
         <meta http-equiv="Permissions-Policy" content="microphone=*, camera=*, geolocation=*">
         <title>🦊 Nox Chat</title>
@@ -1625,7 +1838,10 @@ class NoxChatViewProvider {
             </div>
 
             <!-- Input Area -->
-            <div class="input-container">
+            <div class="input-container" id="inputContainer">
+                <!-- Image attachments waiting to be sent -->
+                <div id="attachmentPreview" class="attachment-preview" style="display: none;"></div>
+
                 <div class="input-wrapper">
                     <div class="input-field-container">
                         <textarea id="messageInput" class="message-input" placeholder="Ask Nox anything about your code..." rows="1"></textarea>
@@ -1637,6 +1853,13 @@ class NoxChatViewProvider {
                             <div class="pulse-dot"></div>
                         </div>
 
+                        <button id="attachBtn" class="mic-button-inline attach-button-inline" title="Attach images (PNG/JPG) - you can also paste or drop them">
+                            <!-- Paperclip Icon -->
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                <path d="M21.44 11.05l-9.19 9.19a6 6 0 0 1-8.49-8.49l9.19-9.19a4 4 0 0 1 5.66 5.66l-9.2 9.19a2 2 0 0 1-2.83-2.83l8.49-8.48"></path>
+                            </svg>
+                        </button>
+
                         <button id="micBtn" class="mic-button-inline" title="Voice input (click to start/stop recording)">
                             <!-- Microphone Icon -->
                             <svg class="mic-icon" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
@@ -3,7 +3,7 @@
  * Enterprise-grade UI components for chat interface
  */
 
-import { ChatMessage, CodeBlockProps, MessageComponentProps, VSCodeAPI } from './types';
+import { ChatMessage, CodeBlockProps, ImageAttachment, MessageComponentProps, VSCodeAPI } from './types';
 import { NoxMarkdownRenderer } from './markdown-renderer';
 
 // VS Code API for streaming communication
@@ -39,10 +39,21 @@ export class MessageComponent {
     } else {
       // User messages remain as plain text for clean appearance
       contentEl.textContent = props.message.content;
+
+      // Attached images above the text
+      if (props.message.images?.length) {
+        contentEl.insertBefore(ImageThumbnailsComponent.create(props.message.images), contentEl.firstChild);
+      }
     }
 
     const metaEl = this.createMessageMeta(props.message);
 
+    // Extended thinking, collapsed above the answer
+    const thinking = props.message.thinking;
+    if (thinking?.content) {
+      messageEl.appendChild(ThinkingComponent.create(thinking.content, thinking.tokens));
+    }
+
     messageEl.appendChild(contentEl);
     messageEl.appendChild(metaEl);
 
@@ -141,6 +152,15 @@ export class MessageComponent {
         modelEl.style.opacity = '0.6';
         infoEl.appendChild(modelEl);
       }
+
+      // Failover badge - the requested model failed and a fallback answered
+      if (message.failover) {
+        const failoverEl = document.createElement('span');
+        failoverEl.className = 'message-failover';
+        failoverEl.textContent = `↪ fallback from ${message.failover.from}`;
+        failoverEl.title = message.failover.reason;
+        infoEl.appendChild(failoverEl);
+      }
     }
 
     // Create actions section
@@ -232,6 +252,99 @@ export class MessageComponent {
   }
 }
 
+/**
+ * 🖼️ Image Thumbnails Component - attachment previews and images in user messages
+ */
+export class ImageThumbnailsComponent {
+
+  static create(images: ImageAttachment[], onRemove?: (index: number) => void): HTMLElement {
+    const containerEl = document.createElement('div');
+    containerEl.className = 'image-thumbnails';
+
+    images.forEach((image, index) => {
+      const thumbnailEl = document.createElement('div');
+      thumbnailEl.className = 'image-thumbnail';
+      thumbnailEl.title = image.name;
+
+      // ✅ SECURITY: Only image data URLs, built from validated attachments
+      if (image.mimeType.startsWith('image/')) {
+        const imgEl = document.createElement('img');
+        imgEl.src = `data:${image.mimeType};base64,${image.data}`;
+        imgEl.alt = image.name;
+        thumbnailEl.appendChild(imgEl);
+      }
+
+      if (onRemove) {
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'image-thumbnail-remove';
+        removeBtn.textContent = '✕';
+        removeBtn.title = `Remove ${image.name}`;
+        removeBtn.onclick = () => onRemove(index);
+        thumbnailEl.appendChild(removeBtn);
+      }
+
+      containerEl.appendChild(thumbnailEl);
+    });
+
+    return containerEl;
+  }
+}
+
+/**
+ * 💭 Thinking Component - collapsible extended thinking section
+ * Kept separate from the answer; open while streaming, collapsed once done
+ */
+export class ThinkingComponent {
+
+  static create(content: string = '', tokens?: number, streaming: boolean = false): HTMLElement {
+    const thinkingEl = document.createElement('details');
+    thinkingEl.className = streaming ? 'nox-thinking streaming' : 'nox-thinking';
+    thinkingEl.open = streaming;
+
+    const summaryEl = document.createElement('summary');
+    summaryEl.className = 'nox-thinking-summary';
+    summaryEl.textContent = streaming ? '💭 Nox is thinking…' : this.getDoneLabel(tokens);
+
+    // ✅ SECURITY: Thinking is shown as plain text, never rendered as HTML
+    const contentEl = document.createElement('div');
+    contentEl.className = 'nox-thinking-content';
+    contentEl.textContent = content;
+
+    thinkingEl.appendChild(summaryEl);
+    thinkingEl.appendChild(contentEl);
+
+    return thinkingEl;
+  }
+
+  /**
+   * Append streamed thinking text
+   */
+  static append(thinkingEl: HTMLElement, chunk: string): void {
+    const contentEl = thinkingEl.querySelector('.nox-thinking-content');
+    if (contentEl) {
+      contentEl.appendChild(document.createTextNode(chunk));
+      contentEl.scrollTop = contentEl.scrollHeight;
+    }
+  }
+
+  /**
+   * Collapse the section once the answer is complete
+   */
+  static complete(thinkingEl: HTMLElement, tokens?: number): void {
+    thinkingEl.classList.remove('streaming');
+    (thinkingEl as HTMLDetailsElement).open = false;
+
+    const summaryEl = thinkingEl.querySelector('.nox-thinking-summary');
+    if (summaryEl) {
+      summaryEl.textContent = this.getDoneLabel(tokens);
+    }
+  }
+
+  private static getDoneLabel(tokens?: number): string {
+    return tokens ? `💭 Thought process (${tokens} tokens)` : '💭 Thought process';
+  }
+}
+
 /**
  * Code Block Component (placeholder for Phase 4)
  */
@@ -392,6 +505,10 @@ export class ModelSelectorComponent {
       'gpt-3.5-turbo': 'GPT-3.5 Turbo',
       'deepseek-chat': 'DeepSeek Chat',
       'deepseek-coder': 'DeepSeek Coder',
+      'gemini-2.5-pro': 'Gemini 2.5 Pro',
+      'gemini-2.5-flash': 'Gemini 2.5 Flash',
+      'gemini-2.5-flash-lite': 'Gemini 2.5 Flash-Lite',
+      'gemini-2.0-flash': 'Gemini 2.0 Flash',
       'ollama': 'Ollama',
       'lm-studio': 'LM Studio'
     };
@@ -879,6 +996,25 @@ export class StreamingMessageComponent {
     }
   }
 
+  /**
+   * 💭 Append extended thinking to the message's thinking section (created on first chunk)
+   */
+  static updateThinking(messageId: string, chunk: string): void {
+    const messageEl = document.querySelector(`[data-message-id="${messageId}"]`);
+    if (!messageEl || !messageEl.hasAttribute('data-streaming')) return;
+
+    let thinkingEl = messageEl.querySelector('.nox-thinking') as HTMLElement;
+    if (!thinkingEl) {
+      thinkingEl = ThinkingComponent.create('', undefined, true);
+
+      // Above the answer, below the header and any tool status
+      const contentEl = messageEl.querySelector('.message-content');
+      messageEl.insertBefore(thinkingEl, contentEl);
+    }
+
+    ThinkingComponent.append(thinkingEl, chunk);
+  }
+
   /**
    * 🚀 IN-PLACE PROGRESSIVE RENDERING: Stream char-by-char, then render pretty when line completes
    * THE BABY CRAWLS (char-by-char) BEFORE IT WALKS (pretty render)!
@@ -1073,6 +1209,12 @@ export class StreamingMessageComponent {
     if (progressEl) progressEl.remove();
     if (cursorEl) cursorEl.remove();
 
+    // Collapse streamed thinking now that the answer is here
+    const thinkingEl = messageEl.querySelector('.nox-thinking') as HTMLElement;
+    if (thinkingEl) {
+      ThinkingComponent.complete(thinkingEl, finalMessage.thinking?.tokens);
+    }
+
     // Update content with final rendered markdown
     const contentEl = messageEl.querySelector('.message-content');
     if (contentEl) {
@@ -170,6 +170,21 @@ class DashboardPanel {
         <div class="card-label">Cost per Token</div>
         <div class="card-value">$${stats.costPerToken}</div>
       </div>
+      <div class="summary-card">
+        <div class="card-label">Cache Savings</div>
+        <div class="card-value">$${stats.cacheSavings.toFixed(4)}</div>
+        <div class="card-subtext">${stats.cacheReadTokens.toLocaleString()} cached tokens</div>
+      </div>
+      <div class="summary-card">
+        <div class="card-label">Thinking Cost</div>
+        <div class="card-value">$${stats.thinkingCost.toFixed(4)}</div>
+        <div class="card-subtext">${stats.thinkingTokens.toLocaleString()} thinking tokens</div>
+      </div>
+      <div class="summary-card">
+        <div class="card-label">Context Window</div>
+        <div class="card-value">${stats.averageContextUsage}%</div>
+        <div class="card-subtext">Peak: ${stats.peakContextUsage}%</div>
+      </div>
     `;
     this.elements.summaryCards.innerHTML = html;
   }
@@ -193,7 +208,8 @@ class DashboardPanel {
   }
 
   renderTables() {
-    const { providerBreakdown, dailyBreakdown } = this.analyticsData;
+    const { providerBreakdown, dailyBreakdown, taskBreakdown = [] } =
+      this.analyticsData;
 
     // Provider breakdown table
     let providerHtml = `
@@ -234,6 +250,45 @@ class DashboardPanel {
       </div>
     `;
 
+    // Task breakdown table (all requests, not just chat - tune "nox.modelRouting")
+    let taskHtml = `
+      <div class="table-container">
+        <div class="table-title">Cost by Task</div>
+        <table>
+          <thead>
+            <tr>
+              <th>Task</th>
+              <th>Models</th>
+              <th>Cost</th>
+              <th>Tokens</th>
+              <th>Calls</th>
+              <th>Avg Cost/Call</th>
+              <th>%</th>
+            </tr>
+          </thead>
+          <tbody>
+    `;
+
+    taskBreakdown.forEach((task) => {
+      taskHtml += `
+        <tr>
+          <td>${task.taskType}</td>
+          <td>${task.models.join(", ")}</td>
+          <td>$${task.totalCost.toFixed(4)}</td>
+          <td>${task.totalTokens.toLocaleString()}</td>
+          <td>${task.callCount}</td>
+          <td>$${task.averageCostPerCall}</td>
+          <td>${task.percentage}%</td>
+        </tr>
+      `;
+    });
+
+    taskHtml += `
+          </tbody>
+        </table>
+      </div>
+    `;
+
     // Daily breakdown table
     let dailyHtml = `
       <div class="table-container">
@@ -267,7 +322,7 @@ class DashboardPanel {
       </div>
     `;
 
-    this.elements.tableContainer.innerHTML = providerHtml + dailyHtml;
+    this.elements.tableContainer.innerHTML = providerHtml + taskHtml + dailyHtml;
   }
 
   renderCharts() {
@@ -528,6 +583,7 @@ class DashboardPanel {
       dateRange: this.analyticsData.dateRange,
       stats: this.analyticsData.stats,
       providerBreakdown: this.analyticsData.providerBreakdown,
+      taskBreakdown: this.analyticsData.taskBreakdown || [],
       dailyBreakdown: this.analyticsData.dailyBreakdown,
     };
 
@@ -564,6 +620,9 @@ class DashboardPanel {
     csv += `Total Messages,${data.stats.totalMessages}\n`;
     csv += `Total Cost,$${data.stats.totalCost.toFixed(4)}\n`;
     csv += `Total Tokens,${data.stats.totalTokens}\n`;
+    csv += `Cache Savings,$${data.stats.cacheSavings.toFixed(4)}\n`;
+    csv += `Thinking Tokens,${data.stats.thinkingTokens}\n`;
+    csv += `Thinking Cost,$${data.stats.thinkingCost.toFixed(4)}\n`;
     csv += `Avg Cost/Message,$${data.stats.averageCostPerMessage}\n`;
     csv += `Avg Tokens/Message,${data.stats.averageTokensPerMessage}\n`;
     csv += `Cost per Token,$${data.stats.costPerToken}\n\n`;
@@ -580,6 +639,16 @@ class DashboardPanel {
     });
     csv += "\n";
 
+    // Task breakdown
+    csv += "TASK BREAKDOWN\n";
+    csv += "Task,Cost,Tokens,Calls,Avg Cost/Call,Percentage\n";
+    data.taskBreakdown.forEach((task) => {
+      csv += `${task.taskType},$${task.totalCost.toFixed(4)},${
+        task.totalTokens
+      },${task.callCount},$${task.averageCostPerCall},${task.percentage}%\n`;
+    });
+    csv += "\n";
+
     // Daily breakdown
     csv += "DAILY BREAKDOWN\n";
     csv += "Date,Cost,Tokens,Messages\n";
@@ -26,7 +26,9 @@ import {
   ModelChangeRequest,
   ClearHistoryRequest,
   ReadyMessage,
-  GetProviderStatusRequest
+  GetProviderStatusRequest,
+  ImageAttachment,
+  AttachImageUrisRequest
 } from './types';
 
 import {
@@ -34,12 +36,19 @@ import {
   ProviderSelectorComponent,
   ModelSelectorComponent,
   ThinkingIndicatorComponent,
-  StreamingMessageComponent
+  StreamingMessageComponent,
+  ImageThumbnailsComponent
 } from './components';
 
 // VS Code API
 declare const acquireVsCodeApi: () => VSCodeAPI;
 
+// 🖼️ Image attachments are downscaled to this long edge (pixels) before sending -
+// bigger images cost more tokens without helping the model
+const MAX_IMAGE_EDGE = 1568;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_PENDING_IMAGES = 5;
+
 /**
  * Main Nox Chat Application
  * Enterprise-grade chat interface with modular architecture
@@ -54,6 +63,9 @@ class NoxChatApp {
     messageInput?: HTMLTextAreaElement;
     sendBtn?: HTMLButtonElement;
     micBtn?: HTMLButtonElement;
+    attachBtn?: HTMLButtonElement;
+    attachmentPreview?: HTMLElement;
+    inputContainer?: HTMLElement;
     voiceError?: HTMLElement;
     thinkingIndicator?: HTMLElement;
     providerControls?: HTMLElement;
@@ -71,6 +83,9 @@ class NoxChatApp {
   private speechSupported: boolean = false;
   private permissionState: 'unknown' | 'granted' | 'denied' = 'unknown';
 
+  // 🖼️ Images attached to the next message
+  private pendingImages: ImageAttachment[] = [];
+
   // 🚀 MICRO-BATCHING: Accumulate chunks for smoother streaming
   private chunkBatchBuffer: Map<string, { chunks: string[], tokens: number, timer: any }> = new Map();
 
@@ -138,6 +153,9 @@ class NoxChatApp {
     this.elements.messageInput = document.getElementById('messageInput') as HTMLTextAreaElement;
     this.elements.sendBtn = document.getElementById('sendBtn') as HTMLButtonElement;
     this.elements.micBtn = document.getElementById('micBtn') as HTMLButtonElement;
+    this.elements.attachBtn = document.getElementById('attachBtn') as HTMLButtonElement;
+    this.elements.attachmentPreview = document.getElementById('attachmentPreview') as HTMLElement;
+    this.elements.inputContainer = document.getElementById('inputContainer') as HTMLElement;
     this.elements.voiceError = document.getElementById('voiceError') as HTMLElement;
     this.elements.sessionCost = document.getElementById('sessionCost') as HTMLElement;
     this.elements.sessionTokens = document.getElementById('sessionTokens') as HTMLElement;
@@ -180,6 +198,37 @@ class NoxChatApp {
       this.toggleVoiceRecording();
     });
 
+    // 🖼️ Attach images: pick from the workspace, paste or drop
+    this.elements.attachBtn?.addEventListener('click', () => {
+      this.sendMessage({ type: 'pickImages' });
+    });
+
+    this.elements.messageInput?.addEventListener('paste', (e) => {
+      const files = Array.from(e.clipboardData?.files || []).filter((file) => file.type.startsWith('image/'));
+      if (files.length > 0) {
+        e.preventDefault();
+        this.attachImageFiles(files);
+      }
+    });
+
+    const inputContainer = this.elements.inputContainer;
+    inputContainer?.addEventListener('dragover', (e) => {
+      if (this.isImageDrag(e.dataTransfer)) {
+        e.preventDefault();
+        inputContainer.classList.add('drag-over');
+      }
+    });
+    inputContainer?.addEventListener('dragleave', () => {
+      inputContainer.classList.remove('drag-over');
+    });
+    inputContainer?.addEventListener('drop', (e) => {
+      inputContainer.classList.remove('drag-over');
+      if (this.isImageDrag(e.dataTransfer)) {
+        e.preventDefault();
+        this.handleImageDrop(e.dataTransfer!);
+      }
+    });
+
     // Enter key to send (Shift+Enter for new line)
     this.elements.messageInput?.addEventListener('keydown', (e) => {
       if (e.key === 'Enter' && !e.shiftKey) {
@@ -243,6 +292,10 @@ class NoxChatApp {
       this.elements.micBtn.disabled = !enabled;
     }
 
+    if (this.elements.attachBtn) {
+      this.elements.attachBtn.disabled = !enabled;
+    }
+
     // Disable/enable provider and model selects
     const providerSelect = document.getElementById('providerSelect') as HTMLSelectElement;
     if (providerSelect) {
@@ -479,10 +532,11 @@ class NoxChatApp {
   }
 
   private sendUserMessage(): void {
-    const message = this.elements.messageInput?.value.trim();
+    const message = this.elements.messageInput?.value.trim() || '';
+    const images = this.pendingImages.length > 0 ? [...this.pendingImages] : undefined;
 
     // 🔧 FIX: Prevent sending if not initialized or AI is responding
-    if (!message || this.state.isAIResponding || !this.state.isInitialized) {
+    if ((!message && !images) || this.state.isAIResponding || !this.state.isInitialized) {
       if (!this.state.isInitialized && this.debugMode) {
         console.log('🔧 Message blocked - extension not initialized yet');
       }
@@ -494,8 +548,8 @@ class NoxChatApp {
 
     // Send to extension (streaming or regular based on preference)
     const request = this.streamingEnabled
-      ? { type: 'sendStreamingMessage', content: message } as SendStreamingMessageRequest
-      : { type: 'sendMessage', content: message } as SendMessageRequest;
+      ? { type: 'sendStreamingMessage', content: message, images } as SendStreamingMessageRequest
+      : { type: 'sendMessage', content: message, images } as SendMessageRequest;
 
     this.sendMessage(request);
 
@@ -504,6 +558,116 @@ class NoxChatApp {
       this.elements.messageInput.value = '';
       this.autoResizeTextarea();
     }
+
+    this.pendingImages = [];
+    this.renderAttachmentPreview();
+  }
+
+  /**
+   * 🖼️ Check if a drag carries files (or Explorer URIs) we can attach
+   */
+  private isImageDrag(dataTransfer: DataTransfer | null): boolean {
+    return !!dataTransfer && (dataTransfer.types.includes('Files') || dataTransfer.types.includes('text/uri-list'));
+  }
+
+  /**
+   * 🖼️ Attach dropped images - OS files are read here, files dragged from the
+   * VS Code Explorer (hold Shift) arrive as a URI list the extension reads
+   */
+  private handleImageDrop(dataTransfer: DataTransfer): void {
+    const files = Array.from(dataTransfer.files).filter((file) => file.type.startsWith('image/'));
+    if (files.length > 0) {
+      this.attachImageFiles(files);
+      return;
+    }
+
+    const uris = dataTransfer.getData('text/uri-list')
+      .split(/\r?\n/)
+      .map((uri) => uri.trim())
+      .filter((uri) => uri && !uri.startsWith('#'));
+
+    if (uris.length > 0) {
+      this.sendMessage({ type: 'attachImageUris', uris } as AttachImageUrisRequest);
+    }
+  }
+
+  /**
+   * 🖼️ Read pasted or dropped image files
+   */
+  private attachImageFiles(files: File[]): void {
+    files.forEach((file) => {
+      const reader = new FileReader();
+      reader.onload = () => this.attachImage(reader.result as string, file.name || 'pasted-image.png');
+      reader.onerror = () => this.showError(`Could not read image ${file.name}.`);
+      reader.readAsDataURL(file);
+    });
+  }
+
+  /**
+   * 🖼️ Downscale an image (data URL) and add it to the pending attachments
+   * Screenshots stay PNG for sharp text; other formats and oversized PNGs become JPEG
+   */
+  private attachImage(dataUrl: string, name: string): void {
+    const img = new Image();
+
+    img.onload = () => {
+      if (this.pendingImages.length >= MAX_PENDING_IMAGES) {
+        this.showError(`You can attach up to ${MAX_PENDING_IMAGES} images per message.`);
+        return;
+      }
+
+      const scale = Math.min(1, MAX_IMAGE_EDGE / Math.max(img.width, img.height));
+      const sourceType = dataUrl.substring(5, dataUrl.indexOf(';'));
+
+      let resizedUrl = dataUrl;
+      let mimeType = sourceType;
+
+      if (scale < 1 || (sourceType !== 'image/png' && sourceType !== 'image/jpeg')) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(img.width * scale);
+        canvas.height = Math.round(img.height * scale);
+        canvas.getContext('2d')?.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+        mimeType = sourceType === 'image/png' ? 'image/png' : 'image/jpeg';
+        resizedUrl = canvas.toDataURL(mimeType, 0.9);
+
+        if (mimeType === 'image/png' && resizedUrl.length * 0.75 > MAX_IMAGE_BYTES) {
+          mimeType = 'image/jpeg';
+          resizedUrl = canvas.toDataURL(mimeType, 0.9);
+        }
+      }
+
+      const data = resizedUrl.substring(resizedUrl.indexOf(',') + 1);
+      if (data.length * 0.75 > MAX_IMAGE_BYTES) {
+        this.showError(`${name} is too large to attach.`);
+        return;
+      }
+
+      this.pendingImages.push({ name, mimeType, data });
+      this.renderAttachmentPreview();
+    };
+
+    img.onerror = () => this.showError(`Could not read image ${name}.`);
+    img.src = dataUrl;
+  }
+
+  /**
+   * 🖼️ Show thumbnails of the pending attachments above the input
+   */
+  private renderAttachmentPreview(): void {
+    const previewEl = this.elements.attachmentPreview;
+    if (!previewEl) return;
+
+    previewEl.innerHTML = '';
+
+    if (this.pendingImages.length > 0) {
+      previewEl.appendChild(ImageThumbnailsComponent.create(this.pendingImages, (index) => {
+        this.pendingImages.splice(index, 1);
+        this.renderAttachmentPreview();
+      }));
+    }
+
+    previewEl.style.display = this.pendingImages.length > 0 ? '' : 'none';
   }
 
   private autoResizeTextarea(): void {
@@ -591,6 +755,16 @@ class NoxChatApp {
         this.batchStreamChunk(message.messageId, message.chunk, message.tokens);
         break;
 
+      case 'imagesAttached':
+        message.images.forEach((image: ImageAttachment) => {
+          this.attachImage(`data:${image.mimeType};base64,${image.data}`, image.name);
+        });
+        break;
+
+      case 'streamThinking':
+        StreamingMessageComponent.updateThinking(message.messageId, message.chunk);
+        break;
+
       case 'streamComplete':
         this.completeStreamingMessage(message.messageId, message.finalMessage);
         break;
@@ -608,10 +782,22 @@ class NoxChatApp {
         this.handleToolStatus(message.messageId, message.status);
         break;
 
+      case 'toolOutput':
+        this.handleToolOutput(message.messageId, message.toolId, message.text, message.stream);
+        break;
+
       case 'toolApprovalRequest':
         this.handleToolApprovalRequest(message.messageId, message.toolId, message.capability, message.parameters);
         break;
 
+      case 'costPreview':
+        this.handleCostPreview(message.preview);
+        break;
+
+      case 'costPreviewExpired':
+        this.handleCostPreviewExpired(message.previewId);
+        break;
+
       case 'injectCSS':
         // Handle CSS injection for Aurora theme animations
         this.handleCSSInjection(message);
@@ -932,7 +1118,10 @@ class NoxChatApp {
     const statusText = document.getElementById('statusText');
 
     if (statusIndicator && statusText) {
-      if (currentProviderData.hasApiKey) {
+      if (currentProviderData.serverOnline === false) {
+        statusIndicator.className = 'status-indicator error';
+        statusText.textContent = 'Server Offline';
+      } else if (currentProviderData.hasApiKey) {
         statusIndicator.className = 'status-indicator';
         statusText.textContent = 'Ready';
       } else {
@@ -1008,6 +1197,15 @@ class NoxChatApp {
       const option = document.createElement('option');
       option.value = model;
       option.textContent = this.getModelDisplayName(model);
+
+      // 🏠 Discovered local models carry context length / quantization
+      const details = provider.modelDetails?.[model];
+      if (details) {
+        const extras = this.formatModelDetails(details);
+        if (extras) {
+          option.textContent += ` (${extras})`;
+        }
+      }
       if (model === currentModel) {
         option.selected = true;
       }
@@ -1015,6 +1213,23 @@ class NoxChatApp {
     });
   }
 
+  private formatModelDetails(details: any): string {
+    const parts: string[] = [];
+    if (details.parameterSize) {
+      parts.push(details.parameterSize);
+    }
+    if (details.contextLength) {
+      const ctx = details.contextLength >= 1024
+        ? `${Math.round(details.contextLength / 1024)}K`
+        : `${details.contextLength}`;
+      parts.push(`${ctx} ctx`);
+    }
+    if (details.quantization) {
+      parts.push(details.quantization);
+    }
+    return parts.join(' · ');
+  }
+
   private getModelDisplayName(model: string): string {
     const modelNames: Record<string, string> = {
       'claude-sonnet-4-5-20250929': 'Claude Sonnet 4.5',
@@ -1026,6 +1241,10 @@ class NoxChatApp {
       'gpt-3.5-turbo': 'GPT-3.5 Turbo',
       'deepseek-chat': 'DeepSeek Chat',
       'deepseek-coder': 'DeepSeek Coder',
+      'gemini-2.5-pro': 'Gemini 2.5 Pro',
+      'gemini-2.5-flash': 'Gemini 2.5 Flash',
+      'gemini-2.5-flash-lite': 'Gemini 2.5 Flash-Lite',
+      'gemini-2.0-flash': 'Gemini 2.0 Flash',
       'ollama': 'Ollama',
       'lm-studio': 'LM Studio'
     };
@@ -1795,6 +2014,38 @@ class NoxChatApp {
     this.scrollToBottom();
   }
 
+  /**
+   * 📜 Append live tool output (e.g. from run_command) below its status row
+   */
+  private handleToolOutput(messageId: string, toolId: string, text: string, stream: string): void {
+    const messageEl = document.querySelector(`[data-message-id="${messageId}"]`);
+    const toolStatusItem = messageEl?.querySelector(`.tool-status-item[data-tool-id="${toolId}"]`);
+    if (!toolStatusItem) {
+      return;
+    }
+
+    let outputEl = toolStatusItem.nextElementSibling as HTMLElement | null;
+    if (!outputEl || !outputEl.classList.contains('tool-output')) {
+      outputEl = document.createElement('pre');
+      outputEl.className = 'tool-output';
+      toolStatusItem.insertAdjacentElement('afterend', outputEl);
+    }
+
+    // ✅ SECURITY: Plain text only
+    const chunk = document.createElement('span');
+    chunk.className = `tool-output-${stream === 'stderr' ? 'stderr' : 'stdout'}`;
+    chunk.textContent = text;
+    outputEl.appendChild(chunk);
+
+    // Keep the DOM small - the model gets the full (capped) output anyway
+    while ((outputEl.textContent || '').length > 20000 && outputEl.firstChild && outputEl.childNodes.length > 1) {
+      outputEl.removeChild(outputEl.firstChild);
+    }
+
+    outputEl.scrollTop = outputEl.scrollHeight;
+    this.scrollToBottom();
+  }
+
   /**
    * 🛠️ PHASE 2B-3: Handle tool approval request
    */
@@ -1943,6 +2194,124 @@ class NoxChatApp {
     } as any);
   }
 
+  /**
+   * 💰 Show the estimated tokens and cost of a task request
+   * Requests above the confirmation threshold wait for Send / Cancel.
+   */
+  private handleCostPreview(preview: any): void {
+    if (!this.elements.messagesContainer || !preview) return;
+
+    const formatTokens = (tokens: number) => tokens.toLocaleString();
+    const formatCost = (cost: number) => `$${cost.toFixed(4)}`;
+    const approx = preview.exact ? '' : '≈';
+
+    // ✅ SECURITY: Build the card with safe DOM methods
+    const cardEl = document.createElement('div');
+    cardEl.className = 'nox-cost-preview';
+    cardEl.setAttribute('data-preview-id', preview.id);
+    if (preview.requiresConfirmation) {
+      cardEl.classList.add('requires-confirmation');
+    }
+
+    const headerEl = document.createElement('div');
+    headerEl.className = 'nox-cost-preview-header';
+    headerEl.textContent = `💰 Cost preview · ${preview.taskType} · ${preview.providerName} / ${preview.model}`;
+    cardEl.appendChild(headerEl);
+
+    const rows: Array<[string, string]> = [
+      ['System prompt', `${approx}${formatTokens(preview.tokens.system)}`],
+      ['Context', `${approx}${formatTokens(preview.tokens.context)}`],
+      ['History', `${approx}${formatTokens(preview.tokens.history)}`],
+      ['Task', `${approx}${formatTokens(preview.tokens.task)}`],
+      ['Input total', `${approx}${formatTokens(preview.tokens.input)}`],
+      [
+        'Output',
+        `up to ${formatTokens(preview.tokens.output)}${
+          preview.tokens.thinking ? ` (incl. ${formatTokens(preview.tokens.thinking)} thinking)` : ''
+        }`
+      ]
+    ];
+
+    const tableEl = document.createElement('div');
+    tableEl.className = 'nox-cost-preview-rows';
+    rows.forEach(([label, value]) => {
+      const rowEl = document.createElement('div');
+      rowEl.className = 'nox-cost-preview-row';
+
+      const labelSpan = document.createElement('span');
+      labelSpan.textContent = label;
+      const valueSpan = document.createElement('span');
+      valueSpan.textContent = `${value} tokens`;
+
+      rowEl.appendChild(labelSpan);
+      rowEl.appendChild(valueSpan);
+      tableEl.appendChild(rowEl);
+    });
+    cardEl.appendChild(tableEl);
+
+    const costEl = document.createElement('div');
+    costEl.className = 'nox-cost-preview-cost';
+    costEl.textContent =
+      preview.cost.total === null
+        ? 'No pricing data for this model'
+        : `≈ ${formatCost(preview.cost.input)} input + up to ${formatCost(preview.cost.output)} output = up to ${formatCost(preview.cost.total)}`;
+    cardEl.appendChild(costEl);
+
+    if (preview.requiresConfirmation) {
+      const noticeEl = document.createElement('div');
+      noticeEl.className = 'nox-cost-preview-notice';
+      noticeEl.textContent = `Above your confirmation threshold of ${formatCost(preview.threshold)}.`;
+
+      const actionsEl = document.createElement('div');
+      actionsEl.className = 'approval-actions';
+
+      const respond = (approved: boolean) => {
+        this.sendMessage({
+          type: 'costPreviewResponse',
+          previewId: preview.id,
+          approved: approved
+        } as any);
+        actionsEl.remove();
+        cardEl.classList.remove('requires-confirmation');
+        noticeEl.textContent = approved ? '✅ Sent' : '🚫 Cancelled';
+      };
+
+      const sendBtn = document.createElement('button');
+      sendBtn.className = 'approval-btn approve-btn';
+      sendBtn.textContent = '✅ Send';
+      sendBtn.onclick = () => respond(true);
+
+      const cancelBtn = document.createElement('button');
+      cancelBtn.className = 'approval-btn deny-btn';
+      cancelBtn.textContent = '🚫 Cancel';
+      cancelBtn.onclick = () => respond(false);
+
+      actionsEl.appendChild(sendBtn);
+      actionsEl.appendChild(cancelBtn);
+      cardEl.appendChild(noticeEl);
+      cardEl.appendChild(actionsEl);
+    }
+
+    this.elements.messagesContainer.appendChild(cardEl);
+    this.scrollToBottom();
+  }
+
+  /**
+   * ⏱️ Close a cost preview that wasn't answered in time
+   */
+  private handleCostPreviewExpired(previewId: string): void {
+    const cardEl = document.querySelector(`[data-preview-id="${previewId}"]`);
+    if (!cardEl) return;
+
+    cardEl.querySelector('.approval-actions')?.remove();
+    cardEl.classList.remove('requires-confirmation');
+
+    const noticeEl = cardEl.querySelector('.nox-cost-preview-notice');
+    if (noticeEl) {
+      noticeEl.textContent = '⏱️ Cancelled - not answered in time';
+    }
+  }
+
   /**
    * 🦊 Handle Git operation result
    */
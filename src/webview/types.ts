@@ -18,11 +18,22 @@ export interface BaseMessage {
 export interface SendMessageRequest extends BaseMessage {
   type: 'sendMessage';
   content: string;
+  images?: ImageAttachment[];
 }
 
 export interface SendStreamingMessageRequest extends BaseMessage {
   type: 'sendStreamingMessage';
   content: string;
+  images?: ImageAttachment[];
+}
+
+export interface PickImagesRequest extends BaseMessage {
+  type: 'pickImages';
+}
+
+export interface AttachImageUrisRequest extends BaseMessage {
+  type: 'attachImageUris';
+  uris: string[];
 }
 
 export interface ProviderChangeRequest extends BaseMessage {
@@ -158,6 +169,17 @@ export interface StreamChunkResponse extends BaseMessage {
   isComplete?: boolean;
 }
 
+export interface ImagesAttachedResponse extends BaseMessage {
+  type: 'imagesAttached';
+  images: ImageAttachment[];
+}
+
+export interface StreamThinkingResponse extends BaseMessage {
+  type: 'streamThinking';
+  messageId: string;
+  chunk: string;
+}
+
 export interface StreamCompleteResponse extends BaseMessage {
   type: 'streamComplete';
   messageId: string;
@@ -170,6 +192,13 @@ export interface StreamStoppedResponse extends BaseMessage {
   partialContent?: string;
 }
 
+// Image attachment (base64 data, no data: URL prefix)
+export interface ImageAttachment {
+  name: string;
+  mimeType: string;
+  data: string;
+}
+
 // Chat message structure
 export interface ChatMessage {
   id: string;
@@ -180,6 +209,16 @@ export interface ChatMessage {
   cost?: number;
   provider?: string;
   model?: string;
+  images?: ImageAttachment[];
+  failover?: {
+    from: string;
+    reason: string;
+  };
+  thinking?: {
+    content: string;
+    tokens: number;
+    cost: number;
+  } | null;
 }
 
 // Provider information
@@ -0,0 +1,550 @@
+/**
+ * 🧪 NOX Bedrock Provider Test
+ * Checks SigV4 signing against AWS's published example, the AWS credential
+ * chain (environment, shared files, credential_process), and full requests
+ * against a local stub Bedrock endpoint that verifies every signature
+ * (Standalone Version - no AWS account or network needed)
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const {
+  BedrockProvider,
+  AwsSigV4,
+  AwsCredentials,
+  EventStreamDecoder,
+} = require("../src/core/providers/bedrock");
+
+const FIXTURES = path.join(__dirname, "fixtures", "streams");
+
+// AWS's example credentials from the SigV4 documentation and test suite
+const EXAMPLE_CREDENTIALS = {
+  accessKeyId: "AKIDEXAMPLE",
+  secretAccessKey: "wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY",
+};
+
+const AWS_ENV = [
+  "AWS_ACCESS_KEY_ID",
+  "AWS_SECRET_ACCESS_KEY",
+  "AWS_SESSION_TOKEN",
+  "AWS_CREDENTIAL_EXPIRATION",
+  "AWS_PROFILE",
+  "AWS_REGION",
+  "AWS_DEFAULT_REGION",
+  "AWS_CONFIG_FILE",
+  "AWS_SHARED_CREDENTIALS_FILE",
+];
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+/**
+ * Run fn with only the given AWS_* environment variables set
+ */
+async function withAwsEnv(values, fn) {
+  const saved = {};
+  for (const name of AWS_ENV) {
+    saved[name] = process.env[name];
+    delete process.env[name];
+  }
+  Object.assign(process.env, values);
+
+  try {
+    return await fn();
+  } finally {
+    for (const name of AWS_ENV) {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    }
+  }
+}
+
+/**
+ * Encode one event stream message with string headers (what Bedrock sends)
+ */
+function encodeMessage(headers, payload) {
+  const headerBytes = Buffer.concat(
+    Object.entries(headers).map(([name, value]) => {
+      const nameBytes = Buffer.from(name);
+      const valueBytes = Buffer.from(value);
+      const header = Buffer.alloc(4 + nameBytes.length + valueBytes.length);
+      header.writeUInt8(nameBytes.length, 0);
+      nameBytes.copy(header, 1);
+      header.writeUInt8(7, 1 + nameBytes.length);
+      header.writeUInt16BE(valueBytes.length, 2 + nameBytes.length);
+      valueBytes.copy(header, 4 + nameBytes.length);
+      return header;
+    })
+  );
+  const payloadBytes = Buffer.from(payload);
+  const totalLength = 16 + headerBytes.length + payloadBytes.length;
+
+  const message = Buffer.alloc(totalLength);
+  message.writeUInt32BE(totalLength, 0);
+  message.writeUInt32BE(headerBytes.length, 4);
+  message.writeUInt32BE(EventStreamDecoder.crc32(message.subarray(0, 8)), 8);
+  headerBytes.copy(message, 12);
+  payloadBytes.copy(message, 12 + headerBytes.length);
+  message.writeUInt32BE(
+    EventStreamDecoder.crc32(message.subarray(0, totalLength - 4)),
+    totalLength - 4
+  );
+  return message;
+}
+
+/**
+ * Stand-in for bedrock-runtime: re-signs every request it receives with the
+ * expected credentials and rejects it (403) unless the signatures match
+ */
+async function startStubEndpoint(credentials, region) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks).toString("utf8");
+      const authorization = req.headers.authorization || "";
+      const signedHeaders = authorization
+        .match(/SignedHeaders=([^,]+)/)?.[1]
+        .split(";");
+
+      const amzDate = req.headers["x-amz-date"] || "";
+      const expected = signedHeaders
+        ? AwsSigV4.sign(
+            {
+              method: req.method,
+              url: `http://${req.headers.host}${req.url}`,
+              headers: Object.fromEntries(
+                signedHeaders
+                  .filter(
+                    (name) =>
+                      !["host", "x-amz-date", "x-amz-security-token"].includes(
+                        name
+                      )
+                  )
+                  .map((name) => [name, req.headers[name]])
+              ),
+              body,
+            },
+            {
+              credentials,
+              region,
+              service: "bedrock",
+              date: new Date(
+                amzDate.replace(
+                  /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/,
+                  "$1-$2-$3T$4:$5:$6Z"
+                )
+              ),
+            }
+          ).authorization
+        : null;
+
+      requests.push({ url: req.url, headers: req.headers, body });
+
+      if (!expected || expected !== authorization) {
+        res.writeHead(403, { "Content-Type": "application/json" });
+        res.end(
+          JSON.stringify({ message: "The request signature does not match" })
+        );
+        return;
+      }
+
+      const streaming = req.url.endsWith("/invoke-with-response-stream");
+      if (streaming) {
+        res.writeHead(200, {
+          "Content-Type": "application/vnd.amazon.eventstream",
+        });
+        res.end(
+          fs.readFileSync(path.join(FIXTURES, "bedrock-tool-use.eventstream"))
+        );
+        return;
+      }
+
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(
+        JSON.stringify({
+          id: "msg_bdrk_01",
+          type: "message",
+          role: "assistant",
+          content: [{ type: "text", text: "Hello from Bedrock" }],
+          stop_reason: "end_turn",
+          usage: { input_tokens: 12, output_tokens: 5 },
+        })
+      );
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * ✍️ SigV4 matches AWS's published examples
+ */
+async function testSigV4() {
+  console.log("\n✍️ Testing SigV4 signing...");
+
+  // "get-vanilla" from the AWS SigV4 test suite
+  const vanilla = AwsSigV4.sign(
+    { method: "GET", url: "https://example.amazonaws.com/" },
+    {
+      credentials: EXAMPLE_CREDENTIALS,
+      region: "us-east-1",
+      service: "service",
+      date: new Date("2015-08-30T12:36:00Z"),
+    }
+  );
+  assert.strictEqual(vanilla["x-amz-date"], "20150830T123600Z");
+  assert.strictEqual(
+    vanilla.authorization,
+    "AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, " +
+      "SignedHeaders=host;x-amz-date, " +
+      "Signature=5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31"
+  );
+  console.log("  ✅ get-vanilla signature");
+
+  // IAM ListUsers from the SigV4 documentation (sorted query, content-type)
+  const listUsers = AwsSigV4.sign(
+    {
+      method: "GET",
+      url: "https://iam.amazonaws.com/?Version=2010-05-08&Action=ListUsers",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded; charset=utf-8",
+      },
+    },
+    {
+      credentials: EXAMPLE_CREDENTIALS,
+      region: "us-east-1",
+      service: "iam",
+      date: new Date("2015-08-30T12:36:00Z"),
+    }
+  );
+  assert.ok(
+    listUsers.authorization.endsWith(
+      "SignedHeaders=content-type;host;x-amz-date, " +
+        "Signature=5d672d79c15b13162d9279b0855cfba6789a8edb4c82c400e06b5924a6f2b5d7"
+    )
+  );
+  console.log("  ✅ IAM ListUsers signature");
+
+  // Session tokens are sent and signed
+  const withToken = AwsSigV4.sign(
+    { method: "POST", url: "https://example.amazonaws.com/", body: "{}" },
+    {
+      credentials: { ...EXAMPLE_CREDENTIALS, sessionToken: "token" },
+      region: "us-east-1",
+      service: "bedrock",
+    }
+  );
+  assert.strictEqual(withToken["x-amz-security-token"], "token");
+  assert.ok(withToken.authorization.includes("x-amz-security-token"));
+  assert.strictEqual(withToken.host, undefined, "fetch sets host itself");
+  console.log("  ✅ Session token signed");
+}
+
+/**
+ * 🔑 Credentials resolve like the AWS CLI
+ */
+async function testCredentialChain() {
+  console.log("\n🔑 Testing the AWS credential chain...");
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nox-aws-"));
+  const credentialsFile = path.join(dir, "credentials");
+  const configFile = path.join(dir, "config");
+  const processOutput = path.join(dir, "process.json");
+
+  fs.writeFileSync(
+    credentialsFile,
+    [
+      "[default]",
+      "aws_access_key_id = AKIDDEFAULT",
+      "aws_secret_access_key = default-secret",
+      "",
+      "[work]",
+      "aws_access_key_id = AKIDWORK",
+      "aws_secret_access_key = work-secret",
+      "aws_session_token = work-token",
+    ].join("\n")
+  );
+  fs.writeFileSync(
+    processOutput,
+    JSON.stringify({
+      Version: 1,
+      AccessKeyId: "AKIDPROCESS",
+      SecretAccessKey: "process-secret",
+      SessionToken: "process-token",
+      Expiration: new Date(Date.now() + 3600 * 1000).toISOString(),
+    })
+  );
+  fs.writeFileSync(
+    configFile,
+    [
+      "[default]",
+      "region = eu-west-1",
+      "",
+      "[profile work]",
+      "region = ap-southeast-2",
+      "",
+      "[profile sso]",
+      "sso_session = corp",
+      "",
+      "[profile exported]",
+      `credential_process = "${process.execPath}" -e "process.stdout.write(require('fs').readFileSync(process.argv[1], 'utf8'))" "${processOutput}"`,
+    ].join("\n")
+  );
+
+  const files = {
+    AWS_SHARED_CREDENTIALS_FILE: credentialsFile,
+    AWS_CONFIG_FILE: configFile,
+  };
+
+  try {
+    await withAwsEnv(
+      {
+        ...files,
+        AWS_ACCESS_KEY_ID: "AKIDENV",
+        AWS_SECRET_ACCESS_KEY: "env-secret",
+      },
+      async () => {
+        const chain = new AwsCredentials(mockLogger);
+        const fromEnv = await chain.resolve();
+        assert.strictEqual(fromEnv.accessKeyId, "AKIDENV");
+        assert.strictEqual(fromEnv.source, "environment variables");
+
+        // An explicit profile wins over the environment, like the SDKs
+        const fromProfile = await chain.resolve({ profile: "work" });
+        assert.strictEqual(fromProfile.accessKeyId, "AKIDWORK");
+        assert.strictEqual(fromProfile.sessionToken, "work-token");
+      }
+    );
+    console.log("  ✅ Environment first, explicit profile overrides");
+
+    await withAwsEnv(files, async () => {
+      const chain = new AwsCredentials(mockLogger);
+      assert.strictEqual((await chain.resolve()).accessKeyId, "AKIDDEFAULT");
+      assert.strictEqual(chain.resolveRegion(), "eu-west-1");
+      assert.strictEqual(
+        chain.resolveRegion({ profile: "work" }),
+        "ap-southeast-2"
+      );
+      assert.strictEqual(
+        chain.resolveRegion({ region: "us-west-2", profile: "work" }),
+        "us-west-2"
+      );
+    });
+    await withAwsEnv({ ...files, AWS_REGION: "eu-central-1" }, async () => {
+      assert.strictEqual(
+        new AwsCredentials().resolveRegion({ profile: "work" }),
+        "eu-central-1"
+      );
+    });
+    console.log("  ✅ Default profile and region order");
+
+    await withAwsEnv(files, async () => {
+      const chain = new AwsCredentials(mockLogger);
+      const exported = await chain.resolve({ profile: "exported" });
+      assert.strictEqual(exported.accessKeyId, "AKIDPROCESS");
+      assert.strictEqual(exported.sessionToken, "process-token");
+      assert.ok(exported.expiration instanceof Date);
+      assert.strictEqual(
+        await chain.resolve({ profile: "exported" }),
+        exported,
+        "Unexpired credentials are cached"
+      );
+
+      await assert.rejects(
+        () => chain.resolve({ profile: "sso" }),
+        /credential_process = aws configure export-credentials --profile sso/
+      );
+      await assert.rejects(
+        () => chain.resolve({ profile: "missing" }),
+        /No AWS credentials found/
+      );
+    });
+    console.log("  ✅ credential_process, SSO hint and missing profile");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * ☁️ Requests reach the stub endpoint signed, in Bedrock's format
+ */
+async function testStubEndpoint() {
+  console.log("\n☁️ Testing requests against a stub Bedrock endpoint...");
+
+  const credentials = { ...EXAMPLE_CREDENTIALS, sessionToken: "stub-token" };
+  const stub = await startStubEndpoint(credentials, "eu-west-1");
+
+  try {
+    await withAwsEnv(
+      {
+        AWS_ACCESS_KEY_ID: credentials.accessKeyId,
+        AWS_SECRET_ACCESS_KEY: credentials.secretAccessKey,
+        AWS_SESSION_TOKEN: credentials.sessionToken,
+        AWS_CONFIG_FILE: path.join(os.tmpdir(), "nox-no-aws-config"),
+      },
+      async () => {
+        const provider = new BedrockProvider({}, mockLogger);
+        provider.configure({ region: "eu-west-1", endpoint: `${stub.url}/` });
+        assert.strictEqual(provider.getBaseUrl(), stub.url);
+        assert.ok(await provider.hasCredentials());
+
+        // Non-streaming: InvokeModel with the inference profile ID
+        const response = await provider.sendRequest("aws-credentials", "Hi");
+        assert.strictEqual(response.content, "Hello from Bedrock");
+        assert.strictEqual(response.provider, "bedrock");
+
+        const invoke = stub.requests[0];
+        assert.strictEqual(
+          invoke.url,
+          "/model/eu.anthropic.claude-sonnet-4-5-20250929-v1%3A0/invoke"
+        );
+        const body = JSON.parse(invoke.body);
+        assert.strictEqual(body.anthropic_version, "bedrock-2023-05-31");
+        assert.strictEqual(body.model, undefined);
+        assert.deepStrictEqual(body.messages, [
+          { role: "user", content: "Hi" },
+        ]);
+        assert.strictEqual(
+          invoke.headers["x-amz-security-token"],
+          "stub-token"
+        );
+        assert.strictEqual(invoke.headers["x-api-key"], undefined);
+        console.log("  ✅ InvokeModel signed, inference profile model ID");
+
+        // Streaming with tools: event stream through ClaudeStreamParser logic
+        const chunks = [];
+        const toolCalls = [];
+        let streamed = null;
+        await provider.sendStreamingRequestWithTools(
+          "aws-credentials",
+          "You are Nox",
+          "Read src/index.js",
+          [
+            {
+              name: "read_file",
+              description: "Read a file",
+              input_schema: {
+                type: "object",
+                properties: { path: { type: "string" } },
+              },
+            },
+          ],
+          { model: "anthropic.claude-3-haiku-20240307-v1:0" },
+          {
+            onChunk: (chunk) => chunks.push(chunk.chunk),
+            onToolCall: async (toolCall) => toolCalls.push(toolCall),
+            onComplete: (message) => (streamed = message),
+          }
+        );
+
+        const stream = stub.requests[1];
+        assert.strictEqual(
+          stream.url,
+          "/model/anthropic.claude-3-haiku-20240307-v1%3A0/invoke-with-response-stream"
+        );
+        assert.strictEqual(
+          stream.headers.accept,
+          "application/vnd.amazon.eventstream"
+        );
+        assert.strictEqual(JSON.parse(stream.body).stream, undefined);
+        assert.strictEqual(chunks.join(""), "Let me read that file.");
+        assert.deepStrictEqual(
+          toolCalls.map(({ name, parameters }) => ({ name, parameters })),
+          [{ name: "read_file", parameters: { path: "src/index.js" } }]
+        );
+        assert.strictEqual(streamed.provider, "bedrock");
+        assert.strictEqual(streamed.stopReason, "tool_use");
+        console.log("  ✅ InvokeModelWithResponseStream with tool calls");
+
+        // Wrong credentials are rejected by the stub's signature check
+        process.env.AWS_SECRET_ACCESS_KEY = "wrong-secret";
+        provider.configure({ region: "eu-west-1", endpoint: stub.url });
+        await assert.rejects(
+          () => provider.sendRequest("aws-credentials", "Hi"),
+          /Bedrock API error: 403 .*signature does not match/
+        );
+        console.log("  ✅ Bad signatures surface the Bedrock error");
+      }
+    );
+  } finally {
+    await stub.close();
+  }
+}
+
+/**
+ * 🧱 Event stream framing survives any chunking and rejects corruption
+ */
+async function testEventStreamDecoder() {
+  console.log("\n🧱 Testing event stream framing...");
+
+  const message = encodeMessage(
+    { ":message-type": "event", ":event-type": "chunk" },
+    '{"bytes":"e30="}'
+  );
+  const decoder = new EventStreamDecoder();
+  const decoded = [];
+  for (const byte of Buffer.concat([message, message])) {
+    decoded.push(...decoder.push([byte]));
+  }
+  assert.strictEqual(decoded.length, 2);
+  assert.strictEqual(decoded[0].headers[":event-type"], "chunk");
+  assert.strictEqual(decoded[1].payload.toString(), '{"bytes":"e30="}');
+  assert.ok(!decoder.hasPartialMessage());
+
+  const corrupt = Buffer.from(message);
+  corrupt[corrupt.length - 6] ^= 0xff;
+  assert.throws(
+    () => new EventStreamDecoder().push(corrupt),
+    /message checksum/
+  );
+  console.log("  ✅ Byte-by-byte decoding and checksum validation");
+}
+
+/**
+ * 🧪 Run all Bedrock provider tests
+ */
+async function runBedrockProviderTests() {
+  console.log("🧪 NOX Bedrock Provider Test Suite");
+
+  try {
+    await testSigV4();
+    await testCredentialChain();
+    await testEventStreamDecoder();
+    await testStubEndpoint();
+    console.log("\n🎉 All Bedrock provider tests passed!");
+  } catch (error) {
+    console.error("\n❌ Bedrock provider test failed:", error);
+    process.exitCode = 1;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runBedrockProviderTests();
+}
+
+module.exports = {
+  testSigV4,
+  testCredentialChain,
+  testEventStreamDecoder,
+  testStubEndpoint,
+  runBedrockProviderTests,
+};
@@ -0,0 +1,321 @@
+/**
+ * 🧪 NOX Embeddings Test
+ * Runs embed() for OpenAI, Gemini, Ollama, LM Studio and OpenAI-compatible
+ * endpoints against a local stub server: batching, input order, dimensions,
+ * token counting and cost, plus the capability flag for providers without
+ * an embeddings API
+ * (Standalone Version - no API keys or network needed)
+ */
+
+const assert = require("assert");
+const http = require("http");
+const {
+  ClaudeProvider,
+  OpenAIProvider,
+  GeminiProvider,
+  LocalProvider,
+  OpenAICompatibleProvider,
+  OpenAICompatibleConfig,
+  ProviderManager,
+} = require("../src/core/providers");
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+/**
+ * Fake vector for a text - its first value encodes the text length, so the
+ * tests can check that vectors line up with their inputs
+ */
+function vectorFor(text, dimensions = 4) {
+  return Array.from({ length: dimensions }, (_, i) =>
+    i === 0 ? text.length : i / 10
+  );
+}
+
+/**
+ * Stub server answering the OpenAI, Gemini and Ollama embeddings routes
+ * Every request is recorded as { path, body }
+ */
+async function startStubServer() {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+      requests.push({ path: req.url, headers: req.headers, body });
+
+      let reply;
+      if (req.url.endsWith("/embeddings") && !req.url.includes("/api/")) {
+        // OpenAI style - answer out of order to check the index sort
+        reply = {
+          data: body.input
+            .map((text, index) => ({
+              index,
+              embedding: vectorFor(text, body.dimensions || 4),
+            }))
+            .reverse(),
+          usage: { prompt_tokens: body.input.length * 10 },
+        };
+      } else if (req.url.endsWith(":batchEmbedContents")) {
+        reply = {
+          embeddings: body.requests.map((request) => ({
+            values: vectorFor(
+              request.content.parts[0].text,
+              request.outputDimensionality || 4
+            ),
+          })),
+        };
+      } else if (req.url === "/api/embeddings") {
+        reply = { embedding: vectorFor(body.prompt) };
+      } else {
+        res.writeHead(404, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: "not found" }));
+        return;
+      }
+
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(reply));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * 🟢 OpenAI: batches, input order, reported usage and per-1K pricing
+ */
+async function testOpenAIEmbeddings(stub) {
+  console.log("\n🟢 Testing OpenAI embeddings...");
+
+  const provider = new OpenAIProvider(
+    { baseUrl: `${stub.url}/v1` },
+    mockLogger
+  );
+  assert.ok(provider.supportsEmbeddings());
+  assert.strictEqual(provider.getEmbeddingDimensions(), 1536);
+
+  const texts = ["a", "bb", "ccc", "dddd", "eeeee"];
+  stub.requests.length = 0;
+  const response = await provider.embed("sk-test", texts, { batchSize: 2 });
+
+  assert.strictEqual(stub.requests.length, 3);
+  assert.deepStrictEqual(
+    stub.requests.map((request) => request.body.input),
+    [["a", "bb"], ["ccc", "dddd"], ["eeeee"]]
+  );
+  assert.strictEqual(stub.requests[0].body.model, "text-embedding-3-small");
+  assert.strictEqual(stub.requests[0].headers.authorization, "Bearer sk-test");
+  assert.deepStrictEqual(
+    response.embeddings.map((vector) => vector[0]),
+    [1, 2, 3, 4, 5]
+  );
+  assert.strictEqual(response.dimensions, 4);
+  assert.strictEqual(response.provider, "openai");
+  assert.strictEqual(response.tokens, 50);
+  assert.ok(Math.abs(response.cost - (50 / 1000) * 0.00002) < 1e-12);
+
+  // A single string and options.dimensions
+  stub.requests.length = 0;
+  const single = await provider.embed("sk-test", "hello", {
+    model: "text-embedding-3-large",
+    dimensions: 8,
+  });
+  assert.strictEqual(single.embeddings.length, 1);
+  assert.strictEqual(single.dimensions, 8);
+  assert.strictEqual(single.model, "text-embedding-3-large");
+  assert.strictEqual(stub.requests[0].body.dimensions, 8);
+  console.log("  ✅ Batches, order, dimensions, usage and cost");
+}
+
+/**
+ * 🔷 Gemini: batchEmbedContents and counted tokens (no usage reported)
+ */
+async function testGeminiEmbeddings(stub) {
+  console.log("\n🔷 Testing Gemini embeddings...");
+
+  const provider = new GeminiProvider(
+    { baseUrl: `${stub.url}/v1beta` },
+    mockLogger
+  );
+  stub.requests.length = 0;
+  const response = await provider.embed("gemini-key", ["one", "three"], {
+    dimensions: 6,
+  });
+
+  assert.strictEqual(stub.requests.length, 1);
+  assert.strictEqual(
+    stub.requests[0].path,
+    "/v1beta/models/gemini-embedding-001:batchEmbedContents"
+  );
+  assert.strictEqual(stub.requests[0].headers["x-goog-api-key"], "gemini-key");
+  assert.deepStrictEqual(stub.requests[0].body.requests[1], {
+    model: "models/gemini-embedding-001",
+    content: { parts: [{ text: "three" }] },
+    outputDimensionality: 6,
+  });
+  assert.deepStrictEqual(
+    response.embeddings.map((vector) => vector[0]),
+    [3, 5]
+  );
+  assert.strictEqual(response.dimensions, 6);
+  assert.ok(response.tokens > 0, "tokens are estimated when not reported");
+  assert.ok(response.cost > 0);
+  console.log("  ✅ batchEmbedContents request and estimated tokens");
+}
+
+/**
+ * 🏠 Local: Ollama embeds one prompt per call, LM Studio (/v1) in batches
+ */
+async function testLocalEmbeddings(stub) {
+  console.log("\n🏠 Testing local embeddings...");
+
+  const provider = new LocalProvider({}, mockLogger);
+
+  stub.requests.length = 0;
+  const ollama = await provider.embed(stub.url, ["x", "yy", "zzz"]);
+  assert.deepStrictEqual(
+    stub.requests.map((request) => request.path),
+    ["/api/embeddings", "/api/embeddings", "/api/embeddings"]
+  );
+  assert.deepStrictEqual(stub.requests[1].body, {
+    model: "nomic-embed-text",
+    prompt: "yy",
+  });
+  assert.deepStrictEqual(
+    ollama.embeddings.map((vector) => vector[0]),
+    [1, 2, 3]
+  );
+  assert.strictEqual(ollama.cost, 0);
+
+  stub.requests.length = 0;
+  const lmStudio = await provider.embed(`${stub.url}/v1`, ["x", "yy"], {
+    model: "text-embedding-nomic-embed-text-v1.5",
+  });
+  assert.strictEqual(stub.requests.length, 1);
+  assert.strictEqual(stub.requests[0].path, "/v1/embeddings");
+  assert.deepStrictEqual(stub.requests[0].body.input, ["x", "yy"]);
+  assert.strictEqual(lmStudio.tokens, 20);
+  console.log("  ✅ Ollama /api/embeddings and LM Studio /v1/embeddings");
+}
+
+/**
+ * 🔌 OpenAI-compatible endpoints opt in with embeddingModels
+ */
+async function testOpenAICompatibleEmbeddings(stub) {
+  console.log("\n🔌 Testing OpenAI-compatible embeddings...");
+
+  const plain = new OpenAICompatibleProvider(
+    OpenAICompatibleConfig.fromEndpoint({
+      id: "gateway",
+      baseUrl: `${stub.url}/v1`,
+      models: ["chat-model"],
+    }),
+    mockLogger
+  );
+  assert.ok(!plain.supportsEmbeddings());
+
+  const provider = new OpenAICompatibleProvider(
+    OpenAICompatibleConfig.fromEndpoint({
+      id: "gateway",
+      baseUrl: `${stub.url}/v1`,
+      models: ["chat-model"],
+      embeddingModels: ["embed-small", "embed-large"],
+    }),
+    mockLogger
+  );
+  assert.deepStrictEqual(provider.getEmbeddingModels(), [
+    "embed-small",
+    "embed-large",
+  ]);
+  assert.strictEqual(provider.getEmbeddingDimensions(), null);
+
+  stub.requests.length = 0;
+  const response = await provider.embed("gateway-key", ["abc"]);
+  assert.strictEqual(stub.requests[0].body.model, "embed-small");
+  assert.strictEqual(response.dimensions, 4, "learned from the response");
+  assert.strictEqual(response.provider, "gateway");
+  assert.strictEqual(response.cost, 0, "unpriced models are free");
+  console.log("  ✅ embeddingModels enables embeddings");
+}
+
+/**
+ * 🚫 Providers without an embeddings API say so
+ */
+async function testUnsupportedProviders() {
+  console.log("\n🚫 Testing the capability flag...");
+
+  const claude = new ClaudeProvider({}, mockLogger);
+  assert.ok(!claude.supportsEmbeddings());
+  await assert.rejects(
+    () => claude.embed("sk-ant-test", ["text"]),
+    (error) => error.embeddingsUnsupported === true
+  );
+
+  const openai = new OpenAIProvider({}, mockLogger);
+  await assert.rejects(
+    () => openai.embed("sk-test", ["ok", 42]),
+    /array of strings/
+  );
+
+  const manager = ProviderManager.getInstance(mockLogger);
+  manager.register("anthropic", ClaudeProvider, {});
+  manager.register("openai", OpenAIProvider, {});
+  manager.register("local", LocalProvider, {});
+  assert.deepStrictEqual(manager.getProvidersWithEmbeddingSupport(), [
+    "openai",
+    "local",
+  ]);
+  const info = manager.getAllProviderInfo();
+  assert.strictEqual(info[0].supportsEmbeddings, false);
+  assert.deepStrictEqual(info[0].embeddingModels, []);
+  assert.ok(info[1].embeddingModels.includes("text-embedding-3-large"));
+  console.log("  ✅ embeddingsUnsupported and provider metadata");
+}
+
+/**
+ * 🧪 Run all embeddings tests
+ */
+async function runEmbeddingsTests() {
+  console.log("🧪 NOX Embeddings Test Suite");
+
+  const stub = await startStubServer();
+  try {
+    await testOpenAIEmbeddings(stub);
+    await testGeminiEmbeddings(stub);
+    await testLocalEmbeddings(stub);
+    await testOpenAICompatibleEmbeddings(stub);
+    await testUnsupportedProviders();
+    console.log("\n🎉 All embeddings tests passed!");
+  } catch (error) {
+    console.error("\n❌ Embeddings test failed:", error);
+    process.exitCode = 1;
+  } finally {
+    await stub.close();
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runEmbeddingsTests();
+}
+
+module.exports = {
+  testOpenAIEmbeddings,
+  testGeminiEmbeddings,
+  testLocalEmbeddings,
+  testOpenAICompatibleEmbeddings,
+  testUnsupportedProviders,
+  runEmbeddingsTests,
+};
@@ -0,0 +1,343 @@
+/**
+ * 🧪 NOX Mock Provider Test
+ * Replays a recorded tool-calling conversation through the mock provider and
+ * StreamingToolHandler, and records a fake provider into a cassette
+ * (Standalone Version - no API keys or network needed)
+ */
+
+// Mock VS Code module for standalone testing
+const mockVscode = {
+  workspace: {
+    getConfiguration: () => ({
+      get: (key, defaultValue) => defaultValue,
+      update: async () => {},
+    }),
+  },
+  window: {
+    showInformationMessage: async () => undefined,
+    showWarningMessage: async () => undefined,
+  },
+  ConfigurationTarget: {
+    Global: 1,
+  },
+};
+
+// Create a mock vscode module in the require cache
+const Module = require("module");
+const originalRequire = Module.prototype.require;
+
+Module.prototype.require = function (id) {
+  if (id === "vscode") {
+    return mockVscode;
+  }
+  return originalRequire.apply(this, arguments);
+};
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  MockProvider,
+  Cassette,
+  CassetteRecorder,
+} = require("../src/core/providers/mock");
+const StreamingToolHandler = require("../src/core/StreamingToolHandler");
+
+const CASSETTE = path.join(__dirname, "cassettes", "read-file-tool-call.json");
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: console.warn,
+  error: () => {},
+};
+
+/**
+ * Stand-in for the read_file capability
+ */
+class FakeReadFileCapability {
+  static metadata = {
+    id: "read_file",
+    name: "Read File",
+    description: "Read a file",
+    parameters: { path: { type: "string", required: true } },
+  };
+
+  static calls = [];
+
+  async execute(parameters) {
+    FakeReadFileCapability.calls.push(parameters);
+    return { content: "module.exports = { greet };" };
+  }
+}
+
+/**
+ * Run one streaming round the way agentController does
+ */
+async function streamRound(provider, toolHandler, messageId) {
+  const round = { text: "", toolResults: [], finalMessage: null };
+
+  await provider.sendStreamingRequestWithTools(
+    "keyless",
+    "You are NOX, a clever AI coding fox.",
+    [{ role: "user", content: "What does src/index.js export?" }],
+    [],
+    { model: "cassette", messageId },
+    {
+      onChunk: (chunk) => {
+        assert.strictEqual(chunk.messageId, messageId);
+        round.text += chunk.chunk;
+      },
+      onToolCall: async (toolCall) => {
+        const result = await toolHandler.handleToolCall(toolCall, messageId);
+        round.toolResults.push(result);
+        return result;
+      },
+      onComplete: (finalMessage) => {
+        round.finalMessage = finalMessage;
+      },
+    }
+  );
+
+  return round;
+}
+
+/**
+ * ▶️ Replay a recorded agent loop
+ */
+async function testReplay() {
+  console.log("\n▶️ Testing cassette replay...");
+
+  const provider = new MockProvider({ cassette: CASSETTE }, mockLogger);
+  const toolHandler = new StreamingToolHandler(
+    { get: (name) => (name === "read_file" ? FakeReadFileCapability : null) },
+    { getApprovalStrategy: () => "none" },
+    null,
+    mockLogger
+  );
+
+  const first = await streamRound(provider, toolHandler, "msg-1");
+  assert.strictEqual(first.text, "Let me read that file.");
+  assert.deepStrictEqual(FakeReadFileCapability.calls, [
+    { path: "src/index.js" },
+  ]);
+  assert.strictEqual(first.toolResults[0].success, true);
+  assert.strictEqual(first.finalMessage.id, "msg-1");
+  assert.strictEqual(first.finalMessage.provider, "mock");
+  assert.strictEqual(first.finalMessage.cost, 0);
+  assert.strictEqual(first.finalMessage.recordedFrom.provider, "anthropic");
+  console.log("  ✅ Chunks, tool call and final message replayed");
+
+  const second = await streamRound(provider, toolHandler, "msg-2");
+  assert.strictEqual(second.text, "It exports a single `greet` function.");
+  assert.strictEqual(second.toolResults.length, 0);
+  assert.ok(provider.cassette.isExhausted());
+  console.log("  ✅ Follow-up round replayed, cassette exhausted");
+
+  await assert.rejects(
+    () => streamRound(provider, toolHandler, "msg-3"),
+    /Cassette exhausted/
+  );
+  console.log("  ✅ Extra requests fail instead of inventing replies");
+
+  const mismatched = new MockProvider({ cassette: CASSETTE }, mockLogger);
+  await assert.rejects(
+    () => mismatched.sendRequest("keyless", "hi", {}),
+    /Cassette mismatch/
+  );
+  console.log("  ✅ Requests that don't match the recording fail");
+}
+
+/**
+ * ⏺️ Record a provider and replay the recording
+ */
+async function testRecordAndReplay() {
+  console.log("\n⏺️ Testing recording...");
+
+  const apiKey = "sk-test-0123456789abcdefghijklmnop";
+  const cassetteFile = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "nox-cassette-")),
+    "recorded.json"
+  );
+
+  // Fake provider that streams, calls a tool and fails on its second call
+  let calls = 0;
+  const fakeProvider = {
+    getDefaultModel: () => "fake-model",
+    async sendStreamingRequestWithTools(
+      key,
+      systemPrompt,
+      messages,
+      tools,
+      options,
+      callbacks
+    ) {
+      calls++;
+      if (calls > 1) {
+        throw new Error(`Invalid API key ${key}`);
+      }
+      callbacks.onChunk({ messageId: options.messageId, chunk: "Hello" });
+      await callbacks.onToolCall({
+        id: "call_1",
+        name: "read_file",
+        parameters: { path: "a.js" },
+      });
+      callbacks.onComplete({ id: options.messageId, content: "Hello" });
+    },
+  };
+
+  const recorder = new CassetteRecorder(cassetteFile, mockLogger);
+  const recorded = recorder.wrap("openai", fakeProvider);
+  const callbacks = {
+    onChunk: () => {},
+    onToolCall: async () => ({ success: true }),
+    onComplete: () => {},
+  };
+  const tools = [{ type: "function", function: { name: "read_file" } }];
+
+  await recorded.sendStreamingRequestWithTools(
+    apiKey,
+    "system",
+    [{ role: "user", content: "hi" }],
+    tools,
+    { model: "gpt-4o", messageId: "rec-1" },
+    callbacks
+  );
+  await assert.rejects(() =>
+    recorded.sendStreamingRequestWithTools(
+      apiKey,
+      "system",
+      "again",
+      tools,
+      { model: "gpt-4o", messageId: "rec-2" },
+      callbacks
+    )
+  );
+
+  const saved = fs.readFileSync(cassetteFile, "utf8");
+  assert.ok(!saved.includes(apiKey), "API key must be redacted");
+  assert.ok(saved.includes(Cassette.REDACTED));
+
+  const cassette = Cassette.load(cassetteFile);
+  assert.strictEqual(cassette.interactions.length, 2);
+  assert.deepStrictEqual(cassette.interactions[0].request.tools, ["read_file"]);
+  assert.deepStrictEqual(
+    cassette.interactions[0].events.map((event) => event.type),
+    ["chunk", "toolCall", "complete"]
+  );
+  console.log("  ✅ Interactions recorded with the API key redacted");
+
+  const provider = new MockProvider({ cassette: cassetteFile }, mockLogger);
+  const chunks = [];
+  await provider.sendStreamingRequestWithTools(
+    "keyless",
+    "system",
+    "hi",
+    [],
+    { messageId: "replay-1" },
+    { onChunk: (chunk) => chunks.push(chunk.chunk) }
+  );
+  assert.deepStrictEqual(chunks, ["Hello"]);
+  await assert.rejects(
+    () =>
+      provider.sendStreamingRequestWithTools(
+        "keyless",
+        "system",
+        "again",
+        [],
+        {},
+        {}
+      ),
+    /Invalid API key \[REDACTED\]/
+  );
+  console.log("  ✅ Recording replays, including the recorded error");
+
+  fs.rmSync(path.dirname(cassetteFile), { recursive: true, force: true });
+}
+
+/**
+ * 🔐 An unanswered approval doesn't block the next message's tool calls
+ */
+async function testPendingApprovalPerMessage() {
+  console.log("\n🔐 Testing pending approvals across messages...");
+
+  const posted = [];
+  const toolHandler = new StreamingToolHandler(
+    { get: (name) => (name === "read_file" ? FakeReadFileCapability : null) },
+    {
+      getApprovalStrategy: ({ parameters }) =>
+        parameters.path === "secret.env" ? "explicit" : "none",
+    },
+    { webview: { postMessage: (message) => posted.push(message) } },
+    mockLogger
+  );
+  const toolCall = (id, filePath) => ({
+    id,
+    name: "read_file",
+    parameters: { path: filePath },
+  });
+
+  // Message 1 asks for approval and nobody answers
+  const pending = toolHandler.scheduleToolCall(
+    toolCall("call-1", "secret.env"),
+    "msg-1"
+  );
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.ok(
+    posted.some((message) => message.type === "toolApprovalRequest"),
+    "Approval should be requested"
+  );
+
+  // Message 2's exclusive call runs without waiting for it (the approval
+  // itself only times out after 30s)
+  FakeReadFileCapability.calls = [];
+  let timer;
+  const next = await Promise.race([
+    toolHandler.scheduleToolCall(toolCall("call-2", "src/index.js"), "msg-2"),
+    new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error("Blocked behind message 1's approval")),
+        1000
+      );
+    }),
+  ]).finally(() => clearTimeout(timer));
+  assert.strictEqual(next.success, true);
+  assert.deepStrictEqual(FakeReadFileCapability.calls, [
+    { path: "src/index.js" },
+  ]);
+
+  const declined = await pending;
+  assert.strictEqual(declined.success, false);
+  assert.strictEqual(toolHandler.activeExecutions.size, 0);
+  console.log("  ✅ New message declines old approvals and runs its calls");
+}
+
+/**
+ * 🧪 Run all mock provider tests
+ */
+async function runMockProviderTests() {
+  console.log("🧪 NOX Mock Provider Test Suite");
+
+  try {
+    await testReplay();
+    await testRecordAndReplay();
+    await testPendingApprovalPerMessage();
+    console.log("\n🎉 All mock provider tests passed!");
+  } catch (error) {
+    console.error("\n❌ Mock provider test failed:", error);
+    process.exitCode = 1;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runMockProviderTests();
+}
+
+module.exports = {
+  testReplay,
+  testRecordAndReplay,
+  testPendingApprovalPerMessage,
+  runMockProviderTests,
+};
@@ -0,0 +1,423 @@
+/**
+ * 🧪 NOX Stream Parser Conformance Test
+ * Feeds recorded provider streams (test/fixtures/streams) through every
+ * provider's stream parser and checks that each one emits the unified
+ * stream events correctly: only known event types, tool calls framed
+ * start → args → end, one stop reason, and the expected text, tool calls
+ * and usage once accumulated
+ * (Standalone Version - no API keys or network needed)
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const {
+  STREAM_EVENTS,
+  STOP_REASONS,
+  USAGE_FIELDS,
+} = require("../src/core/providers/base/StreamEvents");
+const StreamAccumulator = require("../src/core/providers/base/StreamAccumulator");
+const ClaudeStreamParser = require("../src/core/providers/claude/ClaudeStreamParser");
+const OpenAIStreamParser = require("../src/core/providers/openai/OpenAIStreamParser");
+const DeepSeekStreamParser = require("../src/core/providers/deepseek/DeepSeekStreamParser");
+const GeminiStreamParser = require("../src/core/providers/gemini/GeminiStreamParser");
+const LocalStreamParser = require("../src/core/providers/local/LocalStreamParser");
+const BedrockStreamParser = require("../src/core/providers/bedrock/BedrockStreamParser");
+
+const FIXTURES = path.join(__dirname, "fixtures", "streams");
+
+// Byte sizes the fixtures are split into, to exercise line buffering
+const CHUNK_SIZES = [1, 7, 64, Infinity];
+
+/**
+ * Expected results for each recorded stream
+ */
+const CASES = [
+  {
+    fixture: "claude-text-thinking.sse",
+    Parser: ClaudeStreamParser,
+    expected: {
+      content: "Here is a `greet` function.",
+      thinking: "The user wants a short greeting function.",
+      toolCalls: [],
+      stopReason: STOP_REASONS.END_TURN,
+      usage: {
+        inputTokens: 412,
+        outputTokens: 48,
+        cacheCreationInputTokens: 0,
+        cacheReadInputTokens: 256,
+      },
+    },
+  },
+  {
+    fixture: "claude-tool-use.sse",
+    Parser: ClaudeStreamParser,
+    expected: {
+      content: "Let me read that file.",
+      toolCalls: [
+        {
+          id: "toolu_01T1x1fJ34qAmk2tNTrN7Up6",
+          name: "read_file",
+          parameters: { path: "src/index.js" },
+        },
+      ],
+      stopReason: STOP_REASONS.TOOL_USE,
+      usage: {
+        inputTokens: 1024,
+        outputTokens: 61,
+        cacheCreationInputTokens: 512,
+        cacheReadInputTokens: 0,
+      },
+    },
+  },
+  {
+    fixture: "claude-overloaded.sse",
+    Parser: ClaudeStreamParser,
+    error: /Claude streaming error: Overloaded/,
+  },
+  {
+    fixture: "bedrock-tool-use.eventstream",
+    Parser: BedrockStreamParser,
+    expected: {
+      content: "Let me read that file.",
+      toolCalls: [
+        {
+          id: "toolu_01T1x1fJ34qAmk2tNTrN7Up6",
+          name: "read_file",
+          parameters: { path: "src/index.js" },
+        },
+      ],
+      stopReason: STOP_REASONS.TOOL_USE,
+      usage: {
+        inputTokens: 1024,
+        outputTokens: 61,
+        cacheCreationInputTokens: 512,
+        cacheReadInputTokens: 0,
+      },
+    },
+  },
+  {
+    fixture: "bedrock-throttling.eventstream",
+    Parser: BedrockStreamParser,
+    error: /Claude streaming error: Too many requests/,
+  },
+  {
+    fixture: "openai-text.sse",
+    Parser: OpenAIStreamParser,
+    expected: {
+      content: "Hello from the fox den!",
+      toolCalls: [],
+      stopReason: STOP_REASONS.MAX_TOKENS,
+      usage: { inputTokens: 27, outputTokens: 5 },
+    },
+  },
+  {
+    fixture: "openai-tool-calls.sse",
+    Parser: OpenAIStreamParser,
+    expected: {
+      content: "",
+      toolCalls: [
+        {
+          id: "call_Ks8q1ZkD4l2J",
+          name: "read_file",
+          parameters: { path: "src/a.js" },
+        },
+        {
+          id: "call_Vb3n7Rr0xW9M",
+          name: "read_file",
+          parameters: { path: "src/b.js" },
+        },
+      ],
+      stopReason: STOP_REASONS.TOOL_USE,
+      usage: {},
+    },
+  },
+  {
+    fixture: "deepseek-text.sse",
+    Parser: DeepSeekStreamParser,
+    expected: {
+      content: "Deep thoughts.",
+      toolCalls: [],
+      stopReason: STOP_REASONS.END_TURN,
+      usage: { inputTokens: 18, outputTokens: 3 },
+    },
+  },
+  {
+    fixture: "gemini-text.sse",
+    Parser: GeminiStreamParser,
+    expected: {
+      content: "Foxes are clever.",
+      toolCalls: [],
+      stopReason: STOP_REASONS.END_TURN,
+      usage: { inputTokens: 9, outputTokens: 4, thinkingTokens: 27 },
+    },
+  },
+  {
+    fixture: "gemini-function-call.sse",
+    Parser: GeminiStreamParser,
+    expected: {
+      content: "Reading both files.",
+      toolCalls: [
+        { id: "call_0", name: "read_file", parameters: { path: "src/a.js" } },
+        { id: "call_1", name: "read_file", parameters: { path: "src/b.js" } },
+      ],
+      stopReason: STOP_REASONS.TOOL_USE,
+      usage: { inputTokens: 210, outputTokens: 38 },
+    },
+  },
+  {
+    fixture: "local-ollama-generate.ndjson",
+    Parser: LocalStreamParser,
+    expected: {
+      content: "Small models run locally.",
+      toolCalls: [],
+      stopReason: STOP_REASONS.END_TURN,
+      usage: { inputTokens: 31, outputTokens: 6 },
+    },
+  },
+  {
+    fixture: "local-ollama-chat-tools.ndjson",
+    Parser: LocalStreamParser,
+    expected: {
+      content: "",
+      toolCalls: [
+        { id: "call_0", name: "read_file", parameters: { path: "src/a.js" } },
+      ],
+      stopReason: STOP_REASONS.TOOL_USE,
+      usage: { inputTokens: 240, outputTokens: 22 },
+    },
+  },
+  {
+    fixture: "local-lmstudio-tools.sse",
+    Parser: LocalStreamParser,
+    expected: {
+      content: "Checking.",
+      toolCalls: [
+        { id: "365174485", name: "list_files", parameters: { dir: "src" } },
+      ],
+      stopReason: STOP_REASONS.TOOL_USE,
+      usage: {},
+    },
+  },
+];
+
+/**
+ * Reader over a recorded stream, split into chunks of the given byte size
+ */
+function createReader(bytes, chunkSize) {
+  let offset = 0;
+
+  return {
+    async read() {
+      if (offset >= bytes.length) {
+        return { done: true, value: undefined };
+      }
+      const end = Math.min(bytes.length, offset + chunkSize);
+      const value = bytes.subarray(offset, end);
+      offset = end;
+      return { done: false, value };
+    },
+    releaseLock() {},
+  };
+}
+
+/**
+ * Collect every event the parser emits for a fixture
+ */
+async function collectEvents(Parser, fixture, chunkSize) {
+  const bytes = fs.readFileSync(path.join(FIXTURES, fixture));
+  const parser = new Parser(null);
+  const events = [];
+
+  for await (const event of parser.readStream(
+    createReader(bytes, chunkSize),
+    new TextDecoder()
+  )) {
+    events.push(event);
+  }
+
+  return events;
+}
+
+/**
+ * Check the rules every parser's event stream must follow
+ */
+function assertConforms(events, { expectError }) {
+  const eventTypes = Object.values(STREAM_EVENTS);
+  const stopReasons = Object.values(STOP_REASONS);
+  const openToolCalls = new Set();
+  const seenToolCalls = new Set();
+  let stopReasonCount = 0;
+
+  for (const event of events) {
+    assert.ok(
+      eventTypes.includes(event.type),
+      `Unknown event type: ${event.type}`
+    );
+
+    switch (event.type) {
+      case STREAM_EVENTS.TEXT_DELTA:
+      case STREAM_EVENTS.THINKING_DELTA:
+        assert.strictEqual(typeof event.text, "string");
+        assert.ok(event.text.length > 0, "Empty text deltas are not emitted");
+        break;
+
+      case STREAM_EVENTS.TOOL_CALL_START:
+        assert.strictEqual(typeof event.index, "number");
+        assert.ok(!seenToolCalls.has(event.index), "Tool call index reused");
+        assert.ok(event.id, "Tool calls always have an id");
+        assert.ok(event.name, "Tool calls always have a name");
+        openToolCalls.add(event.index);
+        seenToolCalls.add(event.index);
+        break;
+
+      case STREAM_EVENTS.TOOL_ARGS_DELTA:
+        assert.ok(
+          openToolCalls.has(event.index),
+          `Arguments for tool call ${event.index} outside start/end`
+        );
+        assert.strictEqual(typeof event.json, "string");
+        break;
+
+      case STREAM_EVENTS.TOOL_CALL_END:
+        assert.ok(
+          openToolCalls.delete(event.index),
+          `Tool call ${event.index} ended without starting`
+        );
+        break;
+
+      case STREAM_EVENTS.USAGE:
+        for (const [field, value] of Object.entries(event)) {
+          if (field !== "type") {
+            assert.ok(USAGE_FIELDS.includes(field), `Unknown usage ${field}`);
+            assert.strictEqual(typeof value, "number");
+          }
+        }
+        break;
+
+      case STREAM_EVENTS.STOP_REASON:
+        stopReasonCount++;
+        assert.ok(stopReasons.includes(event.reason));
+        assert.ok(event.providerReason, "Provider stop reason is kept");
+        assert.strictEqual(
+          openToolCalls.size,
+          0,
+          "Tool calls are closed before the stop reason"
+        );
+        break;
+
+      case STREAM_EVENTS.ERROR:
+        assert.ok(expectError, `Unexpected stream error: ${event.message}`);
+        assert.ok(event.message && event.errorType);
+        break;
+    }
+  }
+
+  assert.strictEqual(openToolCalls.size, 0, "Every tool call is closed");
+  if (!expectError) {
+    assert.strictEqual(stopReasonCount, 1, "Exactly one stop reason");
+  }
+}
+
+/**
+ * 📜 Every parser follows the event rules, whatever the network chunking
+ */
+async function testConformance() {
+  console.log("\n📜 Testing event stream conformance...");
+
+  for (const { fixture, Parser, error } of CASES) {
+    const reference = await collectEvents(Parser, fixture, Infinity);
+    assertConforms(reference, { expectError: Boolean(error) });
+
+    for (const chunkSize of CHUNK_SIZES) {
+      assert.deepStrictEqual(
+        await collectEvents(Parser, fixture, chunkSize),
+        reference,
+        `${fixture} parses differently in ${chunkSize}-byte chunks`
+      );
+    }
+
+    console.log(`  ✅ ${fixture}`);
+  }
+}
+
+/**
+ * 🌊 The accumulated results match each recording
+ */
+async function testAccumulatedResults() {
+  console.log("\n🌊 Testing accumulated results...");
+
+  for (const { fixture, Parser, expected, error } of CASES) {
+    const chunks = [];
+    const dispatched = [];
+    const accumulator = new StreamAccumulator({
+      messageId: "msg-1",
+      label: "Claude",
+      onChunk: (chunk) => chunks.push(chunk),
+      onToolCall: async (toolCall) => dispatched.push(toolCall),
+    });
+    const events = (async function* () {
+      yield* await collectEvents(Parser, fixture, 7);
+    })();
+
+    if (error) {
+      await assert.rejects(() => accumulator.consume(events), error);
+      console.log(`  ✅ ${fixture} fails with the stream error`);
+      continue;
+    }
+
+    const stream = await accumulator.consume(events);
+
+    assert.strictEqual(stream.content, expected.content);
+    assert.strictEqual(stream.thinking, expected.thinking || "");
+    assert.deepStrictEqual(dispatched, expected.toolCalls);
+    assert.deepStrictEqual(
+      stream.toolCalls.map(({ id, name, parameters }) => ({
+        id,
+        name,
+        parameters,
+      })),
+      expected.toolCalls
+    );
+    assert.strictEqual(stream.stopReason, expected.stopReason);
+    assert.deepStrictEqual(stream.usage, expected.usage);
+    assert.strictEqual(
+      stream.wasSilent,
+      expected.content === "" && expected.toolCalls.length > 0
+    );
+    assert.ok(chunks.every((chunk) => chunk.messageId === "msg-1"));
+    assert.strictEqual(
+      chunks.map((chunk) => chunk.chunk).join(""),
+      expected.content
+    );
+
+    console.log(`  ✅ ${fixture}`);
+  }
+}
+
+/**
+ * 🧪 Run all stream parser conformance tests
+ */
+async function runStreamParserConformanceTests() {
+  console.log("🧪 NOX Stream Parser Conformance Test Suite");
+
+  try {
+    await testConformance();
+    await testAccumulatedResults();
+    console.log("\n🎉 All stream parser conformance tests passed!");
+  } catch (error) {
+    console.error("\n❌ Stream parser conformance test failed:", error);
+    process.exitCode = 1;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runStreamParserConformanceTests();
+}
+
+module.exports = {
+  testConformance,
+  testAccumulatedResults,
+  runStreamParserConformanceTests,
+};
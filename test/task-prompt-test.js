@@ -0,0 +1,153 @@
+/**
+ * 🧪 NOX Task Prompt Test
+ * Checks that explain / refactor / analyze requests send their task prompt
+ * (which carries the selected code) after the chat history, while chat
+ * requests, whose message is already in the history, don't send it twice
+ * (Standalone Version - no API keys or network needed)
+ */
+
+// Mock VS Code module for standalone testing
+const mockVscode = {
+  workspace: {
+    getConfiguration: () => ({
+      get: (key, defaultValue) => defaultValue,
+      update: async () => {},
+    }),
+  },
+  window: {
+    showInformationMessage: async () => undefined,
+    showWarningMessage: async () => undefined,
+  },
+  ConfigurationTarget: {
+    Global: 1,
+  },
+};
+
+// Create a mock vscode module in the require cache
+const Module = require("module");
+const originalRequire = Module.prototype.require;
+
+Module.prototype.require = function (id) {
+  if (id === "vscode") {
+    return mockVscode;
+  }
+  return originalRequire.apply(this, arguments);
+};
+
+const assert = require("assert");
+const AgentController = require("../src/core/agentController");
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+const CHAT_HISTORY = [
+  { role: "user", content: "What does this project do?" },
+  { role: "assistant", content: "It is a VS Code extension." },
+];
+
+/**
+ * Agent controller with stand-in services that records what is sent
+ */
+function createController() {
+  const controller = Object.create(AgentController.prototype);
+  const sent = { messages: null, previewed: null };
+
+  controller.logger = mockLogger;
+  controller.noxContextBuilder = { getChatHistory: () => CHAT_HISTORY };
+  controller.noxSystemPrompt = { getCacheablePrefixLength: () => 0 };
+  controller.modeManager = { getCurrentMode: () => "agent" };
+  controller.capabilityRegistry = { getByMode: () => [] };
+  controller.toolAdapter = { supportsToolCalling: () => false };
+  controller.costPreviewHandler = {
+    preview: async ({ messages }) => {
+      sent.previewed = [...messages];
+      return true;
+    },
+  };
+  controller.aiClient = {
+    estimateTokens: (text) => Math.ceil(text.length / 4),
+    getContextWindow: () => 100000,
+    supportsVision: () => false,
+    resolveRoute: async (taskType) => ({
+      provider: "mock",
+      model: "mock-model",
+      taskType,
+    }),
+    sendRequestWithSystem: async (systemPrompt, messages) => {
+      sent.messages = messages;
+      return { content: "Done" };
+    },
+  };
+
+  return { controller, sent };
+}
+
+/**
+ * 📝 Task prompts follow the history for non-chat tasks
+ */
+async function testTaskPromptSent() {
+  console.log("\n▶️ Testing non-chat task prompts...");
+
+  for (const taskType of ["explain", "refactor", "analyze"]) {
+    const { controller, sent } = createController();
+    const taskPrompt = `Please ${taskType} this code:\nconst a = 1;`;
+
+    await controller.executeNoxTask("System", taskPrompt, {}, taskType);
+
+    assert.strictEqual(sent.messages.length, CHAT_HISTORY.length + 1);
+    assert.deepStrictEqual(sent.messages.at(-1), {
+      role: "user",
+      content: taskPrompt,
+    });
+    assert.deepStrictEqual(
+      sent.previewed,
+      sent.messages,
+      "The cost preview should count the task prompt"
+    );
+  }
+  console.log("  ✅ Explain, refactor and analyze send their task prompt");
+}
+
+/**
+ * 💬 Chat requests only send the history
+ */
+async function testChatPromptNotDuplicated() {
+  console.log("\n▶️ Testing chat prompts...");
+
+  const { controller, sent } = createController();
+  await controller.executeNoxTask("System", "What does this project do?", {});
+
+  assert.deepStrictEqual(sent.messages, CHAT_HISTORY);
+  console.log("  ✅ Chat messages are not sent twice");
+}
+
+/**
+ * 🧪 Run all task prompt tests
+ */
+async function runTaskPromptTests() {
+  console.log("🧪 NOX Task Prompt Test Suite");
+
+  try {
+    await testTaskPromptSent();
+    await testChatPromptNotDuplicated();
+    console.log("\n🎉 All task prompt tests passed!");
+  } catch (error) {
+    console.error("\n❌ Task prompt test failed:", error);
+    process.exitCode = 1;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTaskPromptTests();
+}
+
+module.exports = {
+  testTaskPromptSent,
+  testChatPromptNotDuplicated,
+  runTaskPromptTests,
+};